@@ -114,8 +114,11 @@ class AudioManager {
         // In production, these would be actual audio files
         // Note: 'shoot' is now created dynamically via createDynamicShootSound()
         this.createToneSound('hit', 150, 0.15);
+        this.createToneSound('enemyShot', 320, 0.06);
         this.createToneSound('powerup', 400, 0.2);
         this.createToneSound('gameover', 100, 0.5);
+        this.createToneSound('bomb', 70, 0.9);
+        this.createToneSound('buffExpired', 520, 0.25);
         
         // Enemy destruction sounds
         this.createEnemyDeathSound('basic', 120, 0.2);
@@ -177,6 +180,18 @@ class AudioManager {
                 value += Math.sin(2 * Math.PI * currentFreq * 1.5 * t) * envelope * 0.15; // Fifth
                 // Add slight noise for punch
                 value += (Math.random() * 2 - 1) * envelope * 0.05;
+            } else if (name === 'bomb') {
+                // Bomb blast: a noise crack over a deep boom that sinks in pitch
+                const currentFreq = frequency * (1 - t * 0.5);
+                const envelope = Math.exp(-t * 3);
+                value += Math.sin(2 * Math.PI * currentFreq * t) * envelope * 0.5;
+                value += Math.sin(2 * Math.PI * currentFreq * 0.5 * t) * envelope * 0.3; // Sub bass
+                value += (Math.random() * 2 - 1) * Math.exp(-t * 8) * 0.35;
+            } else if (name === 'buffExpired') {
+                // Buff running out: two falling notes
+                const currentFreq = t < duration / 2 ? frequency : frequency * 0.75;
+                const envelope = Math.exp(-(t % (duration / 2)) * 12);
+                value = Math.sin(2 * Math.PI * currentFreq * t) * envelope * 0.3;
             } else {
                 // Simple sine wave with envelope for other sounds
                 const envelope = Math.exp(-t * 5); // Exponential decay
@@ -1200,6 +1215,72 @@ class AudioManager {
         }
     }
 
+    /**
+     * Start boss battle music, darker than the carrier theme and faster in each phase
+     * @param {number} phase - Boss phase, starting at 1
+     */
+    startBossMusic(phase = 1) {
+        if (!this.musicEnabled || !this.musicContext) return;
+
+        this.stopMusic();
+
+        try {
+            if (this.musicContext.state === 'suspended') {
+                this.musicContext.resume();
+            }
+
+            // 84 BPM, +12 BPM per phase
+            const tempo = 84 + (phase - 1) * 12;
+            const beatDuration = 60 / tempo;
+
+            this.musicOscillators = [];
+
+            // Deep bass, melody a tritone above and a detuned high layer from phase 2
+            const layers = [
+                { type: 'sawtooth', notes: [73, 73, 78, 73, 98, 92, 78, 69], volume: 0.22 },
+                { type: 'sawtooth', notes: [104, 110, 117, 110, 139, 131, 117, 110], volume: 0.14 },
+                { type: 'square', notes: [294, 311, 277, 294, 392, 370, 311, 277], volume: phase > 1 ? 0.08 : 0 }
+            ];
+            layers.forEach(layer => {
+                const osc = this.musicContext.createOscillator();
+                osc.type = layer.type;
+                osc.frequency.value = layer.notes[0];
+                const gain = this.musicContext.createGain();
+                // Fade in so the switch from the previous music doesn't click
+                gain.gain.setValueAtTime(0, this.musicContext.currentTime);
+                gain.gain.linearRampToValueAtTime(layer.volume, this.musicContext.currentTime + 0.5);
+                osc.connect(gain);
+                gain.connect(this.musicGainNode);
+                osc.start();
+                this.musicOscillators.push({osc, gain});
+            });
+
+            let noteIndex = 0;
+            this.patternIntervals.boss = setInterval(() => {
+                if (!this.musicOscillators.length || this.currentMusic !== 'boss') {
+                    if (this.patternIntervals.boss) {
+                        clearInterval(this.patternIntervals.boss);
+                        delete this.patternIntervals.boss;
+                    }
+                    return;
+                }
+
+                layers.forEach((layer, index) => {
+                    const entry = this.musicOscillators[index];
+                    if (entry && entry.osc) {
+                        entry.osc.frequency.setTargetAtTime(layer.notes[noteIndex], this.musicContext.currentTime, 0.04);
+                    }
+                });
+
+                noteIndex = (noteIndex + 1) % layers[0].notes.length;
+            }, beatDuration * 1000);
+
+            this.currentMusic = 'boss';
+        } catch (err) {
+            console.debug('Boss music start failed:', err);
+        }
+    }
+
     /**
      * Stop current music
      */
@@ -1236,6 +1317,34 @@ class AudioManager {
         this.targetTension = 0;
     }
 
+    /**
+     * Pause music playback (suspends the music context so patterns resume in place)
+     */
+    pauseMusic() {
+        if (!this.musicContext) return;
+        try {
+            if (this.musicContext.state === 'running') {
+                this.musicContext.suspend();
+            }
+        } catch (err) {
+            console.debug('Music pause failed:', err);
+        }
+    }
+
+    /**
+     * Resume music playback after pauseMusic()
+     */
+    resumeMusic() {
+        if (!this.musicContext) return;
+        try {
+            if (this.musicContext.state === 'suspended') {
+                this.musicContext.resume();
+            }
+        } catch (err) {
+            console.debug('Music resume failed:', err);
+        }
+    }
+
     /**
      * Update music tempo based on level (for background music)
      * @param {number} level - Current game level
@@ -1424,3 +1533,64 @@ class AudioManager {
     }
 }
 
+
+/**
+ * Null Audio Manager - Silent drop-in for AudioManager (headless simulation, tests)
+ * Exposes the same fields and methods the game reads, all as no-ops
+ */
+class NullAudioManager {
+    constructor() {
+        this.sounds = {};
+        this.enabled = false;
+        this.volume = 0;
+        this.musicEnabled = false;
+        this.musicVolume = 0;
+        this.currentMusic = null;
+        this.musicContext = null;
+        this.musicOscillators = [];
+        this.tension = 0;
+        this.targetTension = 0;
+        this.musicLayers = {};
+        this.killAccentQueue = [];
+        this.beatSyncInterval = null;
+        this.patternIntervals = {};
+    }
+
+    registerSound(name, url) {}
+
+    play(name, volume = null) {}
+
+    stop(name) {}
+
+    setVolume(volume) {}
+
+    setEnabled(enabled) {}
+
+    initializeDefaultSounds() {}
+
+    playShoot(fireRate = 1) {}
+
+    initializeMusic() {}
+
+    startBackgroundMusic(level) {}
+
+    queueKillAccent(enemyType, intensity = 0.5) {}
+
+    updateMusicTension(tension) {}
+
+    startCarrierMusic() {}
+
+    startBossMusic(phase = 1) {}
+
+    stopMusic() {}
+
+    pauseMusic() {}
+
+    resumeMusic() {}
+
+    setMusicVolume(volume) {}
+
+    setMusicEnabled(enabled) {}
+
+    startVictoryMusic() {}
+}
@@ -0,0 +1,417 @@
+/**
+ * Balance - Declarative game balance (JSON-compatible)
+ * Level progression, upgrade costs, enemy stats, spawn weights and rewards all live here.
+ * Designers can register alternate profiles that override parts of the default one.
+ *
+ * Values that scale with the level are curves, in one of three forms:
+ * - a number: constant
+ * - an array [c0, c1, c2, ...]: polynomial c0 + c1*n + c2*n² + ...
+ * - an object { base, perLevel, baseLevel = 1, lateLevel, latePerLevel, minLevel }:
+ *   linear from base at baseLevel, changing slope to latePerLevel after lateLevel,
+ *   and 0 below minLevel
+ */
+
+const DEFAULT_BALANCE = {
+    levels: {
+        // Score needed to advance from score level n: 200 + 100n + 20n² + n³ + n⁴/10
+        scoreRequired: [200, 100, 20, 1, 1 / 10],
+        secondsPerLevel: 30, // Time-based level: +1 level every 30 seconds
+        // When both score and time contribute, add floor(min(scoreLevel, timeLevel) / divisor)
+        bothContributeBonusDivisor: 3
+    },
+
+    upgrades: {
+        // Experience for the next upgrade level n: 10 + 10n + 3n² + n³/3 + n⁴/10 (0->1: 10, 1->2: 23, 2->3: 46)
+        // Upgrades with their own curve in js/upgrades.js use it instead
+        experienceRequired: [10, 10, 3, 1 / 3, 1 / 10],
+        pierce: {
+            damageFalloff: 0.3 // Share of its damage a bullet loses per enemy or unit it passes through
+        },
+        ricochet: {
+            range: 450 // Farthest enemy a bullet bounces to
+        },
+        // Draft progression: all experience fills one shared pool, a full pool offers a pick of upgrades
+        draft: {
+            // Experience for the draft after n drafts: 10 + 2n + n²/10 + n³/500 (0: 10, 10: 42, 20: 106)
+            experienceRequired: [10, 2, 1 / 10, 1 / 500],
+            // Relative chance of an upgrade being offered, by its rarity (see js/upgrades.js)
+            rarityWeights: { common: 10, rare: 6, epic: 3 },
+            rerolls: 2, // Rerolls the player starts with
+            rerollInterval: 5 // One more reroll every this many drafts
+        }
+    },
+
+    shields: {
+        max: 3, // Most shields the player can carry
+        invulnerabilityTicks: 90, // Blinking grace period after a shield absorbs a hit
+        knockback: 150 // Distance enemies too big to be destroyed on impact are pushed back up
+    },
+
+    // Timed power-ups (see js/buffs.js)
+    buffs: {
+        minLevel: 5, // Level buffs start dropping at, random upgrade power-ups stop there
+        dropChance: 0.003 // Chance per tick of a buff drop
+    },
+
+    // Bomb the player sets off once kills have charged it (see Game.useBomb)
+    bomb: {
+        chargeRequired: 25, // Charge that readies the bomb
+        chargePerKill: 1, // Charge per destroyed enemy
+        chargePerUnit: 0.25, // Charge per destroyed Formation/Swarm unit
+        cooldownTicks: 600, // Ticks after a bomb before kills charge it again
+        clearLine: 0.5, // Share of the screen height the blast starts at (0: whole screen, 0.5: bottom half)
+        instantKill: true, // Destroy everything below the line (false: deal damage)
+        damage: { base: 10, perLevel: 3 }, // Damage by level when not instantKill, and to carriers and bosses
+        rewards: false // Whether enemies the bomb destroys give score and experience
+    },
+
+    rewards: {
+        // Experience drops above this amount fall as a pickup, smaller ones are added directly
+        experiencePickupThreshold: { base: 10, perLevel: 5 },
+        // Chance for each destroyed Formation/Swarm unit to drop experience
+        unitDropChance: 0.5
+    },
+
+    // Experience orbs (ExperiencePowerup): pulled in by Game.update, merged by Game.mergeExperienceOrbs
+    pickups: {
+        radius: 90, // Distance the ship pulls orbs in from (Player.getPickupRadius, upgrades and buffs raise it)
+        pullSpeed: 10, // Speed of an orb right next to the ship, eased from its falling speed at the edge of the radius
+        mergeOrbs: true // Overlapping orbs of the same experience merge into one
+    },
+
+    // Per enemy type:
+    // speed - multiple of CONFIG.ENEMY_BASE_SPEED
+    // health - health by level (totalHealth for Formation/Swarm, split across units)
+    // score - score by level, multiple of CONFIG.SCORE_PER_ENEMY (Formation/Swarm score per unit health)
+    // spawnWeight - relative chance in random spawns by level
+    // dropChance - chance to drop experience when destroyed
+    // experience - experience dropped by level (Formation/Swarm: split across units)
+    // Random spawns roll the types in this order
+    enemies: {
+        basic: {
+            speed: 0.6,
+            health: { base: 1, perLevel: 0.5, lateLevel: 10, latePerLevel: 0.6 },
+            score: 1,
+            spawnWeight: 50,
+            dropChance: 0.2,
+            experience: { base: 2, perLevel: 0.4 }
+        },
+        fast: {
+            speed: 1.5,
+            health: 1,
+            score: 2,
+            spawnWeight: { base: 15, perLevel: 4 },
+            dropChance: 0.3,
+            experience: { base: 4, perLevel: 0.8 }
+        },
+        tank: {
+            speed: 0.3,
+            health: [10, 3, 1 / 5, 1 / 50],
+            score: { base: 5, perLevel: 1 },
+            spawnWeight: { base: 10, perLevel: 3 },
+            dropChance: 0.5,
+            experience: { base: 20, perLevel: 1 }
+        },
+        swarm: {
+            speed: 0.48,
+            totalHealth: [6, 2, 1 / 20, 1 / 50],
+            spawnWeight: { base: 12, perLevel: 2 },
+            experience: { base: 20, perLevel: 2 }
+        },
+        formation: {
+            speed: 0.54,
+            totalHealth: [6, 2, 1 / 50, 1 / 100],
+            spawnWeight: { base: 13, perLevel: 2 },
+            experience: { base: 20, perLevel: 2 }
+        },
+        // Shooters fire projectiles down their lane (see js/projectile.js):
+        // fireInterval - ticks between shots by level, projectileDamage - shields a hit breaks by level,
+        // projectileSpeed - multiple of CONFIG.ENEMY_BASE_SPEED
+        gunner: {
+            speed: 0.35,
+            health: { base: 3, perLevel: 0.5, baseLevel: 3 },
+            score: { base: 3, perLevel: 0.5, baseLevel: 3 },
+            spawnWeight: { base: 6, perLevel: 1, baseLevel: 3, minLevel: 3 },
+            dropChance: 0.4,
+            experience: { base: 8, perLevel: 1, baseLevel: 3 },
+            fireInterval: { base: 110, perLevel: -4, baseLevel: 3 },
+            projectileDamage: { base: 1, perLevel: 0.1, baseLevel: 3 },
+            projectileSpeed: 2
+        },
+        sniper: {
+            speed: 0.9,
+            health: { base: 2, perLevel: 0.3, baseLevel: 6 },
+            score: { base: 4, perLevel: 0.5, baseLevel: 6 },
+            spawnWeight: { base: 4, perLevel: 1, baseLevel: 6, minLevel: 6 },
+            dropChance: 0.5,
+            experience: { base: 10, perLevel: 1, baseLevel: 6 },
+            fireInterval: { base: 80, perLevel: -3, baseLevel: 6 },
+            projectileDamage: { base: 1, perLevel: 0.15, baseLevel: 6 },
+            projectileSpeed: 4,
+            holdShots: 3 // Shots from the firing position before diving at the player
+        },
+        // Lane changers telegraph, then slide to another lane:
+        // switchInterval - minimum ticks between switches, telegraph - warning ticks by level,
+        // switchSpeed - pixels per tick while sliding
+        weaver: {
+            speed: 0.5,
+            health: { base: 2, perLevel: 0.4, baseLevel: 4 },
+            score: { base: 2, perLevel: 0.5, baseLevel: 4 },
+            spawnWeight: { base: 6, perLevel: 1, baseLevel: 4, minLevel: 4 },
+            dropChance: 0.3,
+            experience: { base: 6, perLevel: 0.8, baseLevel: 4 },
+            switchInterval: 90,
+            telegraph: { base: 40, perLevel: -1, baseLevel: 4 },
+            switchSpeed: 5
+        },
+        tracker: {
+            speed: 0.45,
+            health: { base: 3, perLevel: 0.5, baseLevel: 7 },
+            score: { base: 3, perLevel: 0.5, baseLevel: 7 },
+            spawnWeight: { base: 4, perLevel: 1, baseLevel: 7, minLevel: 7 },
+            dropChance: 0.4,
+            experience: { base: 8, perLevel: 1, baseLevel: 7 },
+            switchInterval: 60,
+            telegraph: { base: 35, perLevel: -1, baseLevel: 7 },
+            switchSpeed: 6
+        },
+        dodger: {
+            speed: 0.55,
+            health: { base: 2, perLevel: 0.3, baseLevel: 9 },
+            score: { base: 4, perLevel: 0.5, baseLevel: 9 },
+            spawnWeight: { base: 4, perLevel: 1, baseLevel: 9, minLevel: 9 },
+            dropChance: 0.4,
+            experience: { base: 8, perLevel: 1, baseLevel: 9 },
+            switchInterval: 45,
+            telegraph: 12,
+            switchSpeed: 8,
+            dodgeThreshold: 3 // Player bullets coming up its lane that make it sidestep
+        },
+        carrier: {
+            speed: 0,
+            health: [100, 40, 1 / 3, 1 / 10],
+            score: { base: 10, perLevel: 2, baseLevel: 5 },
+            spawnWeight: { base: 5, perLevel: 2, baseLevel: 5, minLevel: 5 },
+            dropChance: 1,
+            experience: { base: 30, perLevel: 6 }
+        },
+        // Bosses only appear at milestone levels (see js/boss.js), never in random spawns
+        // Their reward is one experience drop per upgrade type
+        boss: {
+            speed: 0,
+            health: { base: 600, perLevel: 60, baseLevel: 10 },
+            score: { base: 50, perLevel: 5, baseLevel: 10 },
+            spawnWeight: 0,
+            dropChance: 0,
+            experience: { base: 40, perLevel: 4, baseLevel: 10 }
+        }
+    }
+};
+
+// Registered balance profiles by name
+const balanceProfiles = { default: DEFAULT_BALANCE };
+
+// Balance of the current run (see setBalanceProfile)
+let BALANCE = DEFAULT_BALANCE;
+
+/**
+ * Evaluate a balance curve
+ * Polynomials are summed term by term (c * n * n ...) so results match the original inline formulas exactly
+ * @param {number|number[]|object} curve - Curve definition (see top of file)
+ * @param {number} level - Level to evaluate at
+ * @returns {number}
+ */
+function evaluateCurve(curve, level) {
+    if (typeof curve === 'number') {
+        return curve;
+    }
+
+    if (Array.isArray(curve)) {
+        let value = 0;
+        for (let i = 0; i < curve.length; i++) {
+            let term = curve[i];
+            for (let power = 0; power < i; power++) {
+                term *= level;
+            }
+            value += term;
+        }
+        return value;
+    }
+
+    if (curve.minLevel !== undefined && level < curve.minLevel) {
+        return 0;
+    }
+    const baseLevel = curve.baseLevel !== undefined ? curve.baseLevel : 1;
+    if (curve.lateLevel !== undefined && level > curve.lateLevel) {
+        return curve.base + (curve.lateLevel - baseLevel) * curve.perLevel + (level - curve.lateLevel) * curve.latePerLevel;
+    }
+    return curve.base + (level - baseLevel) * curve.perLevel;
+}
+
+/**
+ * Check if a value is a valid curve definition
+ * @param {*} curve
+ * @returns {boolean}
+ */
+function isValidCurve(curve) {
+    const isNumber = value => typeof value === 'number' && isFinite(value);
+    if (isNumber(curve)) return true;
+    if (Array.isArray(curve)) return curve.length > 0 && curve.every(isNumber);
+    if (!curve || typeof curve !== 'object') return false;
+    if (!isNumber(curve.base) || !isNumber(curve.perLevel)) return false;
+    if (curve.lateLevel !== undefined && (!isNumber(curve.lateLevel) || !isNumber(curve.latePerLevel))) return false;
+    return ['baseLevel', 'minLevel'].every(key => curve[key] === undefined || isNumber(curve[key]));
+}
+
+/**
+ * Get the balance of an enemy type in the current profile
+ * @param {string} type - Enemy type
+ * @returns {object}
+ */
+function getEnemyBalance(type) {
+    const balance = BALANCE.enemies[type];
+    if (!balance) {
+        console.warn(`No balance for enemy type: ${type}`);
+        return BALANCE.enemies.basic;
+    }
+    return balance;
+}
+
+/**
+ * Deep-merge profile overrides onto a base profile, validating them against it
+ * Curves and flags are replaced as a whole; unknown keys are reported and skipped
+ * @param {object} base - Complete profile
+ * @param {object} overrides - Partial profile
+ * @param {string} path - Key path for error messages
+ * @returns {object} - New complete profile
+ */
+function mergeBalance(base, overrides, path = '') {
+    const merged = JSON.parse(JSON.stringify(base));
+    Object.keys(overrides).forEach(key => {
+        const keyPath = path ? `${path}.${key}` : key;
+        const baseValue = base[key];
+        const value = overrides[key];
+
+        if (baseValue === undefined) {
+            console.warn(`Unknown balance key: ${keyPath}`);
+            return;
+        }
+        if (isValidCurve(baseValue)) {
+            if (!isValidCurve(value)) {
+                throw new Error(`Invalid balance value for ${keyPath}`);
+            }
+            merged[key] = JSON.parse(JSON.stringify(value));
+            return;
+        }
+        if (typeof baseValue === 'boolean') {
+            if (typeof value !== 'boolean') {
+                throw new Error(`Invalid balance value for ${keyPath}`);
+            }
+            merged[key] = value;
+            return;
+        }
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`Invalid balance section ${keyPath}`);
+        }
+        merged[key] = mergeBalance(baseValue, value, keyPath);
+    });
+    return merged;
+}
+
+/**
+ * Register a balance profile
+ * @param {string} name - Profile name
+ * @param {object|string} profile - Overrides of the default profile, as an object or JSON text
+ * @returns {object} - The complete profile
+ */
+function registerBalanceProfile(name, profile) {
+    const overrides = typeof profile === 'string' ? JSON.parse(profile) : profile;
+    const complete = mergeBalance(DEFAULT_BALANCE, overrides);
+    balanceProfiles[name] = complete;
+    return complete;
+}
+
+/**
+ * Check if a balance profile is registered
+ * @param {string} name - Profile name
+ * @returns {boolean}
+ */
+function hasBalanceProfile(name) {
+    return Object.prototype.hasOwnProperty.call(balanceProfiles, name);
+}
+
+/**
+ * Get the names of all registered balance profiles
+ * @returns {string[]}
+ */
+function getBalanceProfileNames() {
+    return Object.keys(balanceProfiles);
+}
+
+/**
+ * Use a registered balance profile for the current run
+ * @param {string} name - Profile name
+ * @returns {boolean} - Whether the profile exists
+ */
+function setBalanceProfile(name) {
+    if (!hasBalanceProfile(name)) {
+        console.warn(`Unknown balance profile: ${name}`);
+        return false;
+    }
+    BALANCE = balanceProfiles[name];
+    return true;
+}
+
+/**
+ * Difficulty modes - multipliers applied on top of the balance profile
+ * spawnRate - random enemy spawn chance
+ * enemyHealth - enemy health (at least 1)
+ * fastSpeedScaling - how quickly Fast enemies speed up with the level
+ * experience - experience dropped by enemies
+ * carrierRate - random carrier spawns, and how often carriers launch enemies
+ * shields - shields the player starts with (added to the game mode's, see GameMode.shields)
+ */
+const DIFFICULTY_MODES = {
+    easy: { name: 'Easy', spawnRate: 0.75, enemyHealth: 0.75, fastSpeedScaling: 0.7, experience: 1.25, carrierRate: 0.5, shields: 2 },
+    normal: { name: 'Normal', spawnRate: 1, enemyHealth: 1, fastSpeedScaling: 1, experience: 1, carrierRate: 1, shields: 0 },
+    hard: { name: 'Hard', spawnRate: 1.25, enemyHealth: 1.3, fastSpeedScaling: 1.25, experience: 0.85, carrierRate: 1.5, shields: 0 },
+    nightmare: { name: 'Nightmare', spawnRate: 1.6, enemyHealth: 1.75, fastSpeedScaling: 1.5, experience: 0.7, carrierRate: 2, shields: 0 }
+};
+
+const DEFAULT_DIFFICULTY = 'normal';
+
+// Difficulty of the current run (see setDifficulty)
+let DIFFICULTY = DIFFICULTY_MODES[DEFAULT_DIFFICULTY];
+
+/**
+ * Check if a difficulty mode exists
+ * @param {string} name - Difficulty key (easy, normal, hard, nightmare)
+ * @returns {boolean}
+ */
+function isValidDifficulty(name) {
+    return Object.prototype.hasOwnProperty.call(DIFFICULTY_MODES, name);
+}
+
+/**
+ * Use a difficulty mode for the current run
+ * @param {string} name - Difficulty key
+ * @returns {boolean} - Whether the mode exists
+ */
+function setDifficulty(name) {
+    if (!isValidDifficulty(name)) {
+        console.warn(`Unknown difficulty: ${name}`);
+        return false;
+    }
+    DIFFICULTY = DIFFICULTY_MODES[name];
+    return true;
+}
+
+/**
+ * Evaluate an enemy health curve, scaled by the current difficulty
+ * @param {number|number[]|object} curve - Health curve from the balance profile
+ * @param {number} level - Level to evaluate at
+ * @returns {number} - Whole health points, at least 1
+ */
+function getEnemyHealth(curve, level) {
+    return Math.max(1, Math.floor(evaluateCurve(curve, level) * DIFFICULTY.enemyHealth));
+}
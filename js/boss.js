@@ -0,0 +1,333 @@
+/**
+ * Bosses - Multi-phase boss encounters at milestone levels
+ * A boss definition lists its phases; each phase lasts until the boss's health drops to
+ * a fraction of its maximum, and has its own lane-switching rate and attacks.
+ *
+ * Attacks:
+ * - summon: launch count enemies of enemyType into random lanes
+ * - laneStrike: mark lanes for telegraph ticks, then hit everything in them
+ *   target picks the lanes: 'player' (the player's lane), 'random' (one lane)
+ *   or 'allButOne' (every lane except a random safe one)
+ *
+ * Intervals are in ticks. Health, score and experience come from BALANCE.enemies.boss.
+ */
+
+// Bosses appear at every multiple of this level (10, 20, 30, ...)
+const BOSS_LEVEL_INTERVAL = 10;
+
+const BOSS_DEFINITIONS = {
+    warden: {
+        name: 'The Warden',
+        color: '#9b59b6',
+        phases: [
+            {
+                until: 0.6,
+                moveInterval: 240,
+                attacks: [
+                    { type: 'summon', interval: 150, enemyType: 'basic', count: 2 },
+                    { type: 'laneStrike', interval: 300, telegraph: 90, target: 'random' }
+                ]
+            },
+            {
+                until: 0.3,
+                moveInterval: 180,
+                attacks: [
+                    { type: 'laneStrike', interval: 200, telegraph: 75, target: 'player' },
+                    { type: 'summon', interval: 240, enemyType: 'fast', count: 1 }
+                ]
+            },
+            {
+                until: 0,
+                moveInterval: 120,
+                attacks: [
+                    { type: 'laneStrike', interval: 170, telegraph: 60, target: 'allButOne' },
+                    { type: 'summon', interval: 260, enemyType: 'tank', count: 1 }
+                ]
+            }
+        ]
+    },
+    dreadnought: {
+        name: 'Dreadnought',
+        color: '#c0392b',
+        phases: [
+            {
+                until: 0.7,
+                moveInterval: 200,
+                attacks: [
+                    { type: 'summon', interval: 180, enemyType: 'formation', count: 1 },
+                    { type: 'laneStrike', interval: 220, telegraph: 75, target: 'player' }
+                ]
+            },
+            {
+                until: 0.4,
+                moveInterval: 150,
+                attacks: [
+                    { type: 'laneStrike', interval: 180, telegraph: 60, target: 'allButOne' },
+                    { type: 'summon', interval: 200, enemyType: 'swarm', count: 1 }
+                ]
+            },
+            {
+                until: 0,
+                moveInterval: 90,
+                attacks: [
+                    { type: 'laneStrike', interval: 120, telegraph: 50, target: 'player' },
+                    { type: 'laneStrike', interval: 210, telegraph: 60, target: 'allButOne' },
+                    { type: 'summon', interval: 240, enemyType: 'fast', count: 2 }
+                ]
+            }
+        ]
+    }
+};
+
+// Bosses in order of appearance, repeating after the last one
+const BOSS_ORDER = ['warden', 'dreadnought'];
+
+/**
+ * Get the boss that appears when a level is reached
+ * @param {number} level - Game level
+ * @returns {string|null} - Boss id, or null if the level is not a boss milestone
+ */
+function getBossForLevel(level) {
+    if (level < BOSS_LEVEL_INTERVAL || level % BOSS_LEVEL_INTERVAL !== 0) return null;
+    return BOSS_ORDER[(level / BOSS_LEVEL_INTERVAL - 1) % BOSS_ORDER.length];
+}
+
+/**
+ * Boss Enemy - Enters at the top, switches lanes and attacks in phases
+ * The Game sets playerLane before each update and
+ * carries out the actions the boss queues (see takeActions)
+ */
+class BossEnemy extends Enemy {
+    constructor(x, y, laneIndex, level = BOSS_LEVEL_INTERVAL, rng = null) {
+        super(x, y, laneIndex);
+        this.type = 'boss';
+        this.rng = rng; // Game RNG, used for lane switches and attack lanes
+        this.bossId = getBossForLevel(level) || BOSS_ORDER[0];
+
+        const balance = getEnemyBalance(this.type);
+        this.maxHealth = getEnemyHealth(balance.health, level);
+        this.health = this.maxHealth;
+        this.scoreValue = CONFIG.SCORE_PER_ENEMY * evaluateCurve(balance.score, level);
+        this.width = 140;
+        this.height = 80;
+        this.color = this.getDefinition().color;
+
+        // Entry: fly in from above the screen to holdY, attacks start on arrival
+        this.holdY = y;
+        this.y = -this.height;
+        this.entrySpeed = 1.5;
+
+        // Lane switching: the boss slides to destinationLane, laneIndex follows its position
+        this.destinationLane = laneIndex;
+        this.targetX = x;
+        this.moveSpeed = 4;
+        this.moveCooldown = 0;
+        this.playerLane = 0; // Set by the Game every tick
+
+        this.phase = 0;
+        this.attackCooldowns = this.getPhase().attacks.map(() => 0);
+        this.telegraphs = []; // Warned lane strikes: { lanes, ticksLeft, duration }
+        this.strikes = []; // Lane strikes being drawn: { lanes, ticksLeft }
+        this.actions = []; // Actions for the Game: summon, strike, phase
+    }
+
+    /**
+     * Get this boss's definition
+     * @returns {object}
+     */
+    getDefinition() {
+        return BOSS_DEFINITIONS[this.bossId];
+    }
+
+    /**
+     * Get the definition of the current phase
+     * @returns {object}
+     */
+    getPhase() {
+        return this.getDefinition().phases[this.phase];
+    }
+
+    /**
+     * Check if the boss is still flying in
+     * @returns {boolean}
+     */
+    isEntering() {
+        return this.y < this.holdY;
+    }
+
+    /**
+     * Update boss - entry, phase changes, lane switching and attacks
+     */
+    update() {
+        if (this.isEntering()) {
+            this.y = Math.min(this.y + this.entrySpeed, this.holdY);
+            return;
+        }
+
+        this.updatePhase();
+        this.updateMovement();
+        this.updateAttacks();
+    }
+
+    /**
+     * Move to the next phase once health drops below the current phase's threshold
+     */
+    updatePhase() {
+        const phases = this.getDefinition().phases;
+        const healthFraction = this.health / this.maxHealth;
+        let phase = this.phase;
+        while (phase < phases.length - 1 && healthFraction <= phases[phase].until) {
+            phase++;
+        }
+        if (phase === this.phase) return;
+
+        this.phase = phase;
+        this.attackCooldowns = this.getPhase().attacks.map(() => 0);
+        this.moveCooldown = 0;
+        this.actions.push({ type: 'phase', phase });
+    }
+
+    /**
+     * Switch to another lane every moveInterval ticks, sliding across
+     */
+    updateMovement() {
+        this.moveCooldown++;
+        if (this.moveCooldown >= this.getPhase().moveInterval && CONFIG.LANE_COUNT > 1) {
+            this.moveCooldown = 0;
+            // Any lane but the current one
+            let lane = randomInt(0, CONFIG.LANE_COUNT - 2, this.rng);
+            if (lane >= this.destinationLane) lane++;
+            this.destinationLane = lane;
+            this.targetX = CONFIG.LANE_POSITIONS[lane];
+        }
+
+        const dx = this.targetX - this.x;
+        this.x += Math.sign(dx) * Math.min(Math.abs(dx), this.moveSpeed);
+        this.laneIndex = getLaneIndex(this.x);
+    }
+
+    /**
+     * Advance attack cooldowns and telegraphs, queueing actions that are due
+     */
+    updateAttacks() {
+        this.getPhase().attacks.forEach((attack, index) => {
+            this.attackCooldowns[index]++;
+            if (this.attackCooldowns[index] < attack.interval) return;
+            this.attackCooldowns[index] = 0;
+
+            if (attack.type === 'summon') {
+                this.actions.push({ type: 'summon', enemyType: attack.enemyType, count: attack.count });
+            } else if (attack.type === 'laneStrike') {
+                this.telegraphs.push({ lanes: this.pickStrikeLanes(attack.target), ticksLeft: attack.telegraph, duration: attack.telegraph });
+            } else {
+                console.warn(`Unknown boss attack type: ${attack.type}`);
+            }
+        });
+
+        // Telegraphed strikes land when their warning runs out
+        filterInPlace(this.telegraphs, telegraph => {
+            telegraph.ticksLeft--;
+            if (telegraph.ticksLeft > 0) return true;
+            this.actions.push({ type: 'strike', lanes: telegraph.lanes });
+            this.strikes.push({ lanes: telegraph.lanes, ticksLeft: 20 });
+            return false;
+        });
+        filterInPlace(this.strikes, strike => --strike.ticksLeft > 0);
+    }
+
+    /**
+     * Choose the lanes of a lane strike
+     * @param {string} target - 'player', 'random' or 'allButOne'
+     * @returns {number[]} - Lane indexes
+     */
+    pickStrikeLanes(target) {
+        const laneCount = CONFIG.LANE_COUNT;
+        if (target === 'player') {
+            return [Math.min(this.playerLane, laneCount - 1)];
+        }
+        if (target === 'allButOne') {
+            const safeLane = randomInt(0, laneCount - 1, this.rng);
+            const lanes = [];
+            for (let i = 0; i < laneCount; i++) {
+                if (i !== safeLane) lanes.push(i);
+            }
+            return lanes;
+        }
+        return [randomInt(0, laneCount - 1, this.rng)];
+    }
+
+    /**
+     * Take the actions queued since the last call
+     * @returns {object[]} - { type: 'summon', enemyType, count }, { type: 'strike', lanes } or { type: 'phase', phase }
+     */
+    takeActions() {
+        const actions = this.actions;
+        this.actions = [];
+        return actions;
+    }
+
+    /**
+     * Take damage - the boss can't be hurt while flying in
+     * @param {number} damage
+     * @returns {object} - {destroyed: boolean, unitsKilled: number}
+     */
+    takeDamage(damage) {
+        if (this.isEntering()) {
+            return { destroyed: false, unitsKilled: 0 };
+        }
+        return super.takeDamage(damage);
+    }
+
+    /**
+     * Draw boss, its lane warnings and strikes
+     */
+    draw(ctx) {
+        if (!this.active) return;
+
+        ctx.save();
+
+        // Telegraphed lanes: pulsing red columns, faster as the strike gets closer
+        this.telegraphs.forEach(telegraph => {
+            const progress = 1 - telegraph.ticksLeft / telegraph.duration;
+            const pulse = 0.5 + 0.5 * Math.sin(progress * progress * Math.PI * 12);
+            ctx.fillStyle = `rgba(255, 60, 60, ${0.1 + pulse * 0.25})`;
+            telegraph.lanes.forEach(lane => {
+                const laneX = CONFIG.LANE_POSITIONS[lane] - CONFIG.LANE_WIDTH / 2;
+                ctx.fillRect(laneX, this.y, CONFIG.LANE_WIDTH, CONFIG.CANVAS_HEIGHT - this.y);
+            });
+        });
+
+        // Strikes: bright beams fading out
+        this.strikes.forEach(strike => {
+            ctx.fillStyle = `rgba(255, 240, 200, ${strike.ticksLeft / 20})`;
+            strike.lanes.forEach(lane => {
+                const beamWidth = CONFIG.LANE_WIDTH * 0.6;
+                ctx.fillRect(CONFIG.LANE_POSITIONS[lane] - beamWidth / 2, this.y, beamWidth, CONFIG.CANVAS_HEIGHT - this.y);
+            });
+        });
+
+        // Hull: wide hexagon
+        ctx.shadowColor = this.color;
+        ctx.shadowBlur = 20;
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.moveTo(this.x - this.width / 2, this.y);
+        ctx.lineTo(this.x - this.width / 3, this.y - this.height / 2);
+        ctx.lineTo(this.x + this.width / 3, this.y - this.height / 2);
+        ctx.lineTo(this.x + this.width / 2, this.y);
+        ctx.lineTo(this.x + this.width / 4, this.y + this.height / 2);
+        ctx.lineTo(this.x - this.width / 4, this.y + this.height / 2);
+        ctx.closePath();
+        ctx.fill();
+
+        // Core: glows brighter in later phases
+        ctx.shadowBlur = 10 + this.phase * 10;
+        ctx.shadowColor = '#fff';
+        ctx.fillStyle = `rgba(255, ${200 - this.phase * 80}, ${200 - this.phase * 80}, 0.9)`;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.height / 5, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.restore();
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Buffs - Timed power-ups: pickups that change the run for a while instead of granting experience
+ * They drop from BALANCE.buffs.minLevel on, where random upgrade power-ups stop (see Game.spawnPowerups).
+ * The Player tracks the active ones and counts them down (see Player.addBuff), the HUD shows their timers.
+ *
+ * Definition fields:
+ * - id: buff type, also its power-up type, used in saves
+ * - name, desc: shown in the HUD
+ * - icon, color: pickups and the HUD
+ * - duration: simulation ticks the buff lasts (the pickup's Powerup.duration)
+ * - stacking: what picking it up again while it runs does, one of BUFF_STACKING_RULES
+ * - maxDuration: longest timer an 'extend' buff builds up (default: twice its duration)
+ * - maxStacks: most stacks of a 'stack' buff (default 2)
+ * - blocksHits: the player can't be hurt while it runs (hits that land are blocked, enemies repelled)
+ *
+ * Effect hooks (optional), called in registry order for active buffs;
+ * each one gets the value so far and the buff's stacks, and returns the new value:
+ * - shootCooldown(cooldown, stacks): milliseconds between shots, after upgrades
+ * - enemySpeed(multiplier, stacks): movement of enemies and their projectiles, a multiple of normal speed
+ * - score(multiplier, stacks): score of kills, a multiple of normal score
+ * - pickupPull(pull, stacks): pixels per tick power-ups drift sideways towards the ship
+ * - pickupRadius(radius, stacks): distance experience orbs are pulled in from (see Player.getPickupRadius)
+ */
+
+const BUFF_HOOKS = ['shootCooldown', 'enemySpeed', 'score', 'pickupPull', 'pickupRadius'];
+
+// Picking up a buff that is already running
+const BUFF_STACKING_RULES = {
+    refresh: 'Restarts the timer',
+    extend: 'Adds its duration to the timer, up to maxDuration',
+    stack: 'Adds a stack, up to maxStacks, and restarts the timer'
+};
+
+const BUFF_DEFINITIONS = [
+    {
+        id: 'overdrive',
+        name: 'Overdrive',
+        desc: 'Double Fire Rate',
+        icon: '🔥',
+        color: '#ff7675',
+        duration: 600,
+        stacking: 'refresh',
+        shootCooldown: cooldown => cooldown / 2
+    },
+    {
+        id: 'forceshield',
+        name: 'Shield',
+        desc: 'Blocks Every Hit',
+        icon: '🔰',
+        color: '#0984e3',
+        duration: 360,
+        stacking: 'extend',
+        maxDuration: 720,
+        blocksHits: true
+    },
+    {
+        id: 'slowtime',
+        name: 'Slow-Time',
+        desc: 'Enemies at Half Speed',
+        icon: '⏳',
+        color: '#81ecec',
+        duration: 480,
+        stacking: 'extend',
+        maxDuration: 960,
+        enemySpeed: multiplier => multiplier * 0.5
+    },
+    {
+        id: 'doublescore',
+        name: 'Score x2',
+        desc: 'Double Score, Stacks to x4',
+        icon: '💰',
+        color: '#fdcb6e',
+        duration: 600,
+        stacking: 'stack',
+        maxStacks: 2,
+        score: (multiplier, stacks) => multiplier * Math.pow(2, stacks)
+    },
+    {
+        id: 'magnet',
+        name: 'Magnet',
+        desc: 'Pulls Pickups In',
+        icon: '🧲',
+        color: '#e17055',
+        duration: 900,
+        stacking: 'refresh',
+        pickupPull: pull => pull + 6,
+        pickupRadius: radius => radius + 400 // Reaches orbs in the next lanes
+    }
+];
+
+/**
+ * Check a buff definition, throwing on the first problem
+ * @param {object} buff
+ */
+function validateBuffDefinition(buff) {
+    if (!buff || typeof buff.id !== 'string' || buff.id === '') {
+        throw new Error('Invalid buff: missing id');
+    }
+    if (getBuffDefinition(buff.id) || getUpgradeDefinition(buff.id) || buff.id === 'shield' || buff.id === 'experience') {
+        throw new Error(`Invalid buff ${buff.id}: power-up type already registered`);
+    }
+    ['name', 'desc', 'icon', 'color'].forEach(key => {
+        if (typeof buff[key] !== 'string') {
+            throw new Error(`Invalid buff ${buff.id}: missing ${key}`);
+        }
+    });
+    if (!Number.isInteger(buff.duration) || buff.duration <= 0) {
+        throw new Error(`Invalid buff ${buff.id}: invalid duration`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(BUFF_STACKING_RULES, buff.stacking)) {
+        throw new Error(`Invalid buff ${buff.id}: unknown stacking ${buff.stacking}`);
+    }
+    ['maxDuration', 'maxStacks'].forEach(key => {
+        if (buff[key] !== undefined && (!Number.isInteger(buff[key]) || buff[key] <= 0)) {
+            throw new Error(`Invalid buff ${buff.id}: invalid ${key}`);
+        }
+    });
+    BUFF_HOOKS.forEach(hook => {
+        if (buff[hook] !== undefined && typeof buff[hook] !== 'function') {
+            throw new Error(`Invalid buff ${buff.id}: ${hook} is not a function`);
+        }
+    });
+}
+
+/**
+ * Add a buff after the existing ones
+ * @param {object} buff - Buff definition
+ * @returns {object} - The registered buff
+ */
+function registerBuff(buff) {
+    validateBuffDefinition(buff);
+    BUFF_DEFINITIONS.push(buff);
+    return buff;
+}
+
+/**
+ * Get a buff definition
+ * @param {string} id - Buff type
+ * @returns {object|null}
+ */
+function getBuffDefinition(id) {
+    return BUFF_DEFINITIONS.find(buff => buff.id === id) || null;
+}
+
+/**
+ * Get the buff types in registry order
+ * @returns {string[]}
+ */
+function getBuffTypes() {
+    return BUFF_DEFINITIONS.map(buff => buff.id);
+}
+
+/**
+ * Pick the buff a random drop carries, all buffs alike
+ * @param {SeededRandom} rng - Game RNG
+ * @returns {string} - Buff type
+ */
+function rollBuffType(rng) {
+    return BUFF_DEFINITIONS[randomInt(0, BUFF_DEFINITIONS.length - 1, rng)].id;
+}
+
+/**
+ * Run an effect hook of every active buff
+ * @param {string} hook - One of BUFF_HOOKS
+ * @param {*} value - Value before buffs
+ * @param {object} buffs - Active buffs by type: { ticks, total, stacks } (see Player.buffs)
+ * @returns {*} - Value after buffs
+ */
+function applyBuffHooks(hook, value, buffs) {
+    for (let i = 0; i < BUFF_DEFINITIONS.length; i++) {
+        const buff = BUFF_DEFINITIONS[i];
+        const state = buffs[buff.id];
+        if (state && buff[hook]) {
+            value = buff[hook](value, state.stacks);
+        }
+    }
+    return value;
+}
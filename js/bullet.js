@@ -2,9 +2,18 @@
  * Bullet class - Represents player projectiles
  */
 class Bullet {
-    constructor(x, y, speed = CONFIG.BULLET_SPEED, powerboostLevel = 0, playerX = 0) {
+    constructor(x, y, speed = CONFIG.BULLET_SPEED, powerboostLevel = 0, playerX = 0, pierceLevel = 0, ricochetLevel = 0) {
+        this.reset(x, y, speed, powerboostLevel, playerX, pierceLevel, ricochetLevel);
+    }
+
+    /**
+     * Initialize the bullet - also used to reuse a pooled bullet (see getPool)
+     */
+    reset(x, y, speed = CONFIG.BULLET_SPEED, powerboostLevel = 0, playerX = 0, pierceLevel = 0, ricochetLevel = 0) {
         this.x = x;
         this.y = y;
+        this.prevX = x; // A reused bullet must not interpolate from its previous life
+        this.prevY = y;
         this.width = 5;
         this.height = 15;
         this.speed = speed;
@@ -13,10 +22,21 @@ class Bullet {
         // Base damage is 1, will be calculated based on enemy type when hitting
         this.baseDamage = 1;
         
-        // Lane tracking: determine lane based on player's x position when bullet was created
-        // Midpoint between lanes: (LANE_POSITIONS[0] + LANE_POSITIONS[1]) / 2
-        const laneMidpoint = (CONFIG.LANE_POSITIONS[0] + CONFIG.LANE_POSITIONS[CONFIG.LANE_COUNT - 1]) / 2;
-        this.laneIndex = playerX < laneMidpoint ? 0 : 1;
+        // Lane tracking: the lane closest to the player's x position when the bullet was created
+        this.laneIndex = getLaneIndex(playerX);
+
+        // Pierce: enemies or units the bullet can still pass through, each one costing damage
+        this.pierceLevel = pierceLevel;
+        this.pierceLeft = pierceLevel;
+        this.damageMultiplier = 1;
+        // Bottom Y a target must be above to be hit - targets the bullet already hit are below it
+        this.pierceY = Infinity;
+
+        // Ricochet: bounces left, and the sideways flight to the enemy of the last bounce
+        this.ricochetLevel = ricochetLevel;
+        this.ricochetLeft = ricochetLevel;
+        this.vx = 0;
+        this.targetX = x;
     }
     
     /**
@@ -35,7 +55,41 @@ class Bullet {
             damage = damage * Math.pow(1.2, this.powerboostLevel);
         }
         
-        return damage;
+        // Pierced enemies and units weaken the bullet
+        return damage * this.damageMultiplier;
+    }
+
+    /**
+     * Pass through a target that was just hit instead of stopping
+     * @param {number} topY - Top Y of the target, the bullet only hits targets above it from now on
+     * @returns {boolean} - Whether the bullet pierced (false: no pierce left)
+     */
+    pierce(topY) {
+        if (this.pierceLeft <= 0) return false;
+        this.pierceLeft--;
+        this.damageMultiplier *= 1 - BALANCE.upgrades.pierce.damageFalloff;
+        this.pierceY = topY;
+        return true;
+    }
+
+    /**
+     * Bounce off a target that was just hit towards an enemy in another lane
+     * The bullet keeps climbing and slides sideways to arrive at the enemy's x as it reaches its bottom.
+     * @param {number} topY - Top Y of the target that was hit
+     * @param {number} x - X to fly to
+     * @param {number} bottomY - Bottom Y of the enemy flown to
+     * @param {number} laneIndex - Lane of the enemy flown to
+     * @returns {boolean} - Whether the bullet bounced (false: no ricochet left)
+     */
+    ricochet(topY, x, bottomY, laneIndex) {
+        if (this.ricochetLeft <= 0) return false;
+        this.ricochetLeft--;
+        this.pierceY = topY;
+        this.laneIndex = laneIndex;
+        this.targetX = x;
+        const ticks = Math.max(1, (this.y - bottomY) / this.speed);
+        this.vx = (x - this.x) / ticks;
+        return true;
     }
 
     /**
@@ -43,6 +97,15 @@ class Bullet {
      */
     update() {
         this.y -= this.speed;
+
+        // Slide towards the enemy of a ricochet, then fly straight again
+        if (this.vx !== 0) {
+            this.x += this.vx;
+            if ((this.vx > 0 && this.x >= this.targetX) || (this.vx < 0 && this.x <= this.targetX)) {
+                this.x = this.targetX;
+                this.vx = 0;
+            }
+        }
         
         // Deactivate if off screen
         if (this.y + this.height < 0) {
@@ -97,6 +160,45 @@ class Bullet {
             ctx.shadowBlur = 15 + this.powerboostLevel * 3;
             ctx.fillRect(this.x - this.width / 2, this.y, this.width, this.height);
         }
+
+        // Piercing bullets have a pointed tip, fading as they lose damage
+        if (this.pierceLevel > 0) {
+            ctx.save();
+            ctx.globalAlpha = 0.4 + this.damageMultiplier * 0.6;
+            ctx.fillStyle = '#fd79a8';
+            ctx.shadowColor = '#fd79a8';
+            ctx.shadowBlur = 8 + this.pierceLeft * 2;
+            ctx.beginPath();
+            ctx.moveTo(this.x, this.y - 6 - this.pierceLeft * 2);
+            ctx.lineTo(this.x - this.width / 2 - 1, this.y);
+            ctx.lineTo(this.x + this.width / 2 + 1, this.y);
+            ctx.closePath();
+            ctx.fill();
+            ctx.restore();
+        }
+
+        // Ricochet bullets carry a ring per bounce left, and a trail while sliding sideways
+        if (this.ricochetLevel > 0) {
+            ctx.save();
+            ctx.strokeStyle = '#55efc4';
+            ctx.shadowColor = '#55efc4';
+            ctx.shadowBlur = 8;
+            ctx.lineWidth = 1.5;
+            for (let i = 0; i < this.ricochetLeft; i++) {
+                ctx.beginPath();
+                ctx.arc(this.x, this.y + this.height / 2, this.width + i * 3, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+            if (this.vx !== 0) {
+                ctx.globalAlpha = 0.5;
+                ctx.lineWidth = this.width;
+                ctx.beginPath();
+                ctx.moveTo(this.x, this.y + this.height / 2);
+                ctx.lineTo(this.x - this.vx * 3, this.y + this.height / 2 + this.speed * 3);
+                ctx.stroke();
+            }
+            ctx.restore();
+        }
         
         // Reset shadow
         ctx.shadowBlur = 0;
@@ -7,9 +7,20 @@
  */
 class Effect {
     constructor(x, y, type) {
+        this.type = type;
+        // Not this.reset(): subclass resets fill particle arrays that only exist after super()
+        Effect.prototype.reset.call(this, x, y);
+    }
+
+    /**
+     * Restart the effect at a position - subclasses also rebuild their particles here
+     * so a pooled effect can be reused (see EffectManager.createEffect)
+     * @param {number} x
+     * @param {number} y
+     */
+    reset(x, y) {
         this.x = x;
         this.y = y;
-        this.type = type;
         this.active = true;
         this.life = 0;
         this.maxLife = 30; // frames
@@ -33,9 +44,15 @@ class Effect {
 class ExplosionEffect extends Effect {
     constructor(x, y, size = 'normal') {
         super(x, y, 'explosion');
+        this.particles = [];
+        this.reset(x, y, size);
+    }
+
+    reset(x, y, size = 'normal') {
+        super.reset(x, y);
         this.size = size; // 'small', 'normal', 'large'
         this.maxLife = size === 'large' ? 40 : size === 'small' ? 20 : 30;
-        this.particles = [];
+        this.particles.length = 0;
         
         // Create particles
         const particleCount = size === 'large' ? 12 : size === 'small' ? 6 : 8;
@@ -99,6 +116,11 @@ class ExplosionEffect extends Effect {
 class FlashEffect extends Effect {
     constructor(x, y) {
         super(x, y, 'flash');
+        this.reset(x, y);
+    }
+
+    reset(x, y) {
+        super.reset(x, y);
         this.maxLife = 15;
     }
 
@@ -150,8 +172,14 @@ class FlashEffect extends Effect {
 class SparkleEffect extends Effect {
     constructor(x, y) {
         super(x, y, 'sparkle');
-        this.maxLife = 25;
         this.sparks = [];
+        this.reset(x, y);
+    }
+
+    reset(x, y) {
+        super.reset(x, y);
+        this.maxLife = 25;
+        this.sparks.length = 0;
         
         // Create sparks
         for (let i = 0; i < 8; i++) {
@@ -214,10 +242,18 @@ class SparkleEffect extends Effect {
 class CarrierExplosionEffect extends Effect {
     constructor(x, y) {
         super(x, y, 'carrierExplosion');
-        this.maxLife = 80; // Longer duration for epic effect
         this.particles = [];
         this.shockwaves = [];
         this.debris = [];
+        this.reset(x, y);
+    }
+
+    reset(x, y) {
+        super.reset(x, y);
+        this.maxLife = 80; // Longer duration for epic effect
+        this.particles.length = 0;
+        this.shockwaves.length = 0;
+        this.debris.length = 0;
         
         // Create massive particle explosion
         const particleCount = 50;
@@ -267,7 +303,7 @@ class CarrierExplosionEffect extends Effect {
             particle.size *= 0.98;
             particle.life--;
         });
-        this.particles = this.particles.filter(p => p.life > 0);
+        filterInPlace(this.particles, p => p.life > 0);
         
         // Update shockwaves
         this.shockwaves.forEach(wave => {
@@ -286,7 +322,7 @@ class CarrierExplosionEffect extends Effect {
             d.life--;
             d.size *= 0.99;
         });
-        this.debris = this.debris.filter(d => d.life > 0);
+        filterInPlace(this.debris, d => d.life > 0);
     }
 
     draw(ctx) {
@@ -388,9 +424,15 @@ class CarrierExplosionEffect extends Effect {
 class MultiExplosionEffect extends Effect {
     constructor(x, y, count = 1) {
         super(x, y, 'multiExplosion');
+        this.explosions = [];
+        this.reset(x, y, count);
+    }
+
+    reset(x, y, count = 1) {
+        super.reset(x, y);
         this.count = count;
         this.maxLife = 30;
-        this.explosions = [];
+        this.explosions.length = 0;
         
         // Create multiple small explosions
         for (let i = 0; i < count; i++) {
@@ -469,12 +511,22 @@ class MultiExplosionEffect extends Effect {
 class SpawnEffect extends Effect {
     constructor(x, y) {
         super(x, y, 'spawn');
-        this.maxLife = 60; // Longer duration for portal effect
         this.particles = [];
         this.energyRings = [];
         this.sparks = [];
         this.lightning = [];
         this.portalRings = []; // Portal rings for portal effect
+        this.reset(x, y);
+    }
+
+    reset(x, y) {
+        super.reset(x, y);
+        this.maxLife = 60; // Longer duration for portal effect
+        this.particles.length = 0;
+        this.energyRings.length = 0;
+        this.sparks.length = 0;
+        this.lightning.length = 0;
+        this.portalRings.length = 0;
         this.portalPulse = 0; // Portal pulse animation
         this.portalRotation = 0; // Portal rotation
         
@@ -564,7 +616,7 @@ class SpawnEffect extends Effect {
             particle.life--;
             particle.rotation += particle.rotationSpeed;
         });
-        this.particles = this.particles.filter(p => p.life > 0);
+        filterInPlace(this.particles, p => p.life > 0);
         
         // Update energy rings
         this.energyRings.forEach(ring => {
@@ -582,7 +634,7 @@ class SpawnEffect extends Effect {
                 spark.life--;
             }
         });
-        this.sparks = this.sparks.filter(s => s.life > 0 && s.distance < s.maxDistance);
+        filterInPlace(this.sparks, s => s.life > 0 && s.distance < s.maxDistance);
         
         // Update lightning
         this.lightning.forEach(bolt => {
@@ -591,7 +643,7 @@ class SpawnEffect extends Effect {
                 bolt.life--;
             }
         });
-        this.lightning = this.lightning.filter(l => l.life > 0);
+        filterInPlace(this.lightning, l => l.life > 0);
         
         // Update portal rings
         this.portalRings.forEach(ring => {
@@ -848,27 +900,42 @@ class SpawnEffect extends Effect {
 
 /**
  * Effect Manager - Creates and manages effects
+ * Effects come from per-class pools; release finished ones with EffectManager.release()
  */
 class EffectManager {
     static createEffect(x, y, enemyType, size = 'normal') {
         switch (enemyType) {
             case 'basic':
-                return new ExplosionEffect(x, y, 'normal');
+            case 'gunner':
+            case 'weaver':
+            case 'tracker':
+                return getPool(ExplosionEffect).acquire(x, y, 'normal');
             case 'fast':
-                return new FlashEffect(x, y);
+            case 'sniper':
+            case 'dodger':
+                return getPool(FlashEffect).acquire(x, y);
             case 'tank':
-                return new ExplosionEffect(x, y, 'large');
+                return getPool(ExplosionEffect).acquire(x, y, 'large');
             case 'formation':
-                return new MultiExplosionEffect(x, y, 3);
+                return getPool(MultiExplosionEffect).acquire(x, y, 3);
             case 'swarm':
-                return new SparkleEffect(x, y);
+                return getPool(SparkleEffect).acquire(x, y);
             case 'carrier':
-                return new CarrierExplosionEffect(x, y);
+            case 'boss':
+                return getPool(CarrierExplosionEffect).acquire(x, y);
             case 'spawn':
-                return new SpawnEffect(x, y);
+                return getPool(SpawnEffect).acquire(x, y);
             default:
-                return new ExplosionEffect(x, y, 'small');
+                return getPool(ExplosionEffect).acquire(x, y, 'small');
         }
     }
+
+    /**
+     * Return a finished effect to its pool
+     * @param {Effect} effect - Effect that was removed from the game
+     */
+    static release(effect) {
+        releaseToPool(effect);
+    }
 }
 
@@ -103,6 +103,18 @@ class Enemy {
     getBottomY() {
         return this.y + this.height / 2;
     }
+
+    /**
+     * Get the neighbouring lane the enemy reaches into while it is between two lanes
+     * @param {number} laneIndex - Lane of the enemy's position (see getLaneIndex)
+     * @returns {number} - Lane index, or -1 if the enemy is within its lane
+     */
+    getStraddledLane(laneIndex) {
+        const offset = this.x - CONFIG.LANE_POSITIONS[laneIndex];
+        if (offset === 0 || Math.abs(offset) + this.width / 2 <= CONFIG.LANE_WIDTH / 2) return -1;
+        const neighbour = laneIndex + Math.sign(offset);
+        return neighbour >= 0 && neighbour < CONFIG.LANE_COUNT ? neighbour : -1;
+    }
 }
 
 /**
@@ -112,16 +124,14 @@ class BasicEnemy extends Enemy {
     constructor(x, y, laneIndex, level = 1) {
         super(x, y, laneIndex);
         this.type = 'basic';
-        this.baseSpeed = CONFIG.ENEMY_BASE_SPEED * 0.6; // Reduced to 60% of original
+        const balance = getEnemyBalance(this.type);
+        this.baseSpeed = CONFIG.ENEMY_BASE_SPEED * balance.speed;
         this.speed = this.baseSpeed;
 
-        // Health increases with level: base 1, +1 every 2 levels
-        // Late game: additional health boost (after level 10, health increases faster)
-        // Calculate health with late game boost integrated into formula
-        this.maxHealth = level > 10
-            ? 1 + Math.floor((10 + (level - 10) * 1.2 - 1) / 2)
-            : 1 + Math.floor((level - 1) / 2);
+        // Health increases with level, faster in the late game (see BALANCE.enemies.basic)
+        this.maxHealth = getEnemyHealth(balance.health, level);
         this.health = this.maxHealth;
+        this.scoreValue = CONFIG.SCORE_PER_ENEMY * evaluateCurve(balance.score, level);
         this.initialHealth = 1; // Base health for color calculation
 
         // Update color based on health
@@ -190,13 +200,16 @@ class BasicEnemy extends Enemy {
  * Fast Enemy - Moves faster but worth more points
  */
 class FastEnemy extends Enemy {
-    constructor(x, y, laneIndex) {
+    constructor(x, y, laneIndex, level = 1) {
         super(x, y, laneIndex);
         this.type = 'fast';
         this.color = '#ff6348';
-        this.baseSpeed = CONFIG.ENEMY_BASE_SPEED * 1.5; // Override base speed
+        const balance = getEnemyBalance(this.type);
+        this.baseSpeed = CONFIG.ENEMY_BASE_SPEED * balance.speed;
         this.speed = this.baseSpeed;
-        this.scoreValue = CONFIG.SCORE_PER_ENEMY * 2;
+        this.maxHealth = getEnemyHealth(balance.health, level);
+        this.health = this.maxHealth;
+        this.scoreValue = CONFIG.SCORE_PER_ENEMY * evaluateCurve(balance.score, level);
         this.width = 35; // Slightly smaller, more agile
         this.height = 35;
     }
@@ -249,24 +262,19 @@ class TankEnemy extends Enemy {
     constructor(x, y, laneIndex, level = 1) {
         super(x, y, laneIndex);
         this.type = 'tank';
-        this.baseSpeed = CONFIG.ENEMY_BASE_SPEED * 0.5 * 0.6; // Slower movement, reduced to 60% (0.3x total)
+        const balance = getEnemyBalance(this.type);
+        this.baseSpeed = CONFIG.ENEMY_BASE_SPEED * balance.speed; // Slower movement
         this.speed = this.baseSpeed;
 
-        // Health increases with level: A + B*LVL + C*LVL^2
-        // Formula: 5 + 3*LVL + (1/4)*LVL^2
-        const A = 10;    // Constant term
-        const B = 3;    // Linear coefficient
-        const C = 1 / 5;  // Quadratic coefficient
-        const D = 1 / 50; // Cubic coefficient
-        const maxHealth = Math.floor(A + B * level + C * level * level + D * level * level * level);
-        this.maxHealth = Math.floor(maxHealth);
+        // Health increases with level (see BALANCE.enemies.tank)
+        this.maxHealth = getEnemyHealth(balance.health, level);
         this.health = this.maxHealth;
-        // Calculate initial health using same formula (Level 1)
-        const level1Health = A + B * 1 + C * 1 * 1;
-        this.initialHealth = Math.floor(level1Health); // Base health for color calculation (Level 1: 8.25 -> 8)
+        // Level 1 health, the reference for color and size
+        const level1Health = evaluateCurve(balance.health, 1);
+        this.initialHealth = Math.floor(level1Health); // Base health for color calculation
 
         // Increased score value for more experience
-        this.scoreValue = CONFIG.SCORE_PER_ENEMY * (5 + (level - 1) * 1); // More score (increased from 3 + 0.5)
+        this.scoreValue = CONFIG.SCORE_PER_ENEMY * evaluateCurve(balance.score, level);
 
         // Size scales with sqrt of maxHealth: base 50x50, proportional to sqrt(maxHealth)
         // Use sqrt of maxHealth relative to base size
@@ -358,34 +366,188 @@ class TankEnemy extends Enemy {
     }
 }
 
+/**
+ * Multi-Unit Enemy - Base for enemies made of units with their own health (Formation, Swarm)
+ * Subclasses lay out their units in getUnitBounds. Game systems only use getLivingUnitBounds,
+ * so a new multi-unit enemy type needs no changes in Game.
+ */
+class MultiUnitEnemy extends Enemy {
+    constructor(x, y, laneIndex) {
+        super(x, y, laneIndex);
+        this.units = []; // { health, maxHealth, ...layout } per unit
+
+        // Living unit bounds, reused until the enemy moves or loses a unit
+        this._unitBounds = [];
+        this._unitBoundsPool = []; // One bounds object per unit index
+        this._unitBoundsX = undefined;
+        this._unitBoundsY = undefined;
+        this._unitBoundsDirty = true;
+    }
+
+    /**
+     * Write a unit's bounds in world coordinates
+     * @param {object} unit - One of this.units
+     * @param {object} bounds - Filled in: { x, y, width, height } (top left) and { centerX, centerY }
+     */
+    getUnitBounds(unit, bounds) {
+        bounds.width = this.width;
+        bounds.height = this.height;
+        bounds.centerX = this.x;
+        bounds.centerY = this.y;
+        bounds.x = bounds.centerX - bounds.width / 2;
+        bounds.y = bounds.centerY - bounds.height / 2;
+    }
+
+    /**
+     * Get the bounds of the living units in world coordinates, in unit order
+     * Cached: recomputed at most once per tick, after the enemy moved or lost units.
+     * The array and its objects are reused - don't keep them past the current tick.
+     * @returns {object[]} - { unit, x, y, width, height, centerX, centerY } per living unit
+     */
+    getLivingUnitBounds() {
+        if (!this._unitBoundsDirty && this._unitBoundsX === this.x && this._unitBoundsY === this.y) {
+            return this._unitBounds;
+        }
+
+        this._unitBounds.length = 0;
+        for (let i = 0; i < this.units.length; i++) {
+            const unit = this.units[i];
+            if (unit.health <= 0) continue;
+            let bounds = this._unitBoundsPool[i];
+            if (!bounds) {
+                bounds = { unit, x: 0, y: 0, width: 0, height: 0, centerX: 0, centerY: 0 };
+                this._unitBoundsPool[i] = bounds;
+            }
+            bounds.unit = unit;
+            this.getUnitBounds(unit, bounds);
+            this._unitBounds.push(bounds);
+        }
+        this._unitBoundsX = this.x;
+        this._unitBoundsY = this.y;
+        this._unitBoundsDirty = false;
+        return this._unitBounds;
+    }
+
+    /**
+     * Recompute the unit bounds on the next call - needed after units die
+     */
+    invalidateUnitBounds() {
+        this._unitBoundsDirty = true;
+    }
+
+    /**
+     * Find the living unit a bullet hits: the lowest one its x range overlaps and it has reached
+     * Bullets pass through the gaps between units and the columns that were shot away.
+     * @param {Bullet} bullet
+     * @returns {object|null} - The unit's bounds (see getLivingUnitBounds), null on a miss
+     */
+    getUnitHitBy(bullet) {
+        const unitBounds = this.getLivingUnitBounds();
+        const bulletLeft = bullet.x - bullet.width / 2;
+        const bulletRight = bullet.x + bullet.width / 2;
+        let hit = null;
+        for (let i = 0; i < unitBounds.length; i++) {
+            const bounds = unitBounds[i];
+            if (bulletRight <= bounds.x || bulletLeft >= bounds.x + bounds.width) continue;
+            const bottomY = bounds.y + bounds.height;
+            // Units the bullet already pierced are below its pierceY
+            if (bullet.y <= bottomY && bottomY < bullet.pierceY && (!hit || bottomY > hit.y + hit.height)) {
+                hit = bounds;
+            }
+        }
+        return hit;
+    }
+
+    /**
+     * Take damage not aimed at a unit - it goes to the unit nearest the ship (the lowest living one)
+     * @param {number} damage
+     * @returns {object} - {destroyed: boolean, unitsKilled: number}
+     */
+    takeDamage(damage) {
+        const unitBounds = this.getLivingUnitBounds();
+        if (unitBounds.length === 0) {
+            return { destroyed: !this.active, unitsKilled: 0 };
+        }
+
+        let front = unitBounds[0];
+        for (let i = 1; i < unitBounds.length; i++) {
+            if (unitBounds[i].centerY > front.centerY) {
+                front = unitBounds[i];
+            }
+        }
+        return this.takeUnitDamage(front.unit, damage);
+    }
+
+    /**
+     * Damage a single unit (a bullet hit on the unit it overlaps)
+     * @param {object} unit - One of this.units
+     * @param {number} damage - Damage amount
+     * @returns {object} - {destroyed: boolean, unitsKilled: number}
+     */
+    takeUnitDamage(unit, damage) {
+        if (unit.health <= 0) {
+            return { destroyed: !this.active, unitsKilled: 0 };
+        }
+
+        unit.health = Math.max(0, unit.health - damage);
+        this.health = this.units.reduce((sum, u) => sum + Math.max(0, u.health), 0);
+        const unitsKilled = unit.health <= 0 ? 1 : 0;
+
+        // Dead units drop out of the unit bounds
+        if (unitsKilled > 0) {
+            this.invalidateUnitBounds();
+        }
+
+        if (this.health <= 0) {
+            this.active = false;
+            return { destroyed: true, unitsKilled: unitsKilled };
+        }
+
+        return { destroyed: false, unitsKilled: unitsKilled };
+    }
+
+    /**
+     * Get the bottom Y coordinate of the lowest living unit (for optimized y-axis collision detection)
+     * @returns {number} - Bottom Y coordinate
+     */
+    getBottomY() {
+        const unitBounds = this.getLivingUnitBounds();
+        if (unitBounds.length === 0) {
+            return this.y + this.height / 2;
+        }
+
+        let bottomY = -Infinity;
+        for (let i = 0; i < unitBounds.length; i++) {
+            bottomY = Math.max(bottomY, unitBounds[i].centerY + unitBounds[i].height / 2);
+        }
+        return bottomY;
+    }
+}
+
 /**
  * Formation Enemy - Multiple enemies in a grid formation, each unit has individual health
  */
-class FormationEnemy extends Enemy {
-    constructor(x, y, laneIndex, level = 1) {
+class FormationEnemy extends MultiUnitEnemy {
+    constructor(x, y, laneIndex, level = 1, rng = null) {
         super(x, y, laneIndex);
         this.type = 'formation';
-        this.baseSpeed = CONFIG.ENEMY_BASE_SPEED * 0.9 * 0.6; // Reduced to 60% (0.54x total)
+        const balance = getEnemyBalance(this.type);
+        this.baseSpeed = CONFIG.ENEMY_BASE_SPEED * balance.speed;
         this.speed = this.baseSpeed;
 
         // New generation system: fixed total health, random rows/cols
-        // Total health increases with level: A + B*LVL + C*LVL^2 + D*LVL^3
-        // Formula: 5 + 1*LVL + (1/4)*LVL^2 + (1/25)*LVL^3
-        const A = 6;    // Constant term
-        const B = 2;    // Linear coefficient
-        const C = 1 / 50;  // Quadratic coefficient
-        const D = 1 / 100; // Cubic coefficient
-        const totalHealth = Math.floor(A + B * level + C * level * level + D * level * level * level);
+        // Total health increases with level (see BALANCE.enemies.formation)
+        const totalHealth = getEnemyHealth(balance.totalHealth, level);
 
         // Randomly determine rows and columns within reasonable ranges
         // Rows: random from 1 to min(4, floor(level/5)+1), Columns: 3-6 (fixed)
         const maxRows = Math.min(4, Math.floor(level / 5) + 1);
-        this.rows = randomInt(1, maxRows);
+        this.rows = randomInt(1, maxRows, rng);
         const minCols = 3;
         const maxCols = 6;
 
         // Randomly select columns
-        this.cols = randomInt(minCols, maxCols);
+        this.cols = randomInt(minCols, maxCols, rng);
 
         // Calculate health per unit: totalHealth / (rows * cols)
         // Ensure at least 1 health per unit
@@ -428,19 +590,6 @@ class FormationEnemy extends Enemy {
 
         // Base color (for shadow)
         this.color = '#ff4757';
-        
-        // Initialize cache flags
-        this._needsBottomYUpdate = true;
-        this._cachedBottomY = undefined;
-    }
-
-    /**
-     * Update enemy position and invalidate bottom Y cache when moving
-     */
-    update() {
-        super.update(); // Call parent update to move enemy
-        // Invalidate bottom Y cache since y position changed
-        this._needsBottomYUpdate = true;
     }
 
     /**
@@ -474,10 +623,9 @@ class FormationEnemy extends Enemy {
 
         ctx.save();
 
-        // Calculate total width and height
-        const totalWidth = (this.cols * this.enemyWidth) + ((this.cols - 1) * this.spacing);
+        // Calculate the grid's top left corner
         const totalHeight = (this.rows * this.enemyHeight) + ((this.rows - 1) * this.rowSpacing);
-        const startX = this.x - totalWidth / 2;
+        const startX = this.getGridLeft();
         const startY = this.y - totalHeight / 2;
 
         // Draw each unit
@@ -522,73 +670,21 @@ class FormationEnemy extends Enemy {
     }
 
     /**
-     * Take damage - bottom row units take damage first, randomly distributed
-     * If bottom row is destroyed, next bottom row takes damage, and so on
-     * @param {number} damage
-     * @returns {object} - Returns {destroyed: boolean, unitsKilled: number}
+     * Damage a single unit, keeping the living unit count up to date
      */
-    takeDamage(damage) {
-        const oldAliveCount = this.units.filter(u => u.health > 0).length;
-        let remainingDamage = damage;
-
-        // Keep applying damage until no damage remains or all units are destroyed
-        while (remainingDamage > 0) {
-            // Get all alive units
-            const aliveUnits = this.units.filter(u => u.health > 0);
-
-            if (aliveUnits.length === 0) {
-                // All units destroyed
-                this.active = false;
-                return { destroyed: true, unitsKilled: this.maxUnits };
-            }
-
-            // Find the bottommost row (highest row number)
-            const maxRow = Math.max(...aliveUnits.map(u => u.row));
-
-            // Get units in the bottommost row
-            const bottomRowUnits = aliveUnits.filter(u => u.row === maxRow);
-
-            if (bottomRowUnits.length === 0) {
-                // Should not happen, but break to avoid infinite loop
-                break;
-            }
-
-            // Distribute damage randomly among bottom row units
-            while (remainingDamage > 0 && bottomRowUnits.length > 0) {
-                // Randomly select a unit from bottom row
-                const randomIndex = randomInt(0, bottomRowUnits.length - 1);
-                const unit = bottomRowUnits[randomIndex];
-
-                // Apply damage
-                const damageToApply = Math.min(remainingDamage, unit.health);
-                unit.health -= damageToApply;
-                remainingDamage -= damageToApply;
-
-                // Remove unit from bottom row list if destroyed
-                if (unit.health <= 0) {
-                    bottomRowUnits.splice(randomIndex, 1);
-                }
-            }
-        }
-
-        // Update total health
-        this.health = this.units.reduce((sum, u) => sum + Math.max(0, u.health), 0);
-        this.enemyCount = this.units.filter(u => u.health > 0).length;
-
-        const newAliveCount = this.enemyCount;
-        const unitsKilled = oldAliveCount - newAliveCount;
-
-        // Invalidate bottom Y cache when units are killed
-        if (unitsKilled > 0) {
-            this._needsBottomYUpdate = true;
-        }
-
-        if (this.health <= 0 || this.enemyCount === 0) {
-            this.active = false;
-            return { destroyed: true, unitsKilled: unitsKilled };
-        }
+    takeUnitDamage(unit, damage) {
+        const result = super.takeUnitDamage(unit, damage);
+        this.enemyCount = this.getLivingUnitBounds().length;
+        return result;
+    }
 
-        return { destroyed: false, unitsKilled: unitsKilled };
+    /**
+     * Get the left edge of the unit grid
+     * The middle column (right of center for an even count) sits on x, so a ship in the lane always has a column in its line of fire
+     * @returns {number}
+     */
+    getGridLeft() {
+        return this.x - Math.floor(this.cols / 2) * (this.enemyWidth + this.spacing) - this.enemyWidth / 2;
     }
 
     /**
@@ -598,7 +694,7 @@ class FormationEnemy extends Enemy {
         const totalWidth = (this.cols * this.enemyWidth) + ((this.cols - 1) * this.spacing);
         const totalHeight = (this.rows * this.enemyHeight) + ((this.rows - 1) * this.rowSpacing);
         return {
-            x: this.x - totalWidth / 2,
+            x: this.getGridLeft(),
             y: this.y - totalHeight / 2,
             width: totalWidth,
             height: totalHeight
@@ -606,62 +702,45 @@ class FormationEnemy extends Enemy {
     }
     
     /**
-     * Get the bottom Y coordinate of the bottommost row (for optimized y-axis collision detection)
-     * Uses cached value that's updated when enemy takes damage
-     * @returns {number} - Bottom Y coordinate of the bottommost row
+     * Write a unit's bounds: units sit on a grid of rows and columns around the formation's position
      */
-    getBottomY() {
-        // Use cached value if available and valid
-        if (this._cachedBottomY !== undefined && !this._needsBottomYUpdate) {
-            return this._cachedBottomY;
-        }
-        
-        // Calculate and cache
-        const aliveUnits = this.units.filter(u => u.health > 0);
-        if (aliveUnits.length === 0) {
-            this._cachedBottomY = this.y + this.height / 2;
-            this._needsBottomYUpdate = false;
-            return this._cachedBottomY;
-        }
-        
-        const maxRow = Math.max(...aliveUnits.map(u => u.row));
+    getUnitBounds(unit, bounds) {
         const totalHeight = (this.rows * this.enemyHeight) + ((this.rows - 1) * this.rowSpacing);
+        const startX = this.getGridLeft();
         const startY = this.y - totalHeight / 2;
-        const rowY = startY + (maxRow * (this.enemyHeight + this.rowSpacing)) + (this.enemyHeight / 2);
-        this._cachedBottomY = rowY + this.enemyHeight / 2;
-        this._needsBottomYUpdate = false;
-        return this._cachedBottomY;
+        bounds.width = this.enemyWidth;
+        bounds.height = this.enemyHeight;
+        bounds.centerX = startX + (unit.col * (this.enemyWidth + this.spacing)) + (this.enemyWidth / 2);
+        bounds.centerY = startY + (unit.row * (this.enemyHeight + this.rowSpacing)) + (this.enemyHeight / 2);
+        bounds.x = bounds.centerX - bounds.width / 2;
+        bounds.y = bounds.centerY - bounds.height / 2;
     }
 }
 
 /**
  * Swarm Enemy - Multiple small units in a formation, each unit has individual health
  */
-class SwarmEnemy extends Enemy {
-    constructor(x, y, laneIndex, level = 1) {
+class SwarmEnemy extends MultiUnitEnemy {
+    constructor(x, y, laneIndex, level = 1, rng = null) {
         super(x, y, laneIndex);
         this.type = 'swarm';
-        this.baseSpeed = CONFIG.ENEMY_BASE_SPEED * 0.8 * 0.6; // Reduced to 60% (0.48x total)
+        const balance = getEnemyBalance(this.type);
+        this.baseSpeed = CONFIG.ENEMY_BASE_SPEED * balance.speed;
         this.speed = this.baseSpeed;
 
         // New generation system: fixed total health, random rows/cols
-        // Total health increases with level: A + B*LVL + C*LVL^2 + D*LVL^3
-        // Formula: 5 + 1*LVL + (1/4)*LVL^2 + (1/25)*LVL^3
-        const A = 6;    // Constant term
-        const B = 2;    // Linear coefficient
-        const C = 1 / 20;  // Quadratic coefficient
-        const D = 1 / 50; // Cubic coefficient
-        const totalHealth = Math.floor(A + B * level + C * level * level + D * level * level * level);
+        // Total health increases with level (see BALANCE.enemies.swarm)
+        const totalHealth = getEnemyHealth(balance.totalHealth, level);
 
         // Randomly determine rows and columns within reasonable ranges
         // Rows: random from 1 to min(4, floor(level/5)+1), Columns: 3-6 (fixed)
         const maxRows = Math.min(3, Math.floor(level / 10) + 1);
-        this.rows = randomInt(1, maxRows);
+        this.rows = randomInt(1, maxRows, rng);
         const minCols = 4;
         const maxCols = 8;
 
         // Randomly select columns
-        const unitsPerRow = randomInt(minCols, maxCols);
+        const unitsPerRow = randomInt(minCols, maxCols, rng);
         this.unitsPerRow = unitsPerRow;
         const totalUnits = this.rows * unitsPerRow;
 
@@ -685,7 +764,8 @@ class SwarmEnemy extends Enemy {
                 const rowSpread = row === 0 ? this.spread : this.spread * 0.85;
                 // Use a multiplier to ensure units are spread out enough for multishot bullets
                 const spacingMultiplier = row === 0 ? 1.2 : 1.0; // First row extra spread
-                const offsetX = (col - (unitsPerRow - 1) / 2) * (rowSpread / unitsPerRow) * spacingMultiplier;
+                // The middle unit (right of center for an even count) sits on x, in the line of fire of a ship in the lane
+                const offsetX = (col - Math.floor(unitsPerRow / 2)) * (rowSpread / unitsPerRow) * spacingMultiplier;
                 const offsetY = (row - (this.rows - 1) / 2) * (this.spread / unitsPerRow);
 
                 this.units.push({
@@ -715,19 +795,6 @@ class SwarmEnemy extends Enemy {
 
         // Base color (for shadow)
         this.color = '#ffa500';
-        
-        // Initialize cache flags
-        this._needsBottomYUpdate = true;
-        this._cachedBottomY = undefined;
-    }
-
-    /**
-     * Update enemy position and invalidate bottom Y cache when moving
-     */
-    update() {
-        super.update(); // Call parent update to move enemy
-        // Invalidate bottom Y cache since y position changed
-        this._needsBottomYUpdate = true;
     }
 
     /**
@@ -857,119 +924,462 @@ class SwarmEnemy extends Enemy {
     }
 
     /**
-     * Take damage - bottom row units take damage first, randomly distributed
-     * If bottom row is destroyed, next bottom row takes damage, and so on
-     * @param {number} damage
-     * @returns {object} - Returns {destroyed: boolean, unitsKilled: number}
+     * Damage a single unit, keeping the living unit count up to date
      */
-    takeDamage(damage) {
-        const oldAliveCount = this.units.filter(u => u.health > 0).length;
-        let remainingDamage = damage;
-
-        // Keep applying damage until no damage remains or all units are destroyed
-        while (remainingDamage > 0) {
-            // Get all alive units
-            const aliveUnits = this.units.filter(u => u.health > 0);
-
-            if (aliveUnits.length === 0) {
-                // All units destroyed
-                this.active = false;
-                return { destroyed: true, unitsKilled: this.maxUnits };
-            }
+    takeUnitDamage(unit, damage) {
+        const result = super.takeUnitDamage(unit, damage);
+        this.unitCount = this.getLivingUnitBounds().length;
+        return result;
+    }
+
+    /**
+     * Get collision bounds - based on swarm size
+     */
+    getBounds() {
+        const swarmRadius = (this.spread / 2) + (this.unitSize / 2);
+        return {
+            x: this.x - swarmRadius,
+            y: this.y - swarmRadius,
+            width: swarmRadius * 2,
+            height: swarmRadius * 2
+        };
+    }
+    
+    /**
+     * Write a unit's bounds: units sit at their offset from the swarm's center
+     */
+    getUnitBounds(unit, bounds) {
+        bounds.width = this.unitSize;
+        bounds.height = this.unitSize;
+        bounds.centerX = this.x + unit.offsetX;
+        bounds.centerY = this.y + unit.offsetY;
+        bounds.x = bounds.centerX - bounds.width / 2;
+        bounds.y = bounds.centerY - bounds.height / 2;
+    }
+}
 
-            // Find the bottommost row (highest row number)
-            const maxRow = Math.max(...aliveUnits.map(u => u.row));
+/**
+ * Shooter Enemy - Base for ranged enemies that fire projectiles down their lane
+ * Fire interval, projectile damage and speed come from the enemy's balance and scale with the level.
+ * The Game fires the shots the enemy queues (see takeShots).
+ */
+class ShooterEnemy extends Enemy {
+    constructor(x, y, laneIndex, level, type) {
+        super(x, y, laneIndex);
+        this.type = type;
+        const balance = getEnemyBalance(this.type);
+        this.baseSpeed = CONFIG.ENEMY_BASE_SPEED * balance.speed;
+        this.speed = this.baseSpeed;
+        this.maxHealth = getEnemyHealth(balance.health, level);
+        this.health = this.maxHealth;
+        this.scoreValue = CONFIG.SCORE_PER_ENEMY * evaluateCurve(balance.score, level);
+
+        // Firing: ticks between shots shrink with the level, shots hit harder (damage in shields)
+        this.fireInterval = Math.max(20, Math.round(evaluateCurve(balance.fireInterval, level)));
+        this.fireCooldown = Math.round(this.fireInterval / 2); // First shot comes sooner
+        this.projectileDamage = Math.max(1, Math.floor(evaluateCurve(balance.projectileDamage, level)));
+        this.projectileSpeed = CONFIG.ENEMY_BASE_SPEED * balance.projectileSpeed;
+        this.shotsFired = 0;
+        this.pendingShots = 0; // Shots for the Game to fire
+    }
 
-            // Get units in the bottommost row
-            const bottomRowUnits = aliveUnits.filter(u => u.row === maxRow);
+    /**
+     * Check if the enemy may fire - only once on screen and not when already on top of the player
+     * @returns {boolean}
+     */
+    canFire() {
+        return this.y > 0 && this.y < CONFIG.PLAYER_Y - 150;
+    }
 
-            if (bottomRowUnits.length === 0) {
-                // Should not happen, but break to avoid infinite loop
-                break;
-            }
+    /**
+     * Advance the fire cooldown, queueing a shot when it runs out
+     */
+    updateFiring() {
+        if (!this.canFire()) return;
+        this.fireCooldown--;
+        if (this.fireCooldown > 0) return;
+        this.fireCooldown = this.fireInterval;
+        this.shotsFired++;
+        this.pendingShots++;
+    }
 
-            // Distribute damage randomly among bottom row units
-            while (remainingDamage > 0 && bottomRowUnits.length > 0) {
-                // Randomly select a unit from bottom row
-                const randomIndex = randomInt(0, bottomRowUnits.length - 1);
-                const unit = bottomRowUnits[randomIndex];
+    /**
+     * Update shooter - move down and fire
+     */
+    update() {
+        super.update();
+        this.updateFiring();
+    }
 
-                // Apply damage
-                const damageToApply = Math.min(remainingDamage, unit.health);
-                unit.health -= damageToApply;
-                remainingDamage -= damageToApply;
+    /**
+     * Take the shots queued since the last call
+     * @returns {number} - Projectiles to fire from the enemy's nose
+     */
+    takeShots() {
+        const shots = this.pendingShots;
+        this.pendingShots = 0;
+        return shots;
+    }
 
-                // Remove unit from bottom row list if destroyed
-                if (unit.health <= 0) {
-                    bottomRowUnits.splice(randomIndex, 1);
-                }
-            }
-        }
+    /**
+     * Draw the muzzle charging up before a shot
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    drawMuzzle(ctx) {
+        if (!this.canFire()) return;
+        const charge = 1 - Math.min(this.fireCooldown / 30, 1); // Glows over the last 30 ticks
+        if (charge <= 0) return;
+        ctx.fillStyle = `rgba(255, 159, 67, ${charge})`;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y + this.height / 2, 3 + charge * 4, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
 
-        // Update total health and count
-        this.health = this.units.reduce((sum, u) => sum + Math.max(0, u.health), 0);
-        this.unitCount = this.units.filter(u => u.health > 0).length;
+/**
+ * Gunner Enemy - Advances slowly, firing down its lane at a steady pace, appears after level 3
+ */
+class GunnerEnemy extends ShooterEnemy {
+    constructor(x, y, laneIndex, level = 1) {
+        super(x, y, laneIndex, level, 'gunner');
+        this.color = '#e1b12c';
+        this.width = 42;
+        this.height = 38;
+    }
 
-        const newAliveCount = this.unitCount;
-        const unitsKilled = oldAliveCount - newAliveCount;
+    /**
+     * Draw gunner as a broad gunship with twin barrels
+     */
+    draw(ctx) {
+        if (!this.active) return;
 
-        // Invalidate bottom Y cache when units are killed
-        if (unitsKilled > 0) {
-            this._needsBottomYUpdate = true;
+        ctx.save();
+        ctx.shadowColor = this.color;
+        ctx.shadowBlur = 10;
+
+        // Hull
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.moveTo(this.x - this.width / 2, this.y - this.height / 2);
+        ctx.lineTo(this.x + this.width / 2, this.y - this.height / 2);
+        ctx.lineTo(this.x + this.width / 3, this.y + this.height / 4);
+        ctx.lineTo(this.x - this.width / 3, this.y + this.height / 4);
+        ctx.closePath();
+        ctx.fill();
+
+        // Barrels
+        ctx.fillStyle = 'rgba(60, 60, 60, 0.9)';
+        ctx.fillRect(this.x - 8, this.y, 5, this.height / 2);
+        ctx.fillRect(this.x + 3, this.y, 5, this.height / 2);
+
+        this.drawMuzzle(ctx);
+        ctx.restore();
+    }
+}
+
+/**
+ * Sniper Enemy - Stops near the top of its lane to fire fast shots, then dives, appears after level 6
+ */
+class SniperEnemy extends ShooterEnemy {
+    constructor(x, y, laneIndex, level = 1) {
+        super(x, y, laneIndex, level, 'sniper');
+        const balance = getEnemyBalance(this.type);
+        this.color = '#00cec9';
+        this.width = 30;
+        this.height = 44;
+        this.holdY = 140; // Firing position
+        this.holdShots = balance.holdShots; // Shots fired from the firing position before diving
+    }
+
+    /**
+     * Check if the sniper is holding its firing position
+     * @returns {boolean}
+     */
+    isHolding() {
+        return this.y >= this.holdY && this.shotsFired < this.holdShots;
+    }
+
+    /**
+     * Snipers only fire from their firing position
+     * @returns {boolean}
+     */
+    canFire() {
+        return this.isHolding();
+    }
+
+    /**
+     * Update sniper - move to the firing position, fire, then dive
+     */
+    update() {
+        if (this.isHolding()) {
+            this.updateFiring();
+            return;
         }
+        super.update();
+        // Stop exactly at the firing position on the way down
+        if (this.y > this.holdY && this.shotsFired < this.holdShots) {
+            this.y = this.holdY;
+        }
+    }
 
-        if (this.health <= 0 || this.unitCount === 0) {
-            this.active = false;
-            return { destroyed: true, unitsKilled: unitsKilled };
+    /**
+     * Draw sniper as a long-nosed ship with a targeting line while holding
+     */
+    draw(ctx) {
+        if (!this.active) return;
+
+        ctx.save();
+
+        // Targeting line down the lane
+        if (this.isHolding()) {
+            ctx.strokeStyle = 'rgba(0, 206, 201, 0.25)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(this.x, this.y + this.height / 2);
+            ctx.lineTo(this.x, CONFIG.CANVAS_HEIGHT);
+            ctx.stroke();
         }
 
-        return { destroyed: false, unitsKilled: unitsKilled };
+        ctx.shadowColor = this.color;
+        ctx.shadowBlur = 10;
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y + this.height / 2);
+        ctx.lineTo(this.x - this.width / 2, this.y - this.height / 4);
+        ctx.lineTo(this.x - this.width / 4, this.y - this.height / 2);
+        ctx.lineTo(this.x + this.width / 4, this.y - this.height / 2);
+        ctx.lineTo(this.x + this.width / 2, this.y - this.height / 4);
+        ctx.closePath();
+        ctx.fill();
+
+        // Scope
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.beginPath();
+        ctx.arc(this.x, this.y - this.height / 6, this.width / 8, 0, Math.PI * 2);
+        ctx.fill();
+
+        this.drawMuzzle(ctx);
+        ctx.restore();
+    }
+}
+
+/**
+ * Lane Changer Enemy - Base for enemies that switch lanes on the way down
+ * A switch is telegraphed first (a blinking marker in the target lane), then the enemy slides across
+ * and laneIndex follows its position. Subclasses pick the lane (see chooseLane).
+ * Switch interval, telegraph time and slide speed come from the enemy's balance.
+ * The Game sets playerLane and incomingFire before each update.
+ */
+class LaneChangerEnemy extends Enemy {
+    constructor(x, y, laneIndex, level, type, rng = null) {
+        super(x, y, laneIndex);
+        this.type = type;
+        this.rng = rng; // Game RNG, used to pick lanes
+        const balance = getEnemyBalance(this.type);
+        this.baseSpeed = CONFIG.ENEMY_BASE_SPEED * balance.speed;
+        this.speed = this.baseSpeed;
+        this.maxHealth = getEnemyHealth(balance.health, level);
+        this.health = this.maxHealth;
+        this.scoreValue = CONFIG.SCORE_PER_ENEMY * evaluateCurve(balance.score, level);
+
+        // Lane switching: the warning gets shorter with the level
+        this.switchInterval = balance.switchInterval; // Minimum ticks between switches
+        this.telegraphTicks = Math.max(8, Math.round(evaluateCurve(balance.telegraph, level)));
+        this.switchSpeed = balance.switchSpeed; // Pixels per tick while sliding
+        this.switchCooldown = this.switchInterval;
+        this.pendingLane = -1; // Lane of the telegraphed switch (-1: none)
+        this.telegraphLeft = 0; // Ticks until the telegraphed switch starts
+        this.targetX = x;
+
+        this.playerLane = laneIndex; // Set by the Game every tick
+        this.incomingFire = 0; // Player bullets in the enemy's lane below it, set by the Game every tick
     }
 
     /**
-     * Get collision bounds - based on swarm size
+     * Check if the enemy is sliding to another lane
+     * @returns {boolean}
      */
-    getBounds() {
-        const swarmRadius = (this.spread / 2) + (this.unitSize / 2);
-        return {
-            x: this.x - swarmRadius,
-            y: this.y - swarmRadius,
-            width: swarmRadius * 2,
-            height: swarmRadius * 2
-        };
+    isSwitchingLanes() {
+        return this.x !== this.targetX;
     }
-    
+
     /**
-     * Get the bottom Y coordinate of the bottommost row (for optimized y-axis collision detection)
-     * Uses cached value that's updated when enemy takes damage
-     * @returns {number} - Bottom Y coordinate of the bottommost row
+     * Check if the enemy may start a switch - only once on screen and not right on top of the player
+     * @returns {boolean}
      */
-    getBottomY() {
-        // Use cached value if available and valid
-        if (this._cachedBottomY !== undefined && !this._needsBottomYUpdate) {
-            return this._cachedBottomY;
-        }
-        
-        // Calculate and cache
-        const aliveUnits = this.units.filter(u => u.health > 0);
-        if (aliveUnits.length === 0) {
-            this._cachedBottomY = this.y + this.height / 2;
-            this._needsBottomYUpdate = false;
-            return this._cachedBottomY;
+    canSwitch() {
+        return this.y > 0 && this.y < CONFIG.PLAYER_Y - 150;
+    }
+
+    /**
+     * Pick the lane to switch to once the cooldown has run out (asked every tick until it picks one)
+     * @returns {number} - Lane index, or -1 to stay
+     */
+    chooseLane() {
+        return -1;
+    }
+
+    /**
+     * Get a random lane next to the enemy's lane
+     * @returns {number} - Lane index
+     */
+    getAdjacentLane() {
+        if (this.laneIndex === 0) return 1;
+        if (this.laneIndex === CONFIG.LANE_COUNT - 1) return this.laneIndex - 1;
+        return this.laneIndex + (chance(0.5, this.rng) ? 1 : -1);
+    }
+
+    /**
+     * Update enemy - move down, telegraph and slide between lanes
+     */
+    update() {
+        super.update();
+        this.updateLaneChange();
+    }
+
+    /**
+     * Advance the switch cooldown and telegraph, and slide towards the target lane
+     */
+    updateLaneChange() {
+        if (this.telegraphLeft > 0) {
+            this.telegraphLeft--;
+            if (this.telegraphLeft === 0) {
+                this.targetX = CONFIG.LANE_POSITIONS[this.pendingLane];
+                this.pendingLane = -1;
+            }
+        } else if (!this.isSwitchingLanes()) {
+            if (this.switchCooldown > 0) {
+                this.switchCooldown--;
+            } else if (this.canSwitch() && CONFIG.LANE_COUNT > 1) {
+                const lane = this.chooseLane();
+                if (lane !== -1 && lane !== this.laneIndex) {
+                    this.pendingLane = lane;
+                    this.telegraphLeft = this.telegraphTicks;
+                    this.switchCooldown = this.switchInterval;
+                }
+            }
         }
-        
-        const maxRow = Math.max(...aliveUnits.map(u => u.row));
-        const rowUnits = this.units.filter(u => u.row === maxRow);
-        if (rowUnits.length > 0) {
-            const firstUnit = rowUnits[0];
-            const rowY = this.y + firstUnit.offsetY;
-            this._cachedBottomY = rowY + this.unitSize / 2;
-            this._needsBottomYUpdate = false;
-            return this._cachedBottomY;
+
+        const dx = this.targetX - this.x;
+        this.x += Math.sign(dx) * Math.min(Math.abs(dx), this.switchSpeed);
+        this.laneIndex = getLaneIndex(this.x);
+    }
+
+    /**
+     * Draw the telegraph: a blinking outline in the target lane with an arrow pointing at it
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    drawTelegraph(ctx) {
+        if (this.telegraphLeft <= 0 || Math.floor(this.telegraphLeft / 6) % 2 === 1) return;
+
+        const targetX = CONFIG.LANE_POSITIONS[this.pendingLane];
+        const direction = Math.sign(targetX - this.x);
+        ctx.save();
+        ctx.strokeStyle = this.color;
+        ctx.globalAlpha = 0.6;
+        ctx.setLineDash([4, 4]);
+        ctx.lineWidth = 2;
+        ctx.strokeRect(targetX - this.width / 2, this.y - this.height / 2, this.width, this.height);
+        ctx.setLineDash([]);
+
+        // Arrow from the enemy towards the target lane
+        const arrowX = this.x + direction * (this.width / 2 + 12);
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.moveTo(arrowX + direction * 10, this.y);
+        ctx.lineTo(arrowX, this.y - 7);
+        ctx.lineTo(arrowX, this.y + 7);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+    }
+
+    /**
+     * Draw a diamond-shaped ship with the telegraph
+     */
+    draw(ctx) {
+        if (!this.active) return;
+
+        this.drawTelegraph(ctx);
+
+        ctx.save();
+        ctx.shadowColor = this.color;
+        ctx.shadowBlur = 10;
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y + this.height / 2);
+        ctx.lineTo(this.x - this.width / 2, this.y);
+        ctx.lineTo(this.x, this.y - this.height / 2);
+        ctx.lineTo(this.x + this.width / 2, this.y);
+        ctx.closePath();
+        ctx.fill();
+
+        // Side thrusters flare while sliding
+        if (this.isSwitchingLanes()) {
+            const side = Math.sign(this.targetX - this.x);
+            ctx.fillStyle = 'rgba(255, 220, 120, 0.8)';
+            ctx.beginPath();
+            ctx.arc(this.x - side * this.width / 2, this.y, 4, 0, Math.PI * 2);
+            ctx.fill();
         }
-        this._cachedBottomY = this.y + this.height / 2;
-        this._needsBottomYUpdate = false;
-        return this._cachedBottomY;
+
+        // Cockpit
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.width / 8, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+}
+
+/**
+ * Weaver Enemy - Weaves between neighbouring lanes at a steady rhythm, appears after level 4
+ */
+class WeaverEnemy extends LaneChangerEnemy {
+    constructor(x, y, laneIndex, level = 1, rng = null) {
+        super(x, y, laneIndex, level, 'weaver', rng);
+        this.color = '#a29bfe';
+        this.width = 36;
+        this.height = 36;
+    }
+
+    chooseLane() {
+        return this.getAdjacentLane();
+    }
+}
+
+/**
+ * Tracker Enemy - Follows the player's lane one lane at a time, appears after level 7
+ */
+class TrackerEnemy extends LaneChangerEnemy {
+    constructor(x, y, laneIndex, level = 1, rng = null) {
+        super(x, y, laneIndex, level, 'tracker', rng);
+        this.color = '#fd79a8';
+        this.width = 38;
+        this.height = 38;
+    }
+
+    chooseLane() {
+        if (this.playerLane === this.laneIndex) return -1;
+        return this.laneIndex + Math.sign(this.playerLane - this.laneIndex);
+    }
+}
+
+/**
+ * Dodger Enemy - Sidesteps into a neighbouring lane when heavy fire comes at it, appears after level 9
+ */
+class DodgerEnemy extends LaneChangerEnemy {
+    constructor(x, y, laneIndex, level = 1, rng = null) {
+        super(x, y, laneIndex, level, 'dodger', rng);
+        this.color = '#55efc4';
+        this.width = 32;
+        this.height = 32;
+        this.dodgeThreshold = getEnemyBalance(this.type).dodgeThreshold; // Incoming bullets that trigger a dodge
+    }
+
+    chooseLane() {
+        if (this.incomingFire < this.dodgeThreshold) return -1;
+        return this.getAdjacentLane();
     }
 }
 
@@ -980,29 +1390,25 @@ class CarrierEnemy extends Enemy {
     constructor(x, y, laneIndex, level = 1) {
         super(x, y, laneIndex);
         this.type = 'carrier';
-        this.baseSpeed = 0; // Stationary - doesn't move
-        this.speed = 0;
-
-        // Very high health that increases with level (4x original)
-        // Health formula: A + B*LVL (only appears at level 5+)
-        // Formula: -200 + 80*LVL (equivalent to 200 + (LVL - 5) * 80)
-        const A = 100;    // Constant term
-        const B = 40;    // Linear coefficient
-        const C = 1 / 3;  // Quadratic coefficient
-        const D = 1 / 10; // Cubic coefficient
-        this.maxHealth = Math.floor(A + B * level + C * level * level + D * level * level * level);
+        const balance = getEnemyBalance(this.type);
+        this.baseSpeed = CONFIG.ENEMY_BASE_SPEED * balance.speed; // Stationary by default
+        this.speed = this.baseSpeed;
+
+        // Very high health that increases with level (see BALANCE.enemies.carrier)
+        this.maxHealth = getEnemyHealth(balance.health, level);
 
         this.health = this.maxHealth;
         this.initialHealth = 200;
 
         // High score value
-        this.scoreValue = CONFIG.SCORE_PER_ENEMY * (10 + (level - 5) * 2);
+        this.scoreValue = CONFIG.SCORE_PER_ENEMY * evaluateCurve(balance.score, level);
         this.width = 80;
         this.height = 60;
 
         // Spawning system
         this.spawnCooldown = 0;
-        this.spawnInterval = 270; // Spawn every 270 frames (4.5 seconds at 60fps, 1.5x the original interval)
+        // Spawn every 270 ticks on Normal (4.5 seconds at the fixed 60 ticks/s, 1.5x the original interval)
+        this.spawnInterval = Math.round(270 / DIFFICULTY.carrierRate);
         this.spawnedEnemies = []; // Track spawned enemies for reference
 
         // Color - dark gray/blue for carrier
@@ -1115,36 +1521,54 @@ class CarrierEnemy extends Enemy {
  */
 class EnemyFactory {
     /**
-     * Create enemy by type
-     * @param {string} type - Enemy type
-     * @param {number} x - X position
-     * @param {number} y - Y position
-     * @param {number} laneIndex - Lane index
-     * @param {number} level - Current game level
-     * @returns {Enemy}
+     * Get enemy classes by type
+     * @returns {object}
      */
-    static create(type, x, y, laneIndex, level = 1) {
-        const enemyClasses = {
+    static getEnemyClasses() {
+        return {
             'basic': BasicEnemy,
             'fast': FastEnemy,
             'tank': TankEnemy,
             'swarm': SwarmEnemy,
             'formation': FormationEnemy,
-            'carrier': CarrierEnemy
+            'gunner': GunnerEnemy,
+            'sniper': SniperEnemy,
+            'weaver': WeaverEnemy,
+            'tracker': TrackerEnemy,
+            'dodger': DodgerEnemy,
+            'carrier': CarrierEnemy,
+            'boss': BossEnemy
         };
+    }
 
-        const EnemyClass = enemyClasses[type];
+    /**
+     * Check if an enemy type exists
+     * @param {string} type - Enemy type
+     * @returns {boolean}
+     */
+    static isKnownType(type) {
+        return Object.prototype.hasOwnProperty.call(this.getEnemyClasses(), type);
+    }
+
+    /**
+     * Create enemy by type
+     * @param {string} type - Enemy type
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} laneIndex - Lane index
+     * @param {number} level - Current game level
+     * @param {SeededRandom} rng - Game RNG for enemies with randomized layouts
+     * @returns {Enemy}
+     */
+    static create(type, x, y, laneIndex, level = 1, rng = null) {
+        const EnemyClass = this.getEnemyClasses()[type];
         if (!EnemyClass) {
             console.warn(`Unknown enemy type: ${type}`);
             return new BasicEnemy(x, y, laneIndex, level);
         }
 
-        // Pass level to enemies that need it (all enemies now use level for health scaling)
-        if (type === 'tank' || type === 'swarm' || type === 'formation' || type === 'basic' || type === 'carrier') {
-            return new EnemyClass(x, y, laneIndex, level);
-        }
-
-        return new EnemyClass(x, y, laneIndex);
+        // All enemies scale with level (see BALANCE.enemies), randomized layouts also take the RNG
+        return new EnemyClass(x, y, laneIndex, level, rng);
     }
 
     /**
@@ -1153,32 +1577,30 @@ class EnemyFactory {
      * @param {number} y - Y position
      * @param {number} laneIndex - Lane index
      * @param {number} level - Current game level
+     * @param {SeededRandom} rng - Game RNG
      * @returns {Enemy}
      */
-    static createRandom(x, y, laneIndex, level = 1) {
-        const weights = {
-            'basic': 50,
-            'fast': 15 + (level - 1) * 4,
-            'tank': 10 + (level - 1) * 3,
-            'swarm': 12 + (level - 1) * 2,
-            'formation': 13 + (level - 1) * 2,
-            'carrier': level >= 5 ? 5 + (level - 5) * 2 : 0 // Only appears at level 5+
-        };
+    static createRandom(x, y, laneIndex, level = 1, rng = null) {
+        // Spawn weights by level from the balance profile (carriers only appear at level 5+)
+        const weights = {};
+        Object.keys(BALANCE.enemies).forEach(type => {
+            weights[type] = evaluateCurve(BALANCE.enemies[type].spawnWeight, level);
+        });
 
         // Calculate total weight
         const totalWeight = Object.values(weights).reduce((a, b) => a + b, 0);
-        let random = Math.random() * totalWeight;
+        let roll = random(0, totalWeight, rng);
 
         // Select enemy type based on weights
         for (const [type, weight] of Object.entries(weights)) {
-            random -= weight;
-            if (random <= 0) {
-                return this.create(type, x, y, laneIndex, level);
+            roll -= weight;
+            if (roll <= 0) {
+                return this.create(type, x, y, laneIndex, level, rng);
             }
         }
 
         // Fallback to basic
-        return this.create('basic', x, y, laneIndex, level);
+        return this.create('basic', x, y, laneIndex, level, rng);
     }
 }
 
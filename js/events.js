@@ -0,0 +1,121 @@
+/**
+ * Event Emitter - Publish/subscribe for gameplay hooks
+ * Game emits the events below; audio, effects, UI and future stats/achievements subscribe to them
+ */
+
+/**
+ * Gameplay events emitted by Game (payload in comments)
+ */
+const GameEvents = {
+    ENEMY_DAMAGED: 'enemyDamaged', // { enemy, damage, unitsKilled, destroyed } - after a bullet hit is resolved
+    ENEMY_KILLED: 'enemyKilled', // { enemy }
+    UNIT_KILLED: 'unitKilled', // { enemy, unitIndex, x, y, enemyDestroyed } - one Formation/Swarm unit
+    POWERUP_COLLECTED: 'powerupCollected', // { powerup, upgradeType, amount }
+    UPGRADE_LEVELED: 'upgradeLeveled', // { upgradeType, oldLevel, level }
+    EXPERIENCE_GAINED: 'experienceGained', // { x, y, amount, upgradeType } - small experience added directly instead of dropping an orb
+    BUFF_EXPIRED: 'buffExpired', // { type } - a timed buff ran out (see js/buffs.js)
+    DRAFT_OFFERED: 'draftOffered', // { choices, rerolls } - a full experience pool froze the run for a pick, or a reroll
+    LEVEL_UP: 'levelUp', // { oldLevel, level }
+    CARRIER_SPAWNED: 'carrierSpawned', // { carrier, forced }
+    WAVE_STARTED: 'waveStarted', // { name, number } - a scripted wave begins (see js/waves.js)
+    BOSS_SPAWNED: 'bossSpawned', // { boss }
+    BOSS_PHASE_CHANGED: 'bossPhaseChanged', // { boss, phase }
+    BOSS_DEFEATED: 'bossDefeated', // { boss } - after its reward has dropped
+    ENEMY_FIRED: 'enemyFired', // { enemy, projectile } - a ranged enemy fired (see js/projectile.js)
+    PROJECTILE_DESTROYED: 'projectileDestroyed', // { projectile, bullet } - a player bullet shot down an enemy projectile
+    BOMB_USED: 'bombUsed', // { player, clearY, enemiesHit } - the player set off a bomb, after it hit everything below clearY
+    PLAYER_HIT: 'playerHit', // { player, enemy, shields } - shields absorbed a hit (enemy is null for boss lane strikes and projectiles)
+    PLAYER_KILLED: 'playerKilled', // { player } - death explosion, game over follows shortly
+    GAME_OVER: 'gameOver', // { score, level, elapsedTime, mode, difficulty, reason, results, highScore, newHighScore } - run ended (death, time up, Boss Rush cleared or quit)
+    VICTORY: 'victory' // { score }
+};
+
+class EventEmitter {
+    /**
+     * @param {object} eventTypes - Map of known event names (e.g. GameEvents), null to allow any name
+     */
+    constructor(eventTypes = null) {
+        this.listeners = {};
+        this.eventTypes = eventTypes ? new Set(Object.values(eventTypes)) : null;
+    }
+
+    /**
+     * Check that an event name is known
+     * @param {string} event - Event name
+     * @returns {boolean}
+     */
+    isKnownEvent(event) {
+        if (this.eventTypes && !this.eventTypes.has(event)) {
+            console.warn(`Unknown event type: ${event}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} - Call to unsubscribe
+     */
+    on(event, listener) {
+        if (!this.isKnownEvent(event)) return () => {};
+
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} - Call to unsubscribe
+     */
+    once(event, listener) {
+        const wrapper = (payload) => {
+            this.off(event, wrapper);
+            listener(payload);
+        };
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(event, listener) {
+        const listeners = this.listeners[event];
+        if (!listeners) return;
+
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Emit an event to all subscribers, in subscription order
+     * A failing listener is logged and doesn't stop the others (or the game)
+     * @param {string} event - Event name
+     * @param {object} payload - Event data
+     */
+    emit(event, payload = {}) {
+        if (!this.isKnownEvent(event)) return;
+
+        const listeners = this.listeners[event];
+        if (!listeners || listeners.length === 0) return;
+
+        // Copy so listeners can unsubscribe while the event is dispatched
+        listeners.slice().forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`ERROR in ${event} listener:`, error);
+            }
+        });
+    }
+}
@@ -2,40 +2,114 @@
  * Main Game Class - Manages game state, entities, and game loop
  */
 class Game {
-    constructor(canvasId) {
-        this.canvas = document.getElementById(canvasId);
-        this.ctx = this.canvas.getContext('2d');
-        this.setupCanvas();
+    /**
+     * @param {object|string} options - Game options, or a canvas id for the default browser setup
+     * @param {string} options.canvasId - Canvas element id (default: 'gameCanvas')
+     * @param {boolean} options.headless - Run without DOM, canvas or audio (null adapters, no animation loop)
+     * @param {number} options.seed - Fixed RNG seed (overrides ?seed=)
+     * @param {number} options.lanes - Number of lanes, CONFIG.MIN_LANE_COUNT to MAX_LANE_COUNT (overrides ?lanes=)
+     * @param {string} options.balance - Balance profile name, see js/balance.js (overrides ?balance=)
+     * @param {string} options.difficulty - Difficulty mode: easy, normal, hard, nightmare (overrides ?difficulty=)
+     * @param {string} options.mode - Game mode: endless, timeattack, bossrush, survival, zen (overrides ?mode=)
+     * @param {object} options.renderer - Renderer adapter (CanvasRenderer, NullRenderer)
+     * @param {object} options.audio - Audio adapter (AudioManager, NullAudioManager)
+     * @param {object} options.ui - UI adapter (DomUI, NullUI)
+     * @param {Storage} options.storage - Storage for saved runs and high scores (default: localStorage, none when headless)
+     */
+    constructor(options = {}) {
+        if (typeof options === 'string') {
+            options = { canvasId: options };
+        }
+        this.headless = options.headless === true;
+
+        // Presentation adapters - the simulation only talks to these, so it runs without a browser
+        this.renderer = options.renderer || (this.headless ? new NullRenderer() : new CanvasRenderer(options.canvasId || 'gameCanvas'));
+        this.audioManager = options.audio || (this.headless ? new NullAudioManager() : new AudioManager());
+        this.ui = options.ui || (this.headless ? new NullUI() : new DomUI());
 
         // Game state
-        this.state = 'menu'; // menu, playing, gameover, victory
+        this.state = 'menu'; // menu, playing, paused, gameover, victory, draft
         this.score = 0;
         this.level = 1;
         this.frameCount = 0;
         this.gameStartTime = 0; // Game start time in milliseconds
         this.elapsedTime = 0; // Elapsed time in seconds
+        this.gameTime = 0; // Game clock in milliseconds (advances one fixed step per tick, stops while paused)
+        this.timers = []; // Callbacks scheduled on the game clock
+        this.gameOverPending = false; // Player died, game over screen is waiting for the explosion
+        this.accumulator = 0; // Real time not yet consumed by simulation ticks
+        this.tick = 0; // Simulation ticks since the run started (replay timestamps)
+
+        // Seedable RNG for all gameplay randomness (cosmetic effects keep using Math.random)
+        // A fixed seed can be forced with ?seed=<number> to reproduce a run
+        this.requestedSeed = options.seed !== undefined ? options.seed >>> 0 : this.getSeedFromURL();
+        this.rng = new SeededRandom(this.requestedSeed !== null ? this.requestedSeed : SeededRandom.generateSeed());
+
+        // Lane count of new runs (replays and saved runs bring their own)
+        this.requestedLaneCount = options.lanes !== undefined ? options.lanes : this.getLaneCountFromURL();
+        if (this.requestedLaneCount === null || !isValidLaneCount(this.requestedLaneCount)) {
+            if (this.requestedLaneCount !== null) {
+                console.warn(`Unsupported lane count: ${this.requestedLaneCount}, using ${DEFAULT_LANE_COUNT}`);
+            }
+            this.requestedLaneCount = DEFAULT_LANE_COUNT;
+        }
+
+        // Balance profile of new runs
+        this.requestedBalance = options.balance !== undefined ? options.balance : this.getBalanceFromURL();
+        if (this.requestedBalance === null) {
+            this.requestedBalance = 'default';
+        }
+
+        // Difficulty of new runs (picked in the menu)
+        this.requestedDifficulty = DEFAULT_DIFFICULTY;
+        this.setRequestedDifficulty(options.difficulty !== undefined ? options.difficulty : this.getDifficultyFromURL());
+
+        // Game mode of new runs (picked in the menu)
+        this.requestedMode = DEFAULT_GAME_MODE;
+        this.setRequestedMode(options.mode !== undefined ? options.mode : this.getModeFromURL());
+
+        // Upgrade progression of new runs (picked in the menu, see UPGRADE_PROGRESSIONS)
+        this.requestedProgression = DEFAULT_UPGRADE_PROGRESSION;
+        this.setRequestedProgression(options.progression !== undefined ? options.progression : this.getProgressionFromURL());
+
+        // Settings of the current run and the rules of its mode (see js/modes.js)
+        this.settings = {
+            lanes: this.requestedLaneCount,
+            balance: this.requestedBalance,
+            difficulty: this.requestedDifficulty,
+            mode: this.requestedMode,
+            progression: this.requestedProgression
+        };
+        this.mode = GameModeFactory.create(this.requestedMode);
 
         // Game entities
         this.player = null;
         this.enemies = [];
+        this.enemyProjectiles = []; // Shots fired by ranged enemies (see js/projectile.js)
         this.powerups = [];
         this.xpTexts = []; // Floating XP text
         this.effects = []; // Visual effects
         this.levelUpText = null; // Level up text display
 
+        // Collision scratch buffers (one array per lane), reused every tick
+        this.bulletsByLane = [];
+        this.enemiesByLane = [];
+
         // Systems
-        this.audioManager = new AudioManager();
+        this.events = new EventEmitter(GameEvents); // Gameplay hooks (see js/events.js)
+        this.waves = new WaveScheduler(); // Scripted enemy waves (see js/waves.js)
         this.audioManager.initializeDefaultSounds();
         this.audioManager.initializeMusic();
         this.currentMusicLevel = 1;
         this.hasCarrier = false;
         this.victoryShown = false; // Track if victory has been shown (only show once at level 20)
         this.victoryLocked = false; // Lock victory screen for 3 seconds
+        this.draft = null; // Upgrade draft on offer: { choices } (draft progression)
+        this.draftLockTicks = 0; // Ticks until the draft accepts input
+        this.draftSelection = 0; // Highlighted choice for keyboard and gamepad (not part of the simulation)
         this.carrierSpawnedAtLevels = new Set(); // Track which levels have spawned a carrier
-        this.victoryParticles = []; // Victory screen particles
-        this.victoryStars = []; // Victory screen stars
-        this.victoryEnergyRings = []; // Victory screen energy rings
-        this.victoryTime = 0; // Time since victory screen appeared
+        this.bossSpawnedAtLevels = new Set(); // Track which milestone levels have spawned their boss
+        this.bossMusicPhase = 0; // Boss phase the music is playing for (0: no boss music)
 
         // Debug logging system
         this.lastLogTime = 0;
@@ -46,138 +120,342 @@ class Game {
         // Input handling
         this.keys = {};
         this.keysPressed = {}; // Track keys that were just pressed (not held)
-        this.setupInputHandlers();
-
-        // UI elements
-        this.scoreElement = document.getElementById('score');
-        this.levelElement = document.getElementById('level');
-        this.timeElement = document.getElementById('time');
-        this.upgradePanel = document.getElementById('upgradePanel');
-        this.menuScreen = document.getElementById('menuScreen');
-        this.gameOverScreen = document.getElementById('gameOverScreen');
-        this.victoryScreen = document.getElementById('victoryScreen');
-        this.finalScoreElement = document.getElementById('finalScore');
-        this.victoryScoreElement = document.getElementById('victoryScore');
-
-        // Setup UI handlers
-        document.getElementById('startButton').addEventListener('click', () => this.start());
-        document.getElementById('restartButton').addEventListener('click', () => this.start());
-
-        // Start game loop
-        this.lastTime = 0;
-        this.gameLoop(0);
-
-        // Handle window resize for mobile
-        window.addEventListener('resize', () => this.setupCanvas());
-    }
-
-    /**
-     * Setup canvas size (responsive for mobile)
-     */
-    setupCanvas() {
-        const container = this.canvas.parentElement;
-        const containerRect = container.getBoundingClientRect();
-
-        // Use container size for mobile, or fixed size for desktop
-        const isMobile = window.innerWidth <= 900;
-
-        if (isMobile) {
-            // Mobile: use full container size
-            this.canvas.width = containerRect.width;
-            this.canvas.height = containerRect.height;
-            // Update CONFIG for mobile
-            CONFIG.CANVAS_WIDTH = containerRect.width;
-            CONFIG.CANVAS_HEIGHT = containerRect.height;
-            // Adjust lane positions for mobile (25% and 75% of width)
-            CONFIG.LANE_POSITIONS = [
-                containerRect.width * 0.25,
-                containerRect.width * 0.75
-            ];
-        } else {
-            // Desktop: use fixed size
-            this.canvas.width = CONFIG.CANVAS_WIDTH;
-            this.canvas.height = CONFIG.CANVAS_HEIGHT;
-            // Reset to original lane positions
-            CONFIG.LANE_POSITIONS = [200, 600];
-        }
+        this.pendingInputs = []; // Taps/clicks queued by the UI, applied on the next tick
 
-        // Update player position if game is running
-        if (this.player && this.state === 'playing') {
-            this.player.targetX = CONFIG.LANE_POSITIONS[this.player.laneIndex];
+        // Replays: every run is recorded, a replay player replaces live input when watching one
+        this.recorder = new InputRecorder();
+        this.replayPlayer = null;
+
+        // Saved run in progress (see js/save.js) and best scores per mode and difficulty (see js/highscores.js)
+        const storage = options.storage !== undefined ? options.storage : this.getDefaultStorage();
+        this.saveManager = new SaveManager(storage);
+        this.highScores = new HighScores(storage);
+
+        this.renderer.attach(this);
+        this.ui.attach(this);
+        this.setupEventHandlers();
+
+        // Start game loop (headless games are stepped manually with step())
+        if (!this.headless) {
+            this.lastTime = 0;
+            this.gameLoop(0);
         }
     }
 
     /**
-     * Setup input handlers
+     * Subscribe the game's own systems to gameplay events
+     * Rewards are registered first: subscribers run in order, and rewards consume the RNG
      */
-    setupInputHandlers() {
-        // Keyboard input
-        window.addEventListener('keydown', (e) => {
-            const key = e.key.toLowerCase();
-            const code = e.code.toLowerCase();
+    setupEventHandlers() {
+        const events = this.events;
+        const isMultiUnit = enemy => enemy instanceof MultiUnitEnemy;
+
+        // Rewards: score and experience drops
+        events.on(GameEvents.UNIT_KILLED, ({ enemy, unitIndex }) => {
+            // Score: proportional to unit health, independent of total count (Score x2 buffs multiply it)
+            this.score += enemy.healthPerUnit * CONFIG.SCORE_PER_ENEMY * applyBuffHooks('score', 1, this.player.buffs);
+
+            // Swarm/Formation: each unit has a chance to drop XP
+            if (chance(BALANCE.rewards.unitDropChance, this.rng)) {
+                this.gainExperienceFromEnemy(enemy, unitIndex);
+            }
+        });
+        events.on(GameEvents.ENEMY_KILLED, ({ enemy }) => {
+            // Formation/Swarm are rewarded per unit
+            if (isMultiUnit(enemy)) return;
+
+            this.score += enemy.scoreValue * applyBuffHooks('score', 1, this.player.buffs);
 
-            // Track if key was just pressed (not already held)
-            if (!this.keys[key]) {
-                this.keysPressed[key] = true;
+            // Check if should drop experience (drop chance by enemy type)
+            if (chance(getEnemyBalance(enemy.type).dropChance, this.rng)) {
+                this.gainExperienceFromEnemy(enemy, 0);
             }
-            if (!this.keys[code]) {
-                this.keysPressed[code] = true;
+        });
+        events.on(GameEvents.ENEMY_KILLED, ({ enemy }) => {
+            // Carriers and bosses drop a shield
+            if (enemy.type === 'carrier' || enemy.type === 'boss') {
+                this.powerups.push(PowerupFactory.create('shield', enemy.x, enemy.y));
             }
+        });
+        events.on(GameEvents.ENEMY_KILLED, ({ enemy }) => {
+            if (enemy.type !== 'boss') return;
+            this.dropBossReward(enemy);
+            this.events.emit(GameEvents.BOSS_DEFEATED, { boss: enemy });
+        });
 
-            this.keys[key] = true;
-            this.keys[code] = true;
+        // Bomb charge: every kill, Formation/Swarm per unit
+        events.on(GameEvents.UNIT_KILLED, () => this.player.addBombCharge(BALANCE.bomb.chargePerUnit));
+        events.on(GameEvents.ENEMY_KILLED, ({ enemy }) => {
+            if (isMultiUnit(enemy)) return;
+            this.player.addBombCharge(BALANCE.bomb.chargePerKill);
         });
 
-        window.addEventListener('keyup', (e) => {
-            const key = e.key.toLowerCase();
-            const code = e.code.toLowerCase();
-            this.keys[key] = false;
-            this.keys[code] = false;
-            this.keysPressed[key] = false;
-            this.keysPressed[code] = false;
+        // Audio
+        events.on(GameEvents.UNIT_KILLED, ({ enemy, unitIndex }) => {
+            // Queue kill accent for each unit killed (but limit to avoid spam)
+            if (unitIndex < 3) {
+                this.audioManager.queueKillAccent(enemy.type, 0.5);
+            }
+        });
+        events.on(GameEvents.ENEMY_KILLED, ({ enemy }) => {
+            // Play enemy-specific death sound
+            this.playEnemyDeathSound(enemy.type);
+
+            // Queue kill accent for beat synchronization
+            let accentIntensity = 0.4;
+            if (enemy.type === 'tank' || enemy.type === 'carrier' || enemy.type === 'boss') {
+                accentIntensity = 0.8;
+            } else if (isMultiUnit(enemy)) {
+                accentIntensity = 0.6;
+            }
+            this.audioManager.queueKillAccent(enemy.type, accentIntensity);
+        });
+        events.on(GameEvents.ENEMY_DAMAGED, ({ unitsKilled, destroyed }) => {
+            // Play hit sound when units die but the enemy survives
+            if (!destroyed && unitsKilled > 0) {
+                this.audioManager.play('hit');
+            }
+        });
+        events.on(GameEvents.POWERUP_COLLECTED, () => this.audioManager.play('powerup'));
+        events.on(GameEvents.LEVEL_UP, () => this.audioManager.play('powerup'));
+        events.on(GameEvents.DRAFT_OFFERED, () => this.audioManager.play('powerup'));
+        events.on(GameEvents.BOMB_USED, () => this.audioManager.play('bomb'));
+        events.on(GameEvents.BUFF_EXPIRED, () => this.audioManager.play('buffExpired'));
+        events.on(GameEvents.CARRIER_SPAWNED, () => {
+            // Switch to carrier music when carrier spawns (boss music keeps playing during a boss fight)
+            this.hasCarrier = true;
+            if (!this.getActiveBoss()) {
+                this.audioManager.startCarrierMusic();
+            }
+        });
+        events.on(GameEvents.ENEMY_FIRED, () => this.audioManager.play('enemyShot'));
+        events.on(GameEvents.PLAYER_HIT, () => this.audioManager.play('hit'));
+        events.on(GameEvents.PLAYER_KILLED, () => this.audioManager.stopMusic());
+        events.on(GameEvents.GAME_OVER, () => this.audioManager.play('gameover'));
+        events.on(GameEvents.VICTORY, () => this.audioManager.startVictoryMusic());
+
+        // Effects
+        events.on(GameEvents.UNIT_KILLED, ({ enemy, x, y, enemyDestroyed }) => {
+            // A destroyed enemy gets one explosion for the whole group instead
+            if (enemyDestroyed) return;
+            this.effects.push(EffectManager.createEffect(x, y, enemy.type));
+        });
+        events.on(GameEvents.ENEMY_KILLED, ({ enemy }) => {
+            this.effects.push(EffectManager.createEffect(enemy.x, enemy.y, enemy.type));
+        });
+        events.on(GameEvents.PROJECTILE_DESTROYED, ({ projectile }) => {
+            this.effects.push(getPool(ExplosionEffect).acquire(projectile.x, projectile.y, 'small'));
+        });
+        events.on(GameEvents.PLAYER_HIT, ({ player }) => {
+            this.effects.push(getPool(ExplosionEffect).acquire(player.x, player.y, 'small'));
+        });
+        events.on(GameEvents.PLAYER_KILLED, ({ player }) => {
+            if (player) {
+                this.effects.push(getPool(ExplosionEffect).acquire(player.x, player.y, 'large'));
+            }
+        });
+
+        // UI and renderer
+        events.on(GameEvents.ENEMY_DAMAGED, ({ unitsKilled, destroyed }) => {
+            if (destroyed || unitsKilled > 0) {
+                this.updateUI();
+            }
+        });
+        events.on(GameEvents.POWERUP_COLLECTED, () => this.updateUI());
+        events.on(GameEvents.BUFF_EXPIRED, () => this.updateUI());
+        events.on(GameEvents.PLAYER_HIT, () => this.updateUI());
+        events.on(GameEvents.LEVEL_UP, () => this.updateUI());
+        events.on(GameEvents.DRAFT_OFFERED, () => this.ui.showDraft(this));
+        events.on(GameEvents.EXPERIENCE_GAINED, ({ x, y, amount, upgradeType }) => this.ui.showExperienceGain(x, y, amount, upgradeType));
+        events.on(GameEvents.BOMB_USED, () => {
+            this.renderer.flashScreen();
+            this.updateUI();
+        });
+        events.on(GameEvents.WAVE_STARTED, ({ name, number }) => this.ui.showAnnouncement(`WAVE ${number}: ${name}`));
+        events.on(GameEvents.BOSS_SPAWNED, ({ boss }) => {
+            this.ui.showAnnouncement(`WARNING: ${boss.getDefinition().name}`);
+            this.ui.updateBossBar(boss);
+        });
+        events.on(GameEvents.BOSS_PHASE_CHANGED, ({ boss }) => this.ui.updateBossBar(boss));
+        events.on(GameEvents.BOSS_DEFEATED, () => this.ui.updateBossBar(null));
+        events.on(GameEvents.ENEMY_DAMAGED, ({ enemy }) => {
+            if (enemy.type === 'boss') {
+                this.ui.updateBossBar(enemy);
+            }
         });
+        events.on(GameEvents.GAME_OVER, ({ score, difficulty, results, highScore, newHighScore }) => {
+            this.ui.showGameOver(score, difficulty, results, highScore, newHighScore);
+        });
+        events.on(GameEvents.VICTORY, ({ score }) => {
+            this.ui.showVictory(score);
+            this.renderer.initVictoryAnimation();
+        });
+    }
 
-        // Touch and click input for mobile
-        this.setupTouchHandlers();
+    /**
+     * Get the browser's localStorage for saved runs, if there is one
+     * @returns {Storage|null}
+     */
+    getDefaultStorage() {
+        if (this.headless) return null;
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            // Accessing localStorage throws when storage is blocked
+            return null;
+        }
     }
 
     /**
-     * Setup touch and click handlers for mobile
+     * Read a fixed RNG seed from the page URL (?seed=<number>)
+     * @returns {number|null} - Seed, or null if none was given
      */
-    setupTouchHandlers() {
-        const canvas = this.canvas;
+    getSeedFromURL() {
+        if (typeof window === 'undefined' || !window.location) return null;
+        const match = window.location.search.match(/[?&]seed=(\d+)/);
+        return match ? parseInt(match[1], 10) >>> 0 : null;
+    }
 
-        // Prevent default touch behaviors
-        canvas.addEventListener('touchstart', (e) => e.preventDefault(), { passive: false });
-        canvas.addEventListener('touchmove', (e) => e.preventDefault(), { passive: false });
-        canvas.addEventListener('touchend', (e) => e.preventDefault(), { passive: false });
+    /**
+     * Read a lane count from the page URL (?lanes=<number>)
+     * @returns {number|null} - Lane count, or null if none was given
+     */
+    getLaneCountFromURL() {
+        if (typeof window === 'undefined' || !window.location) return null;
+        const match = window.location.search.match(/[?&]lanes=(\d+)/);
+        return match ? parseInt(match[1], 10) : null;
+    }
 
-        // Handle touch on canvas - toggle lane on any tap
-        canvas.addEventListener('touchstart', (e) => {
-            if (this.state !== 'playing' || !this.player) return;
-            e.preventDefault();
-            // Toggle to next lane (cycle through lanes)
-            const nextLaneIndex = (this.player.laneIndex + 1) % CONFIG.LANE_COUNT;
-            this.player.laneIndex = nextLaneIndex;
-            this.player.targetX = CONFIG.LANE_POSITIONS[this.player.laneIndex];
-        }, { passive: false });
-
-        // Also handle click on canvas for desktop testing
-        canvas.addEventListener('click', (e) => {
-            if (this.state !== 'playing' || !this.player) return;
-            // Toggle to next lane (cycle through lanes)
-            const nextLaneIndex = (this.player.laneIndex + 1) % CONFIG.LANE_COUNT;
-            this.player.laneIndex = nextLaneIndex;
-            this.player.targetX = CONFIG.LANE_POSITIONS[this.player.laneIndex];
-        });
+    /**
+     * Read a balance profile name from the page URL (?balance=<name>)
+     * @returns {string|null} - Profile name, or null if none was given
+     */
+    getBalanceFromURL() {
+        if (typeof window === 'undefined' || !window.location) return null;
+        const match = window.location.search.match(/[?&]balance=([\w-]+)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Read a difficulty mode from the page URL (?difficulty=<name>)
+     * @returns {string|null} - Difficulty key, or null if none was given
+     */
+    getDifficultyFromURL() {
+        if (typeof window === 'undefined' || !window.location) return null;
+        const match = window.location.search.match(/[?&]difficulty=(\w+)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Read a game mode from the page URL (?mode=<id>)
+     * @returns {string|null} - Mode id, or null if none was given
+     */
+    getModeFromURL() {
+        if (typeof window === 'undefined' || !window.location) return null;
+        const match = window.location.search.match(/[?&]mode=(\w+)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Read an upgrade progression from the page URL (?progression=<id>)
+     * @returns {string|null} - Progression id, or null if none was given
+     */
+    getProgressionFromURL() {
+        if (typeof window === 'undefined' || !window.location) return null;
+        const match = window.location.search.match(/[?&]progression=(\w+)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Choose the upgrade progression of new runs (the menu picker)
+     * @param {string|null} progression - Progression id, null keeps the current choice
+     * @returns {boolean} - Whether the progression was accepted
+     */
+    setRequestedProgression(progression) {
+        if (progression === null) return false;
+        if (!isValidUpgradeProgression(progression)) {
+            console.warn(`Unsupported upgrade progression: ${progression}, using ${this.requestedProgression}`);
+            return false;
+        }
+        this.requestedProgression = progression;
+        return true;
+    }
+
+    /**
+     * Choose the game mode of new runs (the menu picker)
+     * @param {string|null} mode - Mode id, null keeps the current choice
+     * @returns {boolean} - Whether the mode was accepted
+     */
+    setRequestedMode(mode) {
+        if (mode === null) return false;
+        if (!GameModeFactory.isKnownType(mode)) {
+            console.warn(`Unsupported game mode: ${mode}, using ${this.requestedMode}`);
+            return false;
+        }
+        this.requestedMode = mode;
+        return true;
+    }
+
+    /**
+     * Choose the difficulty of new runs (the menu picker)
+     * @param {string|null} difficulty - Difficulty key, null keeps the current choice
+     * @returns {boolean} - Whether the difficulty was accepted
+     */
+    setRequestedDifficulty(difficulty) {
+        if (difficulty === null) return false;
+        if (!isValidDifficulty(difficulty)) {
+            console.warn(`Unsupported difficulty: ${difficulty}, using ${this.requestedDifficulty}`);
+            return false;
+        }
+        this.requestedDifficulty = difficulty;
+        return true;
+    }
+
+    /**
+     * Apply the settings of a run: lane count, balance profile, difficulty, game mode and upgrade progression
+     * Unsupported values fall back to the defaults
+     * @param {object} settings - { lanes, balance, difficulty, mode, progression }, missing entries use the requested ones
+     */
+    applyRunSettings(settings) {
+        const lanes = settings.lanes !== undefined ? settings.lanes : this.requestedLaneCount;
+        const balance = settings.balance !== undefined ? settings.balance : this.requestedBalance;
+        const difficulty = settings.difficulty !== undefined ? settings.difficulty : this.requestedDifficulty;
+        const mode = settings.mode !== undefined ? settings.mode : this.requestedMode;
+        const progression = settings.progression !== undefined ? settings.progression : this.requestedProgression;
+
+        this.settings = {
+            lanes: setLaneCount(lanes) ? lanes : DEFAULT_LANE_COUNT,
+            balance: setBalanceProfile(balance) ? balance : 'default',
+            difficulty: setDifficulty(difficulty) ? difficulty : DEFAULT_DIFFICULTY,
+            mode: GameModeFactory.isKnownType(mode) ? mode : DEFAULT_GAME_MODE,
+            progression: isValidUpgradeProgression(progression) ? progression : DEFAULT_UPGRADE_PROGRESSION
+        };
+        if (this.settings.lanes !== lanes) setLaneCount(this.settings.lanes);
+        if (this.settings.balance !== balance) setBalanceProfile(this.settings.balance);
+        if (this.settings.difficulty !== difficulty) setDifficulty(this.settings.difficulty);
+        this.mode = GameModeFactory.create(this.settings.mode);
     }
 
     /**
      * Start new game
+     * @param {number} seed - Optional RNG seed; defaults to the URL seed or a fresh random one
+     * @param {object} settings - Optional run settings { lanes, balance, difficulty, mode, progression }; default to the requested ones
      */
-    start() {
-        // Ensure canvas is properly sized
-        this.setupCanvas();
+    start(seed = null, settings = {}) {
+        // Lay out the lanes and pick the balance for this run,
+        // then size the canvas (which spreads the lanes across its width)
+        this.applyRunSettings(settings);
+        this.renderer.setupCanvas();
+
+        // Reseed gameplay RNG so the run is reproducible from its seed
+        if (seed === null) {
+            seed = this.requestedSeed !== null ? this.requestedSeed : SeededRandom.generateSeed();
+        }
+        this.rng.setSeed(seed);
+        if (!this.replayPlayer) {
+            this.recorder.start(this.rng.seed, this.settings);
+            this.saveManager.clear(); // A new run replaces the saved one
+        }
 
         this.state = 'playing';
         this.score = 0;
@@ -185,7 +463,14 @@ class Game {
         this.frameCount = 0;
         this.gameStartTime = Date.now();
         this.elapsedTime = 0;
+        this.gameTime = 0;
+        this.accumulator = 0;
+        this.tick = 0;
+        this.pendingInputs = [];
+        this.timers = [];
+        this.gameOverPending = false;
         this.enemies = [];
+        this.enemyProjectiles = [];
         this.powerups = [];
         this.xpTexts = [];
         this.effects = [];
@@ -193,11 +478,14 @@ class Game {
         this.hasCarrier = false;
         this.victoryShown = false; // Reset victory flag on new game
         this.victoryLocked = false; // Reset victory lock on new game
-        this.victoryParticles = [];
-        this.victoryStars = [];
-        this.victoryEnergyRings = [];
-        this.victoryTime = 0;
+        this.draft = null;
+        this.draftLockTicks = 0;
+        this.ui.hideDraft();
+        this.renderer.resetVictoryAnimation();
         this.carrierSpawnedAtLevels = new Set(); // Reset carrier spawn tracking
+        this.bossSpawnedAtLevels = new Set();
+        this.bossMusicPhase = 0;
+        this.waves.reset();
 
         // Start background music
         this.audioManager.startBackgroundMusic(this.level);
@@ -205,14 +493,76 @@ class Game {
         // Create player in center of first lane
         const startX = CONFIG.LANE_POSITIONS[0];
         this.player = new Player(startX, CONFIG.PLAYER_Y);
+        this.player.shields = Math.min(DIFFICULTY.shields + this.mode.shields, BALANCE.shields.max);
+        this.player.sharedExperience = this.settings.progression === 'draft';
+        this.mode.start(this);
 
         // Hide menus
-        this.menuScreen.style.display = 'none';
-        this.gameOverScreen.style.display = 'none';
+        this.ui.showPlaying();
 
         this.updateUI();
     }
 
+    /**
+     * Pause the game - freezes the simulation and the game clock
+     */
+    pause() {
+        if (this.state !== 'playing') return;
+
+        this.state = 'paused';
+        this.ui.showPaused();
+        this.audioManager.pauseMusic();
+        this.saveRun();
+    }
+
+    /**
+     * Resume a paused game
+     */
+    resume() {
+        if (this.state !== 'paused') return;
+
+        this.state = 'playing';
+        this.ui.hidePaused();
+        this.audioManager.resumeMusic();
+
+        // Discard lane switches pressed while paused
+        this.keysPressed = {};
+        this.pendingInputs = [];
+    }
+
+    /**
+     * Toggle between playing and paused
+     */
+    togglePause() {
+        if (this.state === 'paused') {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    /**
+     * Schedule a callback on the game clock (stops while paused, unlike setTimeout)
+     * @param {number} delay - Delay in milliseconds of game time
+     * @param {Function} callback - Function to call when the delay has elapsed
+     */
+    schedule(delay, callback) {
+        this.timers.push({ time: this.gameTime + delay, callback });
+    }
+
+    /**
+     * Run scheduled callbacks whose time has come
+     */
+    runTimers() {
+        if (this.timers.length === 0) return;
+
+        const due = this.timers.filter(timer => timer.time <= this.gameTime);
+        if (due.length === 0) return;
+
+        this.timers = this.timers.filter(timer => timer.time > this.gameTime);
+        due.forEach(timer => timer.callback());
+    }
+
     /**
      * Game over
      */
@@ -220,329 +570,704 @@ class Game {
         if (this.state === 'victory') return; // Prevent multiple calls
 
         this.state = 'victory';
-        this.victoryScoreElement.textContent = this.score;
-        this.victoryScreen.style.display = 'flex';
-        this.victoryTime = 0;
-
-        // Initialize victory animation particles
-        this.initVictoryAnimation();
-
-        // Play epic victory music
-        this.audioManager.startVictoryMusic();
+        this.events.emit(GameEvents.VICTORY, { score: this.score });
 
         // Lock screen for 3 seconds to prevent quick skipping
         this.victoryLocked = true;
-        setTimeout(() => {
+        this.schedule(3000, () => {
             this.victoryLocked = false;
-        }, 3000); // 3 seconds lock
+        }); // 3 seconds lock
+    }
 
-        // Setup continue handler - any key press continues the game (only after lock)
-        const continueHandler = (e) => {
-            // Ignore input if still locked
-            if (this.victoryLocked) return;
+    continueAfterVictory() {
+        this.state = 'playing';
+        this.ui.hideVictory();
+        
+        // Clear victory animation
+        this.renderer.resetVictoryAnimation();
+        
+        // Resume music
+        this.startMusicForState();
+        // Game continues normally, can play infinitely until death
+    }
 
-            this.continueAfterVictory();
-            document.removeEventListener('keydown', continueHandler);
-            document.removeEventListener('click', continueHandler);
-            document.removeEventListener('touchstart', continueHandler);
-        };
+    /**
+     * Offer an upgrade draft: spend the full experience pool and freeze the run until a pick
+     */
+    openDraft() {
+        this.player.startDraft();
+        this.showDraft({ choices: rollUpgradeDraft(this.rng) });
+    }
 
-        document.addEventListener('keydown', continueHandler);
-        document.addEventListener('click', continueHandler);
-        document.addEventListener('touchstart', continueHandler);
+    /**
+     * Enter the draft state with an offer (a new draft or a restored one)
+     * @param {object} draft - { choices }
+     */
+    showDraft(draft) {
+        this.draft = draft;
+        this.draftLockTicks = UPGRADE_DRAFT_LOCK_TICKS;
+        this.draftSelection = 0;
+        this.state = 'draft';
+        this.events.emit(GameEvents.DRAFT_OFFERED, { choices: draft.choices, rerolls: this.player.rerolls });
     }
 
     /**
-     * Initialize victory screen animation particles
+     * Take one of the offered upgrades and resume - or offer the next draft if the pool is still full
+     * @param {number} index - Choice index
      */
-    initVictoryAnimation() {
-        this.victoryParticles = [];
-        this.victoryStars = [];
+    pickDraft(index) {
+        const upgradeType = this.draft.choices[index];
+        const oldLevel = this.player.getUpgradeLevel(upgradeType);
+        this.player.levelUpgrade(upgradeType);
+        this.events.emit(GameEvents.UPGRADE_LEVELED, { upgradeType, oldLevel, level: oldLevel + 1 });
 
-        const centerX = this.canvas.width / 2;
-        const centerY = this.canvas.height / 2;
+        this.draft = null;
+        this.state = 'playing';
+        this.ui.hideDraft();
+        if (this.player.isDraftReady()) {
+            this.openDraft();
+        }
+        this.updateUI();
+    }
 
-        // Create burst particles (golden/rainbow)
-        for (let i = 0; i < 80; i++) {
-            const angle = (Math.PI * 2 * i) / 80 + Math.random() * 0.3;
-            const speed = 2 + Math.random() * 4;
-            this.victoryParticles.push({
-                x: centerX,
-                y: centerY,
-                vx: Math.cos(angle) * speed,
-                vy: Math.sin(angle) * speed,
-                size: 3 + Math.random() * 5,
-                life: 0,
-                maxLife: 60 + Math.random() * 40,
-                color: `hsl(${Math.random() * 60 + 30}, 100%, ${50 + Math.random() * 30}%)`, // Golden to orange
-                glow: true
-            });
+    /**
+     * Spend a reroll on a new set of choices
+     */
+    rerollDraft() {
+        this.player.rerolls--;
+        this.draft.choices = rollUpgradeDraft(this.rng);
+        this.draftSelection = 0;
+        this.events.emit(GameEvents.DRAFT_OFFERED, { choices: this.draft.choices, rerolls: this.player.rerolls });
+    }
+
+    /**
+     * Move the highlighted draft choice (keyboard and gamepad), wrapping around
+     * @param {number} direction - -1 for left, 1 for right
+     */
+    moveDraftSelection(direction) {
+        const count = this.draft.choices.length;
+        this.draftSelection = (this.draftSelection + direction + count) % count;
+        this.ui.showDraft(this);
+    }
+
+    /**
+     * Start the music that fits the run right now: boss, carrier or background
+     */
+    startMusicForState() {
+        const boss = this.getActiveBoss();
+        this.bossMusicPhase = boss ? boss.phase + 1 : 0;
+        if (boss) {
+            this.audioManager.startBossMusic(this.bossMusicPhase);
+        } else if (this.hasCarrier) {
+            this.audioManager.startCarrierMusic();
+        } else {
+            this.audioManager.startBackgroundMusic(this.level);
         }
+    }
 
-        // Create floating stars
-        for (let i = 0; i < 50; i++) {
-            this.victoryStars.push({
-                x: Math.random() * this.canvas.width,
-                y: Math.random() * this.canvas.height,
-                size: 2 + Math.random() * 4,
-                speed: 0.3 + Math.random() * 0.5,
-                angle: Math.random() * Math.PI * 2,
-                twinkle: Math.random() * Math.PI * 2,
-                twinkleSpeed: 0.05 + Math.random() * 0.1,
-                color: `hsl(${Math.random() * 60 + 30}, 100%, ${70 + Math.random() * 30}%)`
-            });
+    /**
+     * The player was hit by an enemy, an enemy projectile or a boss lane strike
+     * Shields absorb the hit and repel the enemy; without enough of them the run ends
+     * (the Shield buff blocks it without using shields up)
+     * @param {Enemy|null} enemy - Enemy that hit the player (null for lane strikes and projectiles)
+     * @param {number} damage - Shields the hit breaks
+     */
+    hitPlayer(enemy, damage = 1) {
+        const player = this.player;
+        if (player.isInvulnerable() || this.gameOverPending) return;
+
+        // The Shield buff blocks the hit outright, shields stay intact
+        if (player.isShielded()) {
+            if (enemy) {
+                this.repelEnemy(enemy);
+            }
+            return;
         }
 
-        // Create energy rings
-        this.victoryEnergyRings = [];
-        for (let i = 0; i < 3; i++) {
-            this.victoryEnergyRings.push({
-                x: centerX,
-                y: centerY,
-                radius: 0,
-                maxRadius: 200 + i * 100,
-                speed: 2 + i * 0.5,
-                life: 0,
-                maxLife: 120,
-                alpha: 1,
-                color: `hsl(${30 + i * 20}, 100%, 60%)`
-            });
+        if (!player.absorbHit(damage)) {
+            this.gameOver();
+            return;
         }
+
+        if (enemy) {
+            this.repelEnemy(enemy);
+        }
+        this.events.emit(GameEvents.PLAYER_HIT, { player, enemy, shields: player.shields });
     }
 
     /**
-     * Update victory screen animation
+     * Clear an enemy off a shielded player: small enemies are destroyed (no score or experience),
+     * tanks and groups are knocked back up
+     * @param {Enemy} enemy
      */
-    updateVictoryAnimation() {
-        this.victoryTime++;
+    repelEnemy(enemy) {
+        if (enemy.type === 'tank' || enemy instanceof MultiUnitEnemy) {
+            enemy.y -= BALANCE.shields.knockback;
+            return;
+        }
+        if (enemy.type === 'boss' || enemy.type === 'carrier') return;
 
-        // Update burst particles
-        this.victoryParticles = this.victoryParticles.filter(particle => {
-            particle.x += particle.vx;
-            particle.y += particle.vy;
-            particle.vx *= 0.98;
-            particle.vy *= 0.98;
-            particle.life++;
-            particle.size *= 0.98;
-            return particle.life < particle.maxLife;
-        });
+        this.effects.push(EffectManager.createEffect(enemy.x, enemy.y, enemy.type));
+        enemy.active = false;
+    }
 
-        // Update floating stars
-        this.victoryStars.forEach(star => {
-            star.x += Math.cos(star.angle) * star.speed;
-            star.y += Math.sin(star.angle) * star.speed;
-            star.twinkle += star.twinkleSpeed;
-            
-            // Wrap around screen
-            if (star.x < 0) star.x = this.canvas.width;
-            if (star.x > this.canvas.width) star.x = 0;
-            if (star.y < 0) star.y = this.canvas.height;
-            if (star.y > this.canvas.height) star.y = 0;
+    /**
+     * The player was hit - ends the run unless the mode says otherwise (Zen)
+     */
+    gameOver() {
+        // Don't trigger multiple times
+        if (this.state === 'gameover' || this.gameOverPending) return;
+        if (!this.mode.onPlayerKilled(this)) return;
+        this.gameOverPending = true;
+        this.saveManager.clear(); // The run is over, nothing to continue
+        this.events.emit(GameEvents.PLAYER_KILLED, { player: this.player });
+
+        // Delay game over screen to show explosion
+        this.schedule(500, () => this.endRun('killed')); // 500ms delay for explosion animation
+    }
+
+    /**
+     * End the run and show its results
+     * @param {string} reason - Why the run ended: killed, timeup (Time Attack), cleared (Boss Rush) or quit
+     */
+    endRun(reason) {
+        if (this.state === 'gameover') return;
+        if (this.gameOverPending && reason !== 'killed') return; // The player's death ends it
+
+        this.state = 'gameover';
+        this.gameOverPending = false;
+        this.saveManager.clear();
+        this.audioManager.stopMusic();
+
+        // Replays don't count towards high scores
+        const { mode, difficulty } = this.settings;
+        const newHighScore = !this.replayPlayer && this.highScores.submit(difficulty, this.score, mode);
+        this.events.emit(GameEvents.GAME_OVER, {
+            score: this.score,
+            level: this.level,
+            elapsedTime: this.elapsedTime,
+            mode,
+            difficulty,
+            reason,
+            results: this.mode.getResults(this, reason),
+            highScore: this.highScores.get(difficulty, mode),
+            newHighScore
         });
+    }
 
-        // Update energy rings
-        if (this.victoryEnergyRings) {
-            this.victoryEnergyRings.forEach(ring => {
-                ring.radius += ring.speed;
-                ring.life++;
-                ring.alpha = 1 - (ring.life / ring.maxLife);
-                
-                // Create new ring when old one fades
-                if (ring.life >= ring.maxLife && this.victoryTime % 60 === 0) {
-                    const centerX = this.canvas.width / 2;
-                    const centerY = this.canvas.height / 2;
-                    ring.radius = 0;
-                    ring.life = 0;
-                    ring.alpha = 1;
-                    ring.x = centerX;
-                    ring.y = centerY;
-                }
-            });
+    /**
+     * End the run from the pause screen (the only way out of a Zen run)
+     */
+    quitRun() {
+        if (this.state !== 'paused' && this.state !== 'playing') return;
+        this.ui.hidePaused();
+        this.endRun('quit');
+    }
+
+    /**
+     * Handle input - applies this tick's inputs (live, or recorded when watching a replay)
+     */
+    handleInput() {
+        if (this.state !== 'playing' && this.state !== 'victory' && this.state !== 'draft') return;
+
+        let actions;
+        if (this.replayPlayer) {
+            // Replays ignore live input
+            actions = this.replayPlayer.getInputs(this.tick);
+            this.keysPressed = {};
+            this.pendingInputs = [];
+        } else {
+            actions = this.collectInputs();
         }
 
-        // Spawn new particles occasionally
-        if (this.victoryTime % 10 === 0 && this.victoryParticles.length < 100) {
-            const centerX = this.canvas.width / 2;
-            const centerY = this.canvas.height / 2;
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 1 + Math.random() * 3;
-            this.victoryParticles.push({
-                x: centerX,
-                y: centerY,
-                vx: Math.cos(angle) * speed,
-                vy: Math.sin(angle) * speed,
-                size: 2 + Math.random() * 4,
-                life: 0,
-                maxLife: 40 + Math.random() * 30,
-                color: `hsl(${Math.random() * 60 + 30}, 100%, ${50 + Math.random() * 30}%)`,
-                glow: true
-            });
+        actions.forEach(action => this.applyInput(action));
+
+        // Shooting is now automatic - removed manual shooting
+    }
+
+    /**
+     * Collect live input since the last tick
+     * @returns {string[]} - Input actions (left, right, cycle, bomb, continue, draft0, ...)
+     */
+    collectInputs() {
+        if (this.state === 'draft') {
+            return this.collectDraftInputs();
+        }
+
+        const actions = [];
+
+        // Lane switching - only switch once per key press
+        if (this.keysPressed['a'] || this.keysPressed['arrowleft']) {
+            actions.push('left');
+            this.keysPressed['a'] = false;
+            this.keysPressed['arrowleft'] = false;
         }
+        if (this.keysPressed['d'] || this.keysPressed['arrowright']) {
+            actions.push('right');
+            this.keysPressed['d'] = false;
+            this.keysPressed['arrowright'] = false;
+        }
+
+        // Number keys jump straight to a lane (1 = leftmost)
+        for (let laneIndex = 0; laneIndex < CONFIG.LANE_COUNT; laneIndex++) {
+            const key = String(laneIndex + 1);
+            if (this.keysPressed[key]) {
+                actions.push(getLaneAction(laneIndex));
+                this.keysPressed[key] = false;
+                this.keysPressed[`digit${key}`] = false;
+            }
+        }
+
+        if (this.keysPressed['b']) {
+            actions.push('bomb');
+            this.keysPressed['b'] = false;
+        }
+
+        // Taps/clicks arrive between ticks, so the UI queues them
+        actions.push(...this.pendingInputs);
+        this.pendingInputs = [];
+
+        return actions;
     }
 
     /**
-     * Draw victory screen animation
+     * Collect live input while a draft is on offer
+     * Number keys pick, left/right move the highlight, Enter/Space picks it and R rerolls
+     * @returns {string[]} - Input actions (draft0, draft1, draft2, reroll)
      */
-    drawVictoryAnimation() {
-        const centerX = this.canvas.width / 2;
-        const centerY = this.canvas.height / 2;
+    collectDraftInputs() {
+        const actions = [];
+        const pressed = keys => keys.some(key => this.keysPressed[key]);
 
-        // Draw energy rings
-        if (this.victoryEnergyRings) {
-            this.victoryEnergyRings.forEach(ring => {
-                if (ring.alpha > 0) {
-                    this.ctx.save();
-                    this.ctx.globalAlpha = ring.alpha * 0.6;
-                    this.ctx.strokeStyle = ring.color;
-                    this.ctx.lineWidth = 3;
-                    this.ctx.shadowColor = ring.color;
-                    this.ctx.shadowBlur = 20;
-                    this.ctx.beginPath();
-                    this.ctx.arc(ring.x, ring.y, ring.radius, 0, Math.PI * 2);
-                    this.ctx.stroke();
-                    this.ctx.restore();
+        if (pressed(['a', 'arrowleft'])) {
+            this.moveDraftSelection(-1);
+        }
+        if (pressed(['d', 'arrowright'])) {
+            this.moveDraftSelection(1);
+        }
+        for (let index = 0; index < this.draft.choices.length; index++) {
+            if (pressed([String(index + 1)])) {
+                actions.push(getDraftAction(index));
+            }
+        }
+        if (pressed(['enter', ' ', 'space'])) {
+            actions.push(getDraftAction(this.draftSelection));
+        }
+        if (pressed(['r'])) {
+            actions.push('reroll');
+        }
+        this.keysPressed = {};
+
+        // Card taps arrive between ticks, so the UI queues them
+        actions.push(...this.pendingInputs);
+        this.pendingInputs = [];
+
+        return actions;
+    }
+
+    /**
+     * Queue an input action from the UI for the next tick
+     * @param {string} action - Input action (cycle, continue, lane0, lane1, ...)
+     */
+    queueInput(action) {
+        this.pendingInputs.push(action);
+    }
+
+    /**
+     * Apply an input action and record it for the replay
+     * Actions that don't apply in the current state are dropped unrecorded
+     * @param {string} action - Input action (left, right, cycle, bomb, continue, lane0, lane1, ..., draft0, ..., reroll)
+     */
+    applyInput(action) {
+        const targetLane = getActionLane(action);
+        const draftChoice = getActionDraftChoice(action);
+        if (action === 'continue') {
+            if (this.state !== 'victory' || this.victoryLocked) return;
+        } else if (draftChoice >= 0 || action === 'reroll') {
+            if (this.state !== 'draft' || this.draftLockTicks > 0) return;
+            if (draftChoice >= this.draft.choices.length) return;
+            if (action === 'reroll' && this.player.rerolls <= 0) return;
+        } else if (this.state !== 'playing' || !this.player) {
+            return;
+        } else if (targetLane >= CONFIG.LANE_COUNT) {
+            return;
+        } else if (action === 'bomb' && (!this.player.isBombReady() || this.gameOverPending)) {
+            return;
+        }
+
+        if (!this.replayPlayer) {
+            this.recorder.record(this.tick, action);
+        }
+
+        switch (action) {
+            case 'left':
+                this.player.switchLane(-1);
+                break;
+            case 'right':
+                this.player.switchLane(1);
+                break;
+            case 'cycle':
+                this.cycleLane();
+                break;
+            case 'bomb':
+                this.useBomb();
+                break;
+            case 'continue':
+                this.continueAfterVictory();
+                break;
+            case 'reroll':
+                this.rerollDraft();
+                break;
+            default:
+                if (draftChoice >= 0) {
+                    this.pickDraft(draftChoice);
+                } else if (targetLane >= 0) {
+                    this.player.moveToLane(targetLane);
+                } else {
+                    console.warn(`Unknown input action: ${action}`);
                 }
-            });
         }
+    }
 
-        // Draw floating stars
-        this.victoryStars.forEach(star => {
-            const twinkle = Math.sin(star.twinkle) * 0.5 + 0.5;
-            this.ctx.save();
-            this.ctx.globalAlpha = twinkle;
-            this.ctx.fillStyle = star.color;
-            this.ctx.shadowColor = star.color;
-            this.ctx.shadowBlur = 10;
-            this.ctx.beginPath();
-            this.ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
-            this.ctx.fill();
-            this.ctx.restore();
-        });
+    /**
+     * Move player to the next lane, wrapping around (tap/click control)
+     */
+    cycleLane() {
+        if (this.state !== 'playing' || !this.player) return;
 
-        // Draw burst particles
-        this.victoryParticles.forEach(particle => {
-            const progress = particle.life / particle.maxLife;
-            const alpha = 1 - progress;
-            
-            this.ctx.save();
-            this.ctx.globalAlpha = alpha;
-            this.ctx.fillStyle = particle.color;
-            if (particle.glow) {
-                this.ctx.shadowColor = particle.color;
-                this.ctx.shadowBlur = 15;
+        this.player.moveToLane((this.player.laneIndex + 1) % CONFIG.LANE_COUNT);
+    }
+
+    /**
+     * Get the replay of the current (or last) run - the watched one while a replay plays
+     * @returns {object} - Replay data, see serializeReplay()
+     */
+    getReplay() {
+        if (this.replayPlayer) {
+            return this.replayPlayer.replay;
+        }
+        return this.recorder.toReplay(this);
+    }
+
+    /**
+     * Watch a replay - restarts the game from the replay's seed and plays its inputs back
+     * @param {object} replay - Replay data
+     * @returns {ReplayPlayer}
+     */
+    startReplay(replay) {
+        this.replayPlayer = new ReplayPlayer(this, replay);
+        this.replayPlayer.restart();
+        this.replayPlayer.play();
+        this.ui.showReplayControls(this.replayPlayer);
+        return this.replayPlayer;
+    }
+
+    /**
+     * Stop watching a replay and return to live input
+     */
+    stopReplay() {
+        if (!this.replayPlayer) return;
+        this.replayPlayer = null;
+        this.ui.hideReplayControls();
+    }
+
+    /**
+     * Serialize the run in progress (simulation state only, effects are cosmetic)
+     * @returns {object} - Save state, see js/save.js
+     */
+    serialize() {
+        return {
+            formatVersion: SAVE_FORMAT_VERSION,
+            gameVersion: GAME_VERSION,
+            savedAt: Date.now(),
+            seed: this.rng.seed,
+            rngState: this.rng.state,
+            laneCount: this.settings.lanes,
+            balance: this.settings.balance,
+            difficulty: this.settings.difficulty,
+            mode: this.settings.mode,
+            progression: this.settings.progression,
+            modeState: this.mode.serialize(),
+            score: this.score,
+            level: this.level,
+            elapsedTime: this.elapsedTime,
+            gameTime: this.gameTime,
+            tick: this.tick,
+            hasCarrier: this.hasCarrier,
+            victoryShown: this.victoryShown,
+            draft: this.draft ? { choices: this.draft.choices.slice() } : null,
+            currentMusicLevel: this.currentMusicLevel,
+            carrierSpawnedAtLevels: Array.from(this.carrierSpawnedAtLevels),
+            bossSpawnedAtLevels: Array.from(this.bossSpawnedAtLevels),
+            waves: this.waves.serialize(),
+            player: snapshotEntity(this.player, ['bullets']),
+            bullets: this.player.bullets.map(bullet => snapshotEntity(bullet)),
+            enemies: this.enemies.map(enemy => snapshotEntity(enemy)),
+            enemyProjectiles: this.enemyProjectiles.map(projectile => snapshotEntity(projectile)),
+            powerups: this.powerups.map(powerup => snapshotEntity(powerup)),
+            xpTexts: this.xpTexts.map(xpText => snapshotEntity(xpText)),
+            levelUpText: this.levelUpText ? snapshotEntity(this.levelUpText) : null,
+            inputs: this.recorder.inputs.map(input => input.slice()) // Keeps the run's replay complete
+        };
+    }
+
+    /**
+     * Restore a serialized run - it resumes paused (or on its draft) so the player can get ready
+     * @param {object} state - Save state from serialize()
+     */
+    restore(state) {
+        validateSaveState(state);
+
+        this.stopReplay();
+        this.start(state.seed, {
+            lanes: state.laneCount,
+            balance: state.balance,
+            difficulty: state.difficulty,
+            mode: state.mode,
+            progression: state.progression
+        });
+        this.rng.state = state.rngState;
+
+        this.score = state.score;
+        this.level = state.level;
+        this.elapsedTime = state.elapsedTime;
+        this.gameTime = state.gameTime;
+        this.tick = state.tick;
+        this.hasCarrier = state.hasCarrier;
+        this.victoryShown = state.victoryShown;
+        this.currentMusicLevel = state.currentMusicLevel;
+        this.carrierSpawnedAtLevels = new Set(state.carrierSpawnedAtLevels);
+        this.bossSpawnedAtLevels = new Set(state.bossSpawnedAtLevels);
+        this.waves.restore(state.waves);
+        this.mode.restore(state.modeState);
+
+        // Rebuild entities through their constructors (pooled ones through their pools), then overwrite with the saved fields
+        // Layout randomness in constructors must not consume the game RNG
+        const layoutRng = new SeededRandom(0);
+        this.player = restoreEntity(new Player(state.player.x, state.player.y), state.player);
+        this.player.bullets = state.bullets.map(data => restoreEntity(getPool(Bullet).acquire(data.x, data.y), data));
+        this.enemies = state.enemies.map(data => {
+            const enemy = EnemyFactory.create(data.type, data.x, data.y, data.laneIndex, this.level, layoutRng);
+            restoreEntity(enemy, data);
+            if (enemy.rng) {
+                enemy.rng = this.rng;
             }
-            this.ctx.beginPath();
-            this.ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
-            this.ctx.fill();
-            this.ctx.restore();
+            return enemy;
+        });
+        this.enemyProjectiles = state.enemyProjectiles.map(data => {
+            return restoreEntity(getPool(EnemyProjectile).acquire(data.x, data.y, data.laneIndex), data);
+        });
+        this.powerups = state.powerups.map(data => {
+            return restoreEntity(PowerupFactory.create(data.type, data.x, data.y, data.experienceAmount, data.upgradeType), data);
+        });
+        this.xpTexts = state.xpTexts.map(data => {
+            return restoreEntity(getPool(XPText).acquire(data.x, data.y, data.xpAmount, data.upgradeType), data);
         });
+        this.levelUpText = state.levelUpText ? restoreEntity(this.createLevelUpText(), state.levelUpText) : null;
+        this.recorder.inputs = state.inputs.map(input => input.slice());
+        this.storePreviousPositions();
 
-        // Draw central burst effect
-        const burstProgress = Math.min(this.victoryTime / 30, 1);
-        if (burstProgress < 1) {
-            const burstSize = burstProgress * 150;
-            const burstAlpha = (1 - burstProgress) * 0.8;
-            this.ctx.save();
-            this.ctx.globalAlpha = burstAlpha;
-            const gradient = this.ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, burstSize);
-            gradient.addColorStop(0, 'rgba(255, 215, 0, 1)');
-            gradient.addColorStop(0.5, 'rgba(255, 165, 0, 0.5)');
-            gradient.addColorStop(1, 'rgba(255, 69, 0, 0)');
-            this.ctx.fillStyle = gradient;
-            this.ctx.beginPath();
-            this.ctx.arc(centerX, centerY, burstSize, 0, Math.PI * 2);
-            this.ctx.fill();
-            this.ctx.restore();
-        }
-
-        // Draw pulsing glow at center
-        const pulse = Math.sin(this.victoryTime * 0.1) * 0.3 + 0.7;
-        this.ctx.save();
-        this.ctx.globalAlpha = pulse * 0.4;
-        const pulseGradient = this.ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, 100);
-        pulseGradient.addColorStop(0, 'rgba(255, 215, 0, 1)');
-        pulseGradient.addColorStop(1, 'rgba(255, 215, 0, 0)');
-        this.ctx.fillStyle = pulseGradient;
-        this.ctx.beginPath();
-        this.ctx.arc(centerX, centerY, 100, 0, Math.PI * 2);
-        this.ctx.fill();
-        this.ctx.restore();
-    }
+        this.startMusicForState();
 
-    continueAfterVictory() {
-        this.state = 'playing';
-        this.victoryScreen.style.display = 'none';
-        
-        // Clear victory animation
-        this.victoryParticles = [];
-        this.victoryStars = [];
-        this.victoryEnergyRings = [];
-        this.victoryTime = 0;
-        
-        // Resume music
-        if (this.hasCarrier) {
-            this.audioManager.startCarrierMusic();
+        this.updateUI();
+        // A draft on offer already holds the run; save it again, starting the restored run cleared the save
+        if (state.draft) {
+            this.showDraft({ choices: state.draft.choices.slice() });
+            this.saveRun();
         } else {
-            this.audioManager.startBackgroundMusic(this.level);
+            this.pause();
         }
-        // Game continues normally, can play infinitely until death
     }
 
-    gameOver() {
-        // Don't trigger multiple times
-        if (this.state === 'gameover') return;
+    /**
+     * Save the run in progress (no-op when there is nothing to continue)
+     * @returns {boolean} - Whether the run was saved
+     */
+    saveRun() {
+        if (!this.saveManager.isAvailable() || this.replayPlayer || this.gameOverPending || !this.player) return false;
+        if (this.state !== 'playing' && this.state !== 'paused' && this.state !== 'victory' && this.state !== 'draft') return false;
 
-        // Stop music when game over
+        return this.saveManager.save(this.serialize());
+    }
+
+    /**
+     * Check if there is a saved run to continue
+     * @returns {boolean}
+     */
+    hasSavedRun() {
+        return this.saveManager.hasSave();
+    }
+
+    /**
+     * Continue the saved run
+     * @returns {boolean} - Whether a valid save was found and restored
+     */
+    continueSavedRun() {
+        const state = this.saveManager.load();
+        if (!state) return false;
+
+        this.restore(state);
+        return true;
+    }
+
+    /**
+     * Leave the current run (or replay) and return to the main menu
+     */
+    exitToMenu() {
+        this.stopReplay();
+        this.state = 'menu';
         this.audioManager.stopMusic();
+        this.ui.showMenu();
+    }
 
-        // Create player death explosion effect
-        if (this.player) {
-            const explosion = new ExplosionEffect(this.player.x, this.player.y, 'large');
-            this.effects.push(explosion);
+    /**
+     * Keep the player on its lane after lane positions change (canvas resize)
+     */
+    onLanePositionsChanged() {
+        if (this.player && (this.state === 'playing' || this.state === 'paused')) {
+            this.player.targetX = CONFIG.LANE_POSITIONS[this.player.laneIndex];
         }
+        const boss = this.getActiveBoss();
+        if (boss) {
+            boss.targetX = CONFIG.LANE_POSITIONS[boss.destinationLane];
+        }
+    }
 
-        // Delay game over screen to show explosion
-        setTimeout(() => {
-            this.state = 'gameover';
-            this.audioManager.play('gameover');
-            this.finalScoreElement.textContent = this.score;
-            this.gameOverScreen.style.display = 'flex';
-        }, 500); // 500ms delay for explosion animation
+    /**
+     * Get the boss being fought
+     * @returns {BossEnemy|null}
+     */
+    getActiveBoss() {
+        for (let i = 0; i < this.enemies.length; i++) {
+            const enemy = this.enemies[i];
+            if (enemy.type === 'boss' && enemy.active) return enemy;
+        }
+        return null;
     }
 
     /**
-     * Handle input
+     * Spawn the boss of a milestone level at the top of a random lane
+     * @param {number} level - Milestone level (see getBossForLevel)
+     * @returns {BossEnemy}
      */
-    handleInput() {
-        if (this.state !== 'playing') return;
+    spawnBoss(level) {
+        const laneIndex = randomInt(0, CONFIG.LANE_COUNT - 1, this.rng);
+        const boss = EnemyFactory.create('boss', CONFIG.LANE_POSITIONS[laneIndex], 110, laneIndex, level, this.rng);
+        this.enemies.push(boss);
+        this.bossSpawnedAtLevels.add(level);
+        this.events.emit(GameEvents.BOSS_SPAWNED, { boss });
+        return boss;
+    }
 
-        // Lane switching - only switch once per key press
-        if (this.keysPressed['a'] || this.keysPressed['arrowleft']) {
-            this.player.switchLane(-1);
-            this.keysPressed['a'] = false;
-            this.keysPressed['arrowleft'] = false;
+    /**
+     * Spawn a carrier near the top of a random lane
+     * @param {number} level - Level the carrier is built for
+     * @param {boolean} forced - Whether it was forced (milestone, Boss Rush) rather than a random spawn
+     * @returns {CarrierEnemy}
+     */
+    spawnCarrier(level, forced) {
+        const laneIndex = randomInt(0, CONFIG.LANE_COUNT - 1, this.rng);
+        const x = CONFIG.LANE_POSITIONS[laneIndex];
+        const carrier = EnemyFactory.create('carrier', x, 100, laneIndex, level, this.rng); // Spawn near top
+        this.enemies.push(carrier);
+        this.events.emit(GameEvents.CARRIER_SPAWNED, { carrier, forced });
+        return carrier;
+    }
+
+    /**
+     * Count the player bullets coming up an enemy's lane below it
+     * @param {Enemy} enemy
+     * @returns {number}
+     */
+    countIncomingFire(enemy) {
+        if (!this.player) return 0;
+        let count = 0;
+        const bullets = this.player.bullets;
+        for (let i = 0; i < bullets.length; i++) {
+            const bullet = bullets[i];
+            if (bullet.active && bullet.laneIndex === enemy.laneIndex && bullet.y > enemy.y) {
+                count++;
+            }
         }
-        if (this.keysPressed['d'] || this.keysPressed['arrowright']) {
-            this.player.switchLane(1);
-            this.keysPressed['d'] = false;
-            this.keysPressed['arrowright'] = false;
+        return count;
+    }
+
+    /**
+     * Fire the projectiles a ranged enemy queued this tick from its nose, down its lane
+     * @param {ShooterEnemy} enemy
+     */
+    fireEnemyShots(enemy) {
+        const shots = enemy.takeShots();
+        for (let i = 0; i < shots; i++) {
+            const projectile = getPool(EnemyProjectile).acquire(
+                enemy.x, enemy.y + enemy.height / 2, enemy.laneIndex, enemy.projectileSpeed, enemy.projectileDamage
+            );
+            this.enemyProjectiles.push(projectile);
+            this.events.emit(GameEvents.ENEMY_FIRED, { enemy, projectile });
         }
+    }
 
-        // Shooting is now automatic - removed manual shooting
+    /**
+     * Carry out the actions a boss queued this tick: summons, lane strikes and phase changes
+     * @param {BossEnemy} boss
+     */
+    handleBossActions(boss) {
+        boss.takeActions().forEach(action => {
+            if (action.type === 'summon') {
+                for (let i = 0; i < action.count; i++) {
+                    const laneIndex = randomInt(0, CONFIG.LANE_COUNT - 1, this.rng);
+                    const x = CONFIG.LANE_POSITIONS[laneIndex];
+                    const y = boss.y + boss.height / 2 + 20;
+                    this.effects.push(EffectManager.createEffect(x, y, 'spawn'));
+                    this.enemies.push(EnemyFactory.create(action.enemyType, x, y, laneIndex, this.level, this.rng));
+                }
+            } else if (action.type === 'strike') {
+                // Lane-wide attack: anything in a struck lane is hit, the player included
+                action.lanes.forEach(laneIndex => {
+                    this.effects.push(EffectManager.createEffect(CONFIG.LANE_POSITIONS[laneIndex], CONFIG.PLAYER_Y, 'tank'));
+                });
+                if (this.player && action.lanes.includes(this.player.laneIndex)) {
+                    this.hitPlayer(null);
+                }
+            } else if (action.type === 'phase') {
+                this.events.emit(GameEvents.BOSS_PHASE_CHANGED, { boss, phase: action.phase });
+            }
+        });
+    }
+
+    /**
+     * Drop a defeated boss's reward: one experience pickup per upgrade type
+     * @param {BossEnemy} boss
+     */
+    dropBossReward(boss) {
+        if (!this.player.upgradesEnabled) return;
+        const xpAmount = Math.max(1, Math.floor(evaluateCurve(getEnemyBalance('boss').experience, this.level) * DIFFICULTY.experience));
+        const upgradeTypes = getUpgradeTypes();
+        upgradeTypes.forEach((upgradeType, index) => {
+            const offsetX = (index - (upgradeTypes.length - 1) / 2) * 30;
+            // Shared experience has no type
+            const type = this.player.sharedExperience ? null : upgradeType;
+            this.powerups.push(PowerupFactory.create('experience', boss.x + offsetX, boss.y, xpAmount, type));
+        });
     }
 
     /**
-     * Spawn enemies
+     * Spawn enemies - scripted waves, or random weighted spawns when no wave is defined for the level
      */
     spawnEnemies() {
-        // Increase spawn rate with level - slow gradual increase
+        // A boss fight replaces waves and random spawns (the boss summons its own enemies),
+        // and some modes spawn their own encounters instead
+        if (this.getActiveBoss() || !this.mode.spawnsWaves) return;
+
+        // Spawn pace increases with level - slow gradual increase
         // Uses square root for smoother progression: level 1 = 1.0x, level 5 = 1.4x, level 10 = 1.73x
-        const spawnRate = CONFIG.ENEMY_SPAWN_RATE * Math.min(1 + Math.sqrt(this.level - 1) * 0.1, 2);
+        // then scaled by the difficulty
+        const pace = Math.min(1 + Math.sqrt(this.level - 1) * 0.1, 2) * DIFFICULTY.spawnRate;
 
-        if (Math.random() < spawnRate) {
-            const laneIndex = randomInt(0, CONFIG.LANE_COUNT - 1);
+        if (!this.waves.update(this, pace) && chance(CONFIG.ENEMY_SPAWN_RATE * pace, this.rng)) {
+            const laneIndex = randomInt(0, CONFIG.LANE_COUNT - 1, this.rng);
             const x = CONFIG.LANE_POSITIONS[laneIndex];
-            const enemy = EnemyFactory.createRandom(x, -40, laneIndex, this.level);
+            const enemy = EnemyFactory.createRandom(x, -40, laneIndex, this.level, this.rng);
             this.enemies.push(enemy);
         }
 
@@ -550,14 +1275,26 @@ class Game {
         if (this.level >= 5 && this.level % 5 !== 0) {
             // Check if there's already a carrier
             const hasCarrier = this.enemies.some(e => e.type === 'carrier' && e.active);
-            if (!hasCarrier && Math.random() < 0.001) { // Very low spawn rate for carrier
-                const laneIndex = randomInt(0, CONFIG.LANE_COUNT - 1);
-                const x = CONFIG.LANE_POSITIONS[laneIndex];
-                const carrier = EnemyFactory.create('carrier', x, 100, laneIndex, this.level); // Spawn near top
-                this.enemies.push(carrier);
-                // Switch to carrier music when carrier spawns
-                this.hasCarrier = true;
-                this.audioManager.startCarrierMusic();
+            if (!hasCarrier && chance(0.001 * DIFFICULTY.carrierRate, this.rng)) { // Very low spawn rate for carrier
+                this.spawnCarrier(this.level, false);
+            }
+        }
+    }
+
+    /**
+     * Merge overlapping experience orbs of the same upgrade type (any two orbs with shared experience)
+     * One orb absorbs the other, which is released with the inactive powerups next tick
+     */
+    mergeExperienceOrbs() {
+        for (let i = 0; i < this.powerups.length; i++) {
+            const orb = this.powerups[i];
+            if (!orb.active || !(orb instanceof ExperiencePowerup)) continue;
+            for (let j = i + 1; j < this.powerups.length; j++) {
+                const other = this.powerups[j];
+                if (other.active && other instanceof ExperiencePowerup && other.upgradeType === orb.upgradeType
+                    && checkCollision(orb.getBounds(), other.getBounds())) {
+                    orb.absorb(other);
+                }
             }
         }
     }
@@ -567,15 +1304,27 @@ class Game {
      * Random powerups (not from enemy drops) stop spawning after level 5
      */
     spawnPowerups() {
-        // Stop random powerup spawning after level 5
-        if (this.level >= 5) {
+        // No powerups when they would be useless, nor buffs: Pure Survival is the starting ship only
+        if (!this.player.upgradesEnabled) {
             return;
         }
-        
-        if (Math.random() < CONFIG.POWERUP_SPAWN_RATE) {
-            const laneIndex = randomInt(0, CONFIG.LANE_COUNT - 1);
+
+        // Random upgrade powerups stop at BALANCE.buffs.minLevel, timed buffs drop from there on
+        if (this.level >= BALANCE.buffs.minLevel) {
+            if (chance(BALANCE.buffs.dropChance, this.rng)) {
+                const laneIndex = randomInt(0, CONFIG.LANE_COUNT - 1, this.rng);
+                this.powerups.push(PowerupFactory.create(rollBuffType(this.rng), CONFIG.LANE_POSITIONS[laneIndex], -25));
+            }
+            return;
+        }
+
+        if (chance(CONFIG.POWERUP_SPAWN_RATE, this.rng)) {
+            const laneIndex = randomInt(0, CONFIG.LANE_COUNT - 1, this.rng);
             const x = CONFIG.LANE_POSITIONS[laneIndex];
-            const powerup = PowerupFactory.createRandom(x, -25);
+            // Shared experience: the same 5 XP as an upgrade powerup, without a type
+            const powerup = this.player.sharedExperience
+                ? PowerupFactory.create('experience', x, -25, 5, null)
+                : PowerupFactory.createRandom(x, -25, this.rng);
             this.powerups.push(powerup);
         }
     }
@@ -584,25 +1333,45 @@ class Game {
      * Update game entities
      */
     update() {
-        // Always update effects even after game over to show death animation (optimized cleanup)
+        // Paused: freeze everything, including effects and the game clock
+        if (this.state === 'paused') return;
+
+        // Draft: the run is frozen too, but ticks go on so picks are recorded in order
+        if (this.state === 'draft') {
+            this.tick++;
+            if (this.draftLockTicks > 0) this.draftLockTicks--;
+            this.storePreviousPositions(); // Nothing moves, so nothing interpolates
+            return;
+        }
+
+        // Advance the game clock while a run is live and fire any due timers
+        if (this.state === 'playing' || this.state === 'victory') {
+            this.gameTime += CONFIG.FIXED_TIMESTEP;
+            this.tick++;
+            this.runTimers();
+        }
+
+        // Always update effects even after game over to show death animation
+        // Finished effects go back to their pool (swap-remove: draw order of effects doesn't matter)
         let effectIndex = 0;
         while (effectIndex < this.effects.length) {
             const effect = this.effects[effectIndex];
-            if (!effect.active) {
-                this.effects.splice(effectIndex, 1);
-                continue;
+            if (effect.active) {
+                effect.update();
             }
-            effect.update();
             if (!effect.active) {
-                this.effects.splice(effectIndex, 1);
+                swapRemove(this.effects, effectIndex);
+                EffectManager.release(effect);
                 continue;
             }
             effectIndex++;
         }
         
-        // Limit effects to prevent memory issues
-        if (this.effects.length > 100) {
-            this.effects = this.effects.slice(-100); // Keep only last 100 effects
+        // Limit effects to prevent memory issues: keep 100, the dropped ones go back to their pool
+        while (this.effects.length > 100) {
+            const effect = this.effects[0];
+            swapRemove(this.effects, 0);
+            EffectManager.release(effect);
         }
 
         // Update level up text
@@ -628,27 +1397,39 @@ class Game {
 
         // If victory state, pause all game logic but update victory animation
         if (this.state === 'victory') {
-            this.updateVictoryAnimation();
+            this.renderer.updateVictoryAnimation();
             return; // Completely pause game during victory screen
         }
 
         if (this.state !== 'playing') return;
 
-        // Update elapsed time
-        if (this.gameStartTime > 0) {
-            this.elapsedTime = Math.floor((Date.now() - this.gameStartTime) / 1000); // Convert to seconds
-        }
+        // Remember positions from the previous tick for render interpolation
+        this.storePreviousPositions();
+
+        // Update elapsed time from the simulation clock (wall clock would break determinism)
+        this.elapsedTime = Math.floor(this.gameTime / 1000); // Convert to seconds
 
         // Update music based on game state
         this.updateMusic();
 
-        // Update player
+        // Update player (the bomb meter follows its cooldown)
+        const bombCooling = this.player.bombCooldown > 0;
         this.player.update();
+        if (bombCooling) {
+            this.ui.updateBomb(this.player);
+        }
 
-        // Auto-shoot
-        if (this.player) {
-            this.player.shoot(this.audioManager);
+        // Count timed buffs down (the HUD shows their timers)
+        if (this.player.hasBuffs()) {
+            this.player.updateBuffs().forEach(type => this.events.emit(GameEvents.BUFF_EXPIRED, { type }));
+            this.ui.updateBuffs(this.player);
         }
+        const enemySpeed = applyBuffHooks('enemySpeed', 1, this.player.buffs);
+        const pickupPull = applyBuffHooks('pickupPull', 0, this.player.buffs);
+        const pickupRadius = this.player.getPickupRadius();
+
+        // Auto-shoot
+        this.player.shoot(this.audioManager, this.gameTime);
 
         // Spawn enemies and powerups
         this.spawnEnemies();
@@ -660,8 +1441,8 @@ class Game {
             const enemy = this.enemies[enemyIndex];
             
             if (!enemy.active) {
-                // Remove inactive enemy without creating new array
-                this.enemies.splice(enemyIndex, 1);
+                // Remove inactive enemy without creating new array (swap-remove: enemy order doesn't matter)
+                swapRemove(this.enemies, enemyIndex);
                 continue;
             }
             
@@ -673,12 +1454,33 @@ class Game {
                     // Additional speed boost for late game (20% more per level after level 10)
                     speedIncrement = CONFIG.ENEMY_SPEED_INCREMENT * (1 + (this.level - 10) * 0.02);
                 }
-                enemy.speed = enemy.baseSpeed + (this.level - 1) * speedIncrement;
+                enemy.speed = enemy.baseSpeed + (this.level - 1) * speedIncrement * DIFFICULTY.fastSpeedScaling;
+            } else if (enemy.type === 'boss') {
+                // Bosses aim their lane strikes at the player
+                enemy.playerLane = this.player ? this.player.laneIndex : 0;
             } else if (enemy.type !== 'carrier') {
                 // All other enemies (except carrier) stay at base speed, no level scaling
                 enemy.speed = enemy.baseSpeed;
             }
+            if (enemy instanceof LaneChangerEnemy) {
+                // Trackers follow the player's lane, dodgers sidestep the bullets coming at them
+                enemy.playerLane = this.player ? this.player.laneIndex : 0;
+                enemy.incomingFire = this.countIncomingFire(enemy);
+            }
+            // Slow-Time: scale this tick's movement only, the speed itself is unchanged
+            const speed = enemy.speed;
+            enemy.speed *= enemySpeed;
             enemy.update();
+            enemy.speed = speed;
+
+            if (enemy.type === 'boss' && enemy.active) {
+                this.handleBossActions(enemy);
+            }
+
+            // Ranged enemies fire down their lane
+            if (enemy instanceof ShooterEnemy && enemy.active) {
+                this.fireEnemyShots(enemy);
+            }
 
             // Handle carrier enemy spawning (only if carrier is still active)
             if (enemy.type === 'carrier' && enemy.active && enemy.shouldSpawnEnemy()) {
@@ -692,8 +1494,8 @@ class Game {
 
                 // Only spawn heavy (tank) or formation enemies
                 const enemyTypes = ['tank', 'formation'];
-                const randomType = enemyTypes[randomInt(0, enemyTypes.length - 1)];
-                const spawnedEnemy = EnemyFactory.create(randomType, spawnX, spawnY, enemy.laneIndex, this.level);
+                const randomType = enemyTypes[randomInt(0, enemyTypes.length - 1, this.rng)];
+                const spawnedEnemy = EnemyFactory.create(randomType, spawnX, spawnY, enemy.laneIndex, this.level, this.rng);
                 this.enemies.push(spawnedEnemy);
                 enemy.resetSpawnCooldown();
             }
@@ -701,73 +1503,129 @@ class Game {
             enemyIndex++;
         }
 
-        // Update powerups (optimized: remove inactive ones during iteration)
+        // Update enemy projectiles, returning spent ones to the pool (swap-remove)
+        let projectileIndex = 0;
+        while (projectileIndex < this.enemyProjectiles.length) {
+            const projectile = this.enemyProjectiles[projectileIndex];
+            if (!projectile.active) {
+                swapRemove(this.enemyProjectiles, projectileIndex);
+                releaseToPool(projectile);
+                continue;
+            }
+            const projectileSpeed = projectile.speed;
+            projectile.speed *= enemySpeed;
+            projectile.update();
+            projectile.speed = projectileSpeed;
+            projectileIndex++;
+        }
+
+        // Update powerups, returning inactive ones to their pool (swap-remove)
         let powerupIndex = 0;
         while (powerupIndex < this.powerups.length) {
             const powerup = this.powerups[powerupIndex];
             if (!powerup.active) {
-                this.powerups.splice(powerupIndex, 1);
+                swapRemove(this.powerups, powerupIndex);
+                releaseToPool(powerup);
                 continue;
             }
             try {
-                powerup.update();
+                // Experience orbs inside the pickup radius home in on the ship instead of falling
+                const pulled = powerup instanceof ExperiencePowerup && powerup.pullTowards(this.player.x, this.player.y, pickupRadius);
+                if (!pulled) {
+                    powerup.update();
+                    // Magnet: falling powerups drift sideways towards the ship (pulled orbs already move at their eased speed)
+                    if (pickupPull > 0) {
+                        powerup.x += Math.max(-pickupPull, Math.min(pickupPull, this.player.x - powerup.x));
+                    }
+                }
             } catch (error) {
                 console.error(`ERROR updating powerup ${powerupIndex}:`, error);
                 powerup.active = false; // Deactivate problematic powerup
-                this.powerups.splice(powerupIndex, 1);
+                swapRemove(this.powerups, powerupIndex);
+                releaseToPool(powerup);
                 continue;
             }
             powerupIndex++;
         }
+        if (BALANCE.pickups.mergeOrbs) {
+            this.mergeExperienceOrbs();
+        }
 
-        // Update XP texts (optimized: remove inactive ones during iteration)
+        // Update XP texts, returning finished ones to the pool (swap-remove)
         let xpTextIndex = 0;
         while (xpTextIndex < this.xpTexts.length) {
             const xpText = this.xpTexts[xpTextIndex];
             if (!xpText.active) {
-                this.xpTexts.splice(xpTextIndex, 1);
+                swapRemove(this.xpTexts, xpTextIndex);
+                releaseToPool(xpText);
                 continue;
             }
             xpText.update();
             xpTextIndex++;
         }
 
-        // Optimized bullet-enemy collision detection: lane-based y-axis only
+        // Optimized bullet-enemy collision detection: lane-based, y-axis only except for the units of multi-unit enemies
         if (this.player) {
-            const activeBullets = this.player.bullets.filter(b => b.active);
-            const activeEnemies = this.enemies.filter(e => e.active);
-            
-            // Safety check: prevent excessive entity counts
-            if (activeBullets.length > 200 || activeEnemies.length > 100) {
-                console.warn(`WARNING: Unusually high entity count - Bullets: ${activeBullets.length}, Enemies: ${activeEnemies.length}`);
-                if (activeBullets.length > 300) {
-                    this.player.bullets = this.player.bullets.filter(b => b.active).slice(0, 200);
-                }
-                if (activeEnemies.length > 150) {
-                    this.enemies = this.enemies.filter(e => e.active).slice(0, 100);
-                }
-            }
-
             // Group bullets and enemies by lane - each lane is checked independently
-            const bulletsByLane = new Array(CONFIG.LANE_COUNT).fill(null).map(() => []);
-            const enemiesByLane = new Array(CONFIG.LANE_COUNT).fill(null).map(() => []);
+            // The lane buffers are scratch arrays reused every tick (no per-tick allocation)
+            const bulletsByLane = this.clearLaneBuffers(this.bulletsByLane);
+            const enemiesByLane = this.clearLaneBuffers(this.enemiesByLane);
 
             // Group bullets by their lane (determined at creation time)
-            activeBullets.forEach(bullet => {
+            const bullets = this.player.bullets;
+            let activeBulletCount = 0;
+            for (let i = 0; i < bullets.length; i++) {
+                const bullet = bullets[i];
+                if (!bullet.active) continue;
+                activeBulletCount++;
                 if (bullet.laneIndex >= 0 && bullet.laneIndex < CONFIG.LANE_COUNT) {
                     bulletsByLane[bullet.laneIndex].push(bullet);
                 }
-            });
+            }
 
-            // Group enemies by lane
-            activeEnemies.forEach(enemy => {
-                if (enemy.laneIndex >= 0 && enemy.laneIndex < CONFIG.LANE_COUNT) {
-                    enemiesByLane[enemy.laneIndex].push(enemy);
+            // Group enemies by the lane of their current position (lane changers move after spawning)
+            // An enemy between two lanes can be hit from both
+            let activeEnemyCount = 0;
+            for (let i = 0; i < this.enemies.length; i++) {
+                const enemy = this.enemies[i];
+                if (!enemy.active) continue;
+                activeEnemyCount++;
+                const laneIndex = getLaneIndex(enemy.x);
+                enemiesByLane[laneIndex].push(enemy);
+                const straddledLane = enemy.getStraddledLane(laneIndex);
+                if (straddledLane !== -1) {
+                    enemiesByLane[straddledLane].push(enemy);
                 }
-            });
+            }
+
+            // Safety check: prevent excessive entity counts (entities dropped here just miss this tick's collisions)
+            if (activeBulletCount > 200 || activeEnemyCount > 100) {
+                console.warn(`WARNING: Unusually high entity count - Bullets: ${activeBulletCount}, Enemies: ${activeEnemyCount}`);
+                if (activeBulletCount > 300) {
+                    // Keep 200 bullets: the newest go back to their pool (inactive ones are released by the player's update)
+                    for (let i = bullets.length - 1; i >= 0 && activeBulletCount > 200; i--) {
+                        const bullet = bullets[i];
+                        if (!bullet.active) continue;
+                        bullet.active = false; // Still in this tick's lane buffers
+                        swapRemove(bullets, i);
+                        releaseToPool(bullet);
+                        activeBulletCount--;
+                    }
+                }
+                if (activeEnemyCount > 150) {
+                    // Keep 100 enemies: the newest are dropped in place
+                    for (let i = this.enemies.length - 1; i >= 0 && activeEnemyCount > 100; i--) {
+                        const enemy = this.enemies[i];
+                        if (!enemy.active) continue;
+                        enemy.active = false; // Still in this tick's lane buffers
+                        swapRemove(this.enemies, i);
+                        activeEnemyCount--;
+                    }
+                }
+            }
 
             // For each lane, independently check collisions between bullets and enemies
-            // Each lane only checks its own bullets against its own most forward enemy
+            // A bullet hits the most forward enemy it reaches; multi-unit enemies are only hit on a unit the bullet overlaps
             for (let laneIndex = 0; laneIndex < CONFIG.LANE_COUNT; laneIndex++) {
                 // Get bullets and enemies for this specific lane
                 const laneBullets = bulletsByLane[laneIndex];
@@ -778,264 +1636,97 @@ class Game {
                     continue;
                 }
 
-                // Find the most forward enemy in this lane (bottommost = closest to player)
-                // This is the enemy with the largest bottom Y value
-                const mostForwardEnemy = laneEnemies.reduce((forward, enemy) => {
-                    const enemyBottomY = enemy.getBottomY();
-                    const forwardBottomY = forward ? forward.getBottomY() : -Infinity;
-                    return enemyBottomY > forwardBottomY ? enemy : forward;
-                }, null);
-
-                if (!mostForwardEnemy) continue;
-
-                const mostForwardEnemyBottomY = mostForwardEnemy.getBottomY();
+                // Sort the lane buffers in place, most forward first (closest to the player)
+                laneEnemies.sort(Game.compareEnemiesForward);
+                laneBullets.sort(Game.compareBulletsForward);
 
-                // Check all bullets in this lane, process all bullets that reach the enemy bottom
-                // Sort bullets by Y descending (most forward first) to process collisions in order
-                const sortedBullets = laneBullets
-                    .filter(b => b && b.active)
-                    .sort((a, b) => b.y - a.y); // Sort descending (most forward first)
-
-                // Process all bullets that collide with the enemy in this frame
-                for (const bullet of sortedBullets) {
+                for (let bulletIndex = 0; bulletIndex < laneBullets.length; bulletIndex++) {
+                    const bullet = laneBullets[bulletIndex];
                     // Skip if bullet is no longer active (was destroyed by previous collision)
                     if (!bullet.active) continue;
-                    
-                    // Y-axis collision detection: bullet top <= enemy bottom
-                    if (bullet.y <= mostForwardEnemyBottomY) {
-                        // Check if enemy is still active (might have been destroyed by previous bullet)
-                        if (!mostForwardEnemy.active) {
-                            // Enemy already destroyed, remaining bullets continue upward (don't destroy them)
-                            continue;
-                        }
-
-                        // Collision detected!
-                        bullet.active = false;
-
-                        // Calculate actual damage based on bullet power and enemy type
-                        const actualDamage = bullet.getDamage(mostForwardEnemy);
-
-                        // Store unit positions before damage for formation/swarm enemies
-                        let destroyedUnitPositions = [];
-                        if ((mostForwardEnemy.type === 'formation' || mostForwardEnemy.type === 'swarm') && mostForwardEnemy.units) {
-                            // Pre-calculate formation dimensions if needed
-                            let startX, startY, colSpacing, rowSpacing;
-                            if (mostForwardEnemy.type === 'formation') {
-                                const totalWidth = (mostForwardEnemy.cols * mostForwardEnemy.enemyWidth) + ((mostForwardEnemy.cols - 1) * mostForwardEnemy.spacing);
-                                const totalHeight = (mostForwardEnemy.rows * mostForwardEnemy.enemyHeight) + ((mostForwardEnemy.rows - 1) * mostForwardEnemy.rowSpacing);
-                                startX = mostForwardEnemy.x - totalWidth / 2;
-                                startY = mostForwardEnemy.y - totalHeight / 2;
-                                colSpacing = mostForwardEnemy.enemyWidth + mostForwardEnemy.spacing;
-                                rowSpacing = mostForwardEnemy.enemyHeight + mostForwardEnemy.rowSpacing;
-                            }
-                            
-                            // Store positions of units that are about to be destroyed
-                            mostForwardEnemy.units.forEach(unit => {
-                                if (unit.health > 0 && unit.health <= actualDamage) {
-                                    if (mostForwardEnemy.type === 'formation') {
-                                        destroyedUnitPositions.push({
-                                            x: startX + (unit.col * colSpacing) + (mostForwardEnemy.enemyWidth / 2),
-                                            y: startY + (unit.row * rowSpacing) + (mostForwardEnemy.enemyHeight / 2)
-                                        });
-                                    } else { // swarm
-                                        destroyedUnitPositions.push({
-                                            x: mostForwardEnemy.x + unit.offsetX,
-                                            y: mostForwardEnemy.y + unit.offsetY
-                                        });
-                                    }
-                                }
-                            });
-                        }
 
-                        const result = mostForwardEnemy.takeDamage(actualDamage);
-                        const unitsKilled = result.unitsKilled || 0;
-
-                        // Give score and experience for each unit killed (Formation/Swarm)
-                        if (unitsKilled > 0 && (mostForwardEnemy.type === 'formation' || mostForwardEnemy.type === 'swarm')) {
-                            // Score: proportional to unit health, independent of total count
-                            const unitScore = mostForwardEnemy.healthPerUnit * CONFIG.SCORE_PER_ENEMY;
-
-                            // Give score for each killed unit
-                            this.score += unitScore * unitsKilled;
-
-                            // Swarm/Formation: each unit has 0.5 (50%) chance to drop XP
-                            const experienceChance = 0.5;
-
-                            // Queue kill accent for each unit killed (but limit to avoid spam)
-                            const maxAccents = Math.min(unitsKilled, 3);
-                            for (let i = 0; i < maxAccents; i++) {
-                                this.audioManager.queueKillAccent(mostForwardEnemy.type, 0.5);
-                            }
-
-                            for (let i = 0; i < unitsKilled; i++) {
-                                // Chance to gain experience from each unit
-                                if (Math.random() < experienceChance) {
-                                    this.gainExperienceFromEnemy(mostForwardEnemy, i);
-                                }
-                            }
+                    for (let enemyIndex = 0; enemyIndex < laneEnemies.length; enemyIndex++) {
+                        const enemy = laneEnemies[enemyIndex];
+                        // Enemy already destroyed by a previous bullet, the bullet flies on
+                        if (!enemy.active) continue;
+
+                        if (enemy instanceof MultiUnitEnemy) {
+                            // Gaps and shot-away columns let the bullet through to the enemies behind
+                            const unitBounds = enemy.getUnitHitBy(bullet);
+                            if (!unitBounds) continue;
+                            this.hitEnemyUnit(bullet, enemy, unitBounds);
+                            break;
                         }
 
-                        if (result.destroyed) {
-                            // Only give score for non-multi-unit enemies (Formation/Swarm already handled above)
-                            if (mostForwardEnemy.type !== 'formation' && mostForwardEnemy.type !== 'swarm') {
-                                this.score += mostForwardEnemy.scoreValue;
-                            }
-
-                            // Give experience when enemy is completely destroyed (for non-multi-unit enemies)
-                            if (mostForwardEnemy.type !== 'formation' && mostForwardEnemy.type !== 'swarm') {
-                                // Get drop rate based on enemy type
-                                let dropRate = 0.2; // Default
-                                if (mostForwardEnemy.type === 'basic') {
-                                    dropRate = 0.2; // 20%
-                                } else if (mostForwardEnemy.type === 'fast') {
-                                    dropRate = 0.3; // 30%
-                                } else if (mostForwardEnemy.type === 'tank') {
-                                    dropRate = 0.5; // 50%
-                                } else if (mostForwardEnemy.type === 'carrier') {
-                                    dropRate = 1.0; // 100%
-                                }
-
-                                // Check if should drop experience
-                                if (Math.random() < dropRate) {
-                                    this.gainExperienceFromEnemy(mostForwardEnemy, 0);
-                                }
-                            }
-
-                            // Play enemy-specific death sound
-                            this.playEnemyDeathSound(mostForwardEnemy.type);
-
-                            // Queue kill accent for beat synchronization
-                            let accentIntensity = 0.5;
-                            if (mostForwardEnemy.type === 'tank' || mostForwardEnemy.type === 'carrier') {
-                                accentIntensity = 0.8;
-                            } else if (mostForwardEnemy.type === 'formation' || mostForwardEnemy.type === 'swarm') {
-                                accentIntensity = 0.6;
-                            } else {
-                                accentIntensity = 0.4;
-                            }
-                            this.audioManager.queueKillAccent(mostForwardEnemy.type, accentIntensity);
-
-                            // Create destruction effect
-                            const effect = EffectManager.createEffect(mostForwardEnemy.x, mostForwardEnemy.y, mostForwardEnemy.type);
-                            this.effects.push(effect);
-
-                            this.updateUI();
-                        } else if (unitsKilled > 0) {
-                            // Play hit sound even if not fully destroyed
-                            this.audioManager.play('hit');
-
-                            // Create effects for destroyed units
-                            destroyedUnitPositions.forEach((pos, index) => {
-                                if (index < unitsKilled) {
-                                    const effect = EffectManager.createEffect(pos.x, pos.y, mostForwardEnemy.type === 'formation' ? 'formation' : 'swarm');
-                                    this.effects.push(effect);
-                                }
-                            });
-
-                            this.updateUI();
+                        // Y-axis collision detection: bullet reached the enemy bottom (and didn't pierce it already)
+                        const bottomY = enemy.getBottomY();
+                        if (bullet.y <= bottomY && bottomY < bullet.pierceY) {
+                            this.hitEnemy(bullet, enemy);
+                            break;
                         }
                     }
                 }
             }
+
+            // Bullets that are still flying can shoot down enemy projectiles in their lane
+            this.checkProjectileCollisions(bulletsByLane);
         }
 
         // Check player-enemy collisions (only check active enemies)
-        const activeEnemiesForPlayer = this.enemies.filter(e => e.active);
-        activeEnemiesForPlayer.forEach(enemy => {
-            // For formation and swarm enemies, only check collision with actual units
-            // (especially bottom row units that can actually hit the player)
-            if (enemy.type === 'formation' || enemy.type === 'swarm') {
-                // Use cached alive units if available
-                if (!enemy._cachedAliveUnits || enemy._needsCacheUpdate) {
-                    enemy._cachedAliveUnits = enemy.units.filter(u => u.health > 0);
-                    enemy._needsCacheUpdate = false;
-                }
-                const aliveUnits = enemy._cachedAliveUnits;
-                
-                // Check collision with each alive unit
-                let collisionDetected = false;
-                for (const unit of aliveUnits) {
-                    // Calculate unit's actual position
-                    let unitX, unitY;
-                    if (enemy.type === 'formation') {
-                        const totalWidth = (enemy.cols * enemy.enemyWidth) + ((enemy.cols - 1) * enemy.spacing);
-                        const totalHeight = (enemy.rows * enemy.enemyHeight) + ((enemy.rows - 1) * enemy.rowSpacing);
-                        const startX = enemy.x - totalWidth / 2;
-                        const startY = enemy.y - totalHeight / 2;
-                        unitX = startX + (unit.col * (enemy.enemyWidth + enemy.spacing)) + (enemy.enemyWidth / 2);
-                        unitY = startY + (unit.row * (enemy.enemyHeight + enemy.rowSpacing)) + (enemy.enemyHeight / 2);
-                    } else { // swarm
-                        unitX = enemy.x + unit.offsetX;
-                        unitY = enemy.y + unit.offsetY;
-                    }
+        this.enemies.forEach(enemy => {
+            if (!enemy.active || this.player.isInvulnerable()) return;
 
-                    // Check collision with unit's actual bounds
-                    let unitWidth, unitHeight;
-                    if (enemy.type === 'formation') {
-                        unitWidth = enemy.enemyWidth;
-                        unitHeight = enemy.enemyHeight;
-                    } else { // swarm
-                        unitWidth = enemy.unitSize;
-                        unitHeight = enemy.unitSize;
-                    }
-                    const unitBounds = {
-                        x: unitX - unitWidth / 2,
-                        y: unitY - unitHeight / 2,
-                        width: unitWidth,
-                        height: unitHeight
-                    };
-
-                    if (checkCollision(this.player.getBounds(), unitBounds)) {
-                        collisionDetected = true;
-                        break;
-                    }
-                }
-                if (collisionDetected) {
-                    this.gameOver();
+            // For multi-unit enemies, only living units can hit the player
+            if (enemy instanceof MultiUnitEnemy) {
+                const playerBounds = this.player.getBounds();
+                if (enemy.getLivingUnitBounds().some(bounds => checkCollision(playerBounds, bounds))) {
+                    this.hitPlayer(enemy);
                 }
             } else {
                 // For other enemy types, use standard bounds check
                 if (checkCollision(this.player.getBounds(), enemy.getBounds())) {
-                    this.gameOver();
+                    this.hitPlayer(enemy);
                 }
             }
         });
 
-        // Check player-powerup collisions
+        // Check player-projectile collisions (projectiles pass through an invulnerable player)
+        this.enemyProjectiles.forEach(projectile => {
+            if (!projectile.active || this.player.isInvulnerable()) return;
+            if (checkCollision(this.player.getBounds(), projectile.getBounds())) {
+                projectile.active = false;
+                this.hitPlayer(null, projectile.damage);
+            }
+        });
+
+        // Check player-powerup collisions (orbs merged away this tick are inactive)
         this.powerups.forEach(powerup => {
+            if (!powerup.active) return;
             if (checkCollision(this.player.getBounds(), powerup.getBounds())) {
                 powerup.active = false;
 
-                if (powerup.type === 'experience') {
-                    // Handle experience powerup
-                    const oldLevel = this.player.getUpgradeLevel(powerup.upgradeType);
-                    const leveledUp = powerup.apply(this.player);
-                    const newLevel = this.player.getUpgradeLevel(powerup.upgradeType);
+                // Shields and timed buffs aren't upgrades: no experience, no XP text
+                if (powerup.type === 'shield' || getBuffDefinition(powerup.type)) {
+                    powerup.apply(this.player);
+                    this.events.emit(GameEvents.POWERUP_COLLECTED, { powerup, upgradeType: null, amount: 0 });
+                    return;
+                }
 
-                    // Show XP text for experience powerup
-                    this.xpTexts.push(new XPText(powerup.x, powerup.y, powerup.experienceAmount, powerup.upgradeType));
+                // Experience powerups carry their own upgrade type, regular powerups upgrade their type
+                const upgradeType = powerup.type === 'experience' ? powerup.upgradeType : powerup.type;
+                const amount = powerup.type === 'experience' ? powerup.experienceAmount : (powerup.experienceAmount || 5);
 
-                    // If leveled up, show level up effect
-                    if (leveledUp) {
-                        // Could add level up effect here
-                    }
-                } else {
-                    // Handle regular powerups
-                    const oldLevel = this.player.getUpgradeLevel(powerup.type);
-                    powerup.apply(this.player);
-                    const newLevel = this.player.getUpgradeLevel(powerup.type);
+                const oldLevel = this.player.getUpgradeLevel(upgradeType);
+                powerup.apply(this.player);
+                const newLevel = this.player.getUpgradeLevel(upgradeType);
 
-                    // Show XP text for powerup
-                    this.xpTexts.push(new XPText(powerup.x, powerup.y, powerup.experienceAmount || 5, powerup.type));
+                // Show XP text for powerup
+                this.xpTexts.push(getPool(XPText).acquire(powerup.x, powerup.y, amount, upgradeType));
 
-                    // If leveled up, show level up effect
-                    if (newLevel > oldLevel) {
-                        // Could add level up effect here
-                    }
+                this.events.emit(GameEvents.POWERUP_COLLECTED, { powerup, upgradeType, amount });
+                if (newLevel > oldLevel) {
+                    this.events.emit(GameEvents.UPGRADE_LEVELED, { upgradeType, oldLevel, level: newLevel });
                 }
-
-                this.audioManager.play('powerup');
-                this.updateUI();
             }
         });
 
@@ -1045,18 +1736,9 @@ class Game {
         let scoreBasedLevel = 1;
         let totalRequired = 0;
 
-        // Calculate level based on score
-        // Polynomial formula: A + B*n + C*n² + D*n³ + E*n⁴
-        // Where: A = 200, B = 100, C = 20, D = 1, E = 1
-        // requiredForLevel(n) = 200 + 100*n + 20*n² + 1*n³ + 1*n⁴
+        // Calculate level based on score (score per level from BALANCE.levels.scoreRequired)
         while (true) {
-            const A = 200;  // Constant term
-            const B = 100;  // Linear coefficient
-            const C = 20;   // Quadratic coefficient
-            const D = 1;    // Cubic coefficient
-            const E = 1/10;    // Quartic coefficient
-            const n = scoreBasedLevel;
-            const requiredForNext = Math.floor(A + B * n + C * n * n + D * n * n * n + E * n * n * n * n);
+            const requiredForNext = Math.floor(evaluateCurve(BALANCE.levels.scoreRequired, scoreBasedLevel));
             
             if (this.score >= totalRequired + requiredForNext) {
                 totalRequired += requiredForNext;
@@ -1066,120 +1748,271 @@ class Game {
             }
         }
 
-        // Calculate level based on time (1 level per 30 seconds)
-        const timeBasedLevel = 1 + Math.floor(this.elapsedTime / 30);
+        // Calculate level based on time (1 level per BALANCE.levels.secondsPerLevel)
+        const timeBasedLevel = 1 + Math.floor(this.elapsedTime / BALANCE.levels.secondsPerLevel);
 
         // Combined level: take the higher of score-based or time-based, but also consider both
         // Formula: max(scoreLevel, timeLevel) + bonus from having both
         const baseLevel = Math.max(scoreBasedLevel, timeBasedLevel);
         // Bonus: if both score and time contribute, add a small bonus
         const bothContribute = scoreBasedLevel > 1 && timeBasedLevel > 1;
-        const calculatedLevel = baseLevel + (bothContribute ? Math.floor(Math.min(scoreBasedLevel, timeBasedLevel) / 3) : 0);
+        const bonusDivisor = BALANCE.levels.bothContributeBonusDivisor;
+        const calculatedLevel = baseLevel + (bothContribute ? Math.floor(Math.min(scoreBasedLevel, timeBasedLevel) / bonusDivisor) : 0);
 
-        if (calculatedLevel > this.level) {
+        if (calculatedLevel > this.level && this.mode.levelsUp) {
             const oldLevel = this.level;
             this.level = calculatedLevel;
-            this.updateUI();
 
             // Level up effect: clear bottom half of screen enemies
             this.onLevelUp(oldLevel);
+            this.events.emit(GameEvents.LEVEL_UP, { oldLevel, level: this.level });
 
-            // Check for victory at level 20 (only show once)
-            if (this.level >= 20 && this.state === 'playing' && !this.victoryShown) {
+            // Check for victory at the mode's victory level (only show once)
+            const victoryLevel = this.mode.victoryLevel;
+            if (victoryLevel && this.level >= victoryLevel && this.state === 'playing' && !this.victoryShown) {
                 this.victoryShown = true;
                 this.victory();
             }
         }
+
+        // Mode rules: time limit, Boss Rush encounters (may end the run)
+        if (this.state === 'playing' && !this.gameOverPending) {
+            this.mode.update(this);
+        }
+
+        // A full experience pool offers a draft once the tick is done
+        if (this.state === 'playing' && !this.gameOverPending && this.player.isDraftReady()) {
+            this.openDraft();
+        }
+
+        // Autosave so closing the tab doesn't lose the run
+        if (this.tick % CONFIG.AUTOSAVE_INTERVAL === 0) {
+            this.saveRun();
+        }
     }
 
     /**
-     * Draw game
+     * Empty a set of per-lane scratch buffers, creating missing lanes
+     * @param {Array[]} buffers - One array per lane (modified in place)
+     * @returns {Array[]} - The same buffers
      */
-    draw() {
-        // Clear canvas
-        this.ctx.fillStyle = '#0f0f1e';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-
-        // Draw effects even after game over to show death animation
-        this.effects.forEach(effect => effect.draw(this.ctx));
+    clearLaneBuffers(buffers) {
+        for (let laneIndex = 0; laneIndex < CONFIG.LANE_COUNT; laneIndex++) {
+            if (buffers[laneIndex]) {
+                buffers[laneIndex].length = 0;
+            } else {
+                buffers[laneIndex] = [];
+            }
+        }
+        return buffers;
+    }
 
-        // Draw victory animation if in victory state
-        if (this.state === 'victory') {
-            this.drawVictoryAnimation();
-            return;
+    /**
+     * Check player bullets against enemy projectiles: lane-based, on the y-axis only like enemy hits
+     * A bullet and a projectile that meet destroy each other
+     * @param {Bullet[][]} bulletsByLane - This tick's bullets grouped by lane
+     */
+    checkProjectileCollisions(bulletsByLane) {
+        for (let i = 0; i < this.enemyProjectiles.length; i++) {
+            const projectile = this.enemyProjectiles[i];
+            if (!projectile.active) continue;
+            const laneBullets = bulletsByLane[projectile.laneIndex];
+            if (!laneBullets) continue;
+
+            const top = projectile.y - projectile.height / 2;
+            const bottom = projectile.y + projectile.height / 2;
+            for (let bulletIndex = 0; bulletIndex < laneBullets.length; bulletIndex++) {
+                const bullet = laneBullets[bulletIndex];
+                if (!bullet.active || bullet.y > bottom || bullet.y + bullet.height < top) continue;
+
+                bullet.active = false;
+                projectile.active = false;
+                this.events.emit(GameEvents.PROJECTILE_DESTROYED, { projectile, bullet });
+                break;
+            }
         }
+    }
 
-        if (this.state !== 'playing') return;
+    /**
+     * Apply a bullet hit to a single enemy
+     * Score, experience, sounds and effects are handled by event subscribers
+     * @param {Bullet} bullet
+     * @param {Enemy} enemy
+     */
+    hitEnemy(bullet, enemy) {
+        // Calculate actual damage based on bullet power and enemy type
+        const actualDamage = bullet.getDamage(enemy);
+        const result = enemy.takeDamage(actualDamage);
+        this.resolveBulletHit(bullet, enemy, enemy.y - enemy.height / 2);
+
+        if (result.destroyed) {
+            this.events.emit(GameEvents.ENEMY_KILLED, { enemy });
+        }
 
-        // Draw lane dividers
-        this.drawLaneDividers();
+        this.events.emit(GameEvents.ENEMY_DAMAGED, {
+            enemy,
+            damage: actualDamage,
+            unitsKilled: result.unitsKilled || 0,
+            destroyed: result.destroyed
+        });
+    }
 
-        // Draw player
-        if (this.player) {
-            this.player.draw(this.ctx);
-
-            // Draw bullets (only active ones, and only if on screen)
-            const canvasHeight = this.canvas.height;
-            const canvasWidth = this.canvas.width;
-            this.player.bullets.forEach(bullet => {
-                if (bullet.active && bullet.y > -50 && bullet.y < canvasHeight + 50) {
-                    bullet.draw(this.ctx);
-                }
+    /**
+     * Apply a bullet hit to the unit of a multi-unit enemy it overlaps
+     * @param {Bullet} bullet
+     * @param {MultiUnitEnemy} enemy
+     * @param {object} unitBounds - The hit unit's bounds (see MultiUnitEnemy.getUnitHitBy)
+     */
+    hitEnemyUnit(bullet, enemy, unitBounds) {
+        // Read the unit's position before a kill drops it out of the reused unit bounds
+        const unit = unitBounds.unit;
+        const unitX = unitBounds.centerX;
+        const unitY = unitBounds.centerY;
+        const unitTopY = unitBounds.y;
+
+        const actualDamage = bullet.getDamage(enemy);
+        const result = enemy.takeUnitDamage(unit, actualDamage);
+        this.resolveBulletHit(bullet, enemy, unitTopY);
+
+        // A bullet kills at most one unit, so it is always the first unit this hit killed
+        if (result.unitsKilled > 0) {
+            this.events.emit(GameEvents.UNIT_KILLED, {
+                enemy,
+                unitIndex: 0,
+                x: unitX,
+                y: unitY,
+                enemyDestroyed: result.destroyed
             });
         }
 
-        // Draw enemies (only active ones, and only if on screen or near screen)
-        const canvasHeight = this.canvas.height;
-        const canvasWidth = this.canvas.width;
-        this.enemies.forEach(enemy => {
-            if (enemy.active && enemy.y > -100 && enemy.y < canvasHeight + 100) {
-                enemy.draw(this.ctx);
-            }
+        if (result.destroyed) {
+            this.events.emit(GameEvents.ENEMY_KILLED, { enemy });
+        }
+
+        this.events.emit(GameEvents.ENEMY_DAMAGED, {
+            enemy,
+            damage: actualDamage,
+            unitsKilled: result.unitsKilled,
+            destroyed: result.destroyed
         });
+    }
 
-        // Draw powerups (only active ones, and only if on screen)
-        this.powerups.forEach(powerup => {
-            if (powerup.active && powerup.y > -50 && powerup.y < canvasHeight + 50) {
-                powerup.draw(this.ctx);
+    /**
+     * Decide what a bullet does after a hit: pierce through, ricochet to another lane or stop
+     * @param {Bullet} bullet
+     * @param {Enemy} enemy - The enemy that was hit
+     * @param {number} topY - Top Y of the enemy or unit that was hit
+     */
+    resolveBulletHit(bullet, enemy, topY) {
+        if (bullet.pierce(topY)) return;
+
+        if (bullet.ricochetLeft > 0) {
+            const target = this.findRicochetTarget(bullet, enemy, topY);
+            if (target && bullet.ricochet(topY, target.x, target.bottomY, target.laneIndex)) return;
+        }
+
+        bullet.active = false;
+    }
+
+    /**
+     * Find the enemy a bullet bounces to: the nearest one ahead of it in another lane, within BALANCE.upgrades.ricochet.range
+     * Multi-unit enemies are aimed at their nearest living unit.
+     * @param {Bullet} bullet
+     * @param {Enemy} hitEnemy - The enemy the bullet bounces off
+     * @param {number} topY - Top Y of the enemy or unit that was hit, targets must be above it
+     * @returns {object|null} - { x, bottomY, laneIndex } of the target
+     */
+    findRicochetTarget(bullet, hitEnemy, topY) {
+        const range = BALANCE.upgrades.ricochet.range;
+        let target = null;
+        let targetDistance = range * range;
+
+        const consider = (x, bottomY, laneIndex) => {
+            if (bottomY >= topY) return;
+            const dx = x - bullet.x;
+            const dy = bottomY - bullet.y;
+            const distance = dx * dx + dy * dy;
+            if (distance <= targetDistance) {
+                target = { x, bottomY, laneIndex };
+                targetDistance = distance;
             }
-        });
+        };
+
+        for (let i = 0; i < this.enemies.length; i++) {
+            const enemy = this.enemies[i];
+            if (!enemy.active || enemy === hitEnemy) continue;
+            const laneIndex = getLaneIndex(enemy.x);
+            if (laneIndex === bullet.laneIndex) continue;
 
-        // Draw XP texts (only active ones, and only if on screen)
-        this.xpTexts.forEach(xpText => {
-            if (xpText.active && xpText.y > -50 && xpText.y < canvasHeight + 50) {
-                xpText.draw(this.ctx);
+            if (enemy instanceof MultiUnitEnemy) {
+                const unitBounds = enemy.getLivingUnitBounds();
+                for (let j = 0; j < unitBounds.length; j++) {
+                    consider(unitBounds[j].centerX, unitBounds[j].y + unitBounds[j].height, laneIndex);
+                }
+            } else {
+                consider(enemy.x, enemy.getBottomY(), laneIndex);
             }
-        });
+        }
+        return target;
+    }
 
-        // Draw level up text
-        if (this.levelUpText && this.levelUpText.active) {
-            this.ctx.save();
-            this.ctx.globalAlpha = this.levelUpText.alpha;
-            this.ctx.translate(this.levelUpText.x, this.levelUpText.y);
-            this.ctx.scale(this.levelUpText.scale, this.levelUpText.scale);
+    /**
+     * Enemy order for collision checks: descending bottom Y (most forward first)
+     */
+    static compareEnemiesForward(a, b) {
+        return b.getBottomY() - a.getBottomY();
+    }
 
-            // Draw with glow effect
-            this.ctx.shadowColor = '#ffd700';
-            this.ctx.shadowBlur = 20;
-            this.ctx.font = 'bold 72px Arial';
-            this.ctx.fillStyle = '#ffd700';
-            this.ctx.strokeStyle = '#000';
-            this.ctx.lineWidth = 4;
-            this.ctx.textAlign = 'center';
-            this.ctx.textBaseline = 'middle';
+    /**
+     * Bullet order for collision checks: descending Y (most forward first)
+     * Static so sorting doesn't allocate a comparator every tick
+     */
+    static compareBulletsForward(a, b) {
+        return b.y - a.y;
+    }
 
-            this.ctx.strokeText(this.levelUpText.text, 0, 0);
-            this.ctx.fillText(this.levelUpText.text, 0, 0);
+    /**
+     * Store current positions as previous positions for render interpolation
+     */
+    storePreviousPositions() {
+        const store = entity => {
+            entity.prevX = entity.x;
+            entity.prevY = entity.y;
+        };
 
-            this.ctx.restore();
+        if (this.player) {
+            store(this.player);
+            this.player.bullets.forEach(store);
         }
+        this.enemies.forEach(store);
+        this.enemyProjectiles.forEach(store);
+        this.powerups.forEach(store);
+        this.xpTexts.forEach(store);
+    }
+
+    /**
+     * Draw game (delegates to the renderer adapter)
+     * @param {number} alpha - Interpolation factor between the last two simulation ticks
+     */
+    draw(alpha = 1) {
+        this.renderer.draw(this, alpha);
     }
 
     /**
-     * Draw lane dividers
+     * Create the "Level Up!" text shown in the center of the screen
+     * @returns {object} - Text entity, animated in update()
      */
-    drawLaneDividers() {
-        // Already drawn by player.drawLaneIndicators, but can add more visual elements here
+    createLevelUpText() {
+        return {
+            x: CONFIG.CANVAS_WIDTH / 2,
+            y: CONFIG.CANVAS_HEIGHT / 2,
+            text: 'LEVEL UP!',
+            lifetime: 0,
+            maxLifetime: 90, // 1.5 seconds at 60fps
+            active: true,
+            scale: 1.0,
+            alpha: 1.0
+        };
     }
 
     /**
@@ -1187,67 +2020,17 @@ class Game {
      * @param {number} oldLevel - Previous level
      */
     onLevelUp(oldLevel) {
-        if (!this.canvas) return;
-
-        const canvasHeight = this.canvas.height;
+        const canvasHeight = CONFIG.CANVAS_HEIGHT;
         const bottomHalfY = canvasHeight / 2; // Bottom half starts at middle of screen
 
-        // Find enemies in bottom half of screen
-        const enemiesToDestroy = [];
-        this.enemies.forEach(enemy => {
-            if (!enemy.active) return;
-
-            // Check if enemy is in bottom half (y > bottomHalfY)
-            // For multi-unit enemies, check if any unit is in bottom half
-            if (enemy.type === 'formation' || enemy.type === 'swarm') {
-                // Check if any unit is in bottom half
-                const hasUnitInBottomHalf = enemy.units.some(unit => {
-                    if (unit.health <= 0) return false;
-                    let unitY;
-                    if (enemy.type === 'formation') {
-                        const totalHeight = (enemy.rows * enemy.enemyHeight) + ((enemy.rows - 1) * enemy.rowSpacing);
-                        const startY = enemy.y - totalHeight / 2;
-                        unitY = startY + (unit.row * (enemy.enemyHeight + enemy.rowSpacing)) + (enemy.enemyHeight / 2);
-                    } else { // swarm
-                        unitY = enemy.y + unit.offsetY;
-                    }
-                    return unitY > bottomHalfY;
-                });
-
-                if (hasUnitInBottomHalf) {
-                    enemiesToDestroy.push(enemy);
-                }
-            } else {
-                // Regular enemies: check if center is in bottom half
-                if (enemy.y > bottomHalfY) {
-                    enemiesToDestroy.push(enemy);
-                }
-            }
-        });
-
         // Destroy enemies in bottom half (no XP gain)
-        enemiesToDestroy.forEach(enemy => {
+        this.getEnemiesBelow(bottomHalfY).forEach(enemy => {
             // Create explosion effects
-            if (enemy.type === 'formation' || enemy.type === 'swarm') {
+            if (enemy instanceof MultiUnitEnemy) {
                 // Create effects for each unit in bottom half
-                enemy.units.forEach(unit => {
-                    if (unit.health <= 0) return;
-                    let unitX, unitY;
-                    if (enemy.type === 'formation') {
-                        const totalWidth = (enemy.cols * enemy.enemyWidth) + ((enemy.cols - 1) * enemy.spacing);
-                        const totalHeight = (enemy.rows * enemy.enemyHeight) + ((enemy.rows - 1) * enemy.rowSpacing);
-                        const startX = enemy.x - totalWidth / 2;
-                        const startY = enemy.y - totalHeight / 2;
-                        unitX = startX + (unit.col * (enemy.enemyWidth + enemy.spacing)) + (enemy.enemyWidth / 2);
-                        unitY = startY + (unit.row * (enemy.enemyHeight + enemy.rowSpacing)) + (enemy.enemyHeight / 2);
-                    } else { // swarm
-                        unitX = enemy.x + unit.offsetX;
-                        unitY = enemy.y + unit.offsetY;
-                    }
-
-                    if (unitY > bottomHalfY) {
-                        const effect = EffectManager.createEffect(unitX, unitY, enemy.type === 'formation' ? 'formation' : 'swarm');
-                        this.effects.push(effect);
+                enemy.getLivingUnitBounds().forEach(bounds => {
+                    if (bounds.centerY > bottomHalfY) {
+                        this.effects.push(EffectManager.createEffect(bounds.centerX, bounds.centerY, enemy.type));
                     }
                 });
             } else {
@@ -1261,38 +2044,118 @@ class Game {
         });
 
         // Show "Level Up!" text in center of screen
-        const centerX = this.canvas.width / 2;
-        const centerY = this.canvas.height / 2;
-        this.levelUpText = {
-            x: centerX,
-            y: centerY,
-            text: 'LEVEL UP!',
-            lifetime: 0,
-            maxLifetime: 90, // 1.5 seconds at 60fps
-            active: true,
-            scale: 1.0,
-            alpha: 1.0
-        };
-
-        // Play level up sound (if available)
-        this.audioManager.play('powerup');
+        this.levelUpText = this.createLevelUpText();
 
-        // Force spawn carrier at all levels that are multiples of 5 (5, 10, 15, 20, 25, ...)
-        if (this.level % 5 === 0) {
+        // Milestone levels (10, 20, 30, ...) bring a boss instead of the carrier
+        if (!this.mode.milestones) return;
+        if (getBossForLevel(this.level)) {
+            if (!this.bossSpawnedAtLevels.has(this.level)) {
+                this.spawnBoss(this.level);
+            }
+        } else if (this.level % 5 === 0) {
+            // Force spawn carrier at the other multiples of 5 (5, 15, 25, ...)
             // Check if we've already spawned a carrier at this level
             if (!this.carrierSpawnedAtLevels.has(this.level)) {
                 // Force spawn carrier (even if there's already an active carrier)
-                const laneIndex = randomInt(0, CONFIG.LANE_COUNT - 1);
-                const x = CONFIG.LANE_POSITIONS[laneIndex];
-                const carrier = EnemyFactory.create('carrier', x, 100, laneIndex, this.level);
-                this.enemies.push(carrier);
                 // Mark this level as having spawned a carrier
                 this.carrierSpawnedAtLevels.add(this.level);
-                // Switch to carrier music when carrier spawns
-                this.hasCarrier = true;
-                this.audioManager.startCarrierMusic();
+                this.spawnCarrier(this.level, true);
+            }
+        }
+    }
+
+    /**
+     * Find the active enemies below a screen height (level ups and bombs clear them)
+     * Regular enemies count by their center, multi-unit enemies if any living unit's center is below it
+     * @param {number} y - Screen height
+     * @returns {Enemy[]}
+     */
+    getEnemiesBelow(y) {
+        return this.enemies.filter(enemy => {
+            if (!enemy.active) return false;
+            if (enemy instanceof MultiUnitEnemy) {
+                return enemy.getLivingUnitBounds().some(bounds => bounds.centerY > y);
+            }
+            return enemy.y > y;
+        });
+    }
+
+    /**
+     * Set off the player's bomb: everything below BALANCE.bomb.clearLine is hit and enemy projectiles there are cleared
+     * How it hits follows BALANCE.bomb (instant kill or damage, with or without rewards);
+     * carriers and bosses only take damage and always give their rewards.
+     */
+    useBomb() {
+        const bomb = BALANCE.bomb;
+        const clearY = CONFIG.CANVAS_HEIGHT * bomb.clearLine;
+        const damage = evaluateCurve(bomb.damage, this.level);
+        this.player.useBomb();
+
+        const enemies = this.getEnemiesBelow(clearY);
+        enemies.forEach(enemy => {
+            const big = enemy.type === 'carrier' || enemy.type === 'boss';
+            this.bombEnemy(enemy, clearY, big ? damage : (bomb.instantKill ? Infinity : damage), big || bomb.rewards);
+        });
+
+        this.enemyProjectiles.forEach(projectile => {
+            if (!projectile.active || projectile.y <= clearY) return;
+            this.effects.push(getPool(ExplosionEffect).acquire(projectile.x, projectile.y, 'small'));
+            projectile.active = false;
+        });
+
+        this.events.emit(GameEvents.BOMB_USED, { player: this.player, clearY, enemiesHit: enemies.length });
+    }
+
+    /**
+     * Apply a bomb's blast to one enemy - multi-unit enemies only lose the units below the line
+     * Rewarded hits go through the same events as bullet hits; unrewarded kills are only blown away
+     * @param {Enemy} enemy
+     * @param {number} clearY - Screen height the blast starts at
+     * @param {number} damage - Damage to the enemy or each of its units (Infinity destroys them)
+     * @param {boolean} rewarded - Whether kills give score and experience
+     */
+    bombEnemy(enemy, clearY, damage, rewarded) {
+        let result;
+        let dealt = 0;
+        let unitsKilled = 0;
+        if (enemy instanceof MultiUnitEnemy) {
+            // Copy the units out first: kills invalidate the reused unit bounds
+            const units = enemy.getLivingUnitBounds()
+                .filter(bounds => bounds.centerY > clearY)
+                .map(bounds => ({ unit: bounds.unit, x: bounds.centerX, y: bounds.centerY }));
+            units.forEach(({ unit, x, y }) => {
+                const unitDamage = Math.min(damage, unit.health);
+                dealt += unitDamage;
+                result = enemy.takeUnitDamage(unit, unitDamage);
+                if (result.unitsKilled === 0) return;
+                if (rewarded) {
+                    this.events.emit(GameEvents.UNIT_KILLED, { enemy, unitIndex: unitsKilled, x, y, enemyDestroyed: result.destroyed });
+                } else if (!result.destroyed) {
+                    this.effects.push(EffectManager.createEffect(x, y, enemy.type));
+                }
+                unitsKilled++;
+            });
+        } else {
+            dealt = Math.min(damage, enemy.health);
+            result = enemy.takeDamage(dealt);
+            unitsKilled = result.unitsKilled;
+        }
+
+        if (!rewarded) {
+            if (result.destroyed) {
+                this.effects.push(EffectManager.createEffect(enemy.x, enemy.y, enemy.type));
             }
+            return;
         }
+        if (result.destroyed) {
+            this.events.emit(GameEvents.ENEMY_KILLED, { enemy });
+        }
+        this.events.emit(GameEvents.ENEMY_DAMAGED, {
+            enemy,
+            damage: dealt,
+            unitsKilled,
+            destroyed: result.destroyed
+        });
     }
 
     /**
@@ -1304,6 +2167,16 @@ class Game {
             return;
         }
 
+        // Boss fights have their own music, restarted more intense in each phase
+        const boss = this.getActiveBoss();
+        const bossPhase = boss ? boss.phase + 1 : 0;
+        if (bossPhase !== this.bossMusicPhase) {
+            this.hasCarrier = this.enemies.some(e => e.type === 'carrier' && e.active);
+            this.currentMusicLevel = this.level;
+            this.startMusicForState();
+        }
+        if (boss) return;
+
         // Check for carrier status
         const hasCarrier = this.enemies.some(e => e.type === 'carrier' && e.active);
 
@@ -1346,10 +2219,16 @@ class Game {
 
         // 2. Dangerous enemy weight component (0-0.35)
         const enemyWeights = {
+            'boss': 4.0,
             'carrier': 3.0,
             'tank': 2.0,
             'formation': 1.5,
             'swarm': 1.5,
+            'gunner': 1.5,
+            'sniper': 1.5,
+            'tracker': 1.4,
+            'weaver': 1.3,
+            'dodger': 1.3,
             'fast': 1.2,
             'basic': 1.0
         };
@@ -1368,7 +2247,7 @@ class Game {
 
         // 4. Distance threat component (0-0.1)
         // Enemies in bottom half of screen are more threatening
-        const canvasHeight = this.canvas.height;
+        const canvasHeight = CONFIG.CANVAS_HEIGHT;
         const bottomHalfY = canvasHeight / 2;
         const bottomHalfEnemies = activeEnemies.filter(e => e.y > bottomHalfY);
         const distanceThreatComponent = enemyCount > 0
@@ -1393,7 +2272,13 @@ class Game {
             'tank': 'tank',
             'formation': 'formation',
             'swarm': 'swarm',
-            'carrier': 'carrier'
+            'gunner': 'basic',
+            'sniper': 'fast',
+            'weaver': 'basic',
+            'tracker': 'basic',
+            'dodger': 'fast',
+            'carrier': 'carrier',
+            'boss': 'carrier'
         };
 
         const soundName = soundMap[enemyType] || 'hit';
@@ -1407,55 +2292,32 @@ class Game {
      * @param {number} unitIndex - Index of the unit (for positioning multiple XP powerups)
      */
     gainExperienceFromEnemy(enemy, unitIndex = 0) {
-        if (!this.player) return;
-
-        let xpAmount = 1;
-
-        // Tank enemies: XP only depends on level (doubled)
-        if (enemy.type === 'tank') {
-            // Simple formula: level-based XP for tanks (doubled from original)
-            // Level 1: 20 XP, Level 5: 22 XP, Level 10: 24 XP, Level 20: 28 XP
-            xpAmount = Math.floor(20 + (this.level - 1) * 1); // Doubled: 10->20, 0.5->1
-            xpAmount = Math.max(1, xpAmount);
-        }
-        // Formation/Swarm enemies: XP depends on level and unit count (inverse relationship, doubled)
-        else if (enemy.type === 'formation' || enemy.type === 'swarm') {
-            const maxUnits = enemy.maxUnits || enemy.maxEnemies || 1;
-            // Base XP per unit based on level, inversely proportional to unit count (doubled)
-            // Level 1: base 20 XP, Level 5: base 30 XP, Level 10: base 40 XP
-            // Then divided by unit count: more units = less XP per unit
-            const baseXP = Math.floor(20 + (this.level - 1) * 2); // Doubled: 10->20, 1->2
-            xpAmount = Math.floor(baseXP / maxUnits);
-            xpAmount = Math.max(1, xpAmount);
-        }
-        // Other enemies (Basic, Fast, Carrier): simplified formula based on level only
-        else {
-            // Simple level-based XP calculation
-            // Basic: Level 1: 2 XP, Level 5: 4 XP, Level 10: 6 XP
-            // Fast: Level 1: 4 XP, Level 5: 8 XP, Level 10: 12 XP
-            // Carrier: Level 5: 20 XP, Level 10: 30 XP, Level 15: 40 XP
-            let baseXPPerLevel = 2; // Base XP per level for Basic
-            if (enemy.type === 'fast') {
-                baseXPPerLevel = 4; // Fast enemies give 2x Basic
-            } else if (enemy.type === 'carrier') {
-                baseXPPerLevel = 30; // Carrier gives much more
-            }
+        if (!this.player || !this.player.upgradesEnabled) return;
+
+        // XP by level from the balance profile (BALANCE.enemies[type].experience), scaled by the difficulty
+        let xpAmount = Math.floor(evaluateCurve(getEnemyBalance(enemy.type).experience, this.level) * DIFFICULTY.experience);
 
-            xpAmount = Math.floor(baseXPPerLevel + (this.level - 1) * (baseXPPerLevel / 5));
-            xpAmount = Math.max(1, xpAmount);
+        // Formation/Swarm enemies: XP is split across the units (more units = less XP per unit)
+        if (enemy instanceof MultiUnitEnemy) {
+            const maxUnits = enemy.maxUnits || 1;
+            xpAmount = Math.floor(xpAmount / maxUnits);
         }
+        xpAmount = Math.max(1, xpAmount);
 
-        // Randomly select which upgrade type to gain XP for
-        const upgradeTypes = ['rapidfire', 'multishot', 'powerboost', 'lanespeed'];
-        const randomType = upgradeTypes[randomInt(0, upgradeTypes.length - 1)];
+        // Randomly select which upgrade type to gain XP for (shared experience has no type)
+        let randomType = null;
+        if (!this.player.sharedExperience) {
+            const upgradeTypes = getUpgradeTypes();
+            randomType = upgradeTypes[randomInt(0, upgradeTypes.length - 1, this.rng)];
+        }
 
         // Calculate position offset for multiple units
         const offsetX = (unitIndex % 3 - 1) * 20; // Spread horizontally
         const offsetY = Math.floor(unitIndex / 3) * 15; // Stack vertically
 
-        // Only create experience powerup if XP amount is large (> level * 5 + 5)
+        // Only create experience powerup if XP amount is large (above BALANCE.rewards.experiencePickupThreshold)
         // Otherwise, directly add experience and show XP text (like before)
-        if (xpAmount > this.level * 5 + 5) {
+        if (xpAmount > evaluateCurve(BALANCE.rewards.experiencePickupThreshold, this.level)) {
             // Create experience powerup for large XP amounts
             const experiencePowerup = PowerupFactory.create('experience', enemy.x + offsetX, enemy.y - offsetY, xpAmount, randomType);
             this.powerups.push(experiencePowerup);
@@ -1465,135 +2327,71 @@ class Game {
             this.player.addExperience(randomType, xpAmount);
             const newLevel = this.player.getUpgradeLevel(randomType);
 
-            // Show XP text at enemy position with offset
-            this.xpTexts.push(new XPText(enemy.x + offsetX, enemy.y - offsetY, xpAmount, randomType));
+            // Show XP text at enemy position with offset, the experience flies to the upgrade panel
+            this.xpTexts.push(getPool(XPText).acquire(enemy.x + offsetX, enemy.y - offsetY, xpAmount, randomType));
+            this.events.emit(GameEvents.EXPERIENCE_GAINED, { x: enemy.x + offsetX, y: enemy.y - offsetY, amount: xpAmount, upgradeType: randomType });
 
-            // If leveled up, show level up effect
             if (newLevel > oldLevel) {
-                // Could add level up effect here
+                this.events.emit(GameEvents.UPGRADE_LEVELED, { upgradeType: randomType, oldLevel, level: newLevel });
             }
-
-            this.updateUI();
         }
     }
 
     /**
-     * Update UI elements
+     * Update UI elements (delegates to the UI adapter)
      */
     updateUI() {
-        this.scoreElement.textContent = this.score;
-        this.levelElement.textContent = this.level;
-
-        // Update time display
-        if (this.timeElement) {
-            const minutes = Math.floor(this.elapsedTime / 60);
-            const seconds = this.elapsedTime % 60;
-            this.timeElement.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-        }
-
-        // Update side upgrade panel with descriptions
-        if (this.player) {
-            const upgrades = this.player.getAllUpgrades();
-            const upgradeConfig = {
-                'rapidfire': {
-                    icon: '⚡',
-                    name: 'Fire Rate',
-                    desc: 'Shooting Speed',
-                    color: '#ff6b6b'
-                },
-                'multishot': {
-                    icon: '🔫',
-                    name: 'Multi Shot',
-                    desc: 'Bullet Count',
-                    color: '#4ecdc4'
-                },
-                'powerboost': {
-                    icon: '💨',
-                    name: 'Power Boost',
-                    desc: 'Damage & Speed',
-                    color: '#ffe66d'
-                },
-                'lanespeed': {
-                    icon: '🚀',
-                    name: 'Lane Speed',
-                    desc: 'Movement Speed',
-                    color: '#a29bfe'
-                }
-            };
-
-            // Clear existing display
-            this.upgradePanel.innerHTML = '';
-
-            // Add title
-            const title = document.createElement('div');
-            title.className = 'upgrade-panel-title';
-            title.textContent = 'UPGRADES';
-            this.upgradePanel.appendChild(title);
-
-            // Create upgrade items for all types with progress bars
-            const experience = this.player.getAllExperience();
-            for (const [type, config] of Object.entries(upgradeConfig)) {
-                const level = upgrades[type] || 0;
-                const currentExp = experience[type] || 0;
-                const requiredExp = this.player.getRequiredExperience(type);
-                const progress = this.player.getExperienceProgress(type);
-
-                const upgradeItem = document.createElement('div');
-                upgradeItem.className = 'upgrade-item' + (level > 0 ? ' has-upgrade' : '');
-
-                const icon = document.createElement('div');
-                icon.className = `upgrade-icon ${type}`;
-                icon.textContent = config.icon;
-
-                const info = document.createElement('div');
-                info.className = 'upgrade-info';
-
-                const name = document.createElement('div');
-                name.className = 'upgrade-name';
-                name.textContent = config.name;
-
-                const desc = document.createElement('div');
-                desc.className = 'upgrade-desc';
-                desc.textContent = config.desc;
-
-                // Progress bar container
-                const progressContainer = document.createElement('div');
-                progressContainer.className = 'upgrade-progress-container';
+        this.ui.update(this);
+    }
 
-                const progressBar = document.createElement('div');
-                progressBar.className = 'upgrade-progress-bar';
-                progressBar.style.width = `${progress * 100}%`;
+    /**
+     * Advance the simulation by a span of real time using a fixed timestep
+     * Leftover time is carried in the accumulator for the next frame
+     * @param {number} frameTime - Real time elapsed since the last frame in milliseconds
+     * @returns {number} - Number of simulation ticks executed
+     */
+    advance(frameTime) {
+        // Paused: keep the accumulator frozen so rendering shows exactly the paused frame
+        if (this.state === 'paused') return 0;
 
-                const progressText = document.createElement('div');
-                progressText.className = 'upgrade-progress-text';
-                progressText.textContent = `${currentExp}/${requiredExp}`;
+        // Clamp long frames so a stalled tab doesn't try to catch up all at once
+        this.accumulator += Math.min(Math.max(frameTime, 0), CONFIG.MAX_FRAME_TIME);
 
-                progressContainer.appendChild(progressBar);
-                progressContainer.appendChild(progressText);
+        let steps = 0;
+        while (this.accumulator >= CONFIG.FIXED_TIMESTEP && steps < CONFIG.MAX_STEPS_PER_FRAME) {
+            this.handleInput();
+            this.update();
+            this.accumulator -= CONFIG.FIXED_TIMESTEP;
+            steps++;
+        }
 
-                info.appendChild(name);
-                info.appendChild(desc);
-                info.appendChild(progressContainer);
+        // Drop time we couldn't simulate instead of accumulating an ever-growing backlog
+        if (steps >= CONFIG.MAX_STEPS_PER_FRAME) {
+            this.accumulator = Math.min(this.accumulator, CONFIG.FIXED_TIMESTEP);
+        }
 
-                const levelDisplay = document.createElement('div');
-                levelDisplay.className = 'upgrade-level';
-                levelDisplay.textContent = `Lv.${level}`;
+        return steps;
+    }
 
-                upgradeItem.appendChild(icon);
-                upgradeItem.appendChild(info);
-                upgradeItem.appendChild(levelDisplay);
-                this.upgradePanel.appendChild(upgradeItem);
-            }
-        } else {
-            this.upgradePanel.innerHTML = '';
+    /**
+     * Run simulation ticks directly, without real time (headless runs, tests, tools)
+     * @param {number} ticks - Number of fixed-timestep ticks to run
+     */
+    step(ticks = 1) {
+        for (let i = 0; i < ticks; i++) {
+            this.handleInput();
+            this.update();
         }
     }
 
     /**
      * Main game loop
+     * Simulation runs at a fixed rate independent of display refresh rate,
+     * rendering interpolates between the last two ticks
      */
     gameLoop(timestamp) {
-        const deltaTime = timestamp - this.lastTime;
+        // First frame has no previous timestamp to measure against
+        const deltaTime = this.lastTime > 0 ? timestamp - this.lastTime : 0;
         this.lastTime = timestamp;
 
         this.frameCount++;
@@ -1608,22 +2406,30 @@ class Game {
         }
 
         try {
-            const perfStart = performance.now();
-
-            this.handleInput();
-            const inputTime = performance.now() - perfStart;
-
             const updateStart = performance.now();
-            this.update();
+            let steps = 0;
+            let alpha;
+            if (this.replayPlayer) {
+                // Replay playback runs its own clock (speed, pause, seek)
+                const tickBefore = this.tick;
+                this.replayPlayer.update(deltaTime);
+                steps = this.tick - tickBefore;
+                alpha = this.replayPlayer.getInterpolationAlpha();
+                this.ui.updateReplayControls(this.replayPlayer);
+            } else {
+                this.ui.pollGamepad();
+                steps = this.advance(deltaTime);
+                alpha = this.accumulator / CONFIG.FIXED_TIMESTEP;
+            }
             const updateTime = performance.now() - updateStart;
 
             const drawStart = performance.now();
-            this.draw();
+            this.draw(alpha);
             const drawTime = performance.now() - drawStart;
 
             // Log if any operation takes too long (>16ms for 60fps)
-            if (updateTime > 16 || drawTime > 16 || inputTime > 16) {
-                console.warn(`SLOW OPERATION DETECTED - Input: ${inputTime.toFixed(2)}ms, Update: ${updateTime.toFixed(2)}ms, Draw: ${drawTime.toFixed(2)}ms`);
+            if (updateTime > 16 || drawTime > 16) {
+                console.warn(`SLOW OPERATION DETECTED - Update (${steps} ticks): ${updateTime.toFixed(2)}ms, Draw: ${drawTime.toFixed(2)}ms`);
             }
         } catch (error) {
             console.error('ERROR in game loop:', error);
@@ -1648,8 +2454,9 @@ class Game {
 
         const logData = {
             timestamp: new Date().toISOString(),
-            gameTime: this.gameStartTime > 0 ? Math.floor((Date.now() - this.gameStartTime) / 1000) : 0,
+            gameTime: this.elapsedTime,
             gameState: this.state,
+            seed: this.rng.seed,
             level: this.level,
             score: this.score,
 
@@ -1712,7 +2519,7 @@ class Game {
      * @returns {object} Memory info
      */
     getMemoryInfo() {
-        if (performance.memory) {
+        if (typeof performance !== 'undefined' && performance.memory) {
             return {
                 usedJSHeapSize: Math.round(performance.memory.usedJSHeapSize / 1024 / 1024) + ' MB',
                 totalJSHeapSize: Math.round(performance.memory.totalJSHeapSize / 1024 / 1024) + ' MB',
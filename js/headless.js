@@ -0,0 +1,91 @@
+/**
+ * Headless Loader - Loads the game scripts into Node.js for simulation without a browser
+ * The browser loads these files as plain scripts (see index.html); this mirrors that order.
+ *
+ * Usage:
+ *   const { Game } = require('./js/headless.js');
+ *   const game = new Game({ headless: true, seed: 42 });
+ *   game.start();
+ *   game.step(600); // 10 seconds of game time
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Same order as index.html (test.js and main.js are browser-only)
+const SCRIPTS = [
+    'utils.js',
+    'balance.js',
+    'upgrades.js',
+    'buffs.js',
+    'events.js',
+    'audio.js',
+    'bullet.js',
+    'projectile.js',
+    'xpText.js',
+    'powerup.js',
+    'enemy.js',
+    'boss.js',
+    'effect.js',
+    'player.js',
+    'waves.js',
+    'modes.js',
+    'replay.js',
+    'save.js',
+    'highscores.js',
+    'renderer.js',
+    'ui.js',
+    'game.js'
+];
+
+// Scripts share one sandbox global scope, like they share window in the browser
+const context = vm.createContext({ console, performance, setTimeout, clearTimeout, setInterval, clearInterval });
+
+SCRIPTS.forEach(file => {
+    const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    vm.runInContext(source, context, { filename: path.join(__dirname, file) });
+});
+
+// Class declarations in scripts aren't properties of the global object, so collect them by name
+module.exports = vm.runInContext(`({
+    CONFIG,
+    GAME_VERSION,
+    DEFAULT_BALANCE,
+    evaluateCurve,
+    registerBalanceProfile,
+    setBalanceProfile,
+    DIFFICULTY_MODES,
+    UPGRADE_DEFINITIONS,
+    registerUpgrade,
+    BUFF_DEFINITIONS,
+    registerBuff,
+    getUpgradeTypes,
+    SeededRandom,
+    EventEmitter,
+    GameEvents,
+    Game,
+    Player,
+    EnemyFactory,
+    MultiUnitEnemy,
+    ShooterEnemy,
+    LaneChangerEnemy,
+    EnemyProjectile,
+    BossEnemy,
+    BOSS_DEFINITIONS,
+    getBossForLevel,
+    WaveScheduler,
+    WAVE_DEFINITIONS,
+    registerWave,
+    GameModeFactory,
+    PowerupFactory,
+    InputRecorder,
+    ReplayPlayer,
+    serializeReplay,
+    parseReplay,
+    SaveManager,
+    SAVE_FORMAT_VERSION,
+    HighScores,
+    NullRenderer,
+    NullUI,
+    NullAudioManager
+})`, context);
@@ -0,0 +1,94 @@
+/**
+ * High Scores - Best score per game mode and difficulty
+ * Stored in localStorage (or any Storage-like object) as { key: score }, keyed by
+ * difficulty for Endless runs and by mode:difficulty for the other game modes.
+ * Without storage the scores are kept for the session only.
+ */
+class HighScores {
+    /**
+     * @param {Storage} storage - Storage with getItem/setItem, null keeps scores in memory
+     * @param {string} key - Storage key
+     */
+    constructor(storage, key = 'laneshooter-highscores') {
+        this.storage = storage;
+        this.key = key;
+        this.scores = this.load();
+    }
+
+    /**
+     * Get the storage key of a mode and difficulty
+     * @param {string} difficulty - Difficulty key
+     * @param {string} mode - Game mode id
+     * @returns {string}
+     */
+    static getKey(difficulty, mode = DEFAULT_GAME_MODE) {
+        return mode === DEFAULT_GAME_MODE ? difficulty : `${mode}:${difficulty}`;
+    }
+
+    /**
+     * Check if a stored key names a known mode and difficulty
+     * @param {string} key - Storage key from getKey()
+     * @returns {boolean}
+     */
+    static isValidKey(key) {
+        const parts = key.split(':');
+        if (parts.length === 1) return isValidDifficulty(parts[0]);
+        return parts.length === 2 && GameModeFactory.isKnownType(parts[0]) && parts[0] !== DEFAULT_GAME_MODE
+            && isValidDifficulty(parts[1]);
+    }
+
+    /**
+     * Load stored scores, dropping unknown modes and invalid values
+     * @returns {object} - Best score by key (see getKey)
+     */
+    load() {
+        const scores = {};
+        if (!this.storage) return scores;
+
+        try {
+            const stored = JSON.parse(this.storage.getItem(this.key) || '{}');
+            Object.keys(stored).forEach(key => {
+                const score = stored[key];
+                if (HighScores.isValidKey(key) && typeof score === 'number' && isFinite(score)) {
+                    scores[key] = score;
+                }
+            });
+        } catch (error) {
+            console.warn(`Discarding high scores: ${error.message}`);
+        }
+        return scores;
+    }
+
+    /**
+     * Get the best score of a difficulty in a game mode
+     * @param {string} difficulty - Difficulty key
+     * @param {string} mode - Game mode id
+     * @returns {number} - Best score, 0 if none yet
+     */
+    get(difficulty, mode = DEFAULT_GAME_MODE) {
+        return this.scores[HighScores.getKey(difficulty, mode)] || 0;
+    }
+
+    /**
+     * Record the score of a finished run
+     * @param {string} difficulty - Difficulty key the run was played on
+     * @param {number} score - Final score
+     * @param {string} mode - Game mode id the run was played in
+     * @returns {boolean} - Whether it is a new best for that mode and difficulty
+     */
+    submit(difficulty, score, mode = DEFAULT_GAME_MODE) {
+        const key = HighScores.getKey(difficulty, mode);
+        if (!HighScores.isValidKey(key) || score <= this.get(difficulty, mode)) return false;
+
+        this.scores[key] = score;
+        if (this.storage) {
+            try {
+                this.storage.setItem(this.key, JSON.stringify(this.scores));
+            } catch (error) {
+                // Quota exceeded or storage disabled (private browsing)
+                console.warn('Could not save high scores:', error.message);
+            }
+        }
+        return true;
+    }
+}
@@ -0,0 +1,341 @@
+/**
+ * Game Modes - The rules of a run: what spawns, how the run ends and what its results show
+ * A mode is picked in the menu and is part of the run settings (replays, saves, high scores).
+ * The Game asks its mode:
+ * - spawnsWaves / milestones: whether waves, random spawns and level milestone carriers/bosses run
+ * - levelsUp: whether score and time raise the level (otherwise the mode sets it)
+ * - victoryLevel: level that shows the victory screen once (null: no victory screen)
+ * - shields: shields the player starts with, on top of the difficulty's
+ * - start(game): set up a new run; update(game): once per tick, may end the run
+ * - onPlayerKilled(game): whether the player dying ends the run
+ * - getResults(game, reason): title and stats of the results screen
+ */
+
+const DEFAULT_GAME_MODE = 'endless';
+
+// Length of a Time Attack run in milliseconds of game time
+const TIME_ATTACK_DURATION = 180000;
+
+// Boss Rush encounters in order, at the level their enemy is built for
+const BOSS_RUSH_ENCOUNTERS = [
+    { type: 'carrier', level: 5 },
+    { type: 'boss', level: 10 },
+    { type: 'carrier', level: 15 },
+    { type: 'boss', level: 20 }
+];
+
+// Ticks between Boss Rush encounters
+const BOSS_RUSH_REST = 120;
+
+// Results screen titles by the reason the run ended
+const RUN_END_TITLES = {
+    killed: 'GAME OVER',
+    timeup: 'TIME UP!',
+    cleared: 'BOSS RUSH CLEAR!',
+    quit: 'RUN ENDED'
+};
+
+/**
+ * Base Game Mode - Endless rules; modes override what they change
+ */
+class GameMode {
+    constructor() {
+        this.id = 'endless';
+        this.name = 'Endless';
+        this.description = 'Survive as long as you can';
+        this.spawnsWaves = true;
+        this.milestones = true;
+        this.levelsUp = true;
+        this.victoryLevel = 20;
+        this.shields = 0;
+    }
+
+    /**
+     * Set up a new run (called at the end of Game.start)
+     * @param {Game} game
+     */
+    start(game) {}
+
+    /**
+     * Apply the mode's rules for one tick (called while playing)
+     * @param {Game} game
+     */
+    update(game) {}
+
+    /**
+     * Decide what happens when the player is hit
+     * @param {Game} game
+     * @returns {boolean} - Whether the run ends
+     */
+    onPlayerKilled(game) {
+        return true;
+    }
+
+    /**
+     * Get the mode's HUD status (time left, progress)
+     * @param {Game} game
+     * @returns {string}
+     */
+    getStatus(game) {
+        return '';
+    }
+
+    /**
+     * Build the results screen of a finished run
+     * @param {Game} game
+     * @param {string} reason - Why the run ended: killed, timeup, cleared or quit
+     * @returns {object} - { title, stats: [{ label, value }] }
+     */
+    getResults(game, reason) {
+        return {
+            title: RUN_END_TITLES[reason] || RUN_END_TITLES.killed,
+            stats: [
+                { label: 'Level', value: game.level },
+                { label: 'Time', value: formatTime(game.elapsedTime) }
+            ]
+        };
+    }
+
+    /**
+     * Snapshot the mode's run state for a save
+     * @returns {object}
+     */
+    serialize() {
+        return {};
+    }
+
+    /**
+     * Restore a snapshot from serialize()
+     * @param {object} state
+     */
+    restore(state) {}
+}
+
+/**
+ * Endless - The classic run: waves, milestones and a victory at level 20
+ */
+class EndlessMode extends GameMode {}
+
+/**
+ * Time Attack - Highest score in three minutes
+ */
+class TimeAttackMode extends GameMode {
+    constructor() {
+        super();
+        this.id = 'timeattack';
+        this.name = 'Time Attack';
+        this.description = 'Score as much as you can in 3 minutes';
+        this.victoryLevel = null;
+    }
+
+    update(game) {
+        if (game.gameTime >= TIME_ATTACK_DURATION) {
+            game.endRun('timeup');
+        }
+    }
+
+    getStatus(game) {
+        return formatTime(Math.ceil(Math.max(0, TIME_ATTACK_DURATION - game.gameTime) / 1000));
+    }
+
+    getResults(game, reason) {
+        const minutes = Math.max(game.gameTime, 1000) / 60000;
+        const results = super.getResults(game, reason);
+        results.stats.push({ label: 'Points per minute', value: Math.round(game.score / minutes) });
+        return results;
+    }
+}
+
+/**
+ * Boss Rush - Carriers and bosses back to back, no waves in between
+ */
+class BossRushMode extends GameMode {
+    constructor() {
+        super();
+        this.id = 'bossrush';
+        this.name = 'Boss Rush';
+        this.description = 'Defeat the carriers and bosses back to back';
+        this.spawnsWaves = false;
+        this.milestones = false;
+        this.levelsUp = false; // Each encounter sets the level, so carrier minions and rewards match it, not the time taken
+        this.victoryLevel = null;
+        this.shields = 2; // Lane strikes are hard to read on a first try
+        this.encounter = 0; // Encounters spawned so far
+        this.restTicks = BOSS_RUSH_REST; // Ticks until the next encounter
+    }
+
+    start(game) {
+        this.encounter = 0;
+        this.restTicks = BOSS_RUSH_REST;
+    }
+
+    /**
+     * Check if an encounter's carrier or boss is still alive
+     * @param {Game} game
+     * @returns {boolean}
+     */
+    isFighting(game) {
+        return game.enemies.some(enemy => enemy.active && (enemy.type === 'carrier' || enemy.type === 'boss'));
+    }
+
+    update(game) {
+        // Wait for the current encounter to be defeated
+        if (this.isFighting(game)) return;
+
+        if (this.encounter >= BOSS_RUSH_ENCOUNTERS.length) {
+            game.endRun('cleared');
+            return;
+        }
+        if (this.restTicks > 0) {
+            this.restTicks--;
+            return;
+        }
+
+        const encounter = BOSS_RUSH_ENCOUNTERS[this.encounter];
+        this.encounter++;
+        this.restTicks = BOSS_RUSH_REST;
+        game.level = encounter.level;
+        game.updateUI();
+        if (encounter.type === 'boss') {
+            game.spawnBoss(encounter.level);
+        } else {
+            game.spawnCarrier(encounter.level, true);
+        }
+    }
+
+    getStatus(game) {
+        return `Encounter ${Math.max(this.encounter, 1)}/${BOSS_RUSH_ENCOUNTERS.length}`;
+    }
+
+    getResults(game, reason) {
+        const results = super.getResults(game, reason);
+        // The encounter being fought when the run ended doesn't count
+        const cleared = this.encounter - (this.isFighting(game) ? 1 : 0);
+        results.stats.unshift({ label: 'Encounters cleared', value: `${cleared}/${BOSS_RUSH_ENCOUNTERS.length}` });
+        return results;
+    }
+
+    serialize() {
+        return { encounter: this.encounter, restTicks: this.restTicks };
+    }
+
+    restore(state) {
+        this.encounter = state.encounter;
+        this.restTicks = state.restTicks;
+    }
+}
+
+/**
+ * Pure Survival - No upgrades: nothing to collect, only dodging and the starting gun
+ */
+class SurvivalMode extends GameMode {
+    constructor() {
+        super();
+        this.id = 'survival';
+        this.name = 'Pure Survival';
+        this.description = 'No upgrades, just your starting ship';
+        this.victoryLevel = null;
+    }
+
+    start(game) {
+        game.player.upgradesEnabled = false;
+    }
+
+    getResults(game, reason) {
+        const results = super.getResults(game, reason);
+        results.stats[1].label = 'Survived';
+        return results;
+    }
+}
+
+/**
+ * Zen - No game over: a hit clears the enemies on screen instead
+ */
+class ZenMode extends GameMode {
+    constructor() {
+        super();
+        this.id = 'zen';
+        this.name = 'Zen';
+        this.description = 'No game over, play until you end the run';
+        this.victoryLevel = null;
+        this.hits = 0; // Hits taken this run
+    }
+
+    start(game) {
+        this.hits = 0;
+    }
+
+    onPlayerKilled(game) {
+        this.hits++;
+        // Bosses and carriers stay, everything else and all projectiles are blown away (no score or experience)
+        game.enemies.forEach(enemy => {
+            if (!enemy.active || enemy.type === 'boss' || enemy.type === 'carrier') return;
+            game.effects.push(EffectManager.createEffect(enemy.x, enemy.y, enemy.type));
+            enemy.active = false;
+        });
+        game.enemyProjectiles.forEach(projectile => {
+            projectile.active = false;
+        });
+        return false;
+    }
+
+    getStatus(game) {
+        return `Hits: ${this.hits}`;
+    }
+
+    getResults(game, reason) {
+        const results = super.getResults(game, reason);
+        results.stats.push({ label: 'Hits taken', value: this.hits });
+        return results;
+    }
+
+    serialize() {
+        return { hits: this.hits };
+    }
+
+    restore(state) {
+        this.hits = state.hits;
+    }
+}
+
+/**
+ * Game Mode Factory - Creates modes by id
+ */
+class GameModeFactory {
+    /**
+     * Get mode classes by id, in menu order
+     * @returns {object}
+     */
+    static getModeClasses() {
+        return {
+            'endless': EndlessMode,
+            'timeattack': TimeAttackMode,
+            'bossrush': BossRushMode,
+            'survival': SurvivalMode,
+            'zen': ZenMode
+        };
+    }
+
+    /**
+     * Check if a mode exists
+     * @param {string} id - Mode id
+     * @returns {boolean}
+     */
+    static isKnownType(id) {
+        return Object.prototype.hasOwnProperty.call(this.getModeClasses(), id);
+    }
+
+    /**
+     * Create a mode for a new run
+     * @param {string} id - Mode id
+     * @returns {GameMode}
+     */
+    static create(id) {
+        const ModeClass = this.getModeClasses()[id];
+        if (!ModeClass) {
+            console.warn(`Unknown game mode: ${id}`);
+            return new EndlessMode();
+        }
+        return new ModeClass();
+    }
+}
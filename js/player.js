@@ -12,26 +12,34 @@ class Player {
         this.moveSpeed = 25; // Increased for faster lane switching
 
         // Shooting
-        this.baseShootCooldown = 300; // Base cooldown in milliseconds
+        this.baseShootCooldown = 300; // Base cooldown in milliseconds of game time
         this.shootCooldown = this.baseShootCooldown;
-        this.lastShootTime = 0;
+        this.lastShootTime = -Infinity; // Allow the first shot immediately
         this.bullets = [];
 
-        // Experience-based Upgrades System
-        this.upgrades = {
-            rapidfire: 0,      // Current level
-            multishot: 0,
-            powerboost: 0,
-            lanespeed: 0
-        };
+        // Shields: each one absorbs a hit, followed by a short invulnerability
+        this.shields = 0;
+        this.invulnerableTicks = 0;
+
+        // Bomb: kills charge it, a cooldown follows each one (see Game.useBomb)
+        this.bombCharge = 0;
+        this.bombCooldown = 0;
+
+        // Timed buffs running, by type: { ticks left, total ticks of the timer, stacks } (see js/buffs.js)
+        this.buffs = {};
+
+        // Experience-based Upgrades System (disabled in Pure Survival)
+        this.upgradesEnabled = true;
+        this.upgrades = createUpgradeTable(0); // Current level per upgrade type (see js/upgrades.js)
 
         // Experience points for each upgrade type
-        this.experience = {
-            rapidfire: 0,
-            multishot: 0,
-            powerboost: 0,
-            lanespeed: 0
-        };
+        this.experience = createUpgradeTable(0);
+
+        // Draft progression: experience of every type fills one shared pool instead (see Game.openDraft)
+        this.sharedExperience = false;
+        this.experiencePool = 0;
+        this.drafts = 0; // Drafts offered so far
+        this.rerolls = BALANCE.upgrades.draft.rerolls;
 
         // Base values
         this.baseMoveSpeed = 25;
@@ -43,21 +51,35 @@ class Player {
      * @param {number} direction - -1 for left, 1 for right
      */
     switchLane(direction) {
-        const newLaneIndex = this.laneIndex + direction;
-        if (newLaneIndex >= 0 && newLaneIndex < CONFIG.LANE_COUNT) {
-            this.laneIndex = newLaneIndex;
-            this.targetX = CONFIG.LANE_POSITIONS[this.laneIndex];
-        }
+        this.moveToLane(this.laneIndex + direction);
+    }
+
+    /**
+     * Move to a specific lane
+     * @param {number} laneIndex - Target lane (ignored if out of range)
+     * @returns {boolean} - Whether the lane exists
+     */
+    moveToLane(laneIndex) {
+        if (laneIndex < 0 || laneIndex >= CONFIG.LANE_COUNT) return false;
+
+        this.laneIndex = laneIndex;
+        this.targetX = CONFIG.LANE_POSITIONS[this.laneIndex];
+        return true;
     }
 
     /**
      * Update player position and bullets
      */
     update() {
-        // Update move speed based on upgrades
-        // Lane Speed: +30% per level
-        // Power Boost: +10% of base speed per level (additive)
-        this.moveSpeed = this.baseMoveSpeed * (1 + this.upgrades.lanespeed * 0.3 + this.upgrades.powerboost * 0.1);
+        // Update move speed based on upgrades (Lane Speed, Power Boost)
+        this.moveSpeed = this.baseMoveSpeed * applyUpgradeHooks('moveSpeed', 1, this.upgrades);
+
+        if (this.invulnerableTicks > 0) {
+            this.invulnerableTicks--;
+        }
+        if (this.bombCooldown > 0) {
+            this.bombCooldown--;
+        }
 
         // Fast lane switching
         const dx = this.targetX - this.x;
@@ -67,17 +89,26 @@ class Player {
             this.x = this.targetX;
         }
 
-        // Update bullets
-        this.bullets.forEach(bullet => bullet.update());
-        this.bullets = this.bullets.filter(bullet => bullet.active);
+        // Update bullets, returning spent ones to the pool (swap-remove: bullet order doesn't matter)
+        let bulletIndex = 0;
+        while (bulletIndex < this.bullets.length) {
+            const bullet = this.bullets[bulletIndex];
+            bullet.update();
+            if (!bullet.active) {
+                swapRemove(this.bullets, bulletIndex);
+                releaseToPool(bullet);
+                continue;
+            }
+            bulletIndex++;
+        }
     }
 
     /**
      * Shoot bullets
      * @param {AudioManager} audioManager
+     * @param {number} now - Current game time in milliseconds (simulation clock, not wall clock)
      */
-    shoot(audioManager) {
-        const now = Date.now();
+    shoot(audioManager, now) {
         const cooldown = this.getEffectiveShootCooldown();
 
         if (now - this.lastShootTime < cooldown) {
@@ -86,21 +117,23 @@ class Player {
 
         this.lastShootTime = now;
 
-        // Get bullet count from multishot upgrade
-        const bulletCount = 1 + this.upgrades.multishot;
+        // Get bullet count from upgrades (Multi Shot)
+        const bulletCount = applyUpgradeHooks('bulletCount', 1, this.upgrades);
         const bulletSpeed = CONFIG.BULLET_SPEED; // Bullet speed no longer affected by powerboost
-        const powerboostLevel = this.upgrades.powerboost; // Pass to bullet for damage calculation and color
 
         // Create bullets - lane is determined by player's x position (midpoint between lanes)
+        // Upgrades arm each bullet (Power Boost damage, Pierce, Ricochet)
         if (bulletCount === 1) {
-            this.bullets.push(new Bullet(this.x, this.y - this.height / 2, bulletSpeed, powerboostLevel, this.x));
+            const bullet = getPool(Bullet).acquire(this.x, this.y - this.height / 2, bulletSpeed, 0, this.x);
+            this.bullets.push(applyUpgradeHooks('bullet', bullet, this.upgrades));
         } else {
             // Multi-shot: spread bullets evenly
             // All bullets use the same player x position for lane determination
             const spread = 15;
             for (let i = 0; i < bulletCount; i++) {
                 const offset = (i - (bulletCount - 1) / 2) * spread;
-                this.bullets.push(new Bullet(this.x + offset, this.y - this.height / 2, bulletSpeed, powerboostLevel, this.x));
+                const bullet = getPool(Bullet).acquire(this.x + offset, this.y - this.height / 2, bulletSpeed, 0, this.x);
+                this.bullets.push(applyUpgradeHooks('bullet', bullet, this.upgrades));
             }
         }
 
@@ -114,15 +147,11 @@ class Player {
     }
 
     /**
-     * Get effective shoot cooldown (affected by upgrades)
+     * Get effective shoot cooldown (affected by upgrades, then buffs)
      */
     getEffectiveShootCooldown() {
-        // Each level reduces current cooldown by 15% (compound reduction)
-        let cooldown = this.baseShootCooldown;
-        for (let i = 0; i < this.upgrades.rapidfire; i++) {
-            cooldown = cooldown * 0.85; // Reduce by 15%
-        }
-        return cooldown;
+        const cooldown = applyUpgradeHooks('shootCooldown', this.baseShootCooldown, this.upgrades);
+        return applyBuffHooks('shootCooldown', cooldown, this.buffs);
     }
 
     /**
@@ -133,6 +162,141 @@ class Player {
         return this.baseBulletSpeed;
     }
 
+    /**
+     * Check if the player is in its grace period after a hit
+     * @returns {boolean}
+     */
+    isInvulnerable() {
+        return this.invulnerableTicks > 0;
+    }
+
+    /**
+     * Add a shield, up to BALANCE.shields.max
+     * @returns {boolean} - Whether a shield was added
+     */
+    addShield() {
+        if (this.shields >= BALANCE.shields.max) return false;
+        this.shields++;
+        return true;
+    }
+
+    /**
+     * Let shields absorb a hit, starting the invulnerability period
+     * @param {number} damage - Shields the hit breaks
+     * @returns {boolean} - Whether the shields absorbed it (false: the hit is fatal)
+     */
+    absorbHit(damage = 1) {
+        if (this.shields < damage) return false;
+        this.shields -= damage;
+        this.invulnerableTicks = BALANCE.shields.invulnerabilityTicks;
+        return true;
+    }
+
+    /**
+     * Get the distance experience orbs are pulled in from (upgrades, then buffs)
+     * @returns {number}
+     */
+    getPickupRadius() {
+        const radius = applyUpgradeHooks('pickupRadius', BALANCE.pickups.radius, this.upgrades);
+        return applyBuffHooks('pickupRadius', radius, this.buffs);
+    }
+
+    /**
+     * Start a timed buff, or apply its stacking rule if it is already running (see BUFF_STACKING_RULES)
+     * @param {string} type - Buff type
+     * @param {number} duration - Ticks it lasts
+     * @returns {boolean} - Whether the buff exists
+     */
+    addBuff(type, duration) {
+        const buff = getBuffDefinition(type);
+        if (!buff) return false;
+
+        const state = this.buffs[type];
+        if (!state) {
+            this.buffs[type] = { ticks: duration, total: duration, stacks: 1 };
+        } else if (buff.stacking === 'extend') {
+            const maxDuration = buff.maxDuration !== undefined ? buff.maxDuration : buff.duration * 2;
+            state.ticks = Math.min(state.ticks + duration, maxDuration);
+            state.total = Math.max(state.total, state.ticks);
+        } else {
+            if (buff.stacking === 'stack') {
+                state.stacks = Math.min(state.stacks + 1, buff.maxStacks !== undefined ? buff.maxStacks : 2);
+            }
+            state.ticks = duration;
+            state.total = duration;
+        }
+        return true;
+    }
+
+    /**
+     * Count the buffs down by a tick
+     * @returns {string[]} - Types of the buffs that ran out
+     */
+    updateBuffs() {
+        const expired = [];
+        for (const type in this.buffs) {
+            this.buffs[type].ticks--;
+            if (this.buffs[type].ticks <= 0) {
+                delete this.buffs[type];
+                expired.push(type);
+            }
+        }
+        return expired;
+    }
+
+    /**
+     * Check if any buff is running
+     * @returns {boolean}
+     */
+    hasBuffs() {
+        return Object.keys(this.buffs).length > 0;
+    }
+
+    /**
+     * Check if a running buff blocks hits (the Shield buff)
+     * @returns {boolean}
+     */
+    isShielded() {
+        for (const type in this.buffs) {
+            const buff = getBuffDefinition(type);
+            if (buff && buff.blocksHits) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Charge the bomb, up to BALANCE.bomb.chargeRequired (kills during the cooldown don't count)
+     * @param {number} amount - Charge to add
+     */
+    addBombCharge(amount) {
+        if (this.bombCooldown > 0) return;
+        this.bombCharge = Math.min(this.bombCharge + amount, BALANCE.bomb.chargeRequired);
+    }
+
+    /**
+     * Check if the bomb is charged and off cooldown
+     * @returns {boolean}
+     */
+    isBombReady() {
+        return this.bombCooldown === 0 && this.bombCharge >= BALANCE.bomb.chargeRequired;
+    }
+
+    /**
+     * Get the bomb's charge progress (0-1)
+     * @returns {number}
+     */
+    getBombProgress() {
+        return this.bombCharge / BALANCE.bomb.chargeRequired;
+    }
+
+    /**
+     * Spend the charge on a bomb, starting its cooldown
+     */
+    useBomb() {
+        this.bombCharge = 0;
+        this.bombCooldown = BALANCE.bomb.cooldownTicks;
+    }
+
     /**
      * Get required experience for next level
      * @param {string} type - Upgrade type
@@ -140,30 +304,26 @@ class Player {
      */
     getRequiredExperience(type) {
         const currentLevel = this.upgrades[type] || 0;
-        // Polynomial formula: A + B*level + C*level² + D*level³ + E*level⁴
-        // Where: A = 10, B = 10, C = 3, D = 1/3, E = 1/10
-        // requiredExperience(level) = 10 + 10*level + 3*level² + (1/3)*level³ + (1/10)*level⁴
-        // Level 0->1: 10 + 10*0 + 3*0² + (1/3)*0³ + (1/10)*0⁴ = 10
-        // Level 1->2: 10 + 10*1 + 3*1² + (1/3)*1³ + (1/10)*1⁴ = 10 + 10 + 3 + 0.33 + 0.1 = 23
-        // Level 2->3: 10 + 10*2 + 3*2² + (1/3)*2³ + (1/10)*2⁴ = 10 + 20 + 12 + 2.67 + 1.6 = 46
-        // Level 3->4: 10 + 10*3 + 3*3² + (1/3)*3³ + (1/10)*3⁴ = 10 + 30 + 27 + 9 + 8.1 = 84
-        // Level 4->5: 10 + 10*4 + 3*4² + (1/3)*4³ + (1/10)*4⁴ = 10 + 40 + 48 + 21.33 + 25.6 = 144
-        const A = 10;     // Constant term
-        const B = 10;     // Linear coefficient
-        const C = 3;      // Quadratic coefficient
-        const D = 1 / 3;  // Cubic coefficient
-        const E = 1 / 10; // Quartic coefficient
-        const level = currentLevel;
-        return Math.floor(A + B * level + C * level * level + D * level * level * level + E * level * level * level * level);
+        // Polynomial in the current level from BALANCE.upgrades.experienceRequired (or the upgrade's own curve)
+        // Default: 0->1: 10, 1->2: 23, 2->3: 46, 3->4: 84, 4->5: 144
+        return Math.floor(evaluateCurve(getUpgradeExperienceCurve(type), currentLevel));
     }
 
     /**
      * Add experience to an upgrade type
-     * @param {string} type - Upgrade type
+     * With shared experience it goes to the draft pool, whatever the type (null for untyped drops)
+     * @param {string|null} type - Upgrade type
      * @param {number} amount - Experience amount to add
      * @returns {boolean} - Returns true if level up occurred
      */
     addExperience(type, amount) {
+        if (!this.upgradesEnabled) {
+            return false;
+        }
+        if (this.sharedExperience) {
+            this.experiencePool += amount;
+            return false;
+        }
         if (!this.experience.hasOwnProperty(type)) {
             return false;
         }
@@ -182,6 +342,45 @@ class Player {
         return leveledUp;
     }
 
+    /**
+     * Get the shared experience needed for the next draft
+     * @returns {number}
+     */
+    getRequiredPoolExperience() {
+        // Polynomial in the drafts so far from BALANCE.upgrades.draft.experienceRequired
+        return Math.floor(evaluateCurve(BALANCE.upgrades.draft.experienceRequired, this.drafts));
+    }
+
+    /**
+     * Check if the shared pool is full enough for a draft
+     * @returns {boolean}
+     */
+    isDraftReady() {
+        return this.sharedExperience && this.upgradesEnabled && this.experiencePool >= this.getRequiredPoolExperience();
+    }
+
+    /**
+     * Spend a full pool on a draft, earning a reroll every BALANCE.upgrades.draft.rerollInterval drafts
+     */
+    startDraft() {
+        this.experiencePool -= this.getRequiredPoolExperience();
+        this.drafts++;
+        if (this.drafts % BALANCE.upgrades.draft.rerollInterval === 0) {
+            this.rerolls++;
+        }
+    }
+
+    /**
+     * Raise an upgrade by one level (a draft pick)
+     * @param {string} type - Upgrade type
+     * @returns {boolean} - Whether the upgrade exists
+     */
+    levelUpgrade(type) {
+        if (!this.upgrades.hasOwnProperty(type)) return false;
+        this.upgrades[type]++;
+        return true;
+    }
+
     /**
      * Get upgrade level
      * @param {string} type - Upgrade type
@@ -232,6 +431,9 @@ class Player {
      * @param {CanvasRenderingContext2D} ctx
      */
     draw(ctx) {
+        // Blink while invulnerable
+        if (this.invulnerableTicks > 0 && Math.floor(this.invulnerableTicks / 6) % 2 === 0) return;
+
         // Draw thrusters based on lane speed upgrade
         this.drawThrusters(ctx);
 
@@ -335,9 +537,57 @@ class Player {
             this.drawAdditionalTriangles(ctx, multishotLevel, shipColor);
         }
 
+        if (this.shields > 0) {
+            this.drawShield(ctx);
+        }
+        if (this.isShielded()) {
+            this.drawForceShield(ctx);
+        }
+
         // Lane indicators removed - no lines between lanes
     }
 
+    /**
+     * Draw the shield bubble, brighter with more shields
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    drawShield(ctx) {
+        ctx.save();
+        ctx.strokeStyle = `rgba(116, 185, 255, ${0.3 + 0.2 * this.shields})`;
+        ctx.shadowColor = '#74b9ff';
+        ctx.shadowBlur = 12;
+        ctx.lineWidth = 1 + this.shields;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.width * 0.8, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Draw the Shield buff: a pulsing bubble that flickers in its last second
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    drawForceShield(ctx) {
+        const ticks = Math.max(...Object.keys(this.buffs).map(type => {
+            const buff = getBuffDefinition(type);
+            return buff && buff.blocksHits ? this.buffs[type].ticks : 0;
+        }));
+        if (ticks < 60 && Math.floor(ticks / 5) % 2 === 0) return;
+
+        const pulse = 1 + Math.sin(Date.now() * 0.01) * 0.05;
+        ctx.save();
+        ctx.fillStyle = 'rgba(9, 132, 227, 0.2)';
+        ctx.strokeStyle = '#0984e3';
+        ctx.shadowColor = '#0984e3';
+        ctx.shadowBlur = 18;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.width * pulse, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+    }
+
     /**
      * Draw thrusters based on lane speed upgrade
      * @param {CanvasRenderingContext2D} ctx
@@ -3,20 +3,42 @@
  */
 class Powerup {
     constructor(x, y, experienceAmount = 0) {
+        this.type = 'default';
+        this.duration = 0; // Ticks a timed effect lasts (see js/buffs.js), 0 means instant effect
+        this.color = '#ffd700';
+        this.experienceAmount = experienceAmount; // Store experience amount for experience powerups
+        this.reset(x, y, experienceAmount);
+    }
+
+    /**
+     * Initialize position, size and state - also used to reuse a pooled powerup (see getPool)
+     * Subclasses pass only (x, y), so the amount defaults to the one the powerup was built with
+     * @param {number} x
+     * @param {number} y
+     * @param {number} experienceAmount
+     */
+    reset(x, y, experienceAmount = this.experienceAmount) {
         this.x = x;
         this.y = y;
+        this.prevX = x; // A reused powerup must not interpolate from its previous life
+        this.prevY = y;
+        this.speed = 3;
+        this.active = true;
+        this.setExperienceAmount(experienceAmount);
+    }
+
+    /**
+     * Set the experience carried, which sizes the powerup
+     * @param {number} experienceAmount
+     */
+    setExperienceAmount(experienceAmount) {
         // Size based on experience amount: sqrt(experience) * baseSize
         // Base size is 20, and scales with sqrt of experience
         const baseSize = 20;
         const experienceSize = experienceAmount > 0 ? Math.sqrt(experienceAmount) * 3 : 1;
         this.width = baseSize + experienceSize;
         this.height = baseSize + experienceSize;
-        this.speed = 3;
-        this.active = true;
-        this.type = 'default';
-        this.duration = 0; // 0 means instant effect
-        this.color = '#ffd700';
-        this.experienceAmount = experienceAmount; // Store experience amount for experience powerups
+        this.experienceAmount = experienceAmount;
     }
 
     /**
@@ -39,15 +61,7 @@ class Powerup {
         if (!this.active) return;
 
         // Get icon for this powerup type (matching side panel)
-        const iconMap = {
-            'rapidfire': '⚡',
-            'multishot': '🔫',
-            'powerboost': '💨',
-            'lanespeed': '🚀',
-            'experience': this.getExperienceIcon(), // Get icon based on upgrade type
-            'default': '⭐'
-        };
-        const icon = iconMap[this.type] || iconMap['default'];
+        const icon = this.getIcon();
         
         // Draw background circle with glow
         ctx.fillStyle = this.color;
@@ -89,20 +103,10 @@ class Powerup {
     }
     
     /**
-     * Get icon for experience powerup based on upgrade type
+     * Get the icon drawn on the powerup
      * @returns {string} Icon emoji
      */
-    getExperienceIcon() {
-        // Check if this is an experience powerup with upgradeType
-        if (this.type === 'experience' && this.upgradeType) {
-            const iconMap = {
-                'rapidfire': '⚡',
-                'multishot': '🔫',
-                'powerboost': '💨',
-                'lanespeed': '🚀'
-            };
-            return iconMap[this.upgradeType] || '⭐';
-        }
+    getIcon() {
         return '⭐';
     }
 
@@ -130,66 +134,81 @@ class Powerup {
 }
 
 /**
- * Rapid Fire Powerup - Permanent upgrade: Increases shooting rate
+ * Upgrade Powerup - Permanent upgrade: experience for one upgrade type (see js/upgrades.js)
  */
-class RapidFirePowerup extends Powerup {
-    constructor(x, y) {
+class UpgradePowerup extends Powerup {
+    constructor(x, y, upgradeType) {
         super(x, y, 5); // 5 XP
-        this.type = 'rapidfire';
-        this.color = '#ff6b6b';
+        this.reset(x, y, upgradeType);
     }
 
-    apply(player) {
-        // Add experience instead of direct upgrade (5 XP per powerup)
-        player.addExperience('rapidfire', this.experienceAmount);
+    /**
+     * Initialize for a new drop - also used to reuse a pooled powerup
+     */
+    reset(x, y, upgradeType) {
+        super.reset(x, y);
+        this.type = upgradeType;
+        const upgrade = getUpgradeDefinition(upgradeType);
+        this.color = upgrade ? upgrade.color : '#ffd700';
     }
-}
 
-/**
- * Multi Shot Powerup - Permanent upgrade: Shoots multiple bullets
- */
-class MultiShotPowerup extends Powerup {
-    constructor(x, y) {
-        super(x, y, 5); // 5 XP
-        this.type = 'multishot';
-        this.color = '#4ecdc4';
+    getIcon() {
+        const upgrade = getUpgradeDefinition(this.type);
+        return upgrade ? upgrade.icon : super.getIcon();
     }
 
     apply(player) {
         // Add experience instead of direct upgrade (5 XP per powerup)
-        player.addExperience('multishot', this.experienceAmount);
+        player.addExperience(this.type, this.experienceAmount);
     }
 }
 
 /**
- * Power Boost Powerup - Permanent upgrade: Increases movement speed and damage
+ * Shield Powerup - Adds a shield that absorbs one hit (dropped by carriers and bosses)
  */
-class PowerBoostPowerup extends Powerup {
+class ShieldPowerup extends Powerup {
     constructor(x, y) {
-        super(x, y, 5); // 5 XP
-        this.type = 'powerboost';
-        this.color = '#ffe66d';
+        super(x, y);
+        this.type = 'shield';
+        this.color = '#74b9ff';
+    }
+
+    getIcon() {
+        return '🛡️';
     }
 
     apply(player) {
-        // Add experience instead of direct upgrade (5 XP per powerup)
-        player.addExperience('powerboost', this.experienceAmount);
+        return player.addShield();
     }
 }
 
 /**
- * Lane Speed Powerup - Permanent upgrade: Increases lane switching speed
+ * Buff Powerup - Timed power-up: starts a buff for its duration (see js/buffs.js)
  */
-class LaneSpeedPowerup extends Powerup {
-    constructor(x, y) {
-        super(x, y, 5); // 5 XP
-        this.type = 'lanespeed';
-        this.color = '#a29bfe';
+class BuffPowerup extends Powerup {
+    constructor(x, y, buffType) {
+        super(x, y);
+        this.reset(x, y, buffType);
+    }
+
+    /**
+     * Initialize for a new drop - also used to reuse a pooled powerup
+     */
+    reset(x, y, buffType) {
+        super.reset(x, y);
+        this.type = buffType;
+        const buff = getBuffDefinition(buffType);
+        this.color = buff ? buff.color : '#ffd700';
+        this.duration = buff ? buff.duration : 0;
+    }
+
+    getIcon() {
+        const buff = getBuffDefinition(this.type);
+        return buff ? buff.icon : super.getIcon();
     }
 
     apply(player) {
-        // Add experience instead of direct upgrade (5 XP per powerup)
-        player.addExperience('lanespeed', this.experienceAmount);
+        return player.addBuff(this.type, this.duration);
     }
 }
 
@@ -201,15 +220,62 @@ class ExperiencePowerup extends Powerup {
     constructor(x, y, xpAmount, upgradeType) {
         super(x, y, xpAmount);
         this.type = 'experience';
+        this.reset(x, y, xpAmount, upgradeType);
+    }
+
+    /**
+     * Initialize for a new drop - also used to reuse a pooled powerup
+     */
+    reset(x, y, xpAmount, upgradeType) {
+        super.reset(x, y, xpAmount);
         this.upgradeType = upgradeType; // Which upgrade type this XP is for
         // Color based on upgrade type (same as regular powerups)
-        const upgradeColors = {
-            'rapidfire': '#ff6b6b',
-            'multishot': '#4ecdc4',
-            'powerboost': '#ffe66d',
-            'lanespeed': '#a29bfe'
-        };
-        this.color = upgradeColors[upgradeType] || '#ffd700';
+        const upgrade = getUpgradeDefinition(upgradeType);
+        this.color = upgrade ? upgrade.color : '#ffd700';
+    }
+
+    /**
+     * Show the icon of the upgrade the experience is for
+     */
+    getIcon() {
+        const upgrade = getUpgradeDefinition(this.upgradeType);
+        return upgrade ? upgrade.icon : super.getIcon();
+    }
+
+    /**
+     * Home in on the ship instead of falling while inside its pickup radius
+     * Eased: the orb keeps its falling speed at the edge of the radius and speeds up
+     * to BALANCE.pickups.pullSpeed as it closes in
+     * @param {number} x - Ship position
+     * @param {number} y
+     * @param {number} radius - Pickup radius (see Player.getPickupRadius)
+     * @returns {boolean} - Whether the orb was pulled (it didn't fall this tick)
+     */
+    pullTowards(x, y, radius) {
+        const dx = x - this.x;
+        const dy = y - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance >= radius) return false;
+        if (distance === 0) return true;
+
+        const closeness = 1 - distance / radius;
+        const speed = this.speed + (BALANCE.pickups.pullSpeed - this.speed) * closeness * closeness;
+        const step = Math.min(speed, distance);
+        this.x += dx / distance * step;
+        this.y += dy / distance * step;
+        return true;
+    }
+
+    /**
+     * Merge another orb into this one: its experience adds up, the merged orb sits at their weighted center
+     * @param {ExperiencePowerup} orb - Orb of the same upgrade type, deactivated
+     */
+    absorb(orb) {
+        const total = this.experienceAmount + orb.experienceAmount;
+        this.x = (this.x * this.experienceAmount + orb.x * orb.experienceAmount) / total;
+        this.y = (this.y * this.experienceAmount + orb.y * orb.experienceAmount) / total;
+        this.setExperienceAmount(total);
+        orb.active = false;
     }
 
     apply(player) {
@@ -227,18 +293,32 @@ class ExperiencePowerup extends Powerup {
 
 /**
  * Powerup Factory - Creates powerups by type
+ * Every upgrade type (see js/upgrades.js) is also a powerup type, made by UpgradePowerup,
+ * and so is every buff type (see js/buffs.js), made by BuffPowerup.
  */
 class PowerupFactory {
-    static create(type, x, y, xpAmount = 0, upgradeType = null) {
-        const powerupClasses = {
-            'rapidfire': RapidFirePowerup,
-            'multishot': MultiShotPowerup,
-            'powerboost': PowerBoostPowerup,
-            'lanespeed': LaneSpeedPowerup,
+    static getPowerupClasses() {
+        return {
+            'shield': ShieldPowerup,
             'experience': ExperiencePowerup
         };
+    }
+
+    static isKnownType(type) {
+        return getUpgradeDefinition(type) !== null || getBuffDefinition(type) !== null
+            || Object.prototype.hasOwnProperty.call(this.getPowerupClasses(), type);
+    }
+
+    static create(type, x, y, xpAmount = 0, upgradeType = null) {
+        // Powerups are pooled - release them with releaseToPool() when they leave the game
+        if (getUpgradeDefinition(type)) {
+            return getPool(UpgradePowerup).acquire(x, y, type);
+        }
+        if (getBuffDefinition(type)) {
+            return getPool(BuffPowerup).acquire(x, y, type);
+        }
 
-        const PowerupClass = powerupClasses[type];
+        const PowerupClass = this.getPowerupClasses()[type];
         if (!PowerupClass) {
             console.warn(`Unknown powerup type: ${type}`);
             return new Powerup(x, y, xpAmount);
@@ -246,16 +326,15 @@ class PowerupFactory {
 
         // Special handling for experience powerups
         if (type === 'experience') {
-            return new ExperiencePowerup(x, y, xpAmount, upgradeType);
+            return getPool(ExperiencePowerup).acquire(x, y, xpAmount, upgradeType);
         }
 
-        return new PowerupClass(x, y);
+        return getPool(PowerupClass).acquire(x, y);
     }
 
-    static createRandom(x, y) {
-        const types = ['rapidfire', 'multishot', 'powerboost', 'lanespeed'];
-        const randomType = types[randomInt(0, types.length - 1)];
+    static createRandom(x, y, rng = null) {
+        const types = getUpgradeTypes();
+        const randomType = types[randomInt(0, types.length - 1, rng)];
         return this.create(randomType, x, y);
     }
 }
-
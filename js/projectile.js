@@ -0,0 +1,75 @@
+/**
+ * Enemy Projectile - Shots fired by ranged enemies straight down their lane
+ * A projectile hits the player through getBounds and is destroyed by player bullets in its lane.
+ */
+class EnemyProjectile {
+    constructor(x, y, laneIndex, speed = CONFIG.ENEMY_BASE_SPEED * 2, damage = 1) {
+        this.reset(x, y, laneIndex, speed, damage);
+    }
+
+    /**
+     * Initialize the projectile - also used to reuse a pooled projectile (see getPool)
+     */
+    reset(x, y, laneIndex, speed = CONFIG.ENEMY_BASE_SPEED * 2, damage = 1) {
+        this.x = x;
+        this.y = y;
+        this.prevX = x; // A reused projectile must not interpolate from its previous life
+        this.prevY = y;
+        this.laneIndex = laneIndex;
+        this.width = 8;
+        this.height = 14;
+        this.speed = speed;
+        this.damage = damage; // Shields the hit breaks
+        this.active = true;
+    }
+
+    /**
+     * Update projectile position
+     */
+    update() {
+        this.y += this.speed;
+
+        // Deactivate if off screen
+        if (this.y - this.height / 2 > CONFIG.CANVAS_HEIGHT) {
+            this.active = false;
+        }
+    }
+
+    /**
+     * Draw projectile as a glowing bolt, larger and redder with more damage
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    draw(ctx) {
+        if (!this.active) return;
+
+        const color = this.damage > 1 ? '#ff3f34' : '#ff9f43';
+        const scale = 1 + (this.damage - 1) * 0.25;
+
+        ctx.save();
+        ctx.fillStyle = color;
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 12;
+        ctx.beginPath();
+        ctx.ellipse(this.x, this.y, (this.width / 2) * scale, (this.height / 2) * scale, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Bright core
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.beginPath();
+        ctx.arc(this.x, this.y + this.height / 6, this.width / 5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+
+    /**
+     * Get collision bounds
+     */
+    getBounds() {
+        return {
+            x: this.x - this.width / 2,
+            y: this.y - this.height / 2,
+            width: this.width,
+            height: this.height
+        };
+    }
+}
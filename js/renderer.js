@@ -0,0 +1,471 @@
+/**
+ * Renderers - Presentation layer that draws the game simulation
+ * The Game owns all simulation state; a renderer only reads it to draw frames.
+ * Pass a renderer to the Game constructor, or use NullRenderer for headless runs.
+ */
+
+/**
+ * Canvas Renderer - Draws the game onto an HTML5 canvas
+ */
+class CanvasRenderer {
+    constructor(canvasId) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+        this.game = null;
+
+        // Victory screen animation (cosmetic only, so it lives with the renderer)
+        this.victoryParticles = []; // Victory screen particles
+        this.victoryStars = []; // Victory screen stars
+        this.victoryEnergyRings = []; // Victory screen energy rings
+        this.victoryTime = 0; // Time since victory screen appeared
+
+        // Full-screen flash (bombs), fading out over its frames
+        this.screenFlash = null; // { color, frame, frames }
+
+        this.setupCanvas();
+
+        // Handle window resize for mobile
+        window.addEventListener('resize', () => this.setupCanvas());
+    }
+
+    /**
+     * Attach to a game (called by the Game constructor)
+     * @param {Game} game
+     */
+    attach(game) {
+        this.game = game;
+    }
+
+    /**
+     * Setup canvas size (responsive for mobile)
+     */
+    setupCanvas() {
+        const container = this.canvas.parentElement;
+        const containerRect = container.getBoundingClientRect();
+
+        // Use container size for mobile, or fixed size for desktop
+        const isMobile = window.innerWidth <= 900;
+
+        if (isMobile) {
+            // Mobile: use full container size
+            this.canvas.width = containerRect.width;
+            this.canvas.height = containerRect.height;
+            // Update CONFIG for mobile
+            CONFIG.CANVAS_WIDTH = containerRect.width;
+            CONFIG.CANVAS_HEIGHT = containerRect.height;
+        } else {
+            // Desktop: use fixed size
+            this.canvas.width = CONFIG.CANVAS_WIDTH;
+            this.canvas.height = CONFIG.CANVAS_HEIGHT;
+        }
+
+        // Spread the lanes across the new width
+        updateLaneLayout(this.canvas.width);
+
+        // Let the game move the player onto the new lane positions
+        if (this.game) {
+            this.game.onLanePositionsChanged();
+        }
+    }
+
+    /**
+     * Clear victory screen animation
+     */
+    resetVictoryAnimation() {
+        this.victoryParticles = [];
+        this.victoryStars = [];
+        this.victoryEnergyRings = [];
+        this.victoryTime = 0;
+    }
+
+    /**
+     * Initialize victory screen animation particles
+     */
+    initVictoryAnimation() {
+        this.victoryParticles = [];
+        this.victoryStars = [];
+        this.victoryTime = 0;
+
+        const centerX = this.canvas.width / 2;
+        const centerY = this.canvas.height / 2;
+
+        // Create burst particles (golden/rainbow)
+        for (let i = 0; i < 80; i++) {
+            const angle = (Math.PI * 2 * i) / 80 + Math.random() * 0.3;
+            const speed = 2 + Math.random() * 4;
+            this.victoryParticles.push({
+                x: centerX,
+                y: centerY,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                size: 3 + Math.random() * 5,
+                life: 0,
+                maxLife: 60 + Math.random() * 40,
+                color: `hsl(${Math.random() * 60 + 30}, 100%, ${50 + Math.random() * 30}%)`, // Golden to orange
+                glow: true
+            });
+        }
+
+        // Create floating stars
+        for (let i = 0; i < 50; i++) {
+            this.victoryStars.push({
+                x: Math.random() * this.canvas.width,
+                y: Math.random() * this.canvas.height,
+                size: 2 + Math.random() * 4,
+                speed: 0.3 + Math.random() * 0.5,
+                angle: Math.random() * Math.PI * 2,
+                twinkle: Math.random() * Math.PI * 2,
+                twinkleSpeed: 0.05 + Math.random() * 0.1,
+                color: `hsl(${Math.random() * 60 + 30}, 100%, ${70 + Math.random() * 30}%)`
+            });
+        }
+
+        // Create energy rings
+        this.victoryEnergyRings = [];
+        for (let i = 0; i < 3; i++) {
+            this.victoryEnergyRings.push({
+                x: centerX,
+                y: centerY,
+                radius: 0,
+                maxRadius: 200 + i * 100,
+                speed: 2 + i * 0.5,
+                life: 0,
+                maxLife: 120,
+                alpha: 1,
+                color: `hsl(${30 + i * 20}, 100%, 60%)`
+            });
+        }
+    }
+
+    /**
+     * Update victory screen animation
+     */
+    updateVictoryAnimation() {
+        this.victoryTime++;
+
+        // Update burst particles
+        this.victoryParticles = this.victoryParticles.filter(particle => {
+            particle.x += particle.vx;
+            particle.y += particle.vy;
+            particle.vx *= 0.98;
+            particle.vy *= 0.98;
+            particle.life++;
+            particle.size *= 0.98;
+            return particle.life < particle.maxLife;
+        });
+
+        // Update floating stars
+        this.victoryStars.forEach(star => {
+            star.x += Math.cos(star.angle) * star.speed;
+            star.y += Math.sin(star.angle) * star.speed;
+            star.twinkle += star.twinkleSpeed;
+            
+            // Wrap around screen
+            if (star.x < 0) star.x = this.canvas.width;
+            if (star.x > this.canvas.width) star.x = 0;
+            if (star.y < 0) star.y = this.canvas.height;
+            if (star.y > this.canvas.height) star.y = 0;
+        });
+
+        // Update energy rings
+        if (this.victoryEnergyRings) {
+            this.victoryEnergyRings.forEach(ring => {
+                ring.radius += ring.speed;
+                ring.life++;
+                ring.alpha = 1 - (ring.life / ring.maxLife);
+                
+                // Create new ring when old one fades
+                if (ring.life >= ring.maxLife && this.victoryTime % 60 === 0) {
+                    const centerX = this.canvas.width / 2;
+                    const centerY = this.canvas.height / 2;
+                    ring.radius = 0;
+                    ring.life = 0;
+                    ring.alpha = 1;
+                    ring.x = centerX;
+                    ring.y = centerY;
+                }
+            });
+        }
+
+        // Spawn new particles occasionally
+        if (this.victoryTime % 10 === 0 && this.victoryParticles.length < 100) {
+            const centerX = this.canvas.width / 2;
+            const centerY = this.canvas.height / 2;
+            const angle = Math.random() * Math.PI * 2;
+            const speed = 1 + Math.random() * 3;
+            this.victoryParticles.push({
+                x: centerX,
+                y: centerY,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                size: 2 + Math.random() * 4,
+                life: 0,
+                maxLife: 40 + Math.random() * 30,
+                color: `hsl(${Math.random() * 60 + 30}, 100%, ${50 + Math.random() * 30}%)`,
+                glow: true
+            });
+        }
+    }
+
+    /**
+     * Draw victory screen animation
+     */
+    drawVictoryAnimation() {
+        const centerX = this.canvas.width / 2;
+        const centerY = this.canvas.height / 2;
+
+        // Draw energy rings
+        if (this.victoryEnergyRings) {
+            this.victoryEnergyRings.forEach(ring => {
+                if (ring.alpha > 0) {
+                    this.ctx.save();
+                    this.ctx.globalAlpha = ring.alpha * 0.6;
+                    this.ctx.strokeStyle = ring.color;
+                    this.ctx.lineWidth = 3;
+                    this.ctx.shadowColor = ring.color;
+                    this.ctx.shadowBlur = 20;
+                    this.ctx.beginPath();
+                    this.ctx.arc(ring.x, ring.y, ring.radius, 0, Math.PI * 2);
+                    this.ctx.stroke();
+                    this.ctx.restore();
+                }
+            });
+        }
+
+        // Draw floating stars
+        this.victoryStars.forEach(star => {
+            const twinkle = Math.sin(star.twinkle) * 0.5 + 0.5;
+            this.ctx.save();
+            this.ctx.globalAlpha = twinkle;
+            this.ctx.fillStyle = star.color;
+            this.ctx.shadowColor = star.color;
+            this.ctx.shadowBlur = 10;
+            this.ctx.beginPath();
+            this.ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.restore();
+        });
+
+        // Draw burst particles
+        this.victoryParticles.forEach(particle => {
+            const progress = particle.life / particle.maxLife;
+            const alpha = 1 - progress;
+            
+            this.ctx.save();
+            this.ctx.globalAlpha = alpha;
+            this.ctx.fillStyle = particle.color;
+            if (particle.glow) {
+                this.ctx.shadowColor = particle.color;
+                this.ctx.shadowBlur = 15;
+            }
+            this.ctx.beginPath();
+            this.ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.restore();
+        });
+
+        // Draw central burst effect
+        const burstProgress = Math.min(this.victoryTime / 30, 1);
+        if (burstProgress < 1) {
+            const burstSize = burstProgress * 150;
+            const burstAlpha = (1 - burstProgress) * 0.8;
+            this.ctx.save();
+            this.ctx.globalAlpha = burstAlpha;
+            const gradient = this.ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, burstSize);
+            gradient.addColorStop(0, 'rgba(255, 215, 0, 1)');
+            gradient.addColorStop(0.5, 'rgba(255, 165, 0, 0.5)');
+            gradient.addColorStop(1, 'rgba(255, 69, 0, 0)');
+            this.ctx.fillStyle = gradient;
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, burstSize, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.restore();
+        }
+
+        // Draw pulsing glow at center
+        const pulse = Math.sin(this.victoryTime * 0.1) * 0.3 + 0.7;
+        this.ctx.save();
+        this.ctx.globalAlpha = pulse * 0.4;
+        const pulseGradient = this.ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, 100);
+        pulseGradient.addColorStop(0, 'rgba(255, 215, 0, 1)');
+        pulseGradient.addColorStop(1, 'rgba(255, 215, 0, 0)');
+        this.ctx.fillStyle = pulseGradient;
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, 100, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.restore();
+    }
+
+    /**
+     * Flash the whole screen, e.g. when a bomb goes off
+     * @param {string} color - CSS color of the flash
+     * @param {number} frames - Frames it takes to fade out
+     */
+    flashScreen(color = '#ffffff', frames = 20) {
+        this.screenFlash = { color, frame: 0, frames };
+    }
+
+    /**
+     * Draw the screen flash over the frame and fade it out
+     */
+    drawScreenFlash() {
+        if (!this.screenFlash) return;
+
+        const flash = this.screenFlash;
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.8 * (1 - flash.frame / flash.frames);
+        this.ctx.fillStyle = flash.color;
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.restore();
+
+        flash.frame++;
+        if (flash.frame >= flash.frames) {
+            this.screenFlash = null;
+        }
+    }
+
+    /**
+     * Draw an entity at a position interpolated between its previous and current tick
+     * @param {object} entity - Entity with x, y and draw(ctx)
+     * @param {number} alpha - Interpolation factor (0 = previous tick, 1 = current tick)
+     */
+    drawInterpolated(entity, alpha) {
+        // Entities spawned this tick have no previous position yet
+        if (alpha >= 1 || entity.prevX === undefined) {
+            entity.draw(this.ctx);
+            return;
+        }
+
+        const x = entity.x;
+        const y = entity.y;
+        entity.x = entity.prevX + (x - entity.prevX) * alpha;
+        entity.y = entity.prevY + (y - entity.prevY) * alpha;
+        entity.draw(this.ctx);
+        entity.x = x;
+        entity.y = y;
+    }
+
+    /**
+     * Draw a frame of the game
+     * @param {Game} game - Game whose state is drawn
+     * @param {number} alpha - Interpolation factor between the last two simulation ticks
+     */
+    draw(game, alpha = 1) {
+        // Clear canvas
+        this.ctx.fillStyle = '#0f0f1e';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Draw effects even after game over to show death animation
+        game.effects.forEach(effect => effect.draw(this.ctx));
+
+        // Draw victory animation if in victory state
+        if (game.state === 'victory') {
+            this.drawVictoryAnimation();
+            return;
+        }
+
+        // Paused games keep drawing the frozen scene under the pause overlay
+        if (game.state !== 'playing' && game.state !== 'paused') return;
+
+        // Draw lane dividers
+        this.drawLaneDividers();
+
+        // Draw player
+        if (game.player) {
+            this.drawInterpolated(game.player, alpha);
+
+            // Draw bullets (only active ones, and only if on screen)
+            const canvasHeight = this.canvas.height;
+            game.player.bullets.forEach(bullet => {
+                if (bullet.active && bullet.y > -50 && bullet.y < canvasHeight + 50) {
+                    this.drawInterpolated(bullet, alpha);
+                }
+            });
+        }
+
+        // Draw enemies (only active ones, and only if on screen or near screen)
+        const canvasHeight = this.canvas.height;
+        game.enemies.forEach(enemy => {
+            if (enemy.active && enemy.y > -100 && enemy.y < canvasHeight + 100) {
+                this.drawInterpolated(enemy, alpha);
+            }
+        });
+
+        // Draw enemy projectiles (only active ones, and only if on screen)
+        game.enemyProjectiles.forEach(projectile => {
+            if (projectile.active && projectile.y > -50 && projectile.y < canvasHeight + 50) {
+                this.drawInterpolated(projectile, alpha);
+            }
+        });
+
+        // Draw powerups (only active ones, and only if on screen)
+        game.powerups.forEach(powerup => {
+            if (powerup.active && powerup.y > -50 && powerup.y < canvasHeight + 50) {
+                this.drawInterpolated(powerup, alpha);
+            }
+        });
+
+        // Draw XP texts (only active ones, and only if on screen)
+        game.xpTexts.forEach(xpText => {
+            if (xpText.active && xpText.y > -50 && xpText.y < canvasHeight + 50) {
+                this.drawInterpolated(xpText, alpha);
+            }
+        });
+
+        // Draw level up text
+        if (game.levelUpText && game.levelUpText.active) {
+            this.ctx.save();
+            this.ctx.globalAlpha = game.levelUpText.alpha;
+            this.ctx.translate(game.levelUpText.x, game.levelUpText.y);
+            this.ctx.scale(game.levelUpText.scale, game.levelUpText.scale);
+
+            // Draw with glow effect
+            this.ctx.shadowColor = '#ffd700';
+            this.ctx.shadowBlur = 20;
+            this.ctx.font = 'bold 72px Arial';
+            this.ctx.fillStyle = '#ffd700';
+            this.ctx.strokeStyle = '#000';
+            this.ctx.lineWidth = 4;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+
+            this.ctx.strokeText(game.levelUpText.text, 0, 0);
+            this.ctx.fillText(game.levelUpText.text, 0, 0);
+
+            this.ctx.restore();
+        }
+
+        this.drawScreenFlash();
+    }
+
+    /**
+     * Draw lane dividers
+     */
+    drawLaneDividers() {
+        // Already drawn by player.drawLaneIndicators, but can add more visual elements here
+    }
+}
+
+/**
+ * Null Renderer - Draws nothing (headless simulation, tests, servers)
+ */
+class NullRenderer {
+    constructor() {
+        this.canvas = null;
+        this.ctx = null;
+    }
+
+    attach(game) {}
+
+    setupCanvas() {}
+
+    resetVictoryAnimation() {}
+
+    initVictoryAnimation() {}
+
+    updateVictoryAnimation() {}
+
+    flashScreen(color, frames) {}
+
+    draw(game, alpha = 1) {}
+}
@@ -0,0 +1,314 @@
+/**
+ * Replays - Input recording and playback
+ * A replay is the run's seed and settings (lane count, balance profile, difficulty, game mode, upgrade progression) plus every input with the simulation tick it was applied on.
+ * The simulation is deterministic, so feeding the inputs back reproduces the run exactly.
+ */
+
+// Compact codes for recorded input actions
+const REPLAY_ACTION_CODES = {
+    left: 'L',
+    right: 'R',
+    cycle: 'C',
+    continue: 'V',
+    // Direct lane selection (tap on a lane, number keys), up to CONFIG.MAX_LANE_COUNT lanes
+    lane0: '0',
+    lane1: '1',
+    lane2: '2',
+    lane3: '3',
+    lane4: '4',
+    // Upgrade draft picks (up to UPGRADE_DRAFT_CHOICES) and rerolls
+    draft0: 'D0',
+    draft1: 'D1',
+    draft2: 'D2',
+    reroll: 'DR',
+    bomb: 'B'
+};
+
+// Lane count of replays recorded before lane counts were configurable (they have no lanes field)
+const LEGACY_REPLAY_LANE_COUNT = 2;
+
+// Upgrade progression of replays recorded before drafts existed (they have no progression field)
+const LEGACY_REPLAY_PROGRESSION = 'random';
+
+// Playback speeds offered by the replay controls
+const REPLAY_SPEEDS = [1, 2, 4];
+
+/**
+ * Input Recorder - Collects the inputs of the current run
+ */
+class InputRecorder {
+    constructor() {
+        this.seed = null;
+        this.settings = {
+            lanes: DEFAULT_LANE_COUNT,
+            balance: 'default',
+            difficulty: DEFAULT_DIFFICULTY,
+            mode: DEFAULT_GAME_MODE,
+            progression: DEFAULT_UPGRADE_PROGRESSION
+        };
+        this.inputs = []; // [tick, actionCode] pairs in tick order
+    }
+
+    /**
+     * Begin recording a new run
+     * @param {number} seed - RNG seed of the run
+     * @param {object} settings - Run settings { lanes, balance, difficulty, mode, progression }
+     */
+    start(seed, settings) {
+        this.seed = seed;
+        this.settings = {
+            lanes: settings.lanes,
+            balance: settings.balance,
+            difficulty: settings.difficulty,
+            mode: settings.mode,
+            progression: settings.progression
+        };
+        this.inputs = [];
+    }
+
+    /**
+     * Record an input action
+     * @param {number} tick - Simulation tick the input was applied on
+     * @param {string} action - Input action (see REPLAY_ACTION_CODES)
+     */
+    record(tick, action) {
+        const code = REPLAY_ACTION_CODES[action];
+        if (!code) {
+            console.warn(`Unknown replay action: ${action}`);
+            return;
+        }
+        this.inputs.push([tick, code]);
+    }
+
+    /**
+     * Build a replay of the run so far
+     * @param {Game} game - Game that was recorded
+     * @returns {object} - Replay data (JSON serializable)
+     */
+    toReplay(game) {
+        return {
+            version: GAME_VERSION,
+            seed: this.seed,
+            lanes: this.settings.lanes,
+            balance: this.settings.balance,
+            difficulty: this.settings.difficulty,
+            mode: this.settings.mode,
+            progression: this.settings.progression,
+            ticks: game.tick,
+            score: game.score,
+            inputs: this.inputs.slice()
+        };
+    }
+}
+
+/**
+ * Serialize a replay for saving or sharing
+ * @param {object} replay - Replay data
+ * @returns {string}
+ */
+function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+/**
+ * Parse and validate a saved replay
+ * @param {string} text - Serialized replay
+ * @returns {object} - Replay data
+ */
+function parseReplay(text) {
+    const replay = JSON.parse(text);
+    const codes = Object.values(REPLAY_ACTION_CODES);
+
+    if (typeof replay.seed !== 'number' || typeof replay.ticks !== 'number' || !Array.isArray(replay.inputs)) {
+        throw new Error('Invalid replay: missing seed, ticks or inputs');
+    }
+    if (replay.lanes === undefined) {
+        replay.lanes = LEGACY_REPLAY_LANE_COUNT;
+    } else if (!isValidLaneCount(replay.lanes)) {
+        throw new Error(`Invalid replay: unsupported lane count ${replay.lanes}`);
+    }
+    if (replay.balance === undefined) {
+        replay.balance = 'default';
+    } else if (!hasBalanceProfile(replay.balance)) {
+        throw new Error(`Invalid replay: unknown balance profile ${replay.balance}`);
+    }
+    if (replay.difficulty === undefined) {
+        replay.difficulty = DEFAULT_DIFFICULTY;
+    } else if (!isValidDifficulty(replay.difficulty)) {
+        throw new Error(`Invalid replay: unknown difficulty ${replay.difficulty}`);
+    }
+    if (replay.mode === undefined) {
+        replay.mode = DEFAULT_GAME_MODE;
+    } else if (!GameModeFactory.isKnownType(replay.mode)) {
+        throw new Error(`Invalid replay: unknown game mode ${replay.mode}`);
+    }
+    if (replay.progression === undefined) {
+        replay.progression = LEGACY_REPLAY_PROGRESSION;
+    } else if (!isValidUpgradeProgression(replay.progression)) {
+        throw new Error(`Invalid replay: unknown upgrade progression ${replay.progression}`);
+    }
+    replay.inputs.forEach(input => {
+        if (!Array.isArray(input) || typeof input[0] !== 'number' || !codes.includes(input[1])) {
+            throw new Error(`Invalid replay input: ${JSON.stringify(input)}`);
+        }
+    });
+    if (replay.version !== GAME_VERSION) {
+        console.warn(`Replay was recorded with version ${replay.version}, running ${GAME_VERSION} - playback may diverge`);
+    }
+
+    return replay;
+}
+
+/**
+ * Replay Player - Drives a Game from recorded inputs instead of live input
+ */
+class ReplayPlayer {
+    /**
+     * @param {Game} game - Game to drive
+     * @param {object} replay - Replay data (see InputRecorder.toReplay)
+     */
+    constructor(game, replay) {
+        this.game = game;
+        this.replay = replay;
+        this.actions = {};
+        Object.keys(REPLAY_ACTION_CODES).forEach(action => {
+            this.actions[REPLAY_ACTION_CODES[action]] = action;
+        });
+
+        this.inputIndex = 0; // Next recorded input to apply
+        this.playing = false;
+        this.speed = 1;
+        this.accumulator = 0; // Real time not yet consumed, scaled by speed
+    }
+
+    /**
+     * Restart the run from the replay's seed and settings (stays paused or playing as before)
+     */
+    restart() {
+        this.game.start(this.replay.seed, {
+            lanes: this.replay.lanes || LEGACY_REPLAY_LANE_COUNT,
+            balance: this.replay.balance || 'default',
+            difficulty: this.replay.difficulty || DEFAULT_DIFFICULTY,
+            mode: this.replay.mode || DEFAULT_GAME_MODE,
+            progression: this.replay.progression || LEGACY_REPLAY_PROGRESSION
+        });
+        this.inputIndex = 0;
+        this.accumulator = 0;
+    }
+
+    play() {
+        if (this.isFinished()) {
+            this.restart();
+        }
+        this.playing = true;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Set playback speed
+     * @param {number} speed - One of REPLAY_SPEEDS
+     */
+    setSpeed(speed) {
+        if (!REPLAY_SPEEDS.includes(speed)) {
+            console.warn(`Unsupported replay speed: ${speed}`);
+            return;
+        }
+        this.speed = speed;
+    }
+
+    /**
+     * Check if the recorded run has been played to its end
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.game.tick >= this.replay.ticks || this.game.state === 'gameover';
+    }
+
+    /**
+     * Get the recorded input actions for a tick
+     * @param {number} tick - Simulation tick about to run
+     * @returns {string[]} - Input actions
+     */
+    getInputs(tick) {
+        const inputs = this.replay.inputs;
+        const actions = [];
+        while (this.inputIndex < inputs.length && inputs[this.inputIndex][0] <= tick) {
+            actions.push(this.actions[inputs[this.inputIndex][1]]);
+            this.inputIndex++;
+        }
+        return actions;
+    }
+
+    /**
+     * Run one simulation tick of the replay
+     */
+    step() {
+        this.game.handleInput();
+        this.game.update();
+    }
+
+    /**
+     * Jump to a tick - rewinding restarts the run and fast-forwards from the beginning
+     * @param {number} tick - Target simulation tick
+     */
+    seek(tick) {
+        const target = clamp(Math.floor(tick), 0, this.replay.ticks);
+        if (target < this.game.tick) {
+            this.restart();
+        }
+
+        // Fast-forward silently
+        const audioEnabled = this.game.audioManager.enabled;
+        this.game.audioManager.enabled = false;
+        while (this.game.tick < target && !this.isFinished()) {
+            this.step();
+        }
+        this.game.audioManager.enabled = audioEnabled;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Advance playback by a span of real time (called every animation frame)
+     * @param {number} frameTime - Real time elapsed since the last frame in milliseconds
+     */
+    update(frameTime) {
+        if (!this.playing || this.game.state === 'paused') return;
+
+        this.accumulator += Math.min(Math.max(frameTime, 0), CONFIG.MAX_FRAME_TIME) * this.speed;
+
+        let steps = 0;
+        const maxSteps = CONFIG.MAX_STEPS_PER_FRAME * this.speed;
+        while (this.accumulator >= CONFIG.FIXED_TIMESTEP && steps < maxSteps) {
+            if (this.isFinished()) {
+                this.pause();
+                break;
+            }
+            this.step();
+            this.accumulator -= CONFIG.FIXED_TIMESTEP;
+            steps++;
+        }
+
+        if (steps >= maxSteps) {
+            this.accumulator = Math.min(this.accumulator, CONFIG.FIXED_TIMESTEP);
+        }
+    }
+
+    /**
+     * Interpolation factor for rendering between the last two ticks
+     * @returns {number}
+     */
+    getInterpolationAlpha() {
+        return this.playing ? this.accumulator / CONFIG.FIXED_TIMESTEP : 1;
+    }
+}
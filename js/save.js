@@ -0,0 +1,198 @@
+/**
+ * Saves - Persist a run in progress and restore it later
+ * A save is a plain JSON snapshot of the simulation state. Cosmetic state (effects,
+ * victory animation) is not saved. Saves from another format or game version are rejected.
+ */
+
+// Bump when the layout of the saved state changes
+const SAVE_FORMAT_VERSION = 9;
+
+/**
+ * Copy an entity's data fields into a plain object
+ * Skips methods, cached fields (leading underscore), the shared RNG and listed keys
+ * @param {object} entity - Entity to snapshot
+ * @param {string[]} skipKeys - Additional keys to leave out
+ * @returns {object}
+ */
+function snapshotEntity(entity, skipKeys = []) {
+    const data = {};
+    Object.keys(entity).forEach(key => {
+        const value = entity[key];
+        if (key[0] === '_' || key === 'rng' || skipKeys.includes(key) || typeof value === 'function') {
+            return;
+        }
+        data[key] = value;
+    });
+    // Deep copy through JSON so the save never shares unit arrays with live entities
+    return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Write snapshot fields back onto a freshly constructed entity
+ * Non-finite numbers don't survive JSON (they become null); those keep the constructor's value
+ * @param {object} entity - Entity to restore into
+ * @param {object} data - Snapshot from snapshotEntity()
+ * @returns {object} - The entity
+ */
+function restoreEntity(entity, data) {
+    Object.keys(data).forEach(key => {
+        if (data[key] === null && typeof entity[key] === 'number') return;
+        entity[key] = data[key];
+    });
+    return entity;
+}
+
+/**
+ * Save Manager - Stores one run in progress in localStorage (or any Storage-like object)
+ */
+class SaveManager {
+    /**
+     * @param {Storage} storage - Storage with getItem/setItem/removeItem, null disables saving
+     * @param {string} key - Storage key
+     */
+    constructor(storage, key = 'laneshooter-save') {
+        this.storage = storage;
+        this.key = key;
+    }
+
+    /**
+     * Check if saving is possible at all
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return this.storage !== null;
+    }
+
+    /**
+     * Store a run state
+     * @param {object} state - State from Game.serialize()
+     * @returns {boolean} - Whether the state was stored
+     */
+    save(state) {
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify(state));
+            return true;
+        } catch (error) {
+            // Quota exceeded or storage disabled (private browsing)
+            console.warn('Could not save run:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Load the stored run state
+     * Corrupt or outdated saves are removed so the menu stops offering them
+     * @returns {object|null} - Valid state, or null if there is none
+     */
+    load() {
+        if (!this.storage) return null;
+
+        const text = this.storage.getItem(this.key);
+        if (!text) return null;
+
+        try {
+            const state = JSON.parse(text);
+            validateSaveState(state);
+            return state;
+        } catch (error) {
+            console.warn(`Discarding saved run: ${error.message}`);
+            this.clear();
+            return null;
+        }
+    }
+
+    /**
+     * Check if a valid run is stored
+     * @returns {boolean}
+     */
+    hasSave() {
+        return this.load() !== null;
+    }
+
+    /**
+     * Remove the stored run
+     */
+    clear() {
+        if (!this.storage) return;
+        this.storage.removeItem(this.key);
+    }
+}
+
+/**
+ * Validate a saved run state, throwing an Error describing the first problem found
+ * @param {object} state - Parsed save data
+ */
+function validateSaveState(state) {
+    if (!state || typeof state !== 'object') {
+        throw new Error('save is not an object');
+    }
+    if (state.formatVersion !== SAVE_FORMAT_VERSION) {
+        throw new Error(`unsupported save format ${state.formatVersion}`);
+    }
+    if (state.gameVersion !== GAME_VERSION) {
+        throw new Error(`save is from game version ${state.gameVersion}`);
+    }
+
+    ['seed', 'rngState', 'score', 'level', 'elapsedTime', 'gameTime', 'tick'].forEach(key => {
+        if (typeof state[key] !== 'number' || !isFinite(state[key])) {
+            throw new Error(`invalid ${key}`);
+        }
+    });
+    if (!isValidLaneCount(state.laneCount)) {
+        throw new Error(`invalid laneCount ${state.laneCount}`);
+    }
+    if (!hasBalanceProfile(state.balance)) {
+        throw new Error(`unknown balance profile ${state.balance}`);
+    }
+    if (!isValidDifficulty(state.difficulty)) {
+        throw new Error(`unknown difficulty ${state.difficulty}`);
+    }
+    if (!GameModeFactory.isKnownType(state.mode) || !state.modeState || typeof state.modeState !== 'object') {
+        throw new Error(`unknown game mode ${state.mode}`);
+    }
+    if (!isValidUpgradeProgression(state.progression)) {
+        throw new Error(`unknown upgrade progression ${state.progression}`);
+    }
+    if (state.draft !== null && (!state.draft || !Array.isArray(state.draft.choices) ||
+        state.draft.choices.length === 0 || !state.draft.choices.every(type => getUpgradeDefinition(type)))) {
+        throw new Error('invalid draft');
+    }
+    ['carrierSpawnedAtLevels', 'bossSpawnedAtLevels', 'bullets', 'enemies', 'enemyProjectiles', 'powerups', 'xpTexts', 'inputs'].forEach(key => {
+        if (!Array.isArray(state[key])) {
+            throw new Error(`invalid ${key}`);
+        }
+    });
+
+    if (!state.waves || !Array.isArray(state.waves.spawns)) {
+        throw new Error('invalid waves');
+    }
+
+    const hasPosition = entity => entity && typeof entity.x === 'number' && typeof entity.y === 'number';
+    if (!hasPosition(state.player) || !state.player.upgrades || !state.player.experience) {
+        throw new Error('invalid player');
+    }
+    if (state.player.buffs !== undefined && (!state.player.buffs || typeof state.player.buffs !== 'object' ||
+        !Object.keys(state.player.buffs).every(type => getBuffDefinition(type)))) {
+        throw new Error('invalid buffs');
+    }
+    state.enemies.forEach(enemy => {
+        if (!hasPosition(enemy) || !EnemyFactory.isKnownType(enemy.type)) {
+            throw new Error(`invalid enemy ${enemy && enemy.type}`);
+        }
+        if (EnemyFactory.getEnemyClasses()[enemy.type].prototype instanceof MultiUnitEnemy && !Array.isArray(enemy.units)) {
+            throw new Error(`invalid ${enemy.type} units`);
+        }
+    });
+    state.powerups.forEach(powerup => {
+        if (!hasPosition(powerup) || !PowerupFactory.isKnownType(powerup.type)) {
+            throw new Error(`invalid powerup ${powerup && powerup.type}`);
+        }
+    });
+    state.bullets.concat(state.enemyProjectiles, state.xpTexts).forEach(entity => {
+        if (!hasPosition(entity)) {
+            throw new Error('invalid bullet, projectile or XP text');
+        }
+    });
+}
@@ -11,6 +11,23 @@ class GameTester {
         this.memoryLeakThreshold = 1000; // Max entities before warning
     }
 
+    /**
+     * Create a game for a test - without save storage so tests never touch the player's saved run
+     * @param {object} options - Game options (headless, seed, balance, progression...), plus
+     *   quiet: start the run without waves and with a ship that doesn't fire, so only the test's own entities act
+     * @returns {Game}
+     */
+    createGame(options = {}) {
+        const { quiet = false, ...gameOptions } = options;
+        const game = new Game({ canvasId: 'gameCanvas', storage: null, ...gameOptions });
+        if (quiet) {
+            game.start();
+            game.waves.restTicks = 1000000;
+            game.player.lastShootTime = Infinity;
+        }
+        return game;
+    }
+
     /**
      * Run all tests
      */
@@ -43,6 +60,49 @@ class GameTester {
         // Test 8: Simulate gameplay session
         this.testGameplaySession();
         
+        // Test 9: Fixed timestep across refresh rates
+        this.testFixedTimestep();
+        
+        // Test 10: Same seed produces the same run
+        this.testDeterminism();
+        
+        // Test 11: Pause freezes the game clock
+        this.testPauseClock();
+        
+        // Test 12: Headless game with null adapters
+        this.testHeadlessGame();
+        
+        // Test 13: Gameplay events
+        this.testGameEvents();
+        
+        // Test 14: Recorded inputs replay the same run
+        this.testReplay();
+        
+        // Test 15: Save and restore a run in progress
+        this.testSaveRestore();
+        
+        // Test 16: Pooled entities are reused, never shared
+        this.testObjectPooling();
+        
+        // Test 17: Runs with more than two lanes
+        this.testLaneCounts();
+        this.testBalanceProfiles();
+        this.testDifficultyModes();
+        this.testWaves();
+        this.testBosses();
+        this.testGameModes();
+        this.testShields();
+        this.testEnemyProjectiles();
+        this.testLaneChangers();
+        this.testUnitBounds();
+        this.testUnitHits();
+        this.testPierceRicochet();
+        this.testUpgradeRegistry();
+        this.testUpgradeDraft();
+        this.testBomb();
+        this.testBuffs();
+        this.testExperienceOrbs();
+        
         // Print results
         this.printResults();
         
@@ -57,13 +117,13 @@ class GameTester {
         const startTime = performance.now();
         
         try {
-            const game = new Game('gameCanvas');
+            const game = this.createGame();
             const initTime = performance.now() - startTime;
             
             // Check if game initialized correctly
             const checks = {
                 gameExists: game !== null,
-                canvasExists: game.canvas !== null,
+                canvasExists: game.renderer.canvas !== null,
                 audioManagerExists: game.audioManager !== null,
                 initialState: game.state === 'menu',
                 initTime: initTime < 100 // Should initialize quickly
@@ -84,7 +144,7 @@ class GameTester {
         console.log('Test 2: Game Loop Performance...');
         
         try {
-            const game = new Game('gameCanvas');
+            const game = this.createGame();
             game.start();
             
             const iterations = 100;
@@ -166,7 +226,7 @@ class GameTester {
         console.log('Test 3: Entity Management...');
         
         try {
-            const game = new Game('gameCanvas');
+            const game = this.createGame();
             game.start();
             
             // Simulate spawning many enemies
@@ -207,7 +267,7 @@ class GameTester {
         console.log('Test 4: Collision Detection Performance...');
         
         try {
-            const game = new Game('gameCanvas');
+            const game = this.createGame();
             game.start();
             
             // Create many enemies and bullets
@@ -216,8 +276,9 @@ class GameTester {
             }
             
             // Fire many bullets
+            const cooldown = game.player.getEffectiveShootCooldown();
             for (let i = 0; i < 10; i++) {
-                game.player.shoot(game.audioManager);
+                game.player.shoot(game.audioManager, game.gameTime + i * cooldown);
             }
             
             const start = performance.now();
@@ -255,7 +316,7 @@ class GameTester {
         console.log('Test 5: Audio System Stability...');
         
         try {
-            const game = new Game('gameCanvas');
+            const game = this.createGame();
             game.start();
             
             // Simulate tension changes
@@ -288,7 +349,7 @@ class GameTester {
         console.log('Test 6: Memory Leak Detection...');
         
         try {
-            const game = new Game('gameCanvas');
+            const game = this.createGame();
             game.start();
             
             const initialCounts = {
@@ -358,7 +419,7 @@ class GameTester {
         console.log('Test 7: Stress Test (Many Entities)...');
         
         try {
-            const game = new Game('gameCanvas');
+            const game = this.createGame();
             game.start();
             
             // Create stress scenario
@@ -421,7 +482,7 @@ class GameTester {
         console.log('Test 8: Simulated Gameplay Session...');
         
         try {
-            const game = new Game('gameCanvas');
+            const game = this.createGame();
             game.start();
             
             const sessionDuration = 1000; // Simulate 1000 frames
@@ -547,6 +608,1910 @@ class GameTester {
         }
     }
 
+    /**
+     * Test 9: Fixed timestep - simulation speed must not depend on refresh rate
+     */
+    testFixedTimestep() {
+        console.log('Test 9: Fixed Timestep...');
+
+        try {
+            const simulatedSeconds = 2;
+            const ticksAt = (refreshRate) => {
+                const game = this.createGame();
+                game.start();
+                const frameTime = 1000 / refreshRate;
+                let ticks = 0;
+                for (let i = 0; i < simulatedSeconds * refreshRate; i++) {
+                    ticks += game.advance(frameTime);
+                }
+                return { ticks, gameTime: game.gameTime };
+            };
+
+            const at60 = ticksAt(60);
+            const at144 = ticksAt(144);
+            const expectedTicks = simulatedSeconds * 1000 / CONFIG.FIXED_TIMESTEP;
+
+            const checks = {
+                ticksMatch60Hz: Math.abs(at60.ticks - expectedTicks) <= 1,
+                ticksMatch144Hz: Math.abs(at144.ticks - expectedTicks) <= 1,
+                gameTimeConsistent: Math.abs(at60.gameTime - at144.gameTime) < CONFIG.FIXED_TIMESTEP * 1.5
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Fixed Timestep', passed, {
+                ...checks,
+                ticks60Hz: at60.ticks,
+                ticks144Hz: at144.ticks,
+                expectedTicks
+            }, 0);
+
+        } catch (error) {
+            this.recordTest('Fixed Timestep', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 10: Determinism - two runs with the same seed and inputs must match
+     */
+    testDeterminism() {
+        console.log('Test 10: Deterministic Seeded Runs...');
+
+        try {
+            const seed = 12345;
+            const runWithSeed = () => {
+                const game = this.createGame();
+                game.start(seed);
+                for (let frame = 0; frame < 1500 && game.state === 'playing'; frame++) {
+                    if (frame % 45 === 0) {
+                        game.player.switchLane(frame % 90 === 0 ? 1 : -1);
+                    }
+                    game.update();
+                }
+                return JSON.stringify({
+                    score: game.score,
+                    level: game.level,
+                    enemies: game.enemies.map(e => [e.type, Math.round(e.x), Math.round(e.y), e.health]),
+                    powerups: game.powerups.map(p => [p.type, Math.round(p.x), Math.round(p.y)]),
+                    upgrades: game.player.getAllUpgrades(),
+                    experience: game.player.getAllExperience()
+                });
+            };
+
+            const first = runWithSeed();
+            const second = runWithSeed();
+
+            const checks = {
+                identicalRuns: first === second
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Deterministic Seeded Runs', passed, passed ? checks : { ...checks, first, second }, 0);
+
+        } catch (error) {
+            this.recordTest('Deterministic Seeded Runs', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 11: Pause - the game clock and entities must not advance while paused
+     */
+    testPauseClock() {
+        console.log('Test 11: Pause Clock...');
+
+        try {
+            const game = this.createGame();
+            game.start(1);
+            for (let i = 0; i < 60; i++) {
+                game.update();
+            }
+
+            game.pause();
+            const pausedAt = {
+                gameTime: game.gameTime,
+                enemyYs: game.enemies.map(e => e.y).join(',')
+            };
+            for (let i = 0; i < 120; i++) {
+                game.advance(CONFIG.FIXED_TIMESTEP);
+            }
+            const afterPause = {
+                gameTime: game.gameTime,
+                enemyYs: game.enemies.map(e => e.y).join(',')
+            };
+
+            game.resume();
+            game.update();
+
+            const checks = {
+                enteredPause: pausedAt.gameTime > 0,
+                clockFrozen: afterPause.gameTime === pausedAt.gameTime,
+                entitiesFrozen: afterPause.enemyYs === pausedAt.enemyYs,
+                clockResumes: game.gameTime > pausedAt.gameTime && game.state === 'playing'
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Pause Clock', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Pause Clock', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 12: Headless - the simulation runs with null adapters and matches a rendered run
+     */
+    testHeadlessGame() {
+        console.log('Test 12: Headless Game...');
+
+        try {
+            const headless = new Game({ headless: true, seed: 777 });
+            headless.start();
+            headless.step(600);
+
+            const rendered = this.createGame();
+            rendered.start(777);
+            for (let i = 0; i < 600; i++) {
+                rendered.handleInput();
+                rendered.update();
+            }
+
+            const checks = {
+                nullAdapters: headless.renderer instanceof NullRenderer &&
+                    headless.ui instanceof NullUI &&
+                    headless.audioManager instanceof NullAudioManager,
+                noCanvas: headless.renderer.canvas === null,
+                simulated: headless.gameTime > 0 && headless.state !== 'menu',
+                drawIsSafe: (() => { headless.draw(0.5); headless.updateUI(); return true; })(),
+                matchesRenderedRun: headless.score === rendered.score &&
+                    headless.enemies.length === rendered.enemies.length &&
+                    headless.gameTime === rendered.gameTime
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Headless Game', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Headless Game', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 13: Event bus - kills, pickups and game over are emitted, listeners can unsubscribe
+     */
+    testGameEvents() {
+        console.log('Test 13: Game Events...');
+
+        try {
+            const game = new Game({ headless: true, seed: 42, progression: 'random' });
+            const counts = {};
+            Object.values(GameEvents).forEach(event => {
+                counts[event] = 0;
+                game.events.on(event, () => counts[event]++);
+            });
+
+            let onceCalls = 0;
+            game.events.once(GameEvents.ENEMY_KILLED, () => onceCalls++);
+            let removedCalls = 0;
+            const unsubscribe = game.events.on(GameEvents.ENEMY_DAMAGED, () => removedCalls++);
+            unsubscribe();
+            game.events.on(GameEvents.ENEMY_KILLED, () => {
+                throw new Error('Failing listener');
+            });
+
+            game.start();
+            game.step(3600);
+            const scoreBeforeDeath = game.score;
+
+            // End the run; the game over screen follows the death explosion on the game clock
+            game.gameOver();
+            game.gameOver();
+            game.step(60);
+
+            const checks = {
+                enemiesKilled: counts[GameEvents.ENEMY_KILLED] > 0,
+                hitsResolved: counts[GameEvents.ENEMY_DAMAGED] >= counts[GameEvents.ENEMY_KILLED],
+                levelUps: counts[GameEvents.LEVEL_UP] === game.level - 1,
+                scoreFromEvents: scoreBeforeDeath > 0,
+                onceFiredOnce: onceCalls === 1,
+                unsubscribed: removedCalls === 0,
+                playerKilled: counts[GameEvents.PLAYER_KILLED] === 1,
+                gameOver: counts[GameEvents.GAME_OVER] === 1 && game.state === 'gameover'
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Game Events', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Game Events', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 14: Replay - recorded inputs reproduce the run, including after seeking
+     */
+    testReplay() {
+        console.log('Test 14: Replay...');
+
+        try {
+            const snapshot = game => JSON.stringify({
+                tick: game.tick,
+                score: game.score,
+                level: game.level,
+                lane: game.player.laneIndex,
+                enemies: game.enemies.map(e => [e.type, Math.round(e.y)])
+            });
+
+            // Live run with keyboard and tap input
+            const live = new Game({ headless: true, seed: 2024 });
+            live.start();
+            for (let i = 0; i < 1800 && live.state === 'playing'; i++) {
+                if (i % 45 === 0) live.keysPressed[i % 90 === 0 ? 'd' : 'a'] = true;
+                if (i % 160 === 0) live.queueInput('cycle');
+                live.step();
+            }
+            const replay = parseReplay(serializeReplay(live.getReplay()));
+
+            // Watch it: play to the end, then seek back and forward again
+            const watcher = new Game({ headless: true });
+            const player = watcher.startReplay(replay);
+            player.seek(replay.ticks);
+            const firstPass = snapshot(watcher);
+            player.seek(replay.ticks / 2);
+            const midTick = watcher.tick;
+            player.seek(replay.ticks);
+
+            const checks = {
+                inputsRecorded: replay.inputs.length > 0,
+                versionStored: replay.version === GAME_VERSION,
+                reproducesRun: firstPass === snapshot(live),
+                seekBack: midTick === Math.floor(replay.ticks / 2),
+                seekForward: snapshot(watcher) === firstPass,
+                liveInputIgnored: (() => {
+                    watcher.keysPressed['a'] = true;
+                    watcher.queueInput('cycle');
+                    watcher.handleInput();
+                    return snapshot(watcher) === firstPass;
+                })()
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Replay', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Replay', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 15: Save/restore - a restored run continues exactly like the original, bad saves are rejected
+     */
+    testSaveRestore() {
+        console.log('Test 15: Save and Restore...');
+
+        try {
+            // In-memory Storage stand-in
+            const createStorage = () => {
+                const items = {};
+                return {
+                    getItem: key => (key in items ? items[key] : null),
+                    setItem: (key, value) => { items[key] = String(value); },
+                    removeItem: key => { delete items[key]; }
+                };
+            };
+            const snapshot = game => JSON.stringify({
+                score: game.score,
+                level: game.level,
+                tick: game.tick,
+                player: [game.player.x, game.player.laneIndex, game.player.bullets.length],
+                enemies: game.enemies.map(e => [e.type, e.y, e.health, e.spawnCooldown])
+            });
+
+            // Zen runs never end and random experience never drafts, so the run is still going when it is saved
+            const storage = createStorage();
+            const original = new Game({ headless: true, seed: 31337, storage, mode: 'zen', progression: 'random' });
+            original.start();
+            for (let i = 0; i < 2400 && original.state === 'playing'; i++) {
+                if (i % 50 === 0) original.keysPressed[i % 100 === 0 ? 'd' : 'a'] = true;
+                original.step();
+            }
+            original.pause();
+
+            const restored = new Game({ headless: true, storage });
+            const continued = restored.continueSavedRun();
+            const resumesPaused = restored.state === 'paused';
+
+            original.resume();
+            restored.resume();
+            original.step(600);
+            restored.step(600);
+
+            // Corrupt and outdated saves are rejected and removed
+            storage.setItem('laneshooter-save', '{not json');
+            const corruptRejected = !restored.hasSavedRun() && storage.getItem('laneshooter-save') === null;
+            const outdated = original.serialize();
+            outdated.formatVersion = SAVE_FORMAT_VERSION + 1;
+            storage.setItem('laneshooter-save', JSON.stringify(outdated));
+            const outdatedRejected = restored.continueSavedRun() === false;
+
+            const checks = {
+                saved: continued,
+                resumesPaused,
+                sameRun: snapshot(restored) === snapshot(original),
+                replayKept: restored.getReplay().inputs.length === original.getReplay().inputs.length,
+                corruptRejected,
+                outdatedRejected
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Save and Restore', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Save and Restore', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 16: Bullets, effects, XP texts and powerups come from pools
+     * A released object must be reused, and never be live twice at the same time
+     */
+    testObjectPooling() {
+        console.log('Test 16: Object Pooling...');
+
+        try {
+            const game = new Game({ headless: true, seed: 4242 });
+            game.start();
+            game.player.upgrades.multishot = 3;
+            game.player.upgrades.rapidfire = 5;
+
+            // Track every bullet object the player ever fires
+            const seenBullets = new Set();
+            let bulletsFired = 0;
+            let duplicateLive = false;
+            for (let i = 0; i < 1200 && game.state === 'playing'; i++) {
+                game.step(1);
+                const live = new Set();
+                [game.player.bullets, game.effects, game.xpTexts, game.powerups].forEach(list => {
+                    list.forEach(entity => {
+                        if (live.has(entity)) duplicateLive = true;
+                        live.add(entity);
+                    });
+                });
+                game.player.bullets.forEach(bullet => {
+                    if (bullet.y === game.player.y - game.player.height / 2) bulletsFired++;
+                    seenBullets.add(bullet);
+                });
+            }
+
+            // A reused bullet starts fresh, without its old interpolation position
+            const pool = getPool(Bullet);
+            const released = new Bullet(10, 20);
+            released.active = false;
+            pool.release(released);
+            const reused = pool.acquire(200, 500, CONFIG.BULLET_SPEED, 2, 200);
+
+            const checks = {
+                bulletsReused: seenBullets.size < bulletsFired,
+                noDuplicateLive: !duplicateLive,
+                sameObject: reused === released,
+                resetState: reused.active && reused.x === 200 && reused.prevY === 500 && reused.powerboostLevel === 2
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Object Pooling', passed, { ...checks, bulletsFired, distinctBullets: seenBullets.size }, 0);
+
+        } catch (error) {
+            this.recordTest('Object Pooling', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 17: Lane counts - lanes are spread over the canvas, bullets and input use any lane,
+     * and a replay keeps its lane count
+     */
+    testLaneCounts() {
+        console.log('Test 17: Lane Counts...');
+
+        try {
+            const game = new Game({ headless: true, seed: 77, lanes: 4 });
+            game.start();
+            const positions = CONFIG.LANE_POSITIONS.slice();
+
+            // Jump to the third lane, then ask for a lane that doesn't exist
+            game.queueInput('lane2');
+            game.step(20);
+            const onThirdLane = game.player.laneIndex === 2 && game.player.x === positions[2];
+            // Bullets fired while moving belong to the closest lane
+            const bullets = game.player.bullets;
+            const bulletsInLane = bullets.some(bullet => bullet.laneIndex === 2) &&
+                bullets.every(bullet => bullet.laneIndex === getLaneIndex(bullet.x));
+            game.queueInput('lane4');
+            game.step(1);
+            const missingLaneIgnored = game.player.laneIndex === 2 && game.getReplay().inputs.length === 1;
+
+            for (let i = 0; i < 1200 && game.state === 'playing'; i++) {
+                if (i % 100 === 0) game.queueInput(`lane${(i / 100) % 4}`);
+                game.step();
+            }
+            const replay = parseReplay(serializeReplay(game.getReplay()));
+
+            const watcher = new Game({ headless: true });
+            watcher.startReplay(replay).seek(replay.ticks);
+
+            // A new run without a lane count goes back to the default
+            const defaultGame = new Game({ headless: true, seed: 77 });
+            defaultGame.start();
+
+            const checks = {
+                evenlySpread: positions.join() === [100, 300, 500, 700].join(),
+                onThirdLane,
+                bulletsInLane,
+                missingLaneIgnored,
+                replayLanes: replay.lanes === 4,
+                replayReproduces: watcher.score === game.score && watcher.tick === game.tick,
+                defaultRestored: CONFIG.LANE_COUNT === DEFAULT_LANE_COUNT && CONFIG.LANE_POSITIONS.length === DEFAULT_LANE_COUNT
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Lane Counts', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Lane Counts', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 18: Balance profiles - the default profile keeps the original numbers,
+     * registered profiles change enemy stats, and a replay keeps its profile
+     */
+    testBalanceProfiles() {
+        console.log('Test 18: Balance Profiles...');
+
+        try {
+            // Default curves match the original formulas
+            const curvesMatch = evaluateCurve(DEFAULT_BALANCE.upgrades.experienceRequired, 1) === 23.433333333333334 &&
+                evaluateCurve(DEFAULT_BALANCE.enemies.basic.health, 12) === 6.7 &&
+                evaluateCurve(DEFAULT_BALANCE.enemies.carrier.spawnWeight, 4) === 0;
+
+            registerBalanceProfile('test-heavy-tanks', JSON.stringify({
+                enemies: { tank: { health: 100, spawnWeight: 1000 } }
+            }));
+            let invalidRejected = false;
+            try {
+                registerBalanceProfile('test-invalid', { enemies: { tank: { health: 'lots' } } });
+            } catch (error) {
+                invalidRejected = true;
+            }
+
+            const game = new Game({ headless: true, seed: 5, balance: 'test-heavy-tanks', progression: 'random' });
+            game.start();
+            const tank = EnemyFactory.create('tank', CONFIG.LANE_POSITIONS[0], 0, 0, 3, game.rng);
+            const tankHealth = tank.maxHealth === 100;
+            let tanks = 0;
+            for (let i = 0; i < 200; i++) {
+                if (EnemyFactory.createRandom(CONFIG.LANE_POSITIONS[0], 0, 0, 1, game.rng).type === 'tank') tanks++;
+            }
+            const weightedSpawns = tanks > 150;
+
+            game.step(1200);
+            const replay = parseReplay(serializeReplay(game.getReplay()));
+            const watcher = new Game({ headless: true });
+            watcher.startReplay(replay).seek(replay.ticks);
+
+            // A new run without a profile goes back to the default one
+            const defaultGame = new Game({ headless: true, seed: 5 });
+            defaultGame.start();
+
+            const checks = {
+                curvesMatch,
+                invalidRejected,
+                invalidNotRegistered: !hasBalanceProfile('test-invalid'),
+                tankHealth,
+                weightedSpawns,
+                replayBalance: replay.balance === 'test-heavy-tanks',
+                replayReproduces: watcher.score === game.score && watcher.tick === game.tick,
+                defaultRestored: BALANCE === DEFAULT_BALANCE && defaultGame.settings.balance === 'default'
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Balance Profiles', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Balance Profiles', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 19: Difficulty modes - enemy stats scale with the mode, replays keep it,
+     * and each mode has its own high score
+     */
+    testDifficultyModes() {
+        console.log('Test 19: Difficulty Modes...');
+
+        try {
+            // In-memory Storage stand-in
+            const items = {};
+            const storage = {
+                getItem: key => (key in items ? items[key] : null),
+                setItem: (key, value) => { items[key] = String(value); },
+                removeItem: key => { delete items[key]; }
+            };
+
+            // Tank health and carrier cadence for each mode, easiest first
+            const tankHealth = [];
+            const carrierIntervals = [];
+            ['easy', 'normal', 'hard', 'nightmare'].forEach(difficulty => {
+                const game = new Game({ headless: true, seed: 9, difficulty });
+                game.start();
+                tankHealth.push(EnemyFactory.create('tank', CONFIG.LANE_POSITIONS[0], 0, 0, 5, game.rng).maxHealth);
+                carrierIntervals.push(EnemyFactory.create('carrier', CONFIG.LANE_POSITIONS[0], 100, 0, 5, game.rng).spawnInterval);
+            });
+            const isIncreasing = values => values.every((value, i) => i === 0 || value > values[i - 1]);
+            const isDecreasing = values => values.every((value, i) => i === 0 || value < values[i - 1]);
+
+            // A run records its difficulty, and its score goes to that mode's bucket
+            const game = new Game({ headless: true, seed: 9, difficulty: 'hard', storage, progression: 'random' });
+            game.start();
+            game.step(1200);
+            const replay = parseReplay(serializeReplay(game.getReplay()));
+            const watcher = new Game({ headless: true });
+            watcher.startReplay(replay).seek(replay.ticks);
+            const replayReproduces = watcher.score === game.score && watcher.tick === game.tick;
+
+            let gameOverEvent = null;
+            game.events.on(GameEvents.GAME_OVER, payload => { gameOverEvent = payload; });
+            game.score = 1234;
+            game.gameOver();
+            game.step(60);
+
+            // Replays never set high scores
+            watcher.score = 99999;
+            watcher.gameOver();
+            watcher.step(60);
+
+            const reloaded = new HighScores(storage);
+
+            const checks = {
+                healthScales: isIncreasing(tankHealth),
+                carrierCadenceScales: isDecreasing(carrierIntervals),
+                replayDifficulty: replay.difficulty === 'hard',
+                replayReproduces,
+                newHighScore: gameOverEvent !== null && gameOverEvent.newHighScore === true && gameOverEvent.difficulty === 'hard',
+                separateBuckets: reloaded.get('hard') === game.score && game.score >= 1234 && reloaded.get('normal') === 0,
+                replayNotRecorded: watcher.highScores.get('hard') === 0,
+                defaultRestored: new Game({ headless: true }).requestedDifficulty === 'normal'
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Difficulty Modes', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Difficulty Modes', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 20: Waves - wave definitions spawn their shapes on schedule,
+     * and random spawning takes over when no wave fits the level
+     */
+    testWaves() {
+        console.log('Test 20: Waves...');
+
+        try {
+            const builtInValid = WAVE_DEFINITIONS.every(wave => {
+                validateWaveDefinition(wave);
+                return true;
+            });
+            let invalidRejected = false;
+            try {
+                registerWave('{ "name": "Bad", "minLevel": 1, "groups": [{ "type": "basic", "shape": "spiral" }] }');
+            } catch (error) {
+                invalidRejected = true;
+            }
+
+            // A wall with one open lane, then a column of fast enemies in the second lane
+            const game = new Game({ headless: true, seed: 12, lanes: 4 });
+            game.start();
+            game.waves = new WaveScheduler([{
+                name: 'Test Wall',
+                minLevel: 1,
+                groups: [
+                    { type: 'basic', shape: 'wall', gap: 1 },
+                    { type: 'fast', shape: 'column', count: 3, lane: 1, spacing: 20, delay: 30 }
+                ]
+            }]);
+            const announced = [];
+            game.events.on(GameEvents.WAVE_STARTED, payload => announced.push(payload));
+
+            game.step(WAVE_START_DELAY + 1);
+            const wallLanes = game.enemies.filter(enemy => enemy.type === 'basic').map(enemy => enemy.laneIndex);
+            game.step(80);
+            const fastLanes = game.enemies.filter(enemy => enemy.type === 'fast').map(enemy => enemy.laneIndex);
+
+            // No wave for the level: random spawning
+            const fallback = new Game({ headless: true, seed: 12 });
+            fallback.start();
+            fallback.waves = new WaveScheduler([{ name: 'Late', minLevel: 50, groups: [{ type: 'tank', shape: 'column' }] }]);
+            let fallbackWaves = 0;
+            fallback.events.on(GameEvents.WAVE_STARTED, () => fallbackWaves++);
+            fallback.step(600);
+
+            const checks = {
+                builtInValid,
+                invalidRejected,
+                announced: announced.length === 1 && announced[0].name === 'Test Wall' && announced[0].number === 1,
+                wallLeavesGap: wallLanes.length === 3 && new Set(wallLanes).size === 3,
+                columnInLane: fastLanes.length === 3 && fastLanes.every(lane => lane === 1),
+                fallbackSpawns: fallbackWaves === 0 && fallback.enemies.length > 0
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Waves', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Waves', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 21: Bosses - milestone levels bring a boss whose phases follow its health,
+     * telegraphed lane strikes hit the player's lane and defeat drops the reward
+     */
+    testBosses() {
+        console.log('Test 21: Bosses...');
+
+        try {
+            const milestones = [5, 10, 15, 20, 30].map(level => getBossForLevel(level));
+
+            const game = new Game({ headless: true, seed: 21, lanes: 3 });
+            game.start();
+            const received = {};
+            [GameEvents.BOSS_SPAWNED, GameEvents.BOSS_PHASE_CHANGED, GameEvents.BOSS_DEFEATED].forEach(name => {
+                received[name] = [];
+                game.events.on(name, payload => received[name].push(payload));
+            });
+
+            game.enemies = [];
+            game.level = 10;
+            game.onLevelUp(9);
+            const boss = game.getActiveBoss();
+            const spawnedOnce = (() => {
+                game.onLevelUp(9);
+                return game.enemies.filter(enemy => enemy.type === 'boss').length === 1;
+            })();
+
+            // Immune while flying in, no waves or random spawns during the fight
+            const immuneWhileEntering = boss.isEntering() && !boss.takeDamage(1).destroyed && boss.health === boss.maxHealth;
+            game.player.laneIndex = 0;
+            game.step(150);
+            const arrived = !boss.isEntering();
+            const onlyBossAndSummons = game.enemies.every(enemy => enemy.type === 'boss' || enemy.y > boss.y);
+
+            // Dropping below the phase threshold switches phase
+            boss.health = Math.floor(boss.maxHealth * 0.5);
+            game.step(1);
+            const phaseAdvanced = boss.phase === 1 && received[GameEvents.BOSS_PHASE_CHANGED].length === 1;
+
+            // Save and restore mid-fight keeps the boss and its phase
+            const restored = new Game({ headless: true, seed: 1, lanes: 3 });
+            restored.restore(JSON.parse(JSON.stringify(game.serialize())));
+            const restoredBoss = restored.getActiveBoss();
+            const bossRestored = restoredBoss !== null && restoredBoss.phase === 1 && restoredBoss.health === boss.health
+                && restored.bossSpawnedAtLevels.has(10);
+
+            // A telegraphed strike on the player's lane ends the run
+            boss.telegraphs.push({ lanes: [game.player.laneIndex], ticksLeft: 1, duration: 1 });
+            game.step(1);
+            const strikeHitsPlayer = game.gameOverPending;
+
+            // Defeat: one experience pickup per upgrade type, and a shield
+            const rewardGame = new Game({ headless: true, seed: 21, progression: 'random' });
+            rewardGame.start();
+            rewardGame.level = 20;
+            rewardGame.onLevelUp(19);
+            const dreadnought = rewardGame.getActiveBoss();
+            rewardGame.powerups = [];
+            let defeated = 0;
+            rewardGame.events.on(GameEvents.BOSS_DEFEATED, () => defeated++);
+            dreadnought.y = dreadnought.holdY;
+            const result = dreadnought.takeDamage(dreadnought.health);
+            rewardGame.events.emit(GameEvents.ENEMY_KILLED, { enemy: dreadnought });
+            const rewards = rewardGame.powerups.filter(powerup => powerup.type === 'experience').map(powerup => powerup.upgradeType).sort();
+            const shieldDropped = rewardGame.powerups.filter(powerup => powerup.type === 'shield').length === 1;
+
+            const checks = {
+                milestones: milestones.join(',') === ',warden,,dreadnought,warden',
+                spawned: boss !== null && boss.bossId === 'warden' && received[GameEvents.BOSS_SPAWNED].length === 1,
+                spawnedOnce,
+                immuneWhileEntering,
+                arrived,
+                onlyBossAndSummons,
+                phaseAdvanced,
+                bossRestored,
+                strikeHitsPlayer,
+                dreadnoughtAt20: dreadnought.bossId === 'dreadnought' && result.destroyed,
+                rewardDropped: rewards.join(',') === 'lanespeed,multishot,pierce,powerboost,rapidfire,ricochet',
+                shieldDropped,
+                defeatAnnounced: defeated === 1 && rewardGame.getActiveBoss() === null
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Bosses', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Bosses', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 22: Game modes - each mode ends the run by its own rules, with its own results
+     * and high scores, and the mode is part of replays and saves
+     */
+    testGameModes() {
+        console.log('Test 22: Game Modes...');
+
+        try {
+            const endings = [];
+            const createModeGame = mode => {
+                const game = new Game({ headless: true, seed: 22, mode });
+                game.events.on(GameEvents.GAME_OVER, payload => endings.push(payload));
+                game.start();
+                return game;
+            };
+
+            // Time Attack: the run ends when the time is up
+            const timeAttack = createModeGame('timeattack');
+            timeAttack.gameTime = TIME_ATTACK_DURATION - CONFIG.FIXED_TIMESTEP;
+            timeAttack.step(1);
+            const timeUp = endings[0];
+            const replay = timeAttack.getReplay();
+            let unknownModeRejected = false;
+            try {
+                parseReplay(serializeReplay(Object.assign({}, replay, { mode: 'marathon' })));
+            } catch (error) {
+                unknownModeRejected = true;
+            }
+
+            // Zen: hits don't end the run, quitting does
+            const zen = createModeGame('zen');
+            zen.enemies.push(EnemyFactory.create('basic', CONFIG.LANE_POSITIONS[1], 100, 1, 1, zen.rng));
+            zen.gameOver();
+            const zenSurvived = zen.state === 'playing' && !zen.gameOverPending && zen.mode.hits === 1
+                && zen.enemies.every(enemy => !enemy.active);
+            const zenRestored = new Game({ headless: true, seed: 1 });
+            zenRestored.restore(JSON.parse(JSON.stringify(zen.serialize())));
+            zen.quitRun();
+            const zenQuit = endings[1];
+
+            // Pure Survival: no upgrades and nothing to collect
+            const survival = createModeGame('survival');
+            survival.step(900);
+            const upgradesLocked = !survival.player.addExperience('rapidfire', 1000) && survival.player.getUpgradeLevel('rapidfire') === 0;
+
+            // Boss Rush: a carrier first, then the first boss, no waves in between
+            const bossRush = createModeGame('bossrush');
+            bossRush.step(BOSS_RUSH_REST + 1);
+            const firstEncounter = bossRush.enemies.filter(enemy => enemy.active).map(enemy => enemy.type);
+            // The level is the encounter's however long it takes, and carrier minions are built for it
+            bossRush.score = 1000000;
+            bossRush.step(BALANCE.levels.secondsPerLevel * 60 * 3);
+            const minion = bossRush.enemies.find(enemy => enemy.type === 'tank' || enemy.type === 'formation');
+            const encounterLevel = bossRush.level === BOSS_RUSH_ENCOUNTERS[0].level && minion !== undefined
+                && minion.maxHealth === EnemyFactory.create(minion.type, 0, 0, 0, BOSS_RUSH_ENCOUNTERS[0].level, new SeededRandom(1)).maxHealth;
+            bossRush.enemies = [];
+            bossRush.step(BOSS_RUSH_REST + 1);
+            const secondBoss = bossRush.getActiveBoss();
+            bossRush.mode.encounter = BOSS_RUSH_ENCOUNTERS.length;
+            bossRush.enemies = [];
+            bossRush.step(1);
+            const cleared = endings[2];
+
+            const checks = {
+                timeUp: timeUp.reason === 'timeup' && timeUp.mode === 'timeattack' && timeUp.results.title === 'TIME UP!',
+                timeAttackScoreKept: timeAttack.highScores.get('normal', 'timeattack') === timeAttack.score
+                    && timeAttack.highScores.get('normal') === 0,
+                replayHasMode: replay.mode === 'timeattack' && unknownModeRejected,
+                zenSurvived,
+                zenRestored: zenRestored.mode instanceof ZenMode && zenRestored.mode.hits === 1,
+                zenQuit: zenQuit.reason === 'quit' && zenQuit.results.stats.some(stat => stat.label === 'Hits taken' && stat.value === 1),
+                upgradesLocked,
+                noPickups: survival.powerups.length === 0,
+                survivalResults: survival.mode.getResults(survival, 'killed').stats.some(stat => stat.label === 'Survived'),
+                bossRushCarrierFirst: firstEncounter.length === 1 && firstEncounter[0] === 'carrier',
+                bossRushBoss: secondBoss !== null && secondBoss.bossId === 'warden' && bossRush.level === BOSS_RUSH_ENCOUNTERS[1].level,
+                encounterLevel,
+                bossRushCleared: cleared.reason === 'cleared' && cleared.results.stats[0].value === `${BOSS_RUSH_ENCOUNTERS.length}/${BOSS_RUSH_ENCOUNTERS.length}`,
+                unknownModeFallsBack: new Game({ headless: true, mode: 'marathon' }).requestedMode === DEFAULT_GAME_MODE
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Game Modes', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Game Modes', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 23: Shields - a shield absorbs a hit and repels the enemy, the player blinks
+     * invulnerable for a while, and the last hit without a shield ends the run
+     */
+    testShields() {
+        console.log('Test 23: Shields...');
+
+        try {
+            const startingShields = [['easy', 'endless'], ['normal', 'endless'], ['normal', 'bossrush'], ['easy', 'bossrush']].map(([difficulty, mode]) => {
+                const game = new Game({ headless: true, seed: 23, difficulty, mode });
+                game.start();
+                return game.player.shields;
+            });
+
+            const game = new Game({ headless: true, seed: 23, difficulty: 'easy' });
+            game.start();
+            const hits = [];
+            game.events.on(GameEvents.PLAYER_HIT, payload => hits.push(payload));
+            const player = game.player;
+            const placeEnemy = type => {
+                // Right on the player, tough enough to survive the player's own shots
+                const enemy = EnemyFactory.create(type, player.x, player.y, player.laneIndex, 1, game.rng);
+                enemy.health = 1000;
+                game.enemies.push(enemy);
+                return enemy;
+            };
+
+            // First hit: shield absorbs it, a basic enemy is destroyed
+            game.enemies = [];
+            const basic = placeEnemy('basic');
+            game.step(1);
+            const absorbed = game.state === 'playing' && !game.gameOverPending && player.shields === 1
+                && !basic.active && hits.length === 1 && hits[0].shields === 1;
+
+            // Invulnerable right after: touching another enemy costs nothing
+            const second = placeEnemy('basic');
+            game.step(1);
+            const invulnerable = player.isInvulnerable() && player.shields === 1 && second.active;
+
+            // After the grace period a tank is knocked back instead of destroyed
+            game.enemies = [];
+            game.step(BALANCE.shields.invulnerabilityTicks);
+            const tank = placeEnemy('tank');
+            const tankY = tank.y;
+            game.step(1);
+            const knockedBack = tank.active && tank.y < tankY - BALANCE.shields.knockback / 2 && player.shields === 0;
+
+            // Shield pickups add up to the maximum
+            game.powerups = [PowerupFactory.create('shield', player.x, player.y)];
+            game.enemies = [];
+            game.step(1);
+            const pickedUp = player.shields === 1;
+            player.shields = BALANCE.shields.max;
+            const capped = !player.addShield() && player.shields === BALANCE.shields.max;
+
+            // Shields and invulnerability are part of the save
+            const restored = new Game({ headless: true, seed: 1 });
+            restored.restore(JSON.parse(JSON.stringify(game.serialize())));
+            const savedShields = restored.player.shields === BALANCE.shields.max;
+
+            // No shield left: the hit ends the run
+            player.shields = 0;
+            player.invulnerableTicks = 0;
+            placeEnemy('basic');
+            game.step(1);
+            const fatal = game.gameOverPending;
+
+            const checks = {
+                startingShields: startingShields.join(',') === `2,0,2,${BALANCE.shields.max}`,
+                absorbed,
+                invulnerable,
+                knockedBack,
+                pickedUp,
+                capped,
+                savedShields,
+                fatal
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Shields', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Shields', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 24: Enemy Projectiles - gunners and snipers fire down their lane, shots scale with the level,
+     * player bullets shoot projectiles down and a projectile hit breaks shields
+     */
+    testEnemyProjectiles() {
+        console.log('Test 24: Enemy Projectiles...');
+
+        try {
+            const lowGunner = EnemyFactory.create('gunner', 200, 100, 0, 3);
+            const highGunner = EnemyFactory.create('gunner', 200, 100, 0, 15);
+            const scaled = highGunner.fireInterval < lowGunner.fireInterval
+                && highGunner.projectileDamage > lowGunner.projectileDamage;
+            const notEarly = evaluateCurve(BALANCE.enemies.gunner.spawnWeight, 2) === 0
+                && evaluateCurve(BALANCE.enemies.sniper.spawnWeight, 5) === 0;
+
+            const game = new Game({ headless: true, seed: 24, progression: 'random' });
+            game.start();
+            game.waves.restTicks = 1000000; // No spawns besides the placed enemies
+            const player = game.player;
+            const fired = [];
+            const shotDown = [];
+            game.events.on(GameEvents.ENEMY_FIRED, payload => fired.push(payload));
+            game.events.on(GameEvents.PROJECTILE_DESTROYED, payload => shotDown.push(payload));
+
+            // A gunner in the player's lane fires, and the player's bullets shoot its projectiles down
+            const gunner = EnemyFactory.create('gunner', player.x, 100, player.laneIndex, 3);
+            gunner.health = 1000;
+            game.enemies = [gunner];
+            game.step(gunner.fireInterval);
+            const firesDownLane = fired.length > 0 && fired[0].projectile.laneIndex === gunner.laneIndex
+                && fired[0].projectile.y > gunner.y;
+            game.step(120);
+            const destroyedByBullets = shotDown.length > 0 && !shotDown[0].projectile.active;
+
+            // A sniper holds its firing position for its shots, then dives
+            game.enemies = [];
+            const sniper = EnemyFactory.create('sniper', player.x, -40, player.laneIndex, 6);
+            sniper.health = 1000;
+            game.enemies = [sniper];
+            game.step(200);
+            const holding = sniper.y === sniper.holdY && sniper.shotsFired > 0;
+            game.step(sniper.fireInterval * sniper.holdShots);
+            const dove = sniper.y > sniper.holdY;
+
+            // Projectiles are part of the save
+            game.enemies = [];
+            game.enemyProjectiles.push(new EnemyProjectile(player.x, 300, player.laneIndex, 2, 2));
+            const restored = new Game({ headless: true, seed: 1 });
+            restored.restore(JSON.parse(JSON.stringify(game.serialize())));
+            const saved = restored.enemyProjectiles.length === game.enemyProjectiles.length
+                && restored.enemyProjectiles.some(projectile => projectile.y === 300 && projectile.damage === 2);
+
+            // A projectile hitting the player breaks as many shields as its damage (no bullets in the way)
+            player.lastShootTime = Infinity;
+            player.bullets = [];
+            game.enemyProjectiles = [new EnemyProjectile(player.x, player.y, player.laneIndex, 0, 2)];
+            player.shields = 3;
+            game.step(1);
+            const shieldsBroken = player.shields === 1 && !game.gameOverPending && game.enemyProjectiles.every(p => !p.active);
+
+            // Not enough shields left: the hit ends the run
+            player.invulnerableTicks = 0;
+            game.enemyProjectiles = [new EnemyProjectile(player.x, player.y, player.laneIndex, 0, 2)];
+            game.step(1);
+            const fatal = game.gameOverPending;
+
+            const checks = {
+                knownTypes: EnemyFactory.isKnownType('gunner') && EnemyFactory.isKnownType('sniper'),
+                scaled,
+                notEarly,
+                firesDownLane,
+                destroyedByBullets,
+                holding,
+                dove,
+                saved,
+                shieldsBroken,
+                fatal
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Enemy Projectiles', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Enemy Projectiles', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 25: Lane Changers - weavers telegraph before switching lanes, trackers follow the player,
+     * dodgers sidestep incoming fire, and an enemy between two lanes can be hit from either
+     */
+    testLaneChangers() {
+        console.log('Test 25: Lane Changers...');
+
+        try {
+            const game = new Game({ headless: true, seed: 25 });
+            game.start();
+            game.waves.restTicks = 1000000; // No spawns besides the placed enemies
+            const player = game.player;
+            const otherLane = player.laneIndex === 0 ? 1 : 0;
+            const place = (type, laneIndex) => {
+                const enemy = EnemyFactory.create(type, CONFIG.LANE_POSITIONS[laneIndex], 100, laneIndex, 10, game.rng);
+                enemy.health = 1000;
+                enemy.speed = enemy.baseSpeed = 0; // Stay put vertically
+                enemy.switchCooldown = 0;
+                game.enemies = [enemy];
+                return enemy;
+            };
+
+            // Weaver: telegraphs first, then slides to the neighbouring lane
+            const weaver = place('weaver', otherLane);
+            const startX = weaver.x;
+            game.step(1);
+            const telegraphed = weaver.pendingLane === player.laneIndex && weaver.telegraphLeft > 0 && weaver.x === startX;
+            game.step(weaver.telegraphTicks + 1);
+            const sliding = weaver.isSwitchingLanes() && weaver.x !== startX;
+
+            // Lane changes are part of the save
+            const restored = new Game({ headless: true, seed: 1 });
+            restored.restore(JSON.parse(JSON.stringify(game.serialize())));
+            const restoredWeaver = restored.enemies[0];
+            const saved = restoredWeaver.targetX === weaver.targetX && restoredWeaver.x === weaver.x && restoredWeaver.rng === restored.rng;
+
+            game.step(120);
+            const weaved = weaver.laneIndex === player.laneIndex && !weaver.isSwitchingLanes();
+
+            // Tracker: moves into the player's lane
+            const tracker = place('tracker', otherLane);
+            game.step(tracker.telegraphTicks + 120);
+            const tracked = tracker.laneIndex === player.laneIndex;
+
+            // Dodger: sidesteps out of the player's line of fire
+            const dodger = place('dodger', player.laneIndex);
+            game.step(120);
+            const dodged = dodger.laneIndex !== player.laneIndex;
+
+            // An enemy between two lanes is hit by bullets from the lane it reaches into
+            const damaged = [];
+            game.events.on(GameEvents.ENEMY_DAMAGED, ({ enemy }) => damaged.push(enemy));
+            const straddler = place('weaver', otherLane);
+            straddler.switchCooldown = 1000000;
+            straddler.x = straddler.targetX = (CONFIG.LANE_POSITIONS[0] + CONFIG.LANE_POSITIONS[1]) / 2
+                + (otherLane === 1 ? 10 : -10); // Just across the middle, on the other lane's side
+            game.step(120);
+            const hitFromEitherLane = getLaneIndex(straddler.x) === otherLane && damaged.includes(straddler);
+
+            const checks = {
+                knownTypes: ['weaver', 'tracker', 'dodger'].every(type => EnemyFactory.isKnownType(type)),
+                notEarly: evaluateCurve(BALANCE.enemies.weaver.spawnWeight, 3) === 0,
+                telegraphed,
+                sliding,
+                saved,
+                weaved,
+                tracked,
+                dodged,
+                hitFromEitherLane
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Lane Changers', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Lane Changers', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 26: Unit Bounds - formations and swarms report their living units in world coordinates,
+     * cached until the enemy moves or loses a unit, and only living units hit the player
+     */
+    testUnitBounds() {
+        console.log('Test 26: Unit Bounds...');
+
+        try {
+            const rng = new SeededRandom(26);
+            const formation = EnemyFactory.create('formation', 200, 100, 0, 10, rng);
+            const unit = formation.units[formation.units.length - 1];
+            const totalHeight = (formation.rows * formation.enemyHeight) + ((formation.rows - 1) * formation.rowSpacing);
+            const bounds = formation.getLivingUnitBounds();
+            const last = bounds[bounds.length - 1];
+            const formationLayout = bounds.length === formation.units.length && last.unit === unit
+                && last.centerX === formation.x - Math.floor(formation.cols / 2) * (formation.enemyWidth + formation.spacing) - formation.enemyWidth / 2 + unit.col * (formation.enemyWidth + formation.spacing) + formation.enemyWidth / 2
+                && last.centerY === formation.y - totalHeight / 2 + unit.row * (formation.enemyHeight + formation.rowSpacing) + formation.enemyHeight / 2
+                && last.width === formation.enemyWidth && formation.getBottomY() === last.centerY + last.height / 2;
+
+            // Cached while nothing changes, recomputed after a move
+            const cachedCenterY = last.centerY;
+            const cached = formation.getLivingUnitBounds() === bounds && last.centerY === cachedCenterY;
+            formation.update();
+            const moved = formation.getLivingUnitBounds()[bounds.length - 1].centerY === cachedCenterY + formation.speed;
+
+            // Killed units drop out
+            const killed = formation.takeUnitDamage(unit, formation.healthPerUnit).unitsKilled;
+            const dropped = formation.getLivingUnitBounds().length === formation.units.length - killed;
+
+            // Damage not aimed at a unit goes to the one nearest the ship
+            const front = formation.getLivingUnitBounds().reduce((a, b) => (b.centerY > a.centerY ? b : a)).unit;
+            const frontHealth = front.health;
+            formation.takeDamage(1);
+            const strayHitFront = front.health === frontHealth - 1;
+
+            const swarm = EnemyFactory.create('swarm', 600, 100, 1, 10, rng);
+            const swarmUnit = swarm.getLivingUnitBounds()[0];
+            const swarmLayout = swarmUnit.centerX === swarm.x + swarmUnit.unit.offsetX
+                && swarmUnit.centerY === swarm.y + swarmUnit.unit.offsetY && swarmUnit.width === swarm.unitSize;
+
+            // A 1x3 formation centered on the player: only its middle unit can touch the ship
+            const game = new Game({ headless: true, seed: 26 });
+            game.start();
+            game.waves.restTicks = 1000000;
+            const player = game.player;
+            const line = EnemyFactory.create('formation', player.x, player.y, player.laneIndex, 1, game.rng);
+            line.rows = 1;
+            line.cols = 3;
+            line.units = [0, 1, 2].map(col => ({ row: 0, col, health: 1000, maxHealth: 1000 }));
+            line.units[1].health = 0;
+            line.speed = line.baseSpeed = 0;
+            line.invalidateUnitBounds();
+            game.enemies = [line];
+            game.step(1);
+            const missedThroughGap = !game.gameOverPending;
+            line.units[1].health = 1000;
+            line.invalidateUnitBounds();
+            game.step(1);
+            const hitByLivingUnit = game.gameOverPending;
+
+            const checks = {
+                formationLayout,
+                cached,
+                moved,
+                dropped: killed > 0 && dropped,
+                strayHitFront,
+                swarmLayout,
+                missedThroughGap,
+                hitByLivingUnit
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Unit Bounds', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Unit Bounds', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 27: Per-unit bullet hits on formations
+     */
+    testUnitHits() {
+        console.log('Test 27: Unit Hits...');
+
+        try {
+            const game = new Game({ headless: true, seed: 27 });
+            game.start();
+            game.waves.restTicks = 1000000;
+            // The ship starts in the first lane, so its own shots stay clear of the last one
+            const laneIndex = CONFIG.LANE_COUNT - 1;
+            const laneX = CONFIG.LANE_POSITIONS[laneIndex];
+
+            // A 2x3 formation with a sturdy basic enemy behind it, both standing still
+            const formation = EnemyFactory.create('formation', laneX, 300, laneIndex, 1, game.rng);
+            formation.rows = 2;
+            formation.cols = 3;
+            formation.units = [];
+            for (let row = 0; row < 2; row++) {
+                for (let col = 0; col < 3; col++) {
+                    formation.units.push({ row, col, health: 10, maxHealth: 10 });
+                }
+            }
+            formation.speed = formation.baseSpeed = 0;
+            formation.invalidateUnitBounds();
+            const behind = EnemyFactory.create('basic', laneX, 100, laneIndex, 1, game.rng);
+            behind.speed = behind.baseSpeed = 0;
+            behind.maxHealth = behind.health = 10;
+            game.enemies = [formation, behind];
+
+            const unitAt = (row, col) => formation.units[row * 3 + col];
+            const centerXOf = unit => formation.getLivingUnitBounds().find(bounds => bounds.unit === unit).centerX;
+            const fire = x => {
+                const bullet = new Bullet(x, formation.getBottomY() + 5, CONFIG.BULLET_SPEED, 0, laneX);
+                game.player.bullets.push(bullet);
+                for (let tick = 0; tick < 60 && bullet.active; tick++) {
+                    game.step(1);
+                }
+                return bullet;
+            };
+            const unitHealth = () => formation.units.map(unit => unit.health).join(',');
+
+            // A bullet damages the unit it overlaps, not a random bottom row unit
+            fire(centerXOf(unitAt(1, 2)));
+            const hitOverlapped = unitHealth() === '10,10,10,10,10,9';
+
+            // A bullet between two columns misses the formation and hits the enemy behind it
+            const gapX = (centerXOf(unitAt(1, 0)) + centerXOf(unitAt(1, 1))) / 2;
+            const gapBullet = fire(gapX);
+            const missedThroughGap = unitHealth() === '10,10,10,10,10,9' && behind.health === 9 && !gapBullet.active;
+
+            // With the bottom unit of a column dead, bullets reach the unit above it
+            const column0X = centerXOf(unitAt(1, 0));
+            unitAt(1, 0).health = 0;
+            formation.invalidateUnitBounds();
+            fire(column0X);
+            const hitUnitAbove = unitHealth() === '9,10,10,0,10,9';
+
+            // With the whole column dead, bullets fly past it
+            unitAt(0, 0).health = 0;
+            formation.invalidateUnitBounds();
+            fire(column0X);
+            const passedDeadColumn = unitHealth() === '0,10,10,0,10,9' && behind.health === 8;
+
+            // A kill reports the unit's own position
+            let killedAt = null;
+            game.events.on(GameEvents.UNIT_KILLED, ({ x, y }) => {
+                killedAt = { x, y };
+            });
+            const lastUnit = unitAt(1, 2);
+            const lastBounds = formation.getLivingUnitBounds().find(bounds => bounds.unit === lastUnit);
+            const expectedX = lastBounds.centerX;
+            const expectedY = lastBounds.centerY;
+            lastUnit.health = 1;
+            formation.health = formation.units.reduce((sum, unit) => sum + unit.health, 0);
+            fire(expectedX);
+            const killReported = killedAt !== null && killedAt.x === expectedX && killedAt.y === expectedY
+                && formation.enemyCount === 3;
+
+            const checks = {
+                hitOverlapped,
+                missedThroughGap,
+                hitUnitAbove,
+                passedDeadColumn,
+                killReported
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Unit Hits', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Unit Hits', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 28: Pierce and ricochet upgrades
+     */
+    testPierceRicochet() {
+        console.log('Test 28: Pierce and Ricochet...');
+
+        try {
+            // A quiet game where only the test's bullets fly
+            const options = { headless: true, seed: 28, progression: 'random', quiet: true };
+            const createEnemy = (game, laneIndex, y) => {
+                const enemy = EnemyFactory.create('basic', CONFIG.LANE_POSITIONS[laneIndex], y, laneIndex, 1, game.rng);
+                enemy.speed = enemy.baseSpeed = 0;
+                enemy.maxHealth = enemy.health = 10;
+                return enemy;
+            };
+            const fire = (game, laneIndex, y, pierceLevel, ricochetLevel) => {
+                const x = CONFIG.LANE_POSITIONS[laneIndex];
+                const bullet = new Bullet(x, y, CONFIG.BULLET_SPEED, 0, x, pierceLevel, ricochetLevel);
+                game.player.bullets.push(bullet);
+                for (let tick = 0; tick < 120 && bullet.active; tick++) {
+                    game.step(1);
+                }
+                return bullet;
+            };
+            const lane = CONFIG.LANE_COUNT - 1;
+            const falloff = BALANCE.upgrades.pierce.damageFalloff;
+
+            // Pierce passes through one enemy per level, losing damage each time
+            const pierceGame = this.createGame(options);
+            const front = createEnemy(pierceGame, lane, 300);
+            const back = createEnemy(pierceGame, lane, 150);
+            pierceGame.enemies = [front, back];
+            const piercing = fire(pierceGame, lane, 340, 1, 0);
+            const pierced = front.health === 9 && Math.abs(back.health - (10 - (1 - falloff))) < 1e-9 && !piercing.active;
+
+            // Without pierce the bullet stops at the first enemy
+            const stopGame = this.createGame(options);
+            const stopFront = createEnemy(stopGame, lane, 300);
+            const stopBack = createEnemy(stopGame, lane, 150);
+            stopGame.enemies = [stopFront, stopBack];
+            fire(stopGame, lane, 340, 0, 0);
+            const stopped = stopFront.health === 9 && stopBack.health === 10;
+
+            // Pierce runs up a formation column
+            const columnGame = this.createGame(options);
+            const column = EnemyFactory.create('formation', CONFIG.LANE_POSITIONS[lane], 250, lane, 1, columnGame.rng);
+            column.rows = 2;
+            column.cols = 1;
+            column.units = [0, 1].map(row => ({ row, col: 0, health: 10, maxHealth: 10 }));
+            column.speed = column.baseSpeed = 0;
+            column.invalidateUnitBounds();
+            columnGame.enemies = [column];
+            fire(columnGame, lane, 340, 1, 0);
+            const piercedColumn = column.units[1].health === 9 && Math.abs(column.units[0].health - (10 - (1 - falloff))) < 1e-9;
+
+            // Ricochet bounces to the nearest enemy ahead in another lane, never back down
+            const ricochetGame = this.createGame(options);
+            const otherLane = lane === 0 ? 1 : lane - 1;
+            const bounceOff = createEnemy(ricochetGame, lane, 300);
+            const ahead = createEnemy(ricochetGame, otherLane, 100);
+            const behind = createEnemy(ricochetGame, otherLane, 450);
+            ricochetGame.enemies = [bounceOff, ahead, behind];
+            const bouncing = fire(ricochetGame, lane, 340, 0, 1);
+            const ricocheted = bounceOff.health === 9 && ahead.health === 9 && behind.health === 10
+                && bouncing.laneIndex === otherLane && bouncing.x === ahead.x && bouncing.ricochetLeft === 0;
+
+            // With nothing to bounce to, the bullet stops
+            const loneGame = this.createGame(options);
+            const lone = createEnemy(loneGame, lane, 300);
+            loneGame.enemies = [lone];
+            const unbounced = fire(loneGame, lane, 340, 0, 1);
+            const stoppedWithoutTarget = lone.health === 9 && !unbounced.active && unbounced.ricochetLeft === 1;
+
+            // Both tracks have their own experience curve and arm the bullets the ship fires
+            const player = this.createGame(options).player;
+            const ownCurves = player.getRequiredExperience('pierce') === Math.floor(evaluateCurve(getUpgradeExperienceCurve('pierce'), 0))
+                && player.getRequiredExperience('ricochet') === Math.floor(evaluateCurve(getUpgradeExperienceCurve('ricochet'), 0))
+                && player.getRequiredExperience('pierce') !== player.getRequiredExperience('rapidfire');
+            player.addExperience('pierce', player.getRequiredExperience('pierce'));
+            player.addExperience('ricochet', player.getRequiredExperience('ricochet'));
+            player.lastShootTime = -Infinity;
+            player.shoot(new NullAudioManager(), 0);
+            const shot = player.bullets[player.bullets.length - 1];
+            const armed = shot.pierceLeft === 1 && shot.ricochetLeft === 1;
+
+            const checks = {
+                pierced,
+                stopped,
+                piercedColumn,
+                ricocheted,
+                stoppedWithoutTarget,
+                ownCurves,
+                armed
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Pierce and Ricochet', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Pierce and Ricochet', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 29: Upgrade registry
+     */
+    testUpgradeRegistry() {
+        console.log('Test 29: Upgrade Registry...');
+
+        const upgradeCount = UPGRADE_DEFINITIONS.length;
+        try {
+            // Invalid definitions are rejected
+            const rejects = definition => {
+                try {
+                    registerUpgrade(definition);
+                    return false;
+                } catch (error) {
+                    return true;
+                }
+            };
+            const valid = { id: 'overclock', name: 'Overclock', desc: 'Halves the cooldown', icon: '⏩', color: '#fdcb6e' };
+            const invalidRejected = rejects({ ...valid, id: 'rapidfire' })
+                && rejects({ ...valid, color: undefined })
+                && rejects({ ...valid, experienceRequired: 'lots' })
+                && rejects({ ...valid, shootCooldown: 2 })
+                && UPGRADE_DEFINITIONS.length === upgradeCount;
+
+            // One definition adds the track everywhere
+            registerUpgrade({
+                ...valid,
+                experienceRequired: 7,
+                shootCooldown: (cooldown, level) => cooldown / (1 + level)
+            });
+            const game = new Game({ headless: true, seed: 29, progression: 'random' });
+            game.start();
+            const player = game.player;
+            const tracked = player.getUpgradeLevel('overclock') === 0 && player.getAllExperience().overclock === 0
+                && player.getRequiredExperience('overclock') === 7;
+            const baseCooldown = player.getEffectiveShootCooldown();
+            player.addExperience('overclock', 7);
+            const hooked = player.getUpgradeLevel('overclock') === 1 && player.getEffectiveShootCooldown() === baseCooldown / 2;
+
+            const pickup = PowerupFactory.create('overclock', 100, 100);
+            const pickupLevels = PowerupFactory.isKnownType('overclock') && pickup.color === '#fdcb6e' && pickup.getIcon() === '⏩';
+            pickup.apply(player);
+            const experienceDrop = PowerupFactory.create('experience', 100, 100, 5, 'overclock');
+            const dropLevels = experienceDrop.color === '#fdcb6e' && experienceDrop.getIcon() === '⏩';
+            const inRandomDrops = getUpgradeTypes().includes('overclock');
+
+            // Built-in tracks keep their effects
+            const builtIn = new Player(CONFIG.LANE_POSITIONS[0], CONFIG.PLAYER_Y);
+            builtIn.upgrades.multishot = 2;
+            builtIn.upgrades.rapidfire = 1;
+            builtIn.upgrades.pierce = 1;
+            builtIn.shoot(new NullAudioManager(), 0);
+            const builtInEffects = builtIn.bullets.length === 3 && builtIn.bullets.every(bullet => bullet.pierceLeft === 1)
+                && builtIn.getEffectiveShootCooldown() === builtIn.baseShootCooldown * 0.85;
+
+            const checks = {
+                invalidRejected,
+                tracked,
+                hooked,
+                pickupLevels,
+                pickupAddsExperience: player.getExperience('overclock') === 5,
+                dropLevels,
+                inRandomDrops,
+                builtInEffects
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Upgrade Registry', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Upgrade Registry', false, { error: error.message }, 0);
+        } finally {
+            // Later tests and runs use the built-in upgrades only
+            UPGRADE_DEFINITIONS.length = upgradeCount;
+        }
+    }
+
+    /**
+     * Test 30: Upgrade draft - experience fills one pool, a full pool freezes the run for a pick,
+     * offers follow the rarity weights, and picks and rerolls are part of replays and saves
+     */
+    testUpgradeDraft() {
+        console.log('Test 30: Upgrade Draft...');
+
+        try {
+            const game = new Game({ headless: true, seed: 30 });
+            game.start();
+            game.waves.restTicks = 1000000;
+            const player = game.player;
+            const offers = [];
+            game.events.on(GameEvents.DRAFT_OFFERED, payload => offers.push(payload));
+
+            // Experience of any type goes to the shared pool
+            const required = player.getRequiredPoolExperience();
+            player.addExperience('rapidfire', required - 1);
+            game.step(1);
+            const pooled = game.state === 'playing' && player.experiencePool === required - 1
+                && player.getExperience('rapidfire') === 0 && player.getUpgradeLevel('rapidfire') === 0;
+
+            // A full pool offers distinct upgrades and freezes the run
+            player.addExperience(null, 1);
+            game.step(1);
+            const choices = game.draft ? game.draft.choices.slice() : [];
+            const offered = game.state === 'draft' && offers.length === 1 && choices.length === UPGRADE_DRAFT_CHOICES
+                && new Set(choices).size === choices.length && player.experiencePool === 0 && player.drafts === 1;
+            const gameTime = game.gameTime;
+            const playerX = player.x;
+            game.queueInput('draft0');
+            game.step(10);
+            const frozen = game.gameTime === gameTime && player.x === playerX && game.state === 'draft';
+
+            // After the input lock: R rerolls, arrows move the highlight, Enter picks it
+            game.step(UPGRADE_DRAFT_LOCK_TICKS);
+            const rerolls = player.rerolls;
+            game.keysPressed['r'] = true;
+            game.step(1);
+            const rerolled = player.rerolls === rerolls - 1 && offers.length === 2;
+            const picked = game.draft.choices[1];
+            game.keysPressed['arrowright'] = true;
+            game.step(1);
+            game.keysPressed['enter'] = true;
+            game.step(1);
+            const pickedLevel = game.state === 'playing' && game.draft === null && player.getUpgradeLevel(picked) === 1;
+
+            // No rerolls left: rerolling is ignored
+            player.rerolls = 0;
+            player.addExperience(null, player.getRequiredPoolExperience());
+            game.step(1 + UPGRADE_DRAFT_LOCK_TICKS);
+            const offeredChoices = game.draft.choices.join(',');
+            game.queueInput('reroll');
+            game.step(1);
+            const noFreeRerolls = game.draft.choices.join(',') === offeredChoices && offers.length === 3;
+
+            // Saved on the draft, the run comes back on it and stays saved
+            const items = {};
+            const storage = {
+                getItem: key => (key in items ? items[key] : null),
+                setItem: (key, value) => { items[key] = String(value); },
+                removeItem: key => { delete items[key]; }
+            };
+            storage.setItem('laneshooter-save', JSON.stringify(game.serialize()));
+            const restored = new Game({ headless: true, seed: 1, storage });
+            const draftSaved = restored.continueSavedRun() && restored.state === 'draft'
+                && restored.draft.choices.join(',') === offeredChoices
+                && restored.settings.progression === 'draft' && restored.hasSavedRun();
+
+            // A live run takes its drafts as they come (rerolling the first), the replay makes the same picks
+            const live = new Game({ headless: true, seed: 30 });
+            live.start();
+            for (let i = 0; i < 2400 && (live.state === 'playing' || live.state === 'draft'); i++) {
+                if (live.state === 'draft' && live.draftLockTicks === 0) {
+                    live.queueInput(live.player.drafts === 1 && live.player.rerolls === BALANCE.upgrades.draft.rerolls ? 'reroll' : 'draft1');
+                }
+                live.step();
+            }
+            const replay = parseReplay(serializeReplay(live.getReplay()));
+            const watcher = new Game({ headless: true });
+            watcher.startReplay(replay).seek(replay.ticks);
+            const replayReproduces = replay.progression === 'draft' && live.player.drafts > 1
+                && replay.inputs.some(input => input[1] === REPLAY_ACTION_CODES.reroll)
+                && watcher.tick === live.tick && watcher.score === live.score
+                && JSON.stringify(watcher.player.getAllUpgrades()) === JSON.stringify(live.player.getAllUpgrades());
+
+            // Common upgrades are offered more often than epic ones
+            const rng = new SeededRandom(30);
+            const seen = {};
+            for (let i = 0; i < 500; i++) {
+                rollUpgradeDraft(rng, 1).forEach(type => { seen[type] = (seen[type] || 0) + 1; });
+            }
+            const weighted = seen.rapidfire > seen.pierce && seen.pierce > seen.ricochet;
+
+            // Random experience keeps the per-type tracks
+            const randomGame = new Game({ headless: true, seed: 30, progression: 'random' });
+            randomGame.start();
+            randomGame.player.addExperience('rapidfire', randomGame.player.getRequiredExperience('rapidfire'));
+            randomGame.step(1);
+            const randomProgression = randomGame.state === 'playing' && !randomGame.player.sharedExperience
+                && randomGame.player.getUpgradeLevel('rapidfire') === 1;
+
+            let invalidRarityRejected = false;
+            try {
+                registerUpgrade({ id: 'lucky', name: 'Lucky', desc: 'Rare finds', icon: '🍀', color: '#00b894', rarity: 'mythic' });
+            } catch (error) {
+                invalidRarityRejected = getUpgradeDefinition('lucky') === null;
+            }
+
+            const checks = {
+                pooled,
+                offered,
+                frozen,
+                rerolled,
+                pickedLevel,
+                noFreeRerolls,
+                draftSaved,
+                replayReproduces,
+                weighted,
+                randomProgression,
+                invalidRarityRejected
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Upgrade Draft', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Upgrade Draft', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 31: Bomb - kills charge it, it clears everything below its line by the BALANCE.bomb rules,
+     * then cools down; bombs are part of replays
+     */
+    testBomb() {
+        console.log('Test 31: Bomb...');
+
+        try {
+            const lane = CONFIG.LANE_COUNT - 1;
+            const options = { headless: true, seed: 31, progression: 'random', quiet: true };
+            const createEnemy = (game, type, y) => {
+                const enemy = EnemyFactory.create(type, CONFIG.LANE_POSITIONS[lane], y, lane, 1, game.rng);
+                enemy.speed = enemy.baseSpeed = 0;
+                game.enemies.push(enemy);
+                return enemy;
+            };
+
+            // Kills charge the bomb, it can't go off before it's full
+            const game = this.createGame(options);
+            const player = game.player;
+            const bombs = [];
+            game.events.on(GameEvents.BOMB_USED, payload => bombs.push(payload));
+            player.bombCharge = BALANCE.bomb.chargeRequired - BALANCE.bomb.chargePerKill;
+            game.queueInput('bomb');
+            game.step(1);
+            const notReady = bombs.length === 0 && game.recorder.inputs.length === 0;
+            game.events.emit(GameEvents.ENEMY_KILLED, { enemy: createEnemy(game, 'basic', 100) });
+            const charged = player.isBombReady() && player.getBombProgress() === 1;
+
+            // Everything below the line is blown away (no score), enemies above it and carriers stay
+            game.enemies = [];
+            const clearY = CONFIG.CANVAS_HEIGHT * BALANCE.bomb.clearLine;
+            const below = createEnemy(game, 'basic', clearY + 100);
+            const above = createEnemy(game, 'basic', clearY - 100);
+            const carrier = createEnemy(game, 'carrier', clearY + 50);
+            const column = createEnemy(game, 'formation', clearY);
+            column.rows = 2;
+            column.cols = 1;
+            column.units = [0, 1].map(row => ({ row, col: 0, health: 10, maxHealth: 10 }));
+            column.invalidateUnitBounds();
+            const unitsBelow = column.getLivingUnitBounds().filter(bounds => bounds.centerY > clearY).map(bounds => bounds.unit);
+            const projectile = getPool(EnemyProjectile).acquire(CONFIG.LANE_POSITIONS[lane], clearY + 100, lane);
+            game.enemyProjectiles.push(projectile);
+            const score = game.score;
+            game.queueInput('bomb');
+            game.step(1);
+            const cleared = bombs.length === 1 && !below.active && above.active && !projectile.active && game.score === score
+                && carrier.active && carrier.health === carrier.maxHealth - evaluateCurve(BALANCE.bomb.damage, game.level);
+            const unitsCleared = unitsBelow.length === 1 && column.active && unitsBelow[0].health === 0
+                && column.units.filter(unit => unit.health > 0).length === 1;
+            const cooldownStarted = player.bombCharge === 0 && player.bombCooldown > 0 && !player.isBombReady();
+
+            // Kills during the cooldown don't charge it
+            game.events.emit(GameEvents.ENEMY_KILLED, { enemy: createEnemy(game, 'basic', 100) });
+            const noChargeWhileCooling = player.bombCharge === 0;
+            game.step(BALANCE.bomb.cooldownTicks);
+            game.events.emit(GameEvents.ENEMY_KILLED, { enemy: createEnemy(game, 'basic', 100) });
+            const chargesAfterCooldown = player.bombCooldown === 0 && player.bombCharge === BALANCE.bomb.chargePerKill;
+
+            // Damage with rewards instead: weak enemies die for score, tougher ones are only hurt
+            registerBalanceProfile('test-bomb-damage', { bomb: { instantKill: false, rewards: true, damage: 5 } });
+            const damageGame = this.createGame({ ...options, balance: 'test-bomb-damage' });
+            const weak = createEnemy(damageGame, 'basic', clearY + 100);
+            const tank = createEnemy(damageGame, 'tank', clearY + 100);
+            damageGame.player.bombCharge = BALANCE.bomb.chargeRequired;
+            damageGame.queueInput('bomb');
+            damageGame.step(1);
+            const damageRules = !weak.active && damageGame.score > 0 && tank.active && tank.health === tank.maxHealth - 5;
+
+            let invalidFlagRejected = false;
+            try {
+                registerBalanceProfile('test-invalid-bomb', { bomb: { rewards: 'yes' } });
+            } catch (error) {
+                invalidFlagRejected = !hasBalanceProfile('test-invalid-bomb');
+            }
+
+            // A live run that bombs whenever it can, the replay bombs at the same ticks
+            const live = new Game({ headless: true, seed: 31, progression: 'random' });
+            live.start();
+            for (let i = 0; i < 6000 && live.state === 'playing'; i++) {
+                if (live.player.isBombReady()) live.queueInput('bomb');
+                live.step();
+            }
+            const replay = parseReplay(serializeReplay(live.getReplay()));
+            const watcher = new Game({ headless: true });
+            watcher.startReplay(replay).seek(replay.ticks);
+            const replayReproduces = replay.inputs.some(input => input[1] === REPLAY_ACTION_CODES.bomb)
+                && watcher.tick === live.tick && watcher.score === live.score
+                && watcher.player.bombCharge === live.player.bombCharge;
+
+            const checks = {
+                notReady,
+                charged,
+                cleared,
+                unitsCleared,
+                cooldownStarted,
+                noChargeWhileCooling,
+                chargesAfterCooldown,
+                damageRules,
+                invalidFlagRejected,
+                replayReproduces
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Bomb', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Bomb', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 32: Timed buffs - pickups start them for their duration, picking one up again follows its stacking rule,
+     * their effects last until they run out; buffs drop from BALANCE.buffs.minLevel and are part of saves
+     */
+    testBuffs() {
+        console.log('Test 32: Timed Buffs...');
+
+        try {
+            const lane = CONFIG.LANE_COUNT - 1;
+            const options = { headless: true, seed: 32, progression: 'random', quiet: true };
+            const game = this.createGame(options);
+            const player = game.player;
+
+            // A pickup starts its buff for the definition's duration
+            const pickup = PowerupFactory.create('overdrive', player.x, player.y);
+            const pickupDuration = PowerupFactory.isKnownType('overdrive') && pickup instanceof BuffPowerup
+                && pickup.duration === getBuffDefinition('overdrive').duration;
+            const cooldown = player.getEffectiveShootCooldown();
+            game.powerups.push(pickup);
+            game.step(1);
+            const overdrive = !pickup.active && player.buffs.overdrive !== undefined
+                && player.getEffectiveShootCooldown() === cooldown / 2;
+
+            // Stacking rules: refresh restarts the timer, extend adds up to maxDuration, stack adds stacks up to maxStacks
+            player.buffs = {};
+            player.addBuff('overdrive', 600);
+            player.buffs.overdrive.ticks = 100;
+            player.addBuff('overdrive', 600);
+            const refreshed = player.buffs.overdrive.ticks === 600 && player.buffs.overdrive.stacks === 1;
+            player.addBuff('slowtime', 480);
+            player.addBuff('slowtime', 480);
+            player.addBuff('slowtime', 480);
+            const extended = player.buffs.slowtime.ticks === getBuffDefinition('slowtime').maxDuration
+                && player.buffs.slowtime.total === player.buffs.slowtime.ticks;
+            player.addBuff('doublescore', 600);
+            player.addBuff('doublescore', 600);
+            player.addBuff('doublescore', 600);
+            const stacked = player.buffs.doublescore.stacks === getBuffDefinition('doublescore').maxStacks;
+
+            // Buffs run out, with an event
+            const expired = [];
+            game.events.on(GameEvents.BUFF_EXPIRED, payload => expired.push(payload.type));
+            player.buffs = {};
+            player.addBuff('magnet', 3);
+            game.step(3);
+            const expires = expired.length === 1 && expired[0] === 'magnet' && !player.hasBuffs();
+
+            // Shield blocks a hit the player has no shields for
+            player.shields = 0;
+            player.addBuff('forceshield', 360);
+            const projectile = getPool(EnemyProjectile).acquire(player.x, player.y, player.laneIndex);
+            game.enemyProjectiles.push(projectile);
+            game.step(1);
+            const shieldBlocks = game.state === 'playing' && !projectile.active && player.shields === 0;
+            player.buffs = {};
+
+            // Slow-Time halves enemy movement without changing the enemy's speed
+            const enemy = EnemyFactory.create('basic', CONFIG.LANE_POSITIONS[lane], 100, lane, 1, game.rng);
+            enemy.speed = enemy.baseSpeed = 2;
+            game.enemies.push(enemy);
+            game.step(1);
+            const normalMove = enemy.y - 100;
+            player.addBuff('slowtime', 480);
+            const slowY = enemy.y;
+            game.step(1);
+            const slowTime = normalMove > 0 && enemy.y - slowY === normalMove / 2 && enemy.speed === 2;
+            player.buffs = {};
+            game.enemies = [];
+
+            // Score x2 doubles kill score
+            game.score = 0;
+            game.events.emit(GameEvents.ENEMY_KILLED, { enemy });
+            const normalScore = game.score;
+            player.addBuff('doublescore', 600);
+            game.score = 0;
+            game.events.emit(GameEvents.ENEMY_KILLED, { enemy });
+            const doubleScore = normalScore > 0 && game.score === normalScore * 2;
+            player.buffs = {};
+
+            // Magnet pulls pickups towards the ship
+            player.addBuff('magnet', 900);
+            const far = PowerupFactory.create('shield', CONFIG.LANE_POSITIONS[lane], 100);
+            game.powerups.push(far);
+            game.step(1);
+            const magnet = Math.abs(player.x - far.x) < Math.abs(player.x - CONFIG.LANE_POSITIONS[lane]);
+
+            // Buffs are part of saves
+            player.addBuff('doublescore', 600);
+            const restored = new Game({ headless: true });
+            restored.restore(JSON.parse(JSON.stringify(game.serialize())));
+            const saved = JSON.stringify(restored.player.buffs) === JSON.stringify(player.buffs);
+
+            // From BALANCE.buffs.minLevel, random drops are buffs
+            registerBalanceProfile('test-buff-drops', { buffs: { dropChance: 1 } });
+            const dropGame = this.createGame({ ...options, balance: 'test-buff-drops' });
+            dropGame.level = BALANCE.buffs.minLevel;
+            dropGame.spawnPowerups();
+            const drops = dropGame.powerups.length === 1 && getBuffDefinition(dropGame.powerups[0].type) !== null;
+
+            let invalidStackingRejected = false;
+            try {
+                registerBuff({ id: 'test-buff', name: 'Test', desc: 'Test', icon: '?', color: '#fff', duration: 60, stacking: 'forever' });
+            } catch (error) {
+                invalidStackingRejected = getBuffDefinition('test-buff') === null;
+            }
+
+            const checks = {
+                pickupDuration,
+                overdrive,
+                refreshed,
+                extended,
+                stacked,
+                expires,
+                shieldBlocks,
+                slowTime,
+                doubleScore,
+                magnet,
+                saved,
+                drops,
+                invalidStackingRejected
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Timed Buffs', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Timed Buffs', false, { error: error.message }, 0);
+        }
+    }
+
+    /**
+     * Test 33: Experience orbs - the ship pulls in orbs inside its pickup radius (eased, wider with Magnet),
+     * overlapping orbs of the same experience merge, small direct gains are announced for the panel
+     */
+    testExperienceOrbs() {
+        console.log('Test 33: Experience Orbs...');
+
+        try {
+            const lane = CONFIG.LANE_COUNT - 1;
+            const options = { headless: true, seed: 33, progression: 'draft', quiet: true };
+            const createOrb = (game, x, y, amount, upgradeType = null) => {
+                const orb = PowerupFactory.create('experience', x, y, amount, upgradeType);
+                game.powerups.push(orb);
+                return orb;
+            };
+            const game = this.createGame(options);
+            const player = game.player;
+            const farX = CONFIG.LANE_POSITIONS[lane];
+
+            // Orbs inside the radius home in on the ship and are collected, faster the closer they are
+            const radius = player.getPickupRadius();
+            const near = createOrb(game, player.x + radius * 0.8, player.y, 2);
+            const closer = createOrb(game, player.x - radius * 0.4, player.y, 2);
+            game.step(1);
+            const nearStep = radius * 0.8 - Math.abs(near.x - player.x);
+            const closerStep = radius * 0.4 - Math.abs(closer.x - player.x);
+            const eased = nearStep >= near.speed && closerStep > nearStep && near.y === player.y;
+            game.step(30);
+            const collected = !near.active && !closer.active && player.experiencePool === 4;
+
+            // Orbs outside it fall straight past
+            const far = createOrb(game, farX, player.y - 100, 3);
+            game.step(1);
+            const falls = far.x === farX && far.y === player.y - 100 + far.speed;
+
+            // Magnet widens the radius to the next lanes, pulled orbs keep their eased speed (no sideways drift on top)
+            player.addBuff('magnet', 900);
+            const magnetRadius = player.getPickupRadius() > radius;
+            let fastestStep = 0;
+            for (let tick = 0; tick < 300 && far.active; tick++) {
+                const x = far.x;
+                const y = far.y;
+                game.step(1);
+                fastestStep = Math.max(fastestStep, Math.hypot(far.x - x, far.y - y));
+            }
+            const magnet = magnetRadius && !far.active && player.experiencePool === 7
+                && fastestStep <= BALANCE.pickups.pullSpeed;
+            player.buffs = {};
+
+            // Overlapping orbs of the same experience merge into one that carries both (collected once)
+            const first = createOrb(game, farX, 100, 5);
+            const second = createOrb(game, farX + 5, 100, 7);
+            const width = first.width;
+            game.step(1);
+            const survivors = [first, second].filter(orb => orb.active);
+            const merged = survivors.length === 1 && survivors[0].experienceAmount === 12 && survivors[0].width > width
+                && survivors[0].x > farX && survivors[0].x < farX + 5;
+            player.experiencePool = 0;
+            createOrb(game, player.x, player.y, 1);
+            createOrb(game, player.x, player.y, 2);
+            game.step(1);
+            const collectedOnce = player.experiencePool === 3;
+
+            // Orbs of different upgrades don't merge, nor do any when merging is off
+            const randomGame = this.createGame({ ...options, progression: 'random' });
+            const rapidfire = createOrb(randomGame, farX, 100, 5, 'rapidfire');
+            const multishot = createOrb(randomGame, farX, 100, 5, 'multishot');
+            randomGame.step(1);
+            registerBalanceProfile('test-no-merge', { pickups: { mergeOrbs: false } });
+            const noMergeGame = this.createGame({ ...options, balance: 'test-no-merge' });
+            const a = createOrb(noMergeGame, farX, 100, 5);
+            const b = createOrb(noMergeGame, farX, 100, 5);
+            noMergeGame.step(1);
+            const noMerge = rapidfire.active && multishot.active && a.active && b.active;
+
+            // Small experience won directly is announced for the upgrade panel
+            const gains = [];
+            game.events.on(GameEvents.EXPERIENCE_GAINED, payload => gains.push(payload));
+            const poolBefore = player.experiencePool;
+            const enemy = EnemyFactory.create('basic', farX, 200, lane, 1, game.rng);
+            game.gainExperienceFromEnemy(enemy);
+            const announced = gains.length === 1 && gains[0].amount === player.experiencePool - poolBefore
+                && gains[0].y === enemy.y && gains[0].upgradeType === null;
+
+            const checks = {
+                eased,
+                collected,
+                falls,
+                magnet,
+                merged,
+                collectedOnce,
+                noMerge,
+                announced
+            };
+
+            const passed = Object.values(checks).every(v => v === true);
+            this.recordTest('Experience Orbs', passed, checks, 0);
+
+        } catch (error) {
+            this.recordTest('Experience Orbs', false, { error: error.message }, 0);
+        }
+    }
+
     /**
      * Record test result
      */
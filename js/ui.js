@@ -0,0 +1,885 @@
+/**
+ * UI Adapters - HUD, menu screens and input binding for the game
+ * The Game calls these hooks when its state changes; use NullUI for headless runs.
+ */
+
+// Standard gamepad mapping: buttons that stand in for keys (D-pad, A, B, X and Y)
+const GAMEPAD_BUTTON_KEYS = { 14: 'arrowleft', 15: 'arrowright', 0: 'enter', 1: 'b', 2: 'r', 3: 'r' };
+
+// Standard gamepad mapping: Start pauses
+const GAMEPAD_PAUSE_BUTTON = 9;
+
+// Left stick deflection that counts as a left/right press
+const GAMEPAD_STICK_THRESHOLD = 0.5;
+
+// Experience gains flying to the upgrade panel at once; more are credited without one (replay seeks run many ticks at once)
+const MAX_EXPERIENCE_FLIGHTS = 12;
+
+// Milliseconds an experience gain takes to reach the upgrade panel
+const EXPERIENCE_FLIGHT_DURATION = 600;
+
+/**
+ * DOM UI - Binds the HTML overlay (HUD, upgrade panel, screens) and browser input to a Game
+ */
+class DomUI {
+    constructor() {
+        this.game = null;
+
+        // UI elements
+        this.scoreElement = document.getElementById('score');
+        this.levelElement = document.getElementById('level');
+        this.timeElement = document.getElementById('time');
+        this.shieldsElement = document.getElementById('shields');
+        this.difficultyElement = document.getElementById('difficulty');
+        this.gameModeElement = document.getElementById('gameMode');
+        this.modeStatusElement = document.getElementById('modeStatus');
+        this.announcement = document.getElementById('announcement');
+        this.bossBar = document.getElementById('bossBar');
+        this.bossNameElement = document.getElementById('bossName');
+        this.bossPhaseElement = document.getElementById('bossPhase');
+        this.bossHealthFill = document.getElementById('bossHealthFill');
+        this.upgradePanel = document.getElementById('upgradePanel');
+        this.menuScreen = document.getElementById('menuScreen');
+        this.gameOverScreen = document.getElementById('gameOverScreen');
+        this.victoryScreen = document.getElementById('victoryScreen');
+        this.finalScoreElement = document.getElementById('finalScore');
+        this.victoryScoreElement = document.getElementById('victoryScore');
+        this.gameOverTitleElement = document.getElementById('gameOverTitle');
+        this.gameOverDifficultyElement = document.getElementById('gameOverDifficulty');
+        this.resultStatsElement = document.getElementById('resultStats');
+        this.highScoreElement = document.getElementById('highScore');
+        this.newHighScoreElement = document.getElementById('newHighScore');
+        this.difficultyPicker = document.getElementById('difficultyPicker');
+        this.modePicker = document.getElementById('modePicker');
+        this.progressionPicker = document.getElementById('progressionPicker');
+        this.modeDescriptionElement = document.getElementById('modeDescription');
+        this.menuHighScoreElement = document.getElementById('menuHighScore');
+        this.pauseScreen = document.getElementById('pauseScreen');
+        this.pauseButton = document.getElementById('pauseButton');
+        this.bombButton = document.getElementById('bombButton');
+        this.bombMeterFill = document.getElementById('bombMeterFill');
+        this.buffBar = document.getElementById('buffBar');
+        this.buffItems = {}; // HUD timers by buff type, kept while the buff runs
+        this.continueButton = document.getElementById('continueButton');
+        this.replayControls = document.getElementById('replayControls');
+        this.replayPlayButton = document.getElementById('replayPlayButton');
+        this.replaySeek = document.getElementById('replaySeek');
+        this.replayTimeElement = document.getElementById('replayTime');
+        this.replayFileInput = document.getElementById('replayFileInput');
+        this.draftScreen = document.getElementById('draftScreen');
+        this.draftChoicesElement = document.getElementById('draftChoices');
+        this.rerollButton = document.getElementById('rerollButton');
+        this.rerollCountElement = document.getElementById('rerollCount');
+        this.victoryContinueHandler = null;
+        this.gamepadHeld = {}; // Gamepad keys held on the last poll (presses are the changes)
+        this.experienceFlights = 0; // Experience gains flying to the upgrade panel
+    }
+
+    /**
+     * Attach to a game: bind buttons and input (called by the Game constructor)
+     * @param {Game} game
+     */
+    attach(game) {
+        this.game = game;
+
+        // Setup UI handlers
+        const startLive = () => {
+            game.stopReplay();
+            game.start();
+        };
+        document.getElementById('startButton').addEventListener('click', startLive);
+        document.getElementById('restartButton').addEventListener('click', startLive);
+        document.getElementById('resumeButton').addEventListener('click', () => game.resume());
+        this.continueButton.addEventListener('click', () => {
+            if (!game.continueSavedRun()) {
+                this.updateContinueButton();
+            }
+        });
+        this.pauseButton.addEventListener('click', () => game.togglePause());
+        // Applied on the next tick so it's part of the replay
+        this.bombButton.addEventListener('click', () => game.queueInput('bomb'));
+        this.rerollButton.addEventListener('click', () => game.queueInput('reroll'));
+        document.getElementById('endRunButton').addEventListener('click', () => game.quitRun());
+
+        this.setupModePicker();
+        this.setupProgressionPicker();
+        this.setupDifficultyPicker();
+        this.setupReplayHandlers();
+
+        // Automatically pause when the tab is hidden or the window loses focus
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) game.pause();
+        });
+        window.addEventListener('blur', () => game.pause());
+
+        // Save the run when the page is closed or navigated away from
+        window.addEventListener('pagehide', () => game.saveRun());
+
+        this.updateContinueButton();
+
+        this.setupInputHandlers();
+    }
+
+    /**
+     * Setup the game mode picker in the main menu
+     */
+    setupModePicker() {
+        this.modePicker.querySelectorAll('[data-mode]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.game.setRequestedMode(button.dataset.mode);
+                this.updateDifficultyPicker();
+            });
+        });
+    }
+
+    /**
+     * Setup the upgrade progression picker in the main menu
+     */
+    setupProgressionPicker() {
+        this.progressionPicker.querySelectorAll('[data-progression]').forEach(button => {
+            button.title = UPGRADE_PROGRESSIONS[button.dataset.progression].description;
+            button.addEventListener('click', () => {
+                this.game.setRequestedProgression(button.dataset.progression);
+                this.updateDifficultyPicker();
+            });
+        });
+    }
+
+    /**
+     * Setup the difficulty picker in the main menu
+     */
+    setupDifficultyPicker() {
+        this.difficultyPicker.querySelectorAll('[data-difficulty]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.game.setRequestedDifficulty(button.dataset.difficulty);
+                this.updateDifficultyPicker();
+            });
+        });
+        this.updateDifficultyPicker();
+    }
+
+    /**
+     * Highlight the chosen mode and difficulty and show their high score
+     */
+    updateDifficultyPicker() {
+        const mode = this.game.requestedMode;
+        const difficulty = this.game.requestedDifficulty;
+        this.modePicker.querySelectorAll('[data-mode]').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
+        });
+        this.modeDescriptionElement.textContent = GameModeFactory.create(mode).description;
+        this.progressionPicker.querySelectorAll('[data-progression]').forEach(button => {
+            button.classList.toggle('active', button.dataset.progression === this.game.requestedProgression);
+        });
+        this.difficultyPicker.querySelectorAll('[data-difficulty]').forEach(button => {
+            button.classList.toggle('active', button.dataset.difficulty === difficulty);
+        });
+        this.menuHighScoreElement.textContent = this.game.highScores.get(difficulty, mode);
+    }
+
+    /**
+     * Setup input handlers
+     */
+    setupInputHandlers() {
+        // Keyboard input
+        window.addEventListener('keydown', (e) => {
+            const key = e.key.toLowerCase();
+            const code = e.code.toLowerCase();
+
+            // Pause toggle is handled immediately (handleInput doesn't run while paused)
+            if ((key === 'escape' || key === 'p') && !e.repeat) {
+                this.game.togglePause();
+                return;
+            }
+
+            // Track if key was just pressed (not already held)
+            if (!this.game.keys[key]) {
+                this.game.keysPressed[key] = true;
+            }
+            if (!this.game.keys[code]) {
+                this.game.keysPressed[code] = true;
+            }
+
+            this.game.keys[key] = true;
+            this.game.keys[code] = true;
+        });
+
+        window.addEventListener('keyup', (e) => {
+            const key = e.key.toLowerCase();
+            const code = e.code.toLowerCase();
+            this.game.keys[key] = false;
+            this.game.keys[code] = false;
+            this.game.keysPressed[key] = false;
+            this.game.keysPressed[code] = false;
+        });
+
+        // Touch and click input for mobile
+        this.setupTouchHandlers();
+    }
+
+    /**
+     * Turn gamepad buttons into key presses (called every animation frame, gamepads have no events for buttons)
+     * D-pad or left stick: left/right, A: Enter, B: bomb, X/Y: R, Start: pause; any button continues after a victory
+     */
+    pollGamepad() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return;
+        const gamepad = Array.from(navigator.getGamepads()).find(pad => pad && pad.connected);
+
+        const held = {};
+        if (gamepad) {
+            const isPressed = index => Boolean(gamepad.buttons[index] && gamepad.buttons[index].pressed);
+            Object.keys(GAMEPAD_BUTTON_KEYS).forEach(index => {
+                if (isPressed(index)) held[GAMEPAD_BUTTON_KEYS[index]] = true;
+            });
+            const stickX = gamepad.axes[0] || 0;
+            if (stickX < -GAMEPAD_STICK_THRESHOLD) held.arrowleft = true;
+            if (stickX > GAMEPAD_STICK_THRESHOLD) held.arrowright = true;
+            if (isPressed(GAMEPAD_PAUSE_BUTTON)) held.pause = true;
+        }
+
+        Object.keys(held).forEach(key => {
+            if (this.gamepadHeld[key]) return;
+            if (this.victoryContinueHandler) {
+                this.victoryContinueHandler();
+            } else if (key === 'pause') {
+                this.game.togglePause();
+            } else {
+                this.game.keysPressed[key] = true;
+            }
+        });
+        this.gamepadHeld = held;
+    }
+
+    /**
+     * Setup touch and click handlers for mobile
+     */
+    setupTouchHandlers() {
+        const canvas = this.game.renderer.canvas;
+        if (!canvas) return;
+
+        // Prevent default touch behaviors
+        canvas.addEventListener('touchstart', (e) => e.preventDefault(), { passive: false });
+        canvas.addEventListener('touchmove', (e) => e.preventDefault(), { passive: false });
+        canvas.addEventListener('touchend', (e) => e.preventDefault(), { passive: false });
+
+        // Handle touch on canvas - move to the tapped lane
+        canvas.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            const touch = e.changedTouches[0];
+            if (touch) {
+                this.queueLaneAt(touch.clientX);
+            }
+        }, { passive: false });
+
+        // Also handle click on canvas for desktop testing
+        canvas.addEventListener('click', (e) => this.queueLaneAt(e.clientX));
+    }
+
+    /**
+     * Queue a move to the lane under a screen position
+     * @param {number} clientX - Horizontal position in viewport pixels
+     */
+    queueLaneAt(clientX) {
+        const canvas = this.game.renderer.canvas;
+        const rect = canvas.getBoundingClientRect();
+        // The canvas may be scaled by CSS, lane positions are in canvas pixels
+        const x = (clientX - rect.left) * (canvas.width / rect.width);
+        this.game.queueInput(getLaneAction(getLaneIndex(x)));
+    }
+
+    /**
+     * Hide menus when a run starts
+     */
+    showPlaying() {
+        this.menuScreen.style.display = 'none';
+        this.gameOverScreen.style.display = 'none';
+        this.pauseScreen.style.display = 'none';
+        this.pauseButton.style.display = this.game.replayPlayer ? 'none' : 'block';
+        this.bombButton.style.display = 'block';
+        this.bombButton.disabled = Boolean(this.game.replayPlayer);
+    }
+
+    /**
+     * Show main menu
+     */
+    showMenu() {
+        this.gameOverScreen.style.display = 'none';
+        this.pauseScreen.style.display = 'none';
+        this.pauseButton.style.display = 'none';
+        this.bombButton.style.display = 'none';
+        this.updateBuffs(null);
+        this.hideVictory();
+        this.hideDraft();
+        this.menuScreen.style.display = 'flex';
+        this.updateContinueButton();
+        this.updateDifficultyPicker();
+    }
+
+    /**
+     * Offer "Continue" in the menu only when there is a saved run
+     */
+    updateContinueButton() {
+        this.continueButton.style.display = this.game.hasSavedRun() ? 'block' : 'none';
+    }
+
+    /**
+     * Announce a wave or boss in the HUD (fades out by itself)
+     * @param {string} text - Announcement text
+     */
+    showAnnouncement(text) {
+        this.announcement.textContent = text;
+        // Restart the fade animation
+        this.announcement.classList.remove('visible');
+        void this.announcement.offsetWidth;
+        this.announcement.classList.add('visible');
+    }
+
+    /**
+     * Show the boss health bar, or hide it when there is no boss
+     * @param {BossEnemy|null} boss - Boss being fought
+     */
+    updateBossBar(boss) {
+        if (!boss || !boss.active) {
+            this.bossBar.style.display = 'none';
+            return;
+        }
+        this.bossBar.style.display = 'block';
+        this.bossNameElement.textContent = boss.getDefinition().name;
+        this.bossPhaseElement.textContent = `PHASE ${boss.phase + 1}`;
+        this.bossHealthFill.style.width = `${Math.max(0, boss.health / boss.maxHealth) * 100}%`;
+        this.bossHealthFill.style.background = boss.color;
+    }
+
+    /**
+     * Show the bomb meter: charge from kills, then the cooldown after a bomb; the button glows when it's ready
+     * @param {Player} player
+     */
+    updateBomb(player) {
+        const cooling = player.bombCooldown > 0;
+        const progress = cooling ? 1 - player.bombCooldown / BALANCE.bomb.cooldownTicks : player.getBombProgress();
+        this.bombMeterFill.style.width = `${Math.min(progress, 1) * 100}%`;
+        this.bombButton.classList.toggle('cooling', cooling);
+        this.bombButton.classList.toggle('ready', player.isBombReady());
+    }
+
+    /**
+     * Show the running buffs with their stacks, seconds left and a draining timer bar
+     * @param {Player} player
+     */
+    updateBuffs(player) {
+        const buffs = player ? player.buffs : {};
+
+        // Drop the timers of buffs that ran out
+        Object.keys(this.buffItems).forEach(type => {
+            if (!buffs[type]) {
+                this.buffItems[type].item.remove();
+                delete this.buffItems[type];
+            }
+        });
+
+        Object.keys(buffs).forEach(type => {
+            const buff = getBuffDefinition(type);
+            if (!buff) return;
+            if (!this.buffItems[type]) {
+                const item = document.createElement('div');
+                item.className = 'buff-item';
+                item.title = `${buff.name}: ${buff.desc}`;
+                item.style.borderColor = buff.color;
+
+                const icon = document.createElement('span');
+                icon.className = 'buff-icon';
+                icon.textContent = buff.icon;
+
+                const label = document.createElement('span');
+                label.className = 'buff-label';
+
+                const timer = document.createElement('div');
+                timer.className = 'buff-timer';
+                const timerFill = document.createElement('div');
+                timerFill.className = 'buff-timer-fill';
+                timerFill.style.background = buff.color;
+                timer.appendChild(timerFill);
+
+                item.append(icon, label, timer);
+                this.buffBar.appendChild(item);
+                this.buffItems[type] = { item, label, timerFill };
+            }
+
+            const state = buffs[type];
+            const { label, timerFill } = this.buffItems[type];
+            const stacks = state.stacks > 1 ? ` x${state.stacks}` : '';
+            label.textContent = `${Math.ceil(state.ticks / 60)}s${stacks}`;
+            timerFill.style.width = `${(state.ticks / state.total) * 100}%`;
+        });
+    }
+
+    /**
+     * Fly a small experience gain from where it was won to its upgrade panel item (the pool with shared experience)
+     * @param {number} x - Canvas position it was won at
+     * @param {number} y
+     * @param {number} amount - Experience gained
+     * @param {string|null} upgradeType - Upgrade it went to, null for the shared pool
+     */
+    showExperienceGain(x, y, amount, upgradeType) {
+        const canvas = this.game.renderer.canvas;
+        const findItem = () => this.upgradePanel.querySelector(upgradeType ? `[data-upgrade-type="${upgradeType}"]` : '.experience-pool');
+        const item = findItem();
+        if (!canvas || !item || this.experienceFlights >= MAX_EXPERIENCE_FLIGHTS) return;
+
+        // The panel is hidden on small screens
+        const target = item.getBoundingClientRect();
+        if (target.width === 0) return;
+
+        // The canvas may be scaled by CSS, positions are in canvas pixels
+        const rect = canvas.getBoundingClientRect();
+        const startX = rect.left + x * (rect.width / canvas.width);
+        const startY = rect.top + y * (rect.height / canvas.height);
+        const endX = target.left + target.width / 2;
+        const endY = target.top + target.height / 2;
+
+        const upgrade = getUpgradeDefinition(upgradeType);
+        const orb = document.createElement('div');
+        orb.className = 'xp-flight';
+        orb.textContent = `+${amount}`;
+        orb.style.background = upgrade ? upgrade.color : '#ffd700';
+        orb.style.left = `${startX}px`;
+        orb.style.top = `${startY}px`;
+        document.body.appendChild(orb);
+        this.experienceFlights++;
+
+        const flight = orb.animate([
+            { transform: 'translate(-50%, -50%) scale(1)', opacity: 1 },
+            { transform: `translate(calc(${endX - startX}px - 50%), calc(${endY - startY}px - 50%)) scale(0.5)`, opacity: 0.6 }
+        ], { duration: EXPERIENCE_FLIGHT_DURATION, easing: 'ease-in' });
+        flight.onfinish = () => {
+            orb.remove();
+            this.experienceFlights--;
+
+            // The panel is rebuilt as the HUD updates, pulse the item it shows now
+            const arrived = findItem();
+            if (arrived) {
+                arrived.classList.remove('xp-received');
+                void arrived.offsetWidth;
+                arrived.classList.add('xp-received');
+            }
+        };
+    }
+
+    /**
+     * Show the upgrade draft on offer - cards pick on tap or click, the highlight follows keyboard and gamepad
+     * @param {Game} game
+     */
+    showDraft(game) {
+        this.draftChoicesElement.innerHTML = '';
+        game.draft.choices.forEach((type, index) => {
+            const upgrade = getUpgradeDefinition(type);
+            const rarity = UPGRADE_RARITIES[getUpgradeRarity(type)];
+            const level = game.player.getUpgradeLevel(type);
+
+            const card = document.createElement('button');
+            card.className = 'draft-card' + (index === game.draftSelection ? ' selected' : '');
+            card.style.borderColor = rarity.color;
+
+            const key = document.createElement('div');
+            key.className = 'draft-key';
+            key.textContent = index + 1;
+
+            const icon = document.createElement('div');
+            icon.className = 'upgrade-icon';
+            icon.style.background = upgrade.color;
+            icon.textContent = upgrade.icon;
+
+            const name = document.createElement('div');
+            name.className = 'draft-name';
+            name.textContent = upgrade.name;
+
+            const desc = document.createElement('div');
+            desc.className = 'upgrade-desc';
+            desc.textContent = upgrade.desc;
+
+            const levelDisplay = document.createElement('div');
+            levelDisplay.className = 'upgrade-level';
+            levelDisplay.textContent = `Lv.${level} → ${level + 1}`;
+
+            const rarityDisplay = document.createElement('div');
+            rarityDisplay.className = 'draft-rarity';
+            rarityDisplay.style.color = rarity.color;
+            rarityDisplay.textContent = rarity.name;
+
+            card.append(key, icon, name, desc, levelDisplay, rarityDisplay);
+            // Applied on the next tick so it's part of the replay
+            card.addEventListener('click', () => game.queueInput(getDraftAction(index)));
+            this.draftChoicesElement.appendChild(card);
+        });
+
+        this.rerollCountElement.textContent = game.player.rerolls;
+        this.rerollButton.disabled = game.player.rerolls <= 0;
+        this.draftScreen.style.display = 'flex';
+    }
+
+    /**
+     * Hide the upgrade draft
+     */
+    hideDraft() {
+        this.draftScreen.style.display = 'none';
+    }
+
+    /**
+     * Show pause overlay
+     */
+    showPaused() {
+        this.pauseScreen.style.display = 'flex';
+    }
+
+    /**
+     * Hide pause overlay
+     */
+    hidePaused() {
+        this.pauseScreen.style.display = 'none';
+    }
+
+    /**
+     * Show the results screen of a finished run
+     * @param {number} score - Final score
+     * @param {string} difficulty - Difficulty key of the run
+     * @param {object} results - { title, stats } from the mode (see GameMode.getResults)
+     * @param {number} highScore - Best score in that mode and difficulty
+     * @param {boolean} newHighScore - Whether this run set it
+     */
+    showGameOver(score, difficulty, results, highScore, newHighScore) {
+        this.gameOverTitleElement.textContent = results.title;
+        this.finalScoreElement.textContent = score;
+        this.gameOverDifficultyElement.textContent = `${this.game.mode.name} · ${DIFFICULTY_MODES[difficulty].name}`;
+        this.resultStatsElement.innerHTML = '';
+        results.stats.forEach(({ label, value }) => {
+            const item = document.createElement('li');
+            const valueElement = document.createElement('span');
+            valueElement.className = 'result-value';
+            valueElement.textContent = value;
+            item.textContent = `${label}:`;
+            item.appendChild(valueElement);
+            this.resultStatsElement.appendChild(item);
+        });
+        this.highScoreElement.textContent = highScore;
+        this.newHighScoreElement.style.display = newHighScore ? 'inline' : 'none';
+        this.gameOverScreen.style.display = 'flex';
+        this.pauseButton.style.display = 'none';
+        this.bombButton.style.display = 'none';
+        this.updateBuffs(null);
+    }
+
+    /**
+     * Show victory screen - any input continues once the game unlocks it
+     * @param {number} score - Score at victory
+     */
+    showVictory(score) {
+        this.victoryScoreElement.textContent = score;
+        this.victoryScreen.style.display = 'flex';
+
+        // Setup continue handler - any key press continues the game (only after lock)
+        this.victoryContinueHandler = () => {
+            // Ignore input if still locked
+            if (this.game.victoryLocked) return;
+
+            // Applied on the next tick so it's part of the replay
+            this.game.queueInput('continue');
+        };
+
+        document.addEventListener('keydown', this.victoryContinueHandler);
+        document.addEventListener('click', this.victoryContinueHandler);
+        document.addEventListener('touchstart', this.victoryContinueHandler);
+    }
+
+    /**
+     * Hide victory screen
+     */
+    hideVictory() {
+        this.victoryScreen.style.display = 'none';
+
+        if (this.victoryContinueHandler) {
+            document.removeEventListener('keydown', this.victoryContinueHandler);
+            document.removeEventListener('click', this.victoryContinueHandler);
+            document.removeEventListener('touchstart', this.victoryContinueHandler);
+            this.victoryContinueHandler = null;
+        }
+    }
+
+    /**
+     * Setup replay handlers: download/watch after a run, load a replay file from the menu, playback controls
+     */
+    setupReplayHandlers() {
+        const game = this.game;
+
+        document.getElementById('downloadReplayButton').addEventListener('click', () => {
+            const replay = game.getReplay();
+            const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `laneshooter-replay-${replay.seed}-${replay.score}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
+        document.getElementById('watchReplayButton').addEventListener('click', () => game.startReplay(game.getReplay()));
+        document.getElementById('loadReplayButton').addEventListener('click', () => this.replayFileInput.click());
+        this.replayFileInput.addEventListener('change', () => {
+            const file = this.replayFileInput.files[0];
+            if (!file) return;
+            file.text().then(text => {
+                game.startReplay(parseReplay(text));
+            }).catch(error => {
+                console.error('ERROR loading replay:', error);
+                alert(`Could not load replay: ${error.message}`);
+            });
+            this.replayFileInput.value = '';
+        });
+
+        // Playback controls
+        this.replayPlayButton.addEventListener('click', () => {
+            if (game.replayPlayer) game.replayPlayer.togglePlay();
+        });
+        this.replayControls.querySelectorAll('[data-speed]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (game.replayPlayer) game.replayPlayer.setSpeed(parseInt(button.dataset.speed, 10));
+            });
+        });
+        this.replaySeek.addEventListener('input', () => {
+            if (game.replayPlayer) game.replayPlayer.seek(parseInt(this.replaySeek.value, 10));
+        });
+        document.getElementById('replayExitButton').addEventListener('click', () => game.exitToMenu());
+    }
+
+    /**
+     * Show replay playback controls
+     * @param {ReplayPlayer} replayPlayer
+     */
+    showReplayControls(replayPlayer) {
+        this.replaySeek.max = replayPlayer.replay.ticks;
+        this.replayControls.style.display = 'flex';
+        this.pauseButton.style.display = 'none';
+        this.bombButton.disabled = true;
+        this.updateReplayControls(replayPlayer);
+    }
+
+    /**
+     * Hide replay playback controls
+     */
+    hideReplayControls() {
+        this.replayControls.style.display = 'none';
+    }
+
+    /**
+     * Update replay controls from playback state
+     * @param {ReplayPlayer} replayPlayer
+     */
+    updateReplayControls(replayPlayer) {
+        const seconds = Math.floor(this.game.tick * CONFIG.FIXED_TIMESTEP / 1000);
+        const totalSeconds = Math.floor(replayPlayer.replay.ticks * CONFIG.FIXED_TIMESTEP / 1000);
+
+        this.replayPlayButton.textContent = replayPlayer.playing ? '❚❚' : '▶';
+        this.replaySeek.value = this.game.tick;
+        this.replayTimeElement.textContent = `${formatTime(seconds)} / ${formatTime(totalSeconds)}`;
+        this.replayControls.querySelectorAll('[data-speed]').forEach(button => {
+            button.classList.toggle('active', parseInt(button.dataset.speed, 10) === replayPlayer.speed);
+        });
+    }
+
+    /**
+     * Update HUD and upgrade panel from game state
+     * @param {Game} game
+     */
+    update(game) {
+        this.scoreElement.textContent = game.score;
+        this.levelElement.textContent = game.level;
+        this.difficultyElement.textContent = DIFFICULTY_MODES[game.settings.difficulty].name;
+        this.gameModeElement.textContent = game.mode.name;
+        this.shieldsElement.textContent = game.player ? game.player.shields : 0;
+        if (game.player) {
+            this.updateBomb(game.player);
+            this.updateBuffs(game.player);
+        }
+        this.modeStatusElement.textContent = game.mode.getStatus(game);
+        this.updateBossBar(game.getActiveBoss());
+
+        // Update time display
+        if (this.timeElement) {
+            const minutes = Math.floor(game.elapsedTime / 60);
+            const seconds = game.elapsedTime % 60;
+            this.timeElement.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+        }
+
+        // Update side upgrade panel with descriptions
+        if (game.player) {
+            const upgrades = game.player.getAllUpgrades();
+
+            // Clear existing display
+            this.upgradePanel.innerHTML = '';
+
+            // Add title
+            const title = document.createElement('div');
+            title.className = 'upgrade-panel-title';
+            title.textContent = 'UPGRADES';
+            this.upgradePanel.appendChild(title);
+
+            // Draft progression: one bar for the shared pool, the upgrades only show their levels
+            const shared = game.player.sharedExperience;
+            if (shared) {
+                this.upgradePanel.appendChild(this.createPoolItem(game.player));
+            }
+
+            // Create upgrade items for all types with progress bars (see js/upgrades.js)
+            const experience = game.player.getAllExperience();
+            for (const config of UPGRADE_DEFINITIONS) {
+                const type = config.id;
+                const level = upgrades[type] || 0;
+                const currentExp = experience[type] || 0;
+                const requiredExp = game.player.getRequiredExperience(type);
+                const progress = game.player.getExperienceProgress(type);
+
+                const upgradeItem = document.createElement('div');
+                upgradeItem.className = 'upgrade-item' + (level > 0 ? ' has-upgrade' : '');
+                upgradeItem.dataset.upgradeType = type; // Target of experience flights
+
+                const icon = document.createElement('div');
+                icon.className = `upgrade-icon ${type}`;
+                icon.style.background = config.color;
+                icon.textContent = config.icon;
+
+                const info = document.createElement('div');
+                info.className = 'upgrade-info';
+
+                const name = document.createElement('div');
+                name.className = 'upgrade-name';
+                name.textContent = config.name;
+
+                const desc = document.createElement('div');
+                desc.className = 'upgrade-desc';
+                desc.textContent = config.desc;
+
+                // Progress bar container
+                const progressContainer = document.createElement('div');
+                progressContainer.className = 'upgrade-progress-container';
+
+                const progressBar = document.createElement('div');
+                progressBar.className = 'upgrade-progress-bar';
+                progressBar.style.width = `${progress * 100}%`;
+
+                const progressText = document.createElement('div');
+                progressText.className = 'upgrade-progress-text';
+                progressText.textContent = `${currentExp}/${requiredExp}`;
+
+                progressContainer.appendChild(progressBar);
+                progressContainer.appendChild(progressText);
+
+                info.appendChild(name);
+                info.appendChild(desc);
+                if (!shared) {
+                    info.appendChild(progressContainer);
+                }
+
+                const levelDisplay = document.createElement('div');
+                levelDisplay.className = 'upgrade-level';
+                levelDisplay.textContent = `Lv.${level}`;
+
+                upgradeItem.appendChild(icon);
+                upgradeItem.appendChild(info);
+                upgradeItem.appendChild(levelDisplay);
+                this.upgradePanel.appendChild(upgradeItem);
+            }
+        } else {
+            this.upgradePanel.innerHTML = '';
+        }
+    }
+
+    /**
+     * Create the upgrade panel item of the shared experience pool
+     * @param {Player} player
+     * @returns {HTMLElement}
+     */
+    createPoolItem(player) {
+        const required = player.getRequiredPoolExperience();
+
+        const item = document.createElement('div');
+        item.className = 'upgrade-item experience-pool';
+
+        const icon = document.createElement('div');
+        icon.className = 'upgrade-icon';
+        icon.textContent = '⭐';
+
+        const info = document.createElement('div');
+        info.className = 'upgrade-info';
+
+        const name = document.createElement('div');
+        name.className = 'upgrade-name';
+        name.textContent = 'Next Draft';
+
+        const progressContainer = document.createElement('div');
+        progressContainer.className = 'upgrade-progress-container';
+
+        const progressBar = document.createElement('div');
+        progressBar.className = 'upgrade-progress-bar';
+        progressBar.style.width = `${Math.min(player.experiencePool / required, 1) * 100}%`;
+
+        const progressText = document.createElement('div');
+        progressText.className = 'upgrade-progress-text';
+        progressText.textContent = `${player.experiencePool}/${required}`;
+
+        progressContainer.appendChild(progressBar);
+        progressContainer.appendChild(progressText);
+        info.appendChild(name);
+        info.appendChild(progressContainer);
+
+        const rerolls = document.createElement('div');
+        rerolls.className = 'upgrade-level';
+        rerolls.textContent = `🎲${player.rerolls}`;
+
+        item.appendChild(icon);
+        item.appendChild(info);
+        item.appendChild(rerolls);
+        return item;
+    }
+}
+
+/**
+ * Null UI - No HUD, screens or input (headless simulation drives the Game directly)
+ */
+class NullUI {
+    attach(game) {}
+
+    showPlaying() {}
+
+    showMenu() {}
+
+    showAnnouncement(text) {}
+
+    updateBossBar(boss) {}
+
+    updateBomb(player) {}
+
+    updateBuffs(player) {}
+
+    showExperienceGain(x, y, amount, upgradeType) {}
+
+    showPaused() {}
+
+    hidePaused() {}
+
+    showDraft(game) {}
+
+    hideDraft() {}
+
+    pollGamepad() {}
+
+    showGameOver(score, difficulty, results, highScore, newHighScore) {}
+
+    showVictory(score) {}
+
+    hideVictory() {}
+
+    showReplayControls(replayPlayer) {}
+
+    hideReplayControls() {}
+
+    updateReplayControls(replayPlayer) {}
+
+    update(game) {}
+}
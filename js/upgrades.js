@@ -0,0 +1,278 @@
+/**
+ * Upgrades - The permanent upgrade tracks the player levels up with experience
+ * Every place that lists upgrades (player levels, experience drops, pickups, the upgrade panel,
+ * XP texts) reads this registry, so a new upgrade needs only its definition.
+ *
+ * Definition fields:
+ * - id: upgrade type, used in saves, replays and experience drops
+ * - name, desc: shown in the upgrade panel
+ * - icon, color: pickups, XP texts and the upgrade panel
+ * - experienceRequired: experience for the next level by current level, a balance curve
+ *   (see js/balance.js); left out, the track uses BALANCE.upgrades.experienceRequired
+ * - rarity: how often drafts offer the upgrade, one of UPGRADE_RARITIES (default common);
+ *   the weight of each rarity is BALANCE.upgrades.draft.rarityWeights
+ *
+ * Effect hooks (optional), called in registry order for upgrades at level 1 or higher;
+ * each one gets the value so far and the upgrade's level, and returns the new value:
+ * - shootCooldown(cooldown, level): milliseconds between shots
+ * - bulletCount(count, level): bullets per shot
+ * - moveSpeed(multiplier, level): lane switching speed, a multiple of the base speed
+ * - bullet(bullet, level): arm a bullet the player just fired
+ * - pickupRadius(radius, level): distance experience orbs are pulled in from (see Player.getPickupRadius)
+ *
+ * How experience turns into upgrade levels is a run setting, one of UPGRADE_PROGRESSIONS.
+ * Random experience drops and drafts both pick in registry order, so adding a track changes seeded runs.
+ */
+
+const UPGRADE_HOOKS = ['shootCooldown', 'bulletCount', 'moveSpeed', 'bullet', 'pickupRadius'];
+
+// Draft offer rarities, with the border color of their cards
+const UPGRADE_RARITIES = {
+    common: { name: 'Common', color: '#dfe6e9' },
+    rare: { name: 'Rare', color: '#74b9ff' },
+    epic: { name: 'Epic', color: '#e056fd' }
+};
+
+// How experience levels upgrades, picked in the menu and part of the run settings (replays, saves)
+const UPGRADE_PROGRESSIONS = {
+    draft: {
+        name: 'Draft',
+        description: 'Experience fills one pool, pick an upgrade each time it is full'
+    },
+    random: {
+        name: 'Random XP',
+        description: 'Experience drops level a random upgrade'
+    }
+};
+
+const DEFAULT_UPGRADE_PROGRESSION = 'draft';
+
+// Upgrades offered by a draft (one input action per choice, see REPLAY_ACTION_CODES)
+const UPGRADE_DRAFT_CHOICES = 3;
+
+// Ticks a new draft ignores input, so a lane key pressed as it opens doesn't pick
+const UPGRADE_DRAFT_LOCK_TICKS = 30;
+
+const UPGRADE_DEFINITIONS = [
+    {
+        id: 'rapidfire',
+        name: 'Fire Rate',
+        desc: 'Shooting Speed',
+        icon: '⚡',
+        color: '#ff6b6b',
+        // Each level reduces the cooldown by 15% (compound reduction)
+        shootCooldown: (cooldown, level) => {
+            for (let i = 0; i < level; i++) {
+                cooldown = cooldown * 0.85;
+            }
+            return cooldown;
+        }
+    },
+    {
+        id: 'multishot',
+        name: 'Multi Shot',
+        desc: 'Bullet Count',
+        icon: '🔫',
+        color: '#4ecdc4',
+        rarity: 'rare',
+        bulletCount: (count, level) => count + level
+    },
+    {
+        id: 'powerboost',
+        name: 'Power Boost',
+        desc: 'Damage & Speed',
+        icon: '💨',
+        color: '#ffe66d',
+        // +10% of the base speed per level; damage and bullet color scale with the bullet's level
+        moveSpeed: (multiplier, level) => multiplier + level * 0.1,
+        bullet: (bullet, level) => {
+            bullet.powerboostLevel = level;
+            return bullet;
+        }
+    },
+    {
+        id: 'lanespeed',
+        name: 'Lane Speed',
+        desc: 'Movement Speed',
+        icon: '🚀',
+        color: '#a29bfe',
+        // +30% of the base speed per level
+        moveSpeed: (multiplier, level) => multiplier + level * 0.3
+    },
+    {
+        id: 'pierce',
+        name: 'Pierce',
+        desc: 'Enemies Passed Through',
+        icon: '🗡️',
+        color: '#fd79a8',
+        rarity: 'rare',
+        // 0->1: 20, 1->2: 41, 2->3: 81 - each level passes through one more enemy or unit
+        experienceRequired: [20, 15, 6, 1 / 2, 1 / 5],
+        bullet: (bullet, level) => {
+            bullet.pierceLevel = level;
+            bullet.pierceLeft = level;
+            return bullet;
+        }
+    },
+    {
+        id: 'ricochet',
+        name: 'Ricochet',
+        desc: 'Bounces to Other Lanes',
+        icon: '🪃',
+        color: '#55efc4',
+        rarity: 'epic',
+        // 0->1: 25, 1->2: 50, 2->3: 96 - each level adds a bounce
+        experienceRequired: [25, 18, 7, 1 / 2, 1 / 5],
+        bullet: (bullet, level) => {
+            bullet.ricochetLevel = level;
+            bullet.ricochetLeft = level;
+            return bullet;
+        }
+    }
+];
+
+/**
+ * Check an upgrade definition, throwing on the first problem
+ * @param {object} upgrade
+ */
+function validateUpgradeDefinition(upgrade) {
+    if (!upgrade || typeof upgrade.id !== 'string' || upgrade.id === '') {
+        throw new Error('Invalid upgrade: missing id');
+    }
+    if (getUpgradeDefinition(upgrade.id)) {
+        throw new Error(`Invalid upgrade ${upgrade.id}: already registered`);
+    }
+    ['name', 'desc', 'icon', 'color'].forEach(key => {
+        if (typeof upgrade[key] !== 'string') {
+            throw new Error(`Invalid upgrade ${upgrade.id}: missing ${key}`);
+        }
+    });
+    if (upgrade.experienceRequired !== undefined && !isValidCurve(upgrade.experienceRequired)) {
+        throw new Error(`Invalid upgrade ${upgrade.id}: invalid experienceRequired`);
+    }
+    if (upgrade.rarity !== undefined && !Object.prototype.hasOwnProperty.call(UPGRADE_RARITIES, upgrade.rarity)) {
+        throw new Error(`Invalid upgrade ${upgrade.id}: unknown rarity ${upgrade.rarity}`);
+    }
+    UPGRADE_HOOKS.forEach(hook => {
+        if (upgrade[hook] !== undefined && typeof upgrade[hook] !== 'function') {
+            throw new Error(`Invalid upgrade ${upgrade.id}: ${hook} is not a function`);
+        }
+    });
+}
+
+/**
+ * Add an upgrade track after the existing ones
+ * @param {object} upgrade - Upgrade definition
+ * @returns {object} - The registered upgrade
+ */
+function registerUpgrade(upgrade) {
+    validateUpgradeDefinition(upgrade);
+    UPGRADE_DEFINITIONS.push(upgrade);
+    return upgrade;
+}
+
+/**
+ * Get an upgrade definition
+ * @param {string} id - Upgrade type
+ * @returns {object|null}
+ */
+function getUpgradeDefinition(id) {
+    return UPGRADE_DEFINITIONS.find(upgrade => upgrade.id === id) || null;
+}
+
+/**
+ * Get the upgrade types in registry order
+ * @returns {string[]}
+ */
+function getUpgradeTypes() {
+    return UPGRADE_DEFINITIONS.map(upgrade => upgrade.id);
+}
+
+/**
+ * Create a value per upgrade type, e.g. all levels at 0
+ * @param {*} value
+ * @returns {object}
+ */
+function createUpgradeTable(value) {
+    const table = {};
+    UPGRADE_DEFINITIONS.forEach(upgrade => {
+        table[upgrade.id] = value;
+    });
+    return table;
+}
+
+/**
+ * Get the experience curve of an upgrade track
+ * @param {string} id - Upgrade type
+ * @returns {number|number[]|object} - Balance curve
+ */
+function getUpgradeExperienceCurve(id) {
+    const upgrade = getUpgradeDefinition(id);
+    return upgrade && upgrade.experienceRequired !== undefined ? upgrade.experienceRequired : BALANCE.upgrades.experienceRequired;
+}
+
+/**
+ * Get the draft rarity of an upgrade track
+ * @param {string} id - Upgrade type
+ * @returns {string} - One of UPGRADE_RARITIES
+ */
+function getUpgradeRarity(id) {
+    const upgrade = getUpgradeDefinition(id);
+    return upgrade && upgrade.rarity !== undefined ? upgrade.rarity : 'common';
+}
+
+/**
+ * Roll the upgrades a draft offers: distinct tracks, weighted by rarity
+ * @param {SeededRandom} rng - Game RNG
+ * @param {number} count - Upgrades to offer
+ * @returns {string[]} - Upgrade types in offer order
+ */
+function rollUpgradeDraft(rng, count = UPGRADE_DRAFT_CHOICES) {
+    const pool = getUpgradeTypes();
+    const choices = [];
+    while (choices.length < count && pool.length > 0) {
+        const weights = pool.map(id => BALANCE.upgrades.draft.rarityWeights[getUpgradeRarity(id)]);
+        const totalWeight = weights.reduce((a, b) => a + b, 0);
+        let roll = random(0, totalWeight, rng);
+
+        // Fall back to the last track when rounding leaves some of the roll
+        let index = pool.length - 1;
+        for (let i = 0; i < pool.length; i++) {
+            roll -= weights[i];
+            if (roll <= 0) {
+                index = i;
+                break;
+            }
+        }
+        choices.push(pool[index]);
+        pool.splice(index, 1);
+    }
+    return choices;
+}
+
+/**
+ * Check if an upgrade progression exists
+ * @param {string} id - Progression id (draft, random)
+ * @returns {boolean}
+ */
+function isValidUpgradeProgression(id) {
+    return Object.prototype.hasOwnProperty.call(UPGRADE_PROGRESSIONS, id);
+}
+
+/**
+ * Run an effect hook of every upgrade the player has
+ * @param {string} hook - One of UPGRADE_HOOKS
+ * @param {*} value - Value before upgrades
+ * @param {object} levels - Upgrade levels by type
+ * @returns {*} - Value after upgrades
+ */
+function applyUpgradeHooks(hook, value, levels) {
+    for (let i = 0; i < UPGRADE_DEFINITIONS.length; i++) {
+        const upgrade = UPGRADE_DEFINITIONS[i];
+        const level = levels[upgrade.id] || 0;
+        if (level > 0 && upgrade[hook]) {
+            value = upgrade[hook](value, level);
+        }
+    }
+    return value;
+}
@@ -6,9 +6,11 @@
 const CONFIG = {
     CANVAS_WIDTH: 800,
     CANVAS_HEIGHT: 600,
-    LANE_COUNT: 2,
-    LANE_WIDTH: 400,
-    LANE_POSITIONS: [200, 600], // X positions for each lane
+    LANE_COUNT: 2, // Lanes in the current run (default for new runs; ?lanes= or the Game lanes option override it)
+    MIN_LANE_COUNT: 2,
+    MAX_LANE_COUNT: 5,
+    LANE_WIDTH: 400, // Derived from LANE_COUNT and canvas width, see updateLaneLayout()
+    LANE_POSITIONS: [200, 600], // X positions for each lane (derived, see updateLaneLayout())
     PLAYER_Y: 550,
     PLAYER_SIZE: 30,
     BULLET_SPEED: 8,
@@ -18,9 +20,19 @@ const CONFIG = {
     ENEMY_SPEED_INCREMENT: 0.1,
     SCORE_PER_ENEMY: 10,
     LEVEL_UP_SCORE: 300, // Base score required for level 1
-    LEVEL_UP_SCORE_INCREMENT: 100 // Additional score needed per level
+    LEVEL_UP_SCORE_INCREMENT: 100, // Additional score needed per level
+    FIXED_TIMESTEP: 1000 / 60, // Simulation step in milliseconds (60 ticks per second)
+    MAX_FRAME_TIME: 250, // Clamp long frames (tab switches, debugger breaks) to avoid a catch-up spiral
+    MAX_STEPS_PER_FRAME: 5, // Maximum simulation steps processed in one animation frame
+    AUTOSAVE_INTERVAL: 300 // Simulation ticks between automatic saves of a run in progress (5 seconds)
 };
 
+// Game version - stored in replays; bump it when a change alters simulation results
+const GAME_VERSION = '1.9.1';
+
+// Lane count of a run when none is requested
+const DEFAULT_LANE_COUNT = CONFIG.LANE_COUNT;
+
 /**
  * Check collision between two rectangles
  */
@@ -32,15 +44,95 @@ function checkCollision(rect1, rect2) {
 }
 
 /**
- * Get lane index from x position
+ * Get the index of the lane closest to an x position
+ * A position exactly between two lanes belongs to the right one
+ * @param {number} x - X position
+ * @returns {number} - Lane index
  */
 function getLaneIndex(x) {
-    for (let i = 0; i < CONFIG.LANE_POSITIONS.length; i++) {
-        if (Math.abs(x - CONFIG.LANE_POSITIONS[i]) < CONFIG.LANE_WIDTH / 2) {
-            return i;
+    let closest = 0;
+    for (let i = 1; i < CONFIG.LANE_POSITIONS.length; i++) {
+        if (Math.abs(x - CONFIG.LANE_POSITIONS[i]) <= Math.abs(x - CONFIG.LANE_POSITIONS[closest])) {
+            closest = i;
         }
     }
-    return 0;
+    return closest;
+}
+
+/**
+ * Input action that moves the player straight to a lane
+ * @param {number} laneIndex - Target lane
+ * @returns {string} - Action name ('lane0', 'lane1', ...)
+ */
+function getLaneAction(laneIndex) {
+    return `lane${laneIndex}`;
+}
+
+/**
+ * Get the lane an input action moves to
+ * @param {string} action - Input action
+ * @returns {number} - Lane index, or -1 if the action doesn't target a lane
+ */
+function getActionLane(action) {
+    const match = /^lane(\d)$/.exec(action);
+    return match ? parseInt(match[1], 10) : -1;
+}
+
+/**
+ * Input action that picks one of the upgrades a draft offers
+ * @param {number} index - Choice index
+ * @returns {string} - Action name ('draft0', 'draft1', ...)
+ */
+function getDraftAction(index) {
+    return `draft${index}`;
+}
+
+/**
+ * Get the draft choice an input action picks
+ * @param {string} action - Input action
+ * @returns {number} - Choice index, or -1 if the action doesn't pick a draft choice
+ */
+function getActionDraftChoice(action) {
+    const match = /^draft(\d)$/.exec(action);
+    return match ? parseInt(match[1], 10) : -1;
+}
+
+/**
+ * Check if a lane count is supported
+ * @param {number} laneCount - Number of lanes
+ * @returns {boolean}
+ */
+function isValidLaneCount(laneCount) {
+    return Number.isInteger(laneCount) && laneCount >= CONFIG.MIN_LANE_COUNT && laneCount <= CONFIG.MAX_LANE_COUNT;
+}
+
+/**
+ * Spread the lanes evenly across the canvas: each lane is width / LANE_COUNT wide,
+ * with its position at the lane's center (2 lanes on 800px: 200 and 600)
+ * @param {number} width - Canvas width in pixels
+ */
+function updateLaneLayout(width = CONFIG.CANVAS_WIDTH) {
+    CONFIG.LANE_WIDTH = width / CONFIG.LANE_COUNT;
+    CONFIG.LANE_POSITIONS = [];
+    for (let i = 0; i < CONFIG.LANE_COUNT; i++) {
+        CONFIG.LANE_POSITIONS.push(CONFIG.LANE_WIDTH * (i + 0.5));
+    }
+}
+
+/**
+ * Change the number of lanes and recompute the lane layout
+ * CONFIG is global, so all games on a page share the lane layout of the last started run
+ * @param {number} laneCount - Number of lanes (MIN_LANE_COUNT to MAX_LANE_COUNT)
+ * @returns {boolean} - Whether the lane count was applied
+ */
+function setLaneCount(laneCount) {
+    if (!isValidLaneCount(laneCount)) {
+        console.warn(`Unsupported lane count: ${laneCount}`);
+        return false;
+    }
+    CONFIG.LANE_COUNT = laneCount;
+    updateLaneLayout();
+    return true;
 }
 
 /**
@@ -50,17 +142,177 @@ function clamp(value, min, max) {
     return Math.max(min, Math.min(max, value));
 }
 
+/**
+ * Format a duration as m:ss
+ * @param {number} seconds - Whole seconds
+ * @returns {string}
+ */
+function formatTime(seconds) {
+    return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ * All gameplay randomness goes through an instance owned by the Game,
+ * so a run with the same seed and inputs always plays out the same
+ */
+class SeededRandom {
+    /**
+     * @param {number} seed - 32-bit integer seed
+     */
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Create a fresh seed from the non-deterministic Math.random
+     * @returns {number} - 32-bit unsigned integer seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Reset the generator to the start of the sequence for a seed
+     * @param {number} seed - 32-bit integer seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next random number in [0, 1)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
 /**
  * Random number between min and max
+ * @param {SeededRandom} rng - Optional generator; falls back to Math.random (cosmetic use only)
  */
-function random(min, max) {
-    return Math.random() * (max - min) + min;
+function random(min, max, rng = null) {
+    const value = rng ? rng.next() : Math.random();
+    return value * (max - min) + min;
 }
 
 /**
  * Random integer between min and max (inclusive)
+ * @param {SeededRandom} rng - Optional generator; falls back to Math.random (cosmetic use only)
+ */
+function randomInt(min, max, rng = null) {
+    const value = rng ? rng.next() : Math.random();
+    return Math.floor(value * (max - min + 1)) + min;
+}
+
+/**
+ * Roll a probability check
+ * @param {number} probability - Chance of success (0-1)
+ * @param {SeededRandom} rng - Optional generator; falls back to Math.random (cosmetic use only)
+ * @returns {boolean}
+ */
+function chance(probability, rng = null) {
+    return random(0, 1, rng) < probability;
+}
+
+/**
+ * Remove an array element in O(1) by moving the last element into its slot
+ * Element order is not preserved - only use it where order doesn't matter
+ * @param {Array} array - Array to modify in place
+ * @param {number} index - Index of the element to remove
+ */
+function swapRemove(array, index) {
+    const last = array.length - 1;
+    if (index !== last) {
+        array[index] = array[last];
+    }
+    array.length = last;
+}
+
+/**
+ * Remove elements that fail a test, in place and keeping order (no new array)
+ * @param {Array} array - Array to modify in place
+ * @param {Function} keep - Returns true for elements to keep
+ */
+function filterInPlace(array, keep) {
+    let kept = 0;
+    for (let i = 0; i < array.length; i++) {
+        if (keep(array[i])) {
+            array[kept++] = array[i];
+        }
+    }
+    array.length = kept;
+}
+
+/**
+ * Object Pool - Reuses released objects instead of allocating new ones
+ * Pooled classes implement reset(...args) taking the same arguments as their constructor
+ */
+class ObjectPool {
+    /**
+     * @param {Function} ObjectClass - Class of the pooled objects
+     * @param {number} maxSize - Maximum number of released objects kept for reuse
+     */
+    constructor(ObjectClass, maxSize = 256) {
+        this.ObjectClass = ObjectClass;
+        this.maxSize = maxSize;
+        this.free = [];
+    }
+
+    /**
+     * Get an object, reusing a released one if available
+     * @param {...*} args - Constructor arguments
+     * @returns {object}
+     */
+    acquire(...args) {
+        if (this.free.length > 0) {
+            const object = this.free.pop();
+            object.reset(...args);
+            return object;
+        }
+        return new this.ObjectClass(...args);
+    }
+
+    /**
+     * Return an object for reuse - the caller must drop every reference to it
+     * @param {object} object - Object from acquire()
+     */
+    release(object) {
+        if (this.free.length < this.maxSize) {
+            this.free.push(object);
+        }
+    }
+}
+
+// Shared pools, one per class (created on first use)
+const objectPools = new Map();
+
+/**
+ * Get the shared pool for a class
+ * @param {Function} ObjectClass - Pooled class
+ * @returns {ObjectPool}
+ */
+function getPool(ObjectClass) {
+    let pool = objectPools.get(ObjectClass);
+    if (!pool) {
+        pool = new ObjectPool(ObjectClass);
+        objectPools.set(ObjectClass, pool);
+    }
+    return pool;
+}
+
+/**
+ * Return an object to the shared pool of its class
+ * @param {object} object - Pooled object that is no longer used
  */
-function randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+function releaseToPool(object) {
+    getPool(object.constructor).release(object);
 }
 
@@ -0,0 +1,331 @@
+/**
+ * Waves - Scripted enemy waves
+ * A wave is data (JSON-compatible): groups of enemies with their lanes, timing and shape.
+ * The scheduler picks a wave for the current level band, spawns it, rests, and picks the next.
+ * Random weighted spawning takes over when no wave is defined for the level.
+ *
+ * Wave fields:
+ * - name: shown in the HUD announcement
+ * - minLevel, maxLevel: level band (maxLevel may be left out for no upper bound)
+ * - weight: relative chance among the waves of the band (default 1)
+ * - rest: ticks to wait after the wave before the next one (default WAVE_DEFAULT_REST)
+ * - groups: enemy groups, see below
+ *
+ * Group fields:
+ * - type: enemy type, or 'random' for a weighted random type (see EnemyFactory.createRandom)
+ * - shape: how the group enters
+ *   - 'column': count enemies one after another in one lane
+ *   - 'scatter': count enemies, each in a random lane
+ *   - 'stagger': one enemy per lane, sweeping across the lanes
+ *   - 'wall': one enemy in every lane at once except gap lanes (at least one lane stays open)
+ * - count: enemies in a column or scatter, a balance curve by level (see js/balance.js)
+ * - lane: lane of a column, an index (wrapped to the lane count) or 'random' (default)
+ * - gap: open lanes in a wall (default 1)
+ * - spacing: ticks between the enemies of the group (default 40)
+ * - delay: ticks between the start of the previous group and this one (default 0)
+ *
+ * Timing is in ticks at the level 1 spawn pace; faster paces (higher levels, harder difficulties) shorten it.
+ */
+
+// Ticks of rest after a wave when the wave doesn't say
+const WAVE_DEFAULT_REST = 80;
+
+// Ticks before the first wave of a run
+const WAVE_START_DELAY = 60;
+
+const WAVE_SHAPES = ['column', 'scatter', 'stagger', 'wall'];
+
+const WAVE_DEFINITIONS = [
+    {
+        name: 'Scouts',
+        minLevel: 1,
+        maxLevel: 4,
+        groups: [
+            { type: 'basic', shape: 'stagger', spacing: 45 },
+            { type: 'basic', shape: 'column', count: 3, spacing: 35, delay: 120 }
+        ]
+    },
+    {
+        name: 'Patrol',
+        minLevel: 1,
+        maxLevel: 6,
+        weight: 2,
+        groups: [
+            { type: 'random', shape: 'scatter', count: { base: 5, perLevel: 1 }, spacing: 50 }
+        ]
+    },
+    {
+        name: 'Fast Sweep',
+        minLevel: 2,
+        maxLevel: 9,
+        groups: [
+            { type: 'fast', shape: 'stagger', spacing: 30 },
+            { type: 'basic', shape: 'scatter', count: 3, spacing: 40, delay: 90 }
+        ]
+    },
+    {
+        name: 'Tank Escort',
+        minLevel: 3,
+        maxLevel: 12,
+        groups: [
+            { type: 'tank', shape: 'column', count: 1 },
+            { type: 'basic', shape: 'scatter', count: { base: 2, perLevel: 0.5, baseLevel: 3 }, spacing: 35, delay: 60 }
+        ]
+    },
+    {
+        name: 'Swarm Rush',
+        minLevel: 4,
+        groups: [
+            { type: 'swarm', shape: 'scatter', count: { base: 2, perLevel: 0.25, baseLevel: 4 }, spacing: 70 },
+            { type: 'fast', shape: 'column', count: 2, spacing: 25, delay: 80 }
+        ]
+    },
+    {
+        name: 'Formation Line',
+        minLevel: 5,
+        groups: [
+            { type: 'formation', shape: 'wall', gap: 1 },
+            { type: 'random', shape: 'scatter', count: 3, spacing: 45, delay: 150 }
+        ]
+    },
+    {
+        name: 'Gauntlet',
+        minLevel: 8,
+        groups: [
+            { type: 'basic', shape: 'wall', gap: 1 },
+            { type: 'fast', shape: 'wall', gap: 1, delay: 70 },
+            { type: 'tank', shape: 'column', count: 1, delay: 90 }
+        ]
+    },
+    {
+        name: 'Mixed Assault',
+        minLevel: 7,
+        weight: 2,
+        groups: [
+            { type: 'random', shape: 'scatter', count: { base: 6, perLevel: 0.5, baseLevel: 7 }, spacing: 40 },
+            { type: 'random', shape: 'stagger', spacing: 30, delay: 60 }
+        ]
+    }
+];
+
+/**
+ * Validate a wave definition, throwing an Error describing the first problem found
+ * @param {object} wave - Wave definition
+ */
+function validateWaveDefinition(wave) {
+    if (!wave || typeof wave.name !== 'string') {
+        throw new Error('Invalid wave: missing name');
+    }
+    if (typeof wave.minLevel !== 'number' || (wave.maxLevel !== undefined && typeof wave.maxLevel !== 'number')) {
+        throw new Error(`Invalid wave ${wave.name}: invalid level band`);
+    }
+    if (!Array.isArray(wave.groups) || wave.groups.length === 0) {
+        throw new Error(`Invalid wave ${wave.name}: no groups`);
+    }
+    wave.groups.forEach(group => {
+        if (group.type !== 'random' && !EnemyFactory.isKnownType(group.type)) {
+            throw new Error(`Invalid wave ${wave.name}: unknown enemy type ${group.type}`);
+        }
+        if (!WAVE_SHAPES.includes(group.shape)) {
+            throw new Error(`Invalid wave ${wave.name}: unknown shape ${group.shape}`);
+        }
+        if (group.count !== undefined && !isValidCurve(group.count)) {
+            throw new Error(`Invalid wave ${wave.name}: invalid count`);
+        }
+    });
+}
+
+/**
+ * Add a wave definition to the waves the scheduler picks from
+ * @param {object|string} wave - Wave definition, as an object or JSON text
+ * @returns {object} - The registered wave
+ */
+function registerWave(wave) {
+    const definition = typeof wave === 'string' ? JSON.parse(wave) : wave;
+    validateWaveDefinition(definition);
+    WAVE_DEFINITIONS.push(definition);
+    return definition;
+}
+
+/**
+ * Wave Scheduler - Runs scripted waves for a Game
+ */
+class WaveScheduler {
+    /**
+     * @param {object[]} definitions - Wave definitions to pick from
+     */
+    constructor(definitions = WAVE_DEFINITIONS) {
+        this.definitions = definitions;
+        this.reset();
+    }
+
+    /**
+     * Forget the current wave (new run)
+     */
+    reset() {
+        this.waveNumber = 0; // Waves started this run
+        this.waveName = null; // Name of the wave being spawned, null between waves
+        this.spawns = []; // Pending spawns of the current wave: [tick, type, laneIndex], in tick order
+        this.waveTick = 0; // Ticks since the current wave started
+        this.restTicks = WAVE_START_DELAY; // Ticks until the next wave
+    }
+
+    /**
+     * Get the waves defined for a level
+     * @param {number} level - Game level
+     * @returns {object[]}
+     */
+    getWavesForLevel(level) {
+        return this.definitions.filter(wave => {
+            return level >= wave.minLevel && (wave.maxLevel === undefined || level <= wave.maxLevel);
+        });
+    }
+
+    /**
+     * Pick a wave for a level, weighted by the waves' weights
+     * @param {number} level - Game level
+     * @param {SeededRandom} rng - Game RNG
+     * @returns {object|null} - Wave definition, or null if none is defined for the level
+     */
+    pickWave(level, rng) {
+        const waves = this.getWavesForLevel(level);
+        if (waves.length === 0) return null;
+
+        const weightOf = wave => (wave.weight !== undefined ? wave.weight : 1);
+        let roll = random(0, waves.reduce((total, wave) => total + weightOf(wave), 0), rng);
+        for (const wave of waves) {
+            roll -= weightOf(wave);
+            if (roll <= 0) return wave;
+        }
+        return waves[waves.length - 1];
+    }
+
+    /**
+     * Advance one tick: start waves and spawn their enemies when due
+     * @param {Game} game - Game to spawn into
+     * @param {number} pace - Spawn pace, 1 at level 1 on Normal (higher is faster)
+     * @returns {boolean} - Whether waves handle spawning (false: no wave for this level, spawn randomly)
+     */
+    update(game, pace) {
+        if (this.waveName === null) {
+            if (this.restTicks > 0) {
+                this.restTicks--;
+                return true;
+            }
+
+            const wave = this.pickWave(game.level, game.rng);
+            if (!wave) return false;
+            this.startWave(game, wave, pace);
+        }
+
+        while (this.spawns.length > 0 && this.spawns[0][0] <= this.waveTick) {
+            const [, type, laneIndex] = this.spawns.shift();
+            this.spawnEnemy(game, type, laneIndex);
+        }
+        this.waveTick++;
+
+        return true;
+    }
+
+    /**
+     * Lay out a wave's spawns and announce it
+     * @param {Game} game - Game to spawn into
+     * @param {object} wave - Wave definition
+     * @param {number} pace - Spawn pace (see update)
+     */
+    startWave(game, wave, pace) {
+        const rng = game.rng;
+        const laneCount = CONFIG.LANE_COUNT;
+        const scale = ticks => Math.round(ticks / pace);
+        const randomLane = () => randomInt(0, laneCount - 1, rng);
+
+        this.waveNumber++;
+        this.waveName = wave.name;
+        this.waveTick = 0;
+        this.spawns = [];
+
+        let groupTick = 0;
+        wave.groups.forEach(group => {
+            groupTick += scale(group.delay || 0);
+            const spacing = scale(group.spacing !== undefined ? group.spacing : 40);
+            const count = Math.max(1, Math.floor(evaluateCurve(group.count !== undefined ? group.count : 1, game.level)));
+
+            if (group.shape === 'column') {
+                const lane = typeof group.lane === 'number' ? group.lane % laneCount : randomLane();
+                for (let i = 0; i < count; i++) {
+                    this.spawns.push([groupTick + i * spacing, group.type, lane]);
+                }
+            } else if (group.shape === 'scatter') {
+                for (let i = 0; i < count; i++) {
+                    this.spawns.push([groupTick + i * spacing, group.type, randomLane()]);
+                }
+            } else if (group.shape === 'stagger') {
+                // Sweep left to right or right to left
+                const reversed = chance(0.5, rng);
+                for (let i = 0; i < laneCount; i++) {
+                    this.spawns.push([groupTick + i * spacing, group.type, reversed ? laneCount - 1 - i : i]);
+                }
+            } else if (group.shape === 'wall') {
+                // Leave random lanes open so the wall can always be dodged
+                const gaps = Math.min(Math.max(group.gap !== undefined ? group.gap : 1, 1), laneCount - 1);
+                const lanes = [];
+                for (let i = 0; i < laneCount; i++) lanes.push(i);
+                for (let i = 0; i < gaps; i++) {
+                    lanes.splice(randomInt(0, lanes.length - 1, rng), 1);
+                }
+                lanes.forEach(lane => this.spawns.push([groupTick, group.type, lane]));
+            }
+        });
+
+        // Stable sort keeps group order for spawns on the same tick
+        this.spawns.sort((a, b) => a[0] - b[0]);
+        this.restTicks = scale(wave.rest !== undefined ? wave.rest : WAVE_DEFAULT_REST);
+
+        game.events.emit(GameEvents.WAVE_STARTED, { name: wave.name, number: this.waveNumber });
+    }
+
+    /**
+     * Spawn one enemy of a wave at the top of a lane
+     * @param {Game} game - Game to spawn into
+     * @param {string} type - Enemy type or 'random'
+     * @param {number} laneIndex - Lane index
+     */
+    spawnEnemy(game, type, laneIndex) {
+        const x = CONFIG.LANE_POSITIONS[laneIndex];
+        const enemy = type === 'random'
+            ? EnemyFactory.createRandom(x, -40, laneIndex, game.level, game.rng)
+            : EnemyFactory.create(type, x, -40, laneIndex, game.level, game.rng);
+        game.enemies.push(enemy);
+
+        // The wave is over once its last enemy is out, rest until the next one
+        if (this.spawns.length === 0) {
+            this.waveName = null;
+        }
+    }
+
+    /**
+     * Snapshot the scheduler state for a save
+     * @returns {object}
+     */
+    serialize() {
+        return {
+            waveNumber: this.waveNumber,
+            waveName: this.waveName,
+            spawns: this.spawns.map(spawn => spawn.slice()),
+            waveTick: this.waveTick,
+            restTicks: this.restTicks
+        };
+    }
+
+    /**
+     * Restore a snapshot from serialize()
+     * @param {object} state
+     */
+    restore(state) {
+        this.waveNumber = state.waveNumber;
+        this.waveName = state.waveName;
+        this.spawns = state.spawns.map(spawn => spawn.slice());
+        this.waveTick = state.waveTick;
+        this.restTicks = state.restTicks;
+    }
+}
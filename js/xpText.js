@@ -3,12 +3,21 @@
  */
 class XPText {
     constructor(x, y, xpAmount, upgradeType) {
+        this.reset(x, y, xpAmount, upgradeType);
+    }
+
+    /**
+     * Initialize the text - also used to reuse a pooled text (see getPool)
+     */
+    reset(x, y, xpAmount, upgradeType) {
         this.x = x;
         this.y = y;
+        this.prevX = x; // A reused text must not interpolate from its previous life
+        this.prevY = y;
         this.xpAmount = xpAmount;
         this.upgradeType = upgradeType;
         this.lifetime = 0;
-        this.maxLifetime = 60; // frames
+        this.maxLifetime = 60; // simulation ticks
         this.active = true;
         this.alpha = 1.0;
     }
@@ -39,14 +48,8 @@ class XPText {
     draw(ctx) {
         if (!this.active) return;
 
-        const upgradeColors = {
-            'rapidfire': '#ff6b6b',
-            'multishot': '#4ecdc4',
-            'powerboost': '#ffe66d',
-            'lanespeed': '#a29bfe'
-        };
-
-        const color = upgradeColors[this.upgradeType] || '#00ff00';
+        const upgrade = getUpgradeDefinition(this.upgradeType);
+        const color = upgrade ? upgrade.color : '#00ff00';
         
         ctx.save();
         ctx.globalAlpha = this.alpha;